@@ -2,39 +2,88 @@
 
 import React, { useState } from 'react';
 import { BugProvider } from './context/BugContext';
+import { AuthProvider, useAuth } from './context/AuthContext';
+import { LabelProvider } from './context/LabelContext';
 import Header from './components/Header';
+import AuthForm from './components/AuthForm';
 import BugList from './components/BugList';
 import BugForm from './components/BugForm';
+import BugDetail from './components/BugDetail';
+import Dashboard from './components/Dashboard';
+import ImportWizard from './components/ImportWizard';
+import ErrorGroups from './components/ErrorGroups';
 import ErrorBoundary from './components/ErrorBoundary';
+import { hasPermission } from './utils/permissions';
 import './App.css';
 
-function App() {
+function AppContent() {
+  const { user } = useAuth();
   const [showForm, setShowForm] = useState(false);
   const [editingBug, setEditingBug] = useState(null);
+  // Values for a new bug created from an error group
+  const [bugDraft, setBugDraft] = useState(null);
+  const [viewingBug, setViewingBug] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  // Main view shown when no bug or form is open: 'list', 'dashboard' or 'errors'
+  const [view, setView] = useState('list');
 
   const handleNewBug = () => {
     setEditingBug(null);
+    setBugDraft(null);
+    setShowForm(true);
+  };
+
+  const handleCreateBugFromError = (draft) => {
+    setEditingBug(null);
+    setBugDraft(draft);
     setShowForm(true);
   };
 
+  const handleViewBug = (bug) => {
+    setViewingBug(bug);
+  };
+
+  const handleBackToList = () => {
+    setViewingBug(null);
+  };
+
   const handleEditBug = (bug) => {
     setEditingBug(bug);
+    setBugDraft(null);
     setShowForm(true);
   };
 
   const handleFormSuccess = () => {
     setShowForm(false);
     setEditingBug(null);
+    setBugDraft(null);
   };
 
   const handleCancelForm = () => {
     setShowForm(false);
     setEditingBug(null);
+    setBugDraft(null);
   };
 
+  // Bugs are only available to logged-in users
+  if (!user) {
+    return (
+      <div className="app">
+        <ErrorBoundary>
+          <Header />
+        </ErrorBoundary>
+        <main className="app-main">
+          <div className="app-container">
+            <AuthForm />
+          </div>
+        </main>
+      </div>
+    );
+  }
+
   return (
-    <ErrorBoundary showHomeButton={true}>
-      <BugProvider>
+    <BugProvider>
+      <LabelProvider>
         <div className="app">
           <ErrorBoundary>
             <Header />
@@ -46,34 +95,95 @@ function App() {
                 onReset={() => {
                   setShowForm(false);
                   setEditingBug(null);
+                  setBugDraft(null);
+                  setViewingBug(null);
+                  setShowImport(false);
                 }}
               >
-                {!showForm ? (
-                  <>
-                    <div className="app-actions">
-                      <button className="btn btn-primary" onClick={handleNewBug}>
-                        + Report New Bug
-                      </button>
-                    </div>
-                    <BugList onEditBug={handleEditBug} />
-                  </>
-                ) : (
+                {showImport ? (
+                  <ErrorBoundary
+                    message="An error occurred while importing bugs. Please try again."
+                    onReset={() => setShowImport(false)}
+                  >
+                    <ImportWizard onClose={() => setShowImport(false)} />
+                  </ErrorBoundary>
+                ) : showForm ? (
                   <ErrorBoundary
                     message="An error occurred while displaying the form. Please try again."
                     onReset={handleCancelForm}
                   >
                     <BugForm
                       bug={editingBug}
+                      initialValues={bugDraft}
                       onCancel={handleCancelForm}
                       onSuccess={handleFormSuccess}
                     />
                   </ErrorBoundary>
+                ) : viewingBug ? (
+                  <BugDetail bug={viewingBug} onBack={handleBackToList} onEdit={handleEditBug} />
+                ) : (
+                  <>
+                    <div className="app-actions">
+                      <nav className="app-tabs" aria-label="Views">
+                        <button
+                          className={`app-tab${view === 'list' ? ' app-tab-active' : ''}`}
+                          aria-pressed={view === 'list'}
+                          onClick={() => setView('list')}
+                        >
+                          Bugs
+                        </button>
+                        <button
+                          className={`app-tab${view === 'dashboard' ? ' app-tab-active' : ''}`}
+                          aria-pressed={view === 'dashboard'}
+                          onClick={() => setView('dashboard')}
+                        >
+                          Dashboard
+                        </button>
+                        {hasPermission(user, 'error:view') && (
+                          <button
+                            className={`app-tab${view === 'errors' ? ' app-tab-active' : ''}`}
+                            aria-pressed={view === 'errors'}
+                            onClick={() => setView('errors')}
+                          >
+                            Errors
+                          </button>
+                        )}
+                      </nav>
+                      <div className="app-action-buttons">
+                        {hasPermission(user, 'bug:import') && (
+                          <button className="btn btn-import" onClick={() => setShowImport(true)}>
+                            Import Bugs
+                          </button>
+                        )}
+                        <button className="btn btn-primary" onClick={handleNewBug}>
+                          + Report New Bug
+                        </button>
+                      </div>
+                    </div>
+                    {view === 'dashboard' ? (
+                      <Dashboard onViewBug={handleViewBug} />
+                    ) : view === 'errors' && hasPermission(user, 'error:view') ? (
+                      <ErrorGroups onCreateBug={handleCreateBugFromError} />
+                    ) : (
+                      <BugList onViewBug={handleViewBug} onEditBug={handleEditBug} />
+                    )}
+                  </>
                 )}
               </ErrorBoundary>
             </div>
           </main>
         </div>
-      </BugProvider>
+      </LabelProvider>
+    </BugProvider>
+  );
+}
+
+function App() {
+  return (
+    <ErrorBoundary showHomeButton={true}>
+      <AuthProvider>
+        <AppContent />
+      </AuthProvider>
     </ErrorBoundary>
   );
 }
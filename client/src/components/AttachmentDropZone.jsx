@@ -0,0 +1,164 @@
+// AttachmentDropZone.jsx - Drag-and-drop file picker for bug attachments
+// Files are only queued here; the form uploads them once the bug is saved
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_SIZE,
+  ATTACHMENT_ACCEPT,
+  isImageType,
+  formatFileSize,
+  validateAttachmentFile,
+} from '../utils/attachments';
+import './AttachmentDropZone.css';
+
+// The same file picked twice is only queued once
+const sameFile = (a, b) => a.name === b.name && a.size === b.size && a.lastModified === b.lastModified;
+
+const AttachmentDropZone = ({ id, files, onChange, disabled = false }) => {
+  const [dragging, setDragging] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [previews, setPreviews] = useState(new Map());
+  const inputRef = useRef(null);
+
+  // Object URLs for image previews, released when the queue changes or the form closes
+  useEffect(() => {
+    const urls = new Map();
+    files.forEach((file) => {
+      if (isImageType(file.type)) {
+        urls.set(file, URL.createObjectURL(file));
+      }
+    });
+    setPreviews(urls);
+
+    return () => urls.forEach((url) => URL.revokeObjectURL(url));
+  }, [files]);
+
+  const addFiles = (fileList) => {
+    const newErrors = [];
+    const accepted = [];
+
+    Array.from(fileList).forEach((file) => {
+      const error = validateAttachmentFile(file);
+      if (error) {
+        newErrors.push(error);
+      } else if (![...files, ...accepted].some((queued) => sameFile(queued, file))) {
+        accepted.push(file);
+      }
+    });
+
+    const room = MAX_ATTACHMENTS - files.length;
+    if (accepted.length > room) {
+      newErrors.push(`You can attach up to ${MAX_ATTACHMENTS} files at a time`);
+      accepted.splice(Math.max(room, 0));
+    }
+
+    setErrors(newErrors);
+    if (accepted.length > 0) {
+      onChange([...files, ...accepted]);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) {
+      setDragging(true);
+    }
+  };
+
+  const handleDragLeave = (e) => {
+    // Moving over a child element also fires dragleave on the zone
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setDragging(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled) {
+      addFiles(e.dataTransfer.files);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    addFiles(e.target.files);
+    // Clear the input so picking the same file again fires another change
+    e.target.value = '';
+  };
+
+  const handleRemove = (file) => {
+    setErrors([]);
+    onChange(files.filter((queued) => queued !== file));
+  };
+
+  return (
+    <div className="attachment-dropzone-container">
+      <div
+        className={`attachment-dropzone${dragging ? ' attachment-dropzone-active' : ''}`}
+        onDragEnter={handleDragOver}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        data-testid="attachment-dropzone"
+      >
+        <p className="attachment-dropzone-text">
+          Drag screenshots or logs here, or{' '}
+          <button
+            type="button"
+            className="btn-link"
+            onClick={() => inputRef.current.click()}
+            disabled={disabled}
+          >
+            choose files
+          </button>
+        </p>
+        <p className="attachment-dropzone-hint">
+          Images, text, CSV, JSON, PDF or ZIP up to {formatFileSize(MAX_ATTACHMENT_SIZE)}
+        </p>
+        <input
+          id={id}
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={ATTACHMENT_ACCEPT}
+          onChange={handleInputChange}
+          className="attachment-dropzone-input"
+          aria-label="Attach files"
+          disabled={disabled}
+        />
+      </div>
+
+      {errors.map((error) => (
+        <span key={error} className="field-error">{error}</span>
+      ))}
+
+      {files.length > 0 && (
+        <ul className="attachment-queue" aria-label="Files to attach">
+          {files.map((file) => (
+            <li key={`${file.name}-${file.size}-${file.lastModified}`} className="attachment-queue-item">
+              {previews.has(file) ? (
+                <img src={previews.get(file)} alt={`Preview of ${file.name}`} className="attachment-queue-preview" />
+              ) : (
+                <span className="attachment-queue-icon" aria-hidden="true">📄</span>
+              )}
+              <span className="attachment-queue-name">{file.name}</span>
+              <span className="attachment-queue-size">{formatFileSize(file.size)}</span>
+              <button
+                type="button"
+                className="attachment-queue-remove"
+                onClick={() => handleRemove(file)}
+                aria-label={`Remove attachment ${file.name}`}
+                disabled={disabled}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentDropZone;
@@ -0,0 +1,159 @@
+// AttachmentList.jsx - Attachments on a single bug, with image previews
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { getAttachments, getAttachmentBlob, deleteAttachment } from '../services/attachmentService';
+import { canDeleteAttachment } from '../utils/permissions';
+import { formatFileSize } from '../utils/attachments';
+import { saveBlob } from '../utils/download';
+import './AttachmentList.css';
+
+const AttachmentList = ({ bugId }) => {
+  const { user } = useAuth();
+  const [attachments, setAttachments] = useState([]);
+  const [thumbnails, setThumbnails] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Load the attachments whenever a different bug is shown
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    getAttachments(bugId)
+      .then((loaded) => {
+        if (!cancelled) {
+          setAttachments(loaded);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load attachments');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bugId]);
+
+  // Object URLs by attachment id, or the pending request while one is being fetched
+  const thumbnailUrls = useRef({});
+
+  // Release the thumbnails when the detail view closes
+  useEffect(() => {
+    return () => {
+      Object.values(thumbnailUrls.current)
+        .filter((url) => typeof url === 'string')
+        .forEach((url) => URL.revokeObjectURL(url));
+      thumbnailUrls.current = {};
+    };
+  }, []);
+
+  // Thumbnails need the access token, so they are fetched as blobs rather than linked
+  useEffect(() => {
+    attachments
+      .filter((attachment) => attachment.hasThumbnail && !(attachment._id in thumbnailUrls.current))
+      .forEach((attachment) => {
+        const pending = {};
+        thumbnailUrls.current[attachment._id] = pending;
+        getAttachmentBlob(bugId, attachment._id, { thumbnail: true })
+          .then((blob) => {
+            // Dropped if the view closed while the request was in flight
+            if (thumbnailUrls.current[attachment._id] !== pending) {
+              return;
+            }
+            const url = URL.createObjectURL(blob);
+            thumbnailUrls.current[attachment._id] = url;
+            setThumbnails((prev) => ({ ...prev, [attachment._id]: url }));
+          })
+          .catch(() => {
+            // A missing thumbnail falls back to the file icon
+          });
+      });
+  }, [bugId, attachments]);
+
+  const handleDownload = async (attachment) => {
+    setError('');
+    try {
+      const blob = await getAttachmentBlob(bugId, attachment._id);
+      saveBlob(blob, attachment.filename);
+    } catch (err) {
+      setError(err.message || 'Failed to download attachment');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Are you sure you want to delete ${attachment.filename}?`)) {
+      return;
+    }
+
+    setError('');
+    try {
+      await deleteAttachment(bugId, attachment._id);
+      setAttachments((prev) => prev.filter((item) => item._id !== attachment._id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete attachment');
+    }
+  };
+
+  return (
+    <section className="attachment-list" aria-label="Attachments">
+      <h3 className="attachment-list-title">Attachments ({attachments.length})</h3>
+
+      {error && <div className="form-error-message">{error}</div>}
+
+      {loading ? (
+        <p className="attachment-list-status">Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        <p className="attachment-list-status">No attachments.</p>
+      ) : (
+        <ul className="attachment-grid">
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className="attachment-card">
+              <button
+                type="button"
+                className="attachment-preview"
+                onClick={() => handleDownload(attachment)}
+                aria-label={`Download ${attachment.filename}`}
+              >
+                {thumbnails[attachment._id] ? (
+                  <img src={thumbnails[attachment._id]} alt={attachment.filename} />
+                ) : (
+                  <span className="attachment-icon" aria-hidden="true">📄</span>
+                )}
+              </button>
+              <div className="attachment-info">
+                <span className="attachment-name" title={attachment.filename}>
+                  {attachment.filename}
+                </span>
+                <span className="attachment-meta">
+                  {formatFileSize(attachment.size)}
+                  {attachment.uploadedBy?.name && ` · ${attachment.uploadedBy.name}`}
+                </span>
+              </div>
+              {canDeleteAttachment(user, attachment) && (
+                <button
+                  type="button"
+                  className="attachment-delete"
+                  onClick={() => handleDelete(attachment)}
+                  aria-label={`Delete attachment ${attachment.filename}`}
+                >
+                  Delete
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,143 @@
+// AuthForm.jsx - Login and registration form
+
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import './BugForm.css';
+import './AuthForm.css';
+
+const AuthForm = () => {
+  const { login, register, loading, error } = useAuth();
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({
+    name: '',
+    email: '',
+    password: '',
+  });
+  const [errors, setErrors] = useState({});
+
+  const isRegister = mode === 'register';
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    if (errors[name]) {
+      setErrors((prev) => ({
+        ...prev,
+        [name]: '',
+      }));
+    }
+  };
+
+  const validate = () => {
+    const newErrors = {};
+
+    if (isRegister && !formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+    if (!formData.email.trim()) {
+      newErrors.email = 'Email is required';
+    }
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (isRegister && formData.password.length < 8) {
+      newErrors.password = 'Password must be at least 8 characters';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validate()) {
+      return;
+    }
+
+    try {
+      if (isRegister) {
+        await register(formData);
+      } else {
+        await login(formData.email, formData.password);
+      }
+    } catch (err) {
+      // The error is shown from the auth context
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setErrors({});
+  };
+
+  return (
+    <div className="auth-form-container">
+      <div className="auth-form">
+        <h2 className="auth-form-title">{isRegister ? 'Create Account' : 'Log In'}</h2>
+
+        {error && <div className="form-error-message">{error}</div>}
+
+        <form onSubmit={handleSubmit}>
+          {isRegister && (
+            <div className="form-group">
+              <label htmlFor="auth-name">Name</label>
+              <input
+                type="text"
+                id="auth-name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className={errors.name ? 'input-error' : ''}
+                placeholder="Your name"
+              />
+              {errors.name && <span className="field-error">{errors.name}</span>}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="auth-email">Email</label>
+            <input
+              type="email"
+              id="auth-email"
+              name="email"
+              value={formData.email}
+              onChange={handleChange}
+              className={errors.email ? 'input-error' : ''}
+              placeholder="you@example.com"
+            />
+            {errors.email && <span className="field-error">{errors.email}</span>}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="auth-password">Password</label>
+            <input
+              type="password"
+              id="auth-password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              className={errors.password ? 'input-error' : ''}
+            />
+            {errors.password && <span className="field-error">{errors.password}</span>}
+          </div>
+
+          <button type="submit" className="btn btn-submit" disabled={loading}>
+            {loading ? 'Please wait...' : isRegister ? 'Create Account' : 'Log In'}
+          </button>
+        </form>
+
+        <p className="auth-form-toggle">
+          {isRegister ? 'Already have an account?' : "Don't have an account?"}{' '}
+          <button type="button" className="btn-link" onClick={toggleMode}>
+            {isRegister ? 'Log in' : 'Create one'}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default AuthForm;
@@ -0,0 +1,235 @@
+// BugDetail.jsx - Full view of a single bug with its attachments, comments and history
+
+import React, { useEffect, useState } from 'react';
+import { useBugs } from '../context/BugContext';
+import { useAuth } from '../context/AuthContext';
+import { getBug, findSimilarBugs } from '../services/bugService';
+import { canEditBug, hasPermission } from '../utils/permissions';
+import AttachmentList from './AttachmentList';
+import PresenceIndicator from './PresenceIndicator';
+import CommentThread from './CommentThread';
+import BugHistory from './BugHistory';
+import './BugItem.css';
+import './BugDetail.css';
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const BugDetail = ({ bug: selectedBug, onBack, onEdit }) => {
+  const { bugs, viewers, viewBug, leaveBug, markDuplicate } = useBugs();
+  const { user } = useAuth();
+  // The bug this one duplicates, as { _id, title, status }
+  const [original, setOriginal] = useState(null);
+  // Mark-as-duplicate panel: open state, suggested originals and a typed bug ID
+  const [showDuplicatePanel, setShowDuplicatePanel] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [originalId, setOriginalId] = useState('');
+  const [duplicateError, setDuplicateError] = useState('');
+  const [marking, setMarking] = useState(false);
+
+  // Prefer the list's copy so edits made elsewhere show up here
+  const bug = bugs.find((item) => item._id === selectedBug._id) || selectedBug;
+  const canMarkDuplicate = hasPermission(user, 'bug:duplicate') && !bug.duplicateOf;
+
+  // Let other users see who is looking at this bug
+  useEffect(() => {
+    viewBug(bug._id);
+    return () => leaveBug(bug._id);
+  }, [bug._id, viewBug, leaveBug]);
+
+  // The list only has the original's id; the bug view and mark response include its title
+  useEffect(() => {
+    const duplicateOf = bug.duplicateOf;
+    if (!duplicateOf || typeof duplicateOf === 'object') {
+      setOriginal(duplicateOf || null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    getBug(duplicateOf)
+      .then((found) => {
+        if (!cancelled) {
+          setOriginal(found);
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading original bug:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bug.duplicateOf]);
+
+  // Suggest originals when the panel opens
+  useEffect(() => {
+    if (!showDuplicatePanel) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    findSimilarBugs({ title: bug.title, description: bug.description, exclude: bug._id })
+      .then((results) => {
+        if (!cancelled) {
+          setSuggestions(results);
+        }
+      })
+      .catch((err) => {
+        console.error('Error finding similar bugs:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showDuplicatePanel, bug._id, bug.title, bug.description]);
+
+  const handleMarkDuplicate = async (id) => {
+    setMarking(true);
+    setDuplicateError('');
+    try {
+      await markDuplicate(bug._id, id);
+      setShowDuplicatePanel(false);
+      setOriginalId('');
+    } catch (err) {
+      setDuplicateError(err.message || 'Failed to mark bug as duplicate');
+    } finally {
+      setMarking(false);
+    }
+  };
+
+  const handleSubmitOriginal = (e) => {
+    e.preventDefault();
+    if (originalId.trim()) {
+      handleMarkDuplicate(originalId.trim());
+    }
+  };
+
+  return (
+    <div className="bug-detail">
+      <div className="bug-detail-nav">
+        <button type="button" className="btn btn-back" onClick={onBack}>
+          &larr; Back to list
+        </button>
+        {onEdit && canEditBug(user, bug) && (
+          <button
+            type="button"
+            className="btn btn-edit"
+            onClick={() => onEdit(bug)}
+            aria-label={`Edit bug: ${bug.title}`}
+          >
+            Edit
+          </button>
+        )}
+        {canMarkDuplicate && (
+          <button
+            type="button"
+            className="btn btn-duplicate"
+            onClick={() => setShowDuplicatePanel((open) => !open)}
+            aria-expanded={showDuplicatePanel}
+          >
+            Mark as Duplicate
+          </button>
+        )}
+      </div>
+
+      {canMarkDuplicate && showDuplicatePanel && (
+        <section className="bug-duplicate-panel" aria-label="Mark as duplicate">
+          <h3>Mark as duplicate of</h3>
+          {duplicateError && (
+            <div className="bug-duplicate-error" role="alert">
+              {duplicateError}
+            </div>
+          )}
+          {suggestions.length > 0 ? (
+            <ul className="bug-duplicate-suggestions">
+              {suggestions.map((suggestion) => (
+                <li key={suggestion._id}>
+                  <span className="bug-duplicate-suggestion-title">{suggestion.title}</span>
+                  <span className={`badge status-badge status-${suggestion.status}`}>{suggestion.status}</span>
+                  <button
+                    type="button"
+                    className="btn btn-duplicate"
+                    onClick={() => handleMarkDuplicate(suggestion._id)}
+                    disabled={marking}
+                    aria-label={`Mark as duplicate of ${suggestion.title}`}
+                  >
+                    Duplicate of this
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="bug-duplicate-hint">No similar open bugs found.</p>
+          )}
+          <form className="bug-duplicate-form" onSubmit={handleSubmitOriginal}>
+            <label htmlFor="duplicate-original">Original bug ID</label>
+            <input
+              id="duplicate-original"
+              type="text"
+              value={originalId}
+              onChange={(e) => setOriginalId(e.target.value)}
+              disabled={marking}
+            />
+            <button type="submit" className="btn btn-duplicate" disabled={marking || !originalId.trim()}>
+              {marking ? 'Marking...' : 'Mark as Duplicate'}
+            </button>
+          </form>
+        </section>
+      )}
+
+      <article className="bug-detail-card">
+        <PresenceIndicator viewers={viewers[bug._id]} currentUserId={user?._id} />
+
+        <div className="bug-item-header">
+          <h2 className="bug-detail-title">{bug.title}</h2>
+          <div className="bug-item-badges">
+            <span className={`badge status-badge status-${bug.status}`}>{bug.status}</span>
+            <span className={`badge priority-badge priority-${bug.priority}`}>{bug.priority}</span>
+          </div>
+        </div>
+
+        {bug.duplicateOf && (
+          <p className="bug-duplicate-banner" role="note">
+            Duplicate of <strong>{original?.title || 'another bug'}</strong>
+            {original?.status && (
+              <span className={`badge status-badge status-${original.status}`}>{original.status}</span>
+            )}
+          </p>
+        )}
+
+        <p className="bug-detail-description">{bug.description}</p>
+
+        <dl className="bug-detail-meta">
+          <dt>Reporter</dt>
+          <dd>{bug.reporter}</dd>
+          <dt>Assignee</dt>
+          <dd>{bug.assignee?.name || 'Unassigned'}</dd>
+          <dt>Created</dt>
+          <dd>{formatDate(bug.createdAt)}</dd>
+          {bug.updatedAt && (
+            <>
+              <dt>Updated</dt>
+              <dd>{formatDate(bug.updatedAt)}</dd>
+            </>
+          )}
+        </dl>
+
+        <AttachmentList bugId={bug._id} />
+
+        <CommentThread bugId={bug._id} />
+
+        <BugHistory bugId={bug._id} version={bug.updatedAt} />
+      </article>
+    </div>
+  );
+};
+
+export default BugDetail;
@@ -2,31 +2,111 @@
 
 import React, { useState, useEffect } from 'react';
 import { useBugs } from '../context/BugContext';
+import { useAuth } from '../context/AuthContext';
+import { useLabels } from '../context/LabelContext';
+import { getAssignees } from '../services/userService';
+import { uploadAttachments } from '../services/attachmentService';
+import { findSimilarBugs } from '../services/bugService';
+import { hasPermission } from '../utils/permissions';
+import { MERGE_FIELDS, toFormValues, mergeBugChanges } from '../utils/bugMerge';
+import { formatStatus, getStatusOptions } from '../utils/workflow';
+import ConflictDialog from './ConflictDialog';
+import LabelInput from './LabelInput';
+import AttachmentDropZone from './AttachmentDropZone';
+import './BugItem.css';
 import './BugForm.css';
 
-const BugForm = ({ bug = null, onCancel, onSuccess }) => {
-  const { createBug, updateBug, loading } = useBugs();
-  const [formData, setFormData] = useState({
+// Delay after the last keystroke in the title before looking for similar bugs
+const SIMILAR_DEBOUNCE_MS = 400;
+
+// Shorter titles match too much to be useful suggestions
+const MIN_SIMILAR_TITLE_LENGTH = 5;
+
+// initialValues pre-fills a new bug, such as one created from an error group
+const BugForm = ({ bug = null, initialValues = null, onCancel, onSuccess }) => {
+  const { createBug, updateBug, loading, workflow } = useBugs();
+  const { user } = useAuth();
+  const { labels, loadLabels, getLabelColor } = useLabels();
+  const canAssign = hasPermission(user, 'bug:assign');
+  const [formData, setFormData] = useState(() => ({
     title: '',
     description: '',
-    status: 'open',
+    status: workflow.initialStatus,
     priority: 'medium',
-    reporter: '',
-  });
+    assignee: '',
+    labels: [],
+    ...(bug ? {} : initialValues),
+  }));
   const [errors, setErrors] = useState({});
   const [submitError, setSubmitError] = useState('');
+  const [assignees, setAssignees] = useState([]);
+  // The copy of the bug being edited; replaced by the server's copy after a conflict
+  const [baseBug, setBaseBug] = useState(bug);
+  const [conflict, setConflict] = useState(null);
+  // Files queued for upload; they need a bug id, so they are sent after the bug is saved
+  const [files, setFiles] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  // Open bugs that look like the one being reported
+  const [similarBugs, setSimilarBugs] = useState([]);
+  // The stored status and the statuses the workflow allows next, so the form never offers a rejected change
+  const statusOptions = getStatusOptions(workflow, baseBug?.status || null, hasPermission(user, 'bug:status'));
+
+  // Load the assignee picker options
+  useEffect(() => {
+    if (!canAssign) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    getAssignees()
+      .then((users) => {
+        if (!cancelled) {
+          setAssignees(users);
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading assignees:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [canAssign]);
+
+  // Suggest likely duplicates while the title of a new bug is typed
+  useEffect(() => {
+    const title = formData.title.trim();
+    if (bug || title.length < MIN_SIMILAR_TITLE_LENGTH) {
+      setSimilarBugs([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await findSimilarBugs({ title });
+        if (!cancelled) {
+          setSimilarBugs(results || []);
+        }
+      } catch (err) {
+        // Suggestions are optional; the bug can still be reported
+        console.error('Error finding similar bugs:', err);
+      }
+    }, SIMILAR_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [bug, formData.title]);
 
   // Populate form if editing
   useEffect(() => {
     if (bug) {
-      setFormData({
-        title: bug.title || '',
-        description: bug.description || '',
-        status: bug.status || 'open',
-        priority: bug.priority || 'medium',
-        reporter: bug.reporter || '',
-      });
+      setFormData(toFormValues(bug));
     }
+    setBaseBug(bug);
+    setConflict(null);
   }, [bug]);
 
   const handleChange = (e) => {
@@ -45,6 +125,14 @@ const BugForm = ({ bug = null, onCancel, onSuccess }) => {
     setSubmitError('');
   };
 
+  const handleLabelsChange = (newLabels) => {
+    setFormData((prev) => ({
+      ...prev,
+      labels: newLabels,
+    }));
+    setSubmitError('');
+  };
+
   const validate = () => {
     const newErrors = {};
 
@@ -60,48 +148,127 @@ const BugForm = ({ bug = null, onCancel, onSuccess }) => {
       newErrors.description = 'Description is required';
     }
 
-    if (!formData.reporter.trim()) {
-      newErrors.reporter = 'Reporter name is required';
-    }
-
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setSubmitError('');
+  // Only users who can assign send an assignee; '' means unassigned
+  const toPayload = (values) => {
+    const { assignee, ...fields } = values;
+    return canAssign ? { ...fields, assignee: assignee || null } : fields;
+  };
 
-    if (!validate()) {
-      return;
+  // Upload the queued files to a saved bug
+  // The bug itself is already saved, so a failed upload is reported without keeping the form open
+  const uploadFiles = async (bugId) => {
+    setUploading(true);
+    try {
+      await uploadAttachments(bugId, files);
+    } catch (err) {
+      alert(`The bug was saved, but its attachments could not be uploaded: ${err.message}`);
+    } finally {
+      setUploading(false);
     }
+  };
 
+  const save = async (values, editedBug) => {
     try {
-      if (bug) {
-        // Update existing bug
-        await updateBug(bug._id, formData);
+      let savedBug;
+      if (editedBug) {
+        // Sending the version lets the server reject edits made to a stale copy
+        savedBug = await updateBug(editedBug._id, toPayload(values), editedBug.__v);
       } else {
         // Create new bug
-        await createBug(formData);
+        savedBug = await createBug(toPayload(values));
+      }
+
+      if (files.length > 0) {
+        await uploadFiles(savedBug._id);
+        setFiles([]);
       }
 
       // Reset form
       setFormData({
         title: '',
         description: '',
-        status: 'open',
+        status: workflow.initialStatus,
         priority: 'medium',
-        reporter: '',
+        assignee: '',
+        labels: [],
       });
+      setConflict(null);
+
+      // Labels typed for the first time were added to the registry by the server
+      if (values.labels.some((name) => !labels.some((label) => label.name === name))) {
+        loadLabels();
+      }
 
       if (onSuccess) {
         onSuccess();
       }
     } catch (err) {
+      if (err.name === 'ConflictError' && err.current) {
+        const fields = canAssign ? MERGE_FIELDS : MERGE_FIELDS.filter((field) => field !== 'assignee');
+        const theirs = toFormValues(err.current);
+        setConflict({
+          current: err.current,
+          mine: values,
+          theirs,
+          ...mergeBugChanges(toFormValues(editedBug), values, theirs, fields),
+        });
+        return;
+      }
       setSubmitError(err.message || 'Failed to save bug');
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitError('');
+
+    if (!validate()) {
+      return;
+    }
+
+    await save(formData, baseBug);
+  };
+
+  // Apply the user's picks for conflicting fields and save against the server's version
+  const handleResolveConflict = async (choices) => {
+    const resolved = { ...conflict.merged };
+    conflict.conflicts.forEach((field) => {
+      if (choices[field] === 'theirs') {
+        resolved[field] = conflict.theirs[field];
+      }
+    });
+    const values = { ...formData, ...resolved };
+
+    setFormData(values);
+    setBaseBug(conflict.current);
+    await save(values, conflict.current);
+  };
+
+  // Close the dialog without saving; the next save will conflict again until merged
+  const handleCancelConflict = () => {
+    setConflict(null);
+  };
+
+  // Readable value for the conflict dialog
+  const formatConflictValue = (field, value) => {
+    if (field === 'labels') {
+      return value.length > 0 ? value.join(', ') : '(none)';
+    }
+    if (field !== 'assignee') {
+      return value || '(empty)';
+    }
+    if (!value) {
+      return 'Unassigned';
+    }
+    const match = [conflict?.current.assignee, bug?.assignee, ...assignees]
+      .find((option) => option && option._id === value);
+    return match ? match.name : 'Unknown user';
+  };
+
   return (
     <div className="bug-form-container">
       <div className="bug-form">
@@ -131,6 +298,20 @@ const BugForm = ({ bug = null, onCancel, onSuccess }) => {
             {errors.title && (
               <span className="field-error">{errors.title}</span>
             )}
+            {similarBugs.length > 0 && (
+              <div className="similar-bugs" role="region" aria-label="Similar bugs already reported">
+                <p className="similar-bugs-heading">Similar bugs already reported</p>
+                <ul className="similar-bugs-list">
+                  {similarBugs.map((similar) => (
+                    <li key={similar._id} className="similar-bug">
+                      <span className="similar-bug-title">{similar.title}</span>
+                      <span className={`badge status-badge status-${similar.status}`}>{similar.status}</span>
+                      <span className="similar-bug-match">{Math.round(similar.similarity * 100)}% match</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
 
           <div className="form-group">
@@ -160,9 +341,9 @@ const BugForm = ({ bug = null, onCancel, onSuccess }) => {
                 value={formData.status}
                 onChange={handleChange}
               >
-                <option value="open">Open</option>
-                <option value="in-progress">In Progress</option>
-                <option value="resolved">Resolved</option>
+                {statusOptions.map((status) => (
+                  <option key={status} value={status}>{formatStatus(status)}</option>
+                ))}
               </select>
             </div>
 
@@ -182,38 +363,66 @@ const BugForm = ({ bug = null, onCancel, onSuccess }) => {
             </div>
           </div>
 
+          {canAssign && (
+            <div className="form-group">
+              <label htmlFor="assignee">Assignee</label>
+              <select
+                id="assignee"
+                name="assignee"
+                value={formData.assignee}
+                onChange={handleChange}
+              >
+                <option value="">Unassigned</option>
+                {/* Keep the current assignee selectable even if they are no longer assignable */}
+                {bug?.assignee && !assignees.some((option) => option._id === bug.assignee._id) && (
+                  <option value={bug.assignee._id}>{bug.assignee.name}</option>
+                )}
+                {assignees.map((option) => (
+                  <option key={option._id} value={option._id}>
+                    {option.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div className="form-group">
-            <label htmlFor="reporter">
-              Reporter <span className="required">*</span>
-            </label>
-            <input
-              type="text"
-              id="reporter"
-              name="reporter"
-              value={formData.reporter}
-              onChange={handleChange}
-              className={errors.reporter ? 'input-error' : ''}
-              placeholder="Your name"
+            <label htmlFor="labels">Labels</label>
+            <LabelInput
+              id="labels"
+              value={formData.labels}
+              onChange={handleLabelsChange}
+              labels={labels}
+              getLabelColor={getLabelColor}
             />
-            {errors.reporter && (
-              <span className="field-error">{errors.reporter}</span>
-            )}
           </div>
 
+          <div className="form-group">
+            <label htmlFor="attachments">Attachments</label>
+            <AttachmentDropZone id="attachments" files={files} onChange={setFiles} disabled={loading || uploading} />
+          </div>
+
+          {/* The reporter is set by the server from the logged-in user */}
+          {bug?.reporter && (
+            <p className="form-meta">
+              Reported by <strong>{bug.reporter}</strong>
+            </p>
+          )}
+
           <div className="form-actions">
             <button
               type="submit"
               className="btn btn-submit"
-              disabled={loading}
+              disabled={loading || uploading}
             >
-              {loading ? 'Saving...' : bug ? 'Update Bug' : 'Create Bug'}
+              {uploading ? 'Uploading...' : loading ? 'Saving...' : bug ? 'Update Bug' : 'Create Bug'}
             </button>
             {onCancel && (
               <button
                 type="button"
                 className="btn btn-cancel"
                 onClick={onCancel}
-                disabled={loading}
+                disabled={loading || uploading}
               >
                 Cancel
               </button>
@@ -221,6 +430,19 @@ const BugForm = ({ bug = null, onCancel, onSuccess }) => {
           </div>
         </form>
       </div>
+
+      {conflict && (
+        <ConflictDialog
+          conflicts={conflict.conflicts}
+          theirChanges={conflict.theirChanges}
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          formatValue={formatConflictValue}
+          onResolve={handleResolveConflict}
+          onCancel={handleCancelConflict}
+          saving={loading}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,131 @@
+// BugHistory.jsx - Timeline of changes made to a bug
+
+import React, { useState, useEffect } from 'react';
+import { getBugHistory } from '../services/bugService';
+import './BugHistory.css';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  reporter: 'Reporter',
+  assignee: 'Assignee',
+  labels: 'Labels',
+  duplicateOf: 'Duplicate of',
+};
+
+const ACTION_LABELS = {
+  create: 'created this bug',
+  update: 'updated this bug',
+  delete: 'deleted this bug',
+  restore: 'restored this bug',
+};
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+// Assignees come back as { _id, name } when the user still exists
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) {
+    return field === 'assignee' ? 'Unassigned' : 'none';
+  }
+  if (typeof value === 'object') {
+    return value.name;
+  }
+  return field === 'assignee' ? 'Unknown user' : String(value);
+};
+
+const renderChange = (change) => {
+  const label = FIELD_LABELS[change.field] || change.field;
+
+  // Descriptions are too long to diff inline
+  if (change.field === 'description') {
+    return <>{label} changed</>;
+  }
+
+  return (
+    <>
+      {label}: <span className="history-before">{formatValue(change.field, change.before)}</span>
+      {' → '}
+      <span className="history-after">{formatValue(change.field, change.after)}</span>
+    </>
+  );
+};
+
+const BugHistory = ({ bugId, version }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Reload whenever the bug changes (version is its updatedAt)
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    getBugHistory(bugId)
+      .then((loaded) => {
+        if (!cancelled) {
+          setEvents(loaded);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load history');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bugId, version]);
+
+  return (
+    <section className="bug-history" aria-label="History">
+      <h3 className="bug-history-title">History</h3>
+
+      {error && <div className="form-error-message">{error}</div>}
+
+      {loading ? (
+        <p className="bug-history-status">Loading history...</p>
+      ) : events.length === 0 ? (
+        <p className="bug-history-status">No changes recorded.</p>
+      ) : (
+        <ol className="history-timeline">
+          {events.map((event) => (
+            <li key={event._id} className={`history-event history-${event.action}`}>
+              <div className="history-summary">
+                <strong>{event.actorName || 'Unknown user'}</strong>{' '}
+                {ACTION_LABELS[event.action] || event.action}
+                <span className="history-date">{formatDate(event.createdAt)}</span>
+              </div>
+              {event.action === 'update' && (
+                <ul className="history-changes">
+                  {event.changes.map((change) => (
+                    <li key={change.field}>{renderChange(change)}</li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+};
+
+export default BugHistory;
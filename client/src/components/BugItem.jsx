@@ -1,9 +1,17 @@
 // BugItem.jsx - Individual bug item component
 
 import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useLabels } from '../context/LabelContext';
+import { canEditBug, canDeleteBug } from '../utils/permissions';
+import { getElapsedTime, getRelativeTime } from '../utils/dateUtils';
+import LabelChip from './LabelChip';
 import './BugItem.css';
 
-const BugItem = ({ bug, onEdit, onDelete }) => {
+const BugItem = ({ bug, onView, onEdit, onDelete, selected = false, onSelect }) => {
+  const { user } = useAuth();
+  const { getLabelColor } = useLabels();
+
   const getStatusClass = (status) => {
     switch (status) {
       case 'open':
@@ -43,10 +51,42 @@ const BugItem = ({ bug, onEdit, onDelete }) => {
     });
   };
 
+  // How long the bug has been in its current state, from the status timestamps
+  const getStatusAge = () => {
+    if (bug.status === 'resolved' && bug.resolvedAt) {
+      return `Resolved ${getRelativeTime(bug.resolvedAt)}`;
+    }
+    if (bug.status === 'in-progress' && bug.inProgressAt) {
+      return `In progress for ${getElapsedTime(bug.inProgressAt)}`;
+    }
+    return `Open for ${getElapsedTime(bug.createdAt)}`;
+  };
+
+  // Render search highlight segments returned by the API
+  const renderHighlights = (segments) =>
+    segments.map((segment, index) =>
+      segment.highlight ? (
+        <mark key={index} className="bug-item-highlight">{segment.text}</mark>
+      ) : (
+        <React.Fragment key={index}>{segment.text}</React.Fragment>
+      )
+    );
+
   return (
-    <div className="bug-item">
+    <div className={`bug-item${selected ? ' bug-item-selected' : ''}`}>
       <div className="bug-item-header">
-        <h3 className="bug-item-title">{bug.title}</h3>
+        {onSelect && (
+          <input
+            type="checkbox"
+            className="bug-item-select"
+            checked={selected}
+            onChange={() => onSelect(bug._id)}
+            aria-label={`Select bug: ${bug.title}`}
+          />
+        )}
+        <h3 className="bug-item-title">
+          {bug.highlights?.title ? renderHighlights(bug.highlights.title) : bug.title}
+        </h3>
         <div className="bug-item-badges">
           <span className={`badge status-badge ${getStatusClass(bug.status)}`}>
             {bug.status}
@@ -57,20 +97,48 @@ const BugItem = ({ bug, onEdit, onDelete }) => {
         </div>
       </div>
 
-      <p className="bug-item-description">{bug.description}</p>
+      <p className="bug-item-description">
+        {bug.highlights?.description
+          ? renderHighlights(bug.highlights.description)
+          : bug.description}
+      </p>
+
+      {bug.labels?.length > 0 && (
+        <div className="bug-item-labels">
+          {bug.labels.map((label) => (
+            <LabelChip key={label} name={label} color={getLabelColor(label)} />
+          ))}
+        </div>
+      )}
 
       <div className="bug-item-footer">
         <div className="bug-item-meta">
           <span className="bug-item-reporter">
             <strong>Reporter:</strong> {bug.reporter}
           </span>
+          <span className="bug-item-assignee">
+            <strong>Assignee:</strong> {bug.assignee?.name || 'Unassigned'}
+          </span>
           <span className="bug-item-date">
             Created: {formatDate(bug.createdAt)}
           </span>
+          <span className="bug-item-age">
+            {getStatusAge()}
+            {bug.reopenCount > 0 && ` · Reopened ${bug.reopenCount} time${bug.reopenCount > 1 ? 's' : ''}`}
+          </span>
         </div>
 
         <div className="bug-item-actions">
-          {onEdit && (
+          {onView && (
+            <button
+              className="btn btn-view"
+              onClick={() => onView(bug)}
+              aria-label={`View bug: ${bug.title}`}
+            >
+              View
+            </button>
+          )}
+          {onEdit && canEditBug(user, bug) && (
             <button
               className="btn btn-edit"
               onClick={() => onEdit(bug)}
@@ -79,7 +147,7 @@ const BugItem = ({ bug, onEdit, onDelete }) => {
               Edit
             </button>
           )}
-          {onDelete && (
+          {onDelete && canDeleteBug(user) && (
             <button
               className="btn btn-delete"
               onClick={() => onDelete(bug._id)}
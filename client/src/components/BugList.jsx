@@ -1,13 +1,60 @@
 // BugList.jsx - List view component for displaying all bugs
 
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useBugs } from '../context/BugContext';
+import { useAuth } from '../context/AuthContext';
+import { useLabels } from '../context/LabelContext';
 import BugItem from './BugItem';
+import BulkToolbar, { canUseBulkActions } from './BulkToolbar';
+import LabelInput from './LabelInput';
+import UndoToast from './UndoToast';
+import { exportBugs } from '../services/bugService';
+import { saveBlob } from '../utils/download';
+import { formatStatus } from '../utils/workflow';
 import './BugList.css';
 
-const BugList = ({ onEditBug }) => {
-  const { bugs, loading, error, deleteBug, updateFilters, filters } = useBugs();
+// Delay before the search box updates filters, so typing doesn't fire a request per key
+const SEARCH_DEBOUNCE_MS = 300;
+
+// File formats offered by the export button
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'ndjson', label: 'NDJSON' },
+];
+
+const BugList = ({ onViewBug, onEditBug }) => {
+  const {
+    bugs,
+    loading,
+    error,
+    deleteBug,
+    restoreBug,
+    bulkAction,
+    updateFilters,
+    filters,
+    workflow,
+    total,
+    hasMore,
+    loadingMore,
+    loadMore,
+    live,
+  } = useBugs();
   const [showFilters, setShowFilters] = useState(false);
+  const [searchText, setSearchText] = useState(filters.q || '');
+  // The most recent delete ({ ids, message }), offered for undo until the toast closes
+  const [undo, setUndo] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Summary of the last bulk action that had failures
+  const [bulkResult, setBulkResult] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+  const { user } = useAuth();
+  const { labels, getLabelColor } = useLabels();
+  const canSelect = canUseBulkActions(user);
+
+  // Only bugs still in the list count as selected (others may have been deleted or filtered out)
+  const selectedBugs = bugs.filter((bug) => selectedIds.includes(bug._id));
   
   // FIXED: Removed infinite re-render loop
   // The useEffect that was calling updateFilters with filters in dependency array caused infinite loop
@@ -15,14 +62,91 @@ const BugList = ({ onEditBug }) => {
 
   const handleDelete = async (id) => {
     if (window.confirm('Are you sure you want to delete this bug?')) {
+      const bug = bugs.find((item) => item._id === id);
       try {
         await deleteBug(id);
+        setUndo({ ids: [id], message: bug?.title ? `Deleted "${bug.title}"` : 'Bug deleted' });
       } catch (err) {
         alert('Failed to delete bug: ' + err.message);
       }
     }
   };
 
+  // Deleted bugs go to the trash, so undo restores them
+  const handleUndoDelete = async () => {
+    const { ids } = undo;
+    setUndo(null);
+    try {
+      if (ids.length === 1) {
+        await restoreBug(ids[0]);
+      } else {
+        await bulkAction(ids, 'restore');
+      }
+    } catch (err) {
+      alert('Failed to restore bug: ' + err.message);
+    }
+  };
+
+  const dismissUndo = useCallback(() => setUndo(null), []);
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((selectedId) => selectedId !== id) : [...prev, id]
+    );
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(selectedBugs.length === bugs.length ? [] : bugs.map((bug) => bug._id));
+  };
+
+  // Run a bulk action on the selection; bugs that failed stay selected so they can be retried
+  const runBulkAction = async (action, payload) => {
+    const ids = selectedBugs.map((bug) => bug._id);
+    setBulkResult(null);
+    try {
+      const outcome = await bulkAction(ids, action, payload);
+      const failures = outcome.results.filter((item) => !item.success);
+      setSelectedIds(failures.map((item) => item.id));
+
+      if (failures.length > 0) {
+        const titles = new Map(selectedBugs.map((bug) => [bug._id, bug.title]));
+        setBulkResult({
+          message: `${outcome.succeeded} of ${ids.length} succeeded, ${failures.length} failed:`,
+          failures: failures.map((item) => ({
+            id: item.id,
+            title: titles.get(item.id) || item.id,
+            error: item.error,
+          })),
+        });
+      }
+      return outcome;
+    } catch (err) {
+      alert(`Failed to ${action} bugs: ${err.message}`);
+      return null;
+    }
+  };
+
+  const handleBulkDelete = async () => {
+    const count = selectedBugs.length;
+    if (!window.confirm(`Are you sure you want to delete ${count} ${count === 1 ? 'bug' : 'bugs'}?`)) {
+      return;
+    }
+
+    const outcome = await runBulkAction('delete');
+    const deletedIds = outcome ? outcome.results.filter((item) => item.success).map((item) => item.id) : [];
+    if (deletedIds.length > 0) {
+      setUndo({
+        ids: deletedIds,
+        message: `Deleted ${deletedIds.length} ${deletedIds.length === 1 ? 'bug' : 'bugs'}`,
+      });
+    }
+  };
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setBulkResult(null);
+  };
+
   const handleFilterChange = (filterType, value) => {
     const newFilters = {
       ...filters,
@@ -35,7 +159,45 @@ const BugList = ({ onEditBug }) => {
     updateFilters(newFilters);
   };
 
+  // Debounce the search box before it feeds updateFilters
+  useEffect(() => {
+    const query = searchText.trim();
+    if (query === (filters.q || '')) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      const { q, ...otherFilters } = filters;
+      // Relevance only exists for a search, so fall back to the default sort without one
+      if (!query && otherFilters.sort === 'relevance') {
+        delete otherFilters.sort;
+      }
+      updateFilters(query ? { ...otherFilters, q: query } : otherFilters);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [searchText, filters, updateFilters]);
+
+  // Toggle the "Assigned to me" quick filter - the API resolves "me" to the logged-in user
+  const toggleAssignedToMe = () => {
+    handleFilterChange('assignee', filters.assignee === 'me' ? undefined : 'me');
+  };
+
+  // Download every bug matching the current filters, not just the loaded pages
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const { blob, filename } = await exportBugs(filters, exportFormat);
+      saveBlob(blob, filename);
+    } catch (err) {
+      alert('Failed to export bugs: ' + err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const clearFilters = () => {
+    setSearchText('');
     updateFilters({});
   };
 
@@ -63,17 +225,61 @@ const BugList = ({ onEditBug }) => {
   return (
     <div className="bug-list-container">
       <div className="bug-list-header">
-        <h2>Bugs ({bugs.length})</h2>
-        <button
-          className="btn btn-filter"
-          onClick={() => setShowFilters(!showFilters)}
-        >
-          {showFilters ? 'Hide Filters' : 'Show Filters'}
-        </button>
+        <h2>
+          Bugs ({total ?? bugs.length})
+          {live && (
+            <span className="live-indicator" title="Changes by other users appear automatically">
+              Live
+            </span>
+          )}
+        </h2>
+        <div className="bug-list-header-actions">
+          <button
+            className={`btn btn-quick-filter${filters.assignee === 'me' ? ' active' : ''}`}
+            onClick={toggleAssignedToMe}
+            aria-pressed={filters.assignee === 'me'}
+          >
+            Assigned to me
+          </button>
+          <div className="bug-list-export">
+            <select
+              aria-label="Export format"
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              disabled={exporting}
+            >
+              {EXPORT_FORMATS.map((format) => (
+                <option key={format.value} value={format.value}>
+                  {format.label}
+                </option>
+              ))}
+            </select>
+            <button className="btn btn-export" onClick={handleExport} disabled={exporting}>
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+          </div>
+          <button
+            className="btn btn-filter"
+            onClick={() => setShowFilters(!showFilters)}
+          >
+            {showFilters ? 'Hide Filters' : 'Show Filters'}
+          </button>
+        </div>
       </div>
 
       {showFilters && (
         <div className="bug-list-filters">
+          <div className="filter-group filter-group-search">
+            <label htmlFor="search-filter">Search:</label>
+            <input
+              type="search"
+              id="search-filter"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              placeholder="Search title and description"
+            />
+          </div>
+
           <div className="filter-group">
             <label htmlFor="status-filter">Status:</label>
             <select
@@ -82,9 +288,9 @@ const BugList = ({ onEditBug }) => {
               onChange={(e) => handleFilterChange('status', e.target.value)}
             >
               <option value="">All</option>
-              <option value="open">Open</option>
-              <option value="in-progress">In Progress</option>
-              <option value="resolved">Resolved</option>
+              {workflow.statuses.map((status) => (
+                <option key={status} value={status}>{formatStatus(status)}</option>
+              ))}
             </select>
           </div>
 
@@ -103,6 +309,27 @@ const BugList = ({ onEditBug }) => {
             </select>
           </div>
 
+          <div className="filter-group filter-group-labels">
+            <label htmlFor="label-filter">Labels:</label>
+            <LabelInput
+              id="label-filter"
+              value={filters.labels || []}
+              onChange={(newLabels) => handleFilterChange('labels', newLabels.length > 0 ? newLabels : undefined)}
+              labels={labels}
+              getLabelColor={getLabelColor}
+            />
+            {filters.labels?.length > 1 && (
+              <select
+                aria-label="Label match"
+                value={filters.labelMode || 'any'}
+                onChange={(e) => handleFilterChange('labelMode', e.target.value === 'all' ? 'all' : undefined)}
+              >
+                <option value="any">Any label</option>
+                <option value="all">All labels</option>
+              </select>
+            )}
+          </div>
+
           <div className="filter-group">
             <label htmlFor="sort-filter">Sort:</label>
             <select
@@ -113,10 +340,13 @@ const BugList = ({ onEditBug }) => {
               <option value="">Newest First</option>
               <option value="oldest">Oldest First</option>
               <option value="priority">By Priority</option>
+              <option value="-priority,createdAt">By Priority, Oldest First</option>
+              <option value="-updatedAt">Recently Updated</option>
+              {filters.q && <option value="relevance">Best Match</option>}
             </select>
           </div>
 
-          {(filters.status || filters.priority || filters.sort) && (
+          {(filters.status || filters.priority || filters.assignee || filters.labels || filters.sort || filters.q) && (
             <button className="btn btn-clear" onClick={clearFilters}>
               Clear Filters
             </button>
@@ -132,6 +362,42 @@ const BugList = ({ onEditBug }) => {
         <div className="error-indicator">Error: {error}</div>
       )}
 
+      {canSelect && bugs.length > 0 && (
+        <label className="bug-list-select-all">
+          <input
+            type="checkbox"
+            checked={selectedBugs.length === bugs.length}
+            onChange={toggleSelectAll}
+          />
+          Select all bugs
+        </label>
+      )}
+
+      {selectedBugs.length > 0 && (
+        <BulkToolbar
+          count={selectedBugs.length}
+          statuses={workflow.statuses}
+          onUpdate={(changes) => runBulkAction('update', { changes })}
+          onAssign={(assignee) => runBulkAction('assign', { assignee })}
+          onDelete={handleBulkDelete}
+          onClear={clearSelection}
+          disabled={loading}
+        />
+      )}
+
+      {bulkResult && (
+        <div className="bulk-result" role="alert">
+          {bulkResult.message}
+          <ul>
+            {bulkResult.failures.map((failure) => (
+              <li key={failure.id}>
+                <strong>{failure.title}</strong>: {failure.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {bugs.length === 0 ? (
         <div className="empty-state">
           <p>No bugs found. Create your first bug report!</p>
@@ -142,12 +408,35 @@ const BugList = ({ onEditBug }) => {
             <BugItem
               key={bug._id}
               bug={bug}
+              onView={onViewBug}
               onEdit={onEditBug}
               onDelete={handleDelete}
+              selected={selectedIds.includes(bug._id)}
+              onSelect={canSelect ? toggleSelected : undefined}
             />
           ))}
         </div>
       )}
+
+      {hasMore && (
+        <div className="bug-list-more">
+          <button
+            className="btn btn-load-more"
+            onClick={loadMore}
+            disabled={loadingMore}
+          >
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </button>
+        </div>
+      )}
+
+      {undo && (
+        <UndoToast
+          message={undo.message}
+          onUndo={handleUndoDelete}
+          onDismiss={dismissUndo}
+        />
+      )}
     </div>
   );
 };
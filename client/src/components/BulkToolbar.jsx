@@ -0,0 +1,87 @@
+// BulkToolbar.jsx - Actions for the bugs selected in the list
+
+import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
+import { formatStatus } from '../utils/workflow';
+import './BulkToolbar.css';
+
+/**
+ * Check whether a user can run any bulk action, and so should see the selection checkboxes
+ * @param {Object} user - Logged-in user
+ * @returns {boolean} True if at least one action is available
+ */
+export const canUseBulkActions = (user) =>
+  ['bug:status', 'bug:priority', 'bug:assign', 'bug:delete'].some((permission) =>
+    hasPermission(user, permission)
+  );
+
+// Statuses come from the workflow; the server checks each bug's transition and reports the ones it refuses
+const BulkToolbar = ({ count, statuses, onUpdate, onAssign, onDelete, onClear, disabled = false }) => {
+  const { user } = useAuth();
+
+  // Selects act as one-shot menus and reset to their placeholder after each pick
+  const handleSelect = (field) => (e) => {
+    if (e.target.value) {
+      onUpdate({ [field]: e.target.value });
+    }
+  };
+
+  return (
+    <div className="bulk-toolbar" role="toolbar" aria-label="Bulk actions">
+      <span className="bulk-toolbar-count">{count} selected</span>
+
+      {hasPermission(user, 'bug:status') && (
+        <select
+          value=""
+          onChange={handleSelect('status')}
+          disabled={disabled}
+          aria-label="Set status of selected bugs"
+        >
+          <option value="">Set status...</option>
+          {statuses.map((status) => (
+            <option key={status} value={status}>{formatStatus(status)}</option>
+          ))}
+        </select>
+      )}
+
+      {hasPermission(user, 'bug:priority') && (
+        <select
+          value=""
+          onChange={handleSelect('priority')}
+          disabled={disabled}
+          aria-label="Set priority of selected bugs"
+        >
+          <option value="">Set priority...</option>
+          <option value="low">Low</option>
+          <option value="medium">Medium</option>
+          <option value="high">High</option>
+          <option value="critical">Critical</option>
+        </select>
+      )}
+
+      {hasPermission(user, 'bug:assign') && (
+        <>
+          <button className="btn btn-bulk" onClick={() => onAssign('me')} disabled={disabled}>
+            Assign to me
+          </button>
+          <button className="btn btn-bulk" onClick={() => onAssign(null)} disabled={disabled}>
+            Unassign
+          </button>
+        </>
+      )}
+
+      {hasPermission(user, 'bug:delete') && (
+        <button className="btn btn-bulk btn-bulk-delete" onClick={onDelete} disabled={disabled}>
+          Delete selected
+        </button>
+      )}
+
+      <button className="btn-bulk-clear" onClick={onClear}>
+        Clear selection
+      </button>
+    </div>
+  );
+};
+
+export default BulkToolbar;
@@ -0,0 +1,219 @@
+// CommentThread.jsx - Comments on a single bug
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+} from '../services/commentService';
+import { isCommentAuthor, canDeleteComment } from '../utils/permissions';
+import './BugForm.css';
+import './CommentThread.css';
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const CommentThread = ({ bugId }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [newBody, setNewBody] = useState('');
+  const [posting, setPosting] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editBody, setEditBody] = useState('');
+
+  // Load the thread whenever a different bug is shown
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    getComments(bugId)
+      .then((loaded) => {
+        if (!cancelled) {
+          setComments(loaded);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load comments');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bugId]);
+
+  const replaceComment = (updated) => {
+    setComments((prev) => prev.map((comment) => (comment._id === updated._id ? updated : comment)));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newBody.trim()) {
+      return;
+    }
+
+    setPosting(true);
+    setError('');
+    try {
+      const created = await addComment(bugId, newBody);
+      setComments((prev) => [...prev, created]);
+      setNewBody('');
+    } catch (err) {
+      setError(err.message || 'Failed to add comment');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const startEditing = (comment) => {
+    setEditingId(comment._id);
+    setEditBody(comment.body);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditBody('');
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    if (!editBody.trim()) {
+      return;
+    }
+
+    setError('');
+    try {
+      const updated = await updateComment(bugId, editingId, editBody);
+      replaceComment(updated);
+      cancelEditing();
+    } catch (err) {
+      setError(err.message || 'Failed to update comment');
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Are you sure you want to delete this comment?')) {
+      return;
+    }
+
+    setError('');
+    try {
+      await deleteComment(bugId, commentId);
+      setComments((prev) => prev.filter((comment) => comment._id !== commentId));
+    } catch (err) {
+      setError(err.message || 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <section className="comment-thread" aria-label="Comments">
+      <h3 className="comment-thread-title">Comments ({comments.length})</h3>
+
+      {error && <div className="form-error-message">{error}</div>}
+
+      {loading ? (
+        <p className="comment-thread-status">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="comment-thread-status">No comments yet.</p>
+      ) : (
+        <ul className="comment-list">
+          {comments.map((comment) => (
+            <li key={comment._id} className="comment">
+              <div className="comment-header">
+                <strong className="comment-author">{comment.author?.name || 'Unknown user'}</strong>
+                <span className="comment-date">{formatDate(comment.createdAt)}</span>
+                {comment.editedAt && (
+                  <span className="comment-edited" title={formatDate(comment.editedAt)}>
+                    (edited {formatDate(comment.editedAt)})
+                  </span>
+                )}
+              </div>
+
+              {editingId === comment._id ? (
+                <form className="comment-edit-form" onSubmit={handleSaveEdit}>
+                  <textarea
+                    aria-label="Edit comment"
+                    value={editBody}
+                    onChange={(e) => setEditBody(e.target.value)}
+                    rows={3}
+                    maxLength={5000}
+                  />
+                  <div className="comment-actions">
+                    <button type="submit" className="btn btn-edit">
+                      Save
+                    </button>
+                    <button type="button" className="btn btn-cancel" onClick={cancelEditing}>
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <p className="comment-body">{comment.body}</p>
+                  <div className="comment-actions">
+                    {isCommentAuthor(user, comment) && (
+                      <button
+                        type="button"
+                        className="btn-comment-action"
+                        onClick={() => startEditing(comment)}
+                        aria-label={`Edit comment by ${comment.author.name}`}
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {canDeleteComment(user, comment) && (
+                      <button
+                        type="button"
+                        className="btn-comment-action btn-comment-delete"
+                        onClick={() => handleDelete(comment._id)}
+                        aria-label={`Delete comment by ${comment.author?.name || 'unknown user'}`}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="comment-form" onSubmit={handleAdd}>
+        <label htmlFor="comment-body">Add a comment</label>
+        <textarea
+          id="comment-body"
+          value={newBody}
+          onChange={(e) => setNewBody(e.target.value)}
+          placeholder="Share details, reproduction steps or progress"
+          rows={3}
+          maxLength={5000}
+        />
+        <button type="submit" className="btn btn-submit" disabled={posting || !newBody.trim()}>
+          {posting ? 'Posting...' : 'Post Comment'}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default CommentThread;
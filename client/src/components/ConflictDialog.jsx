@@ -0,0 +1,120 @@
+// ConflictDialog.jsx - Field-by-field merge after someone else changed the bug being edited
+
+import React, { useState } from 'react';
+import './ConflictDialog.css';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  assignee: 'Assignee',
+  labels: 'Labels',
+};
+
+const ConflictDialog = ({
+  conflicts,
+  theirChanges,
+  mine,
+  theirs,
+  formatValue = (field, value) => value,
+  onResolve,
+  onCancel,
+  saving = false,
+}) => {
+  // Keep the user's value for every conflicting field unless they pick theirs
+  const [choices, setChoices] = useState(() =>
+    conflicts.reduce((acc, field) => ({ ...acc, [field]: 'mine' }), {})
+  );
+
+  const choose = (field, side) => {
+    setChoices((prev) => ({ ...prev, [field]: side }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onResolve(choices);
+  };
+
+  return (
+    <div className="conflict-overlay">
+      <div
+        className="conflict-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="conflict-dialog-title"
+      >
+        <h3 id="conflict-dialog-title" className="conflict-dialog-title">
+          This bug was changed while you were editing
+        </h3>
+
+        <form onSubmit={handleSubmit}>
+          {conflicts.length > 0 ? (
+            <>
+              <p className="conflict-dialog-text">
+                Choose which version to keep for each field you both changed.
+              </p>
+              {conflicts.map((field) => (
+                <fieldset key={field} className="conflict-field">
+                  <legend>{FIELD_LABELS[field] || field}</legend>
+                  <label className="conflict-option">
+                    <input
+                      type="radio"
+                      name={`conflict-${field}`}
+                      value="mine"
+                      checked={choices[field] === 'mine'}
+                      onChange={() => choose(field, 'mine')}
+                    />
+                    <span>
+                      Keep mine: <strong>{formatValue(field, mine[field])}</strong>
+                    </span>
+                  </label>
+                  <label className="conflict-option">
+                    <input
+                      type="radio"
+                      name={`conflict-${field}`}
+                      value="theirs"
+                      checked={choices[field] === 'theirs'}
+                      onChange={() => choose(field, 'theirs')}
+                    />
+                    <span>
+                      Use theirs: <strong>{formatValue(field, theirs[field])}</strong>
+                    </span>
+                  </label>
+                </fieldset>
+              ))}
+            </>
+          ) : (
+            <p className="conflict-dialog-text">
+              None of their changes touch the fields you edited, so both can be kept.
+            </p>
+          )}
+
+          {theirChanges.length > 0 && (
+            <div className="conflict-their-changes">
+              <p>Their other changes will be kept:</p>
+              <ul>
+                {theirChanges.map((field) => (
+                  <li key={field}>
+                    {FIELD_LABELS[field] || field}: <strong>{formatValue(field, theirs[field])}</strong>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="submit" className="btn btn-submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Merged Bug'}
+            </button>
+            <button type="button" className="btn btn-cancel" onClick={onCancel} disabled={saving}>
+              Keep Editing
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
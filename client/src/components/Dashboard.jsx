@@ -0,0 +1,249 @@
+// Dashboard.jsx - Overview of bug counts, activity and resolution times
+
+import React, { useState, useEffect } from 'react';
+import { getBugStats } from '../services/bugService';
+import {
+  STATS_RANGES,
+  getStatsRange,
+  formatDuration,
+  getAxisMax,
+  countUnresolved,
+} from '../utils/stats';
+import { getElapsedTime } from '../utils/dateUtils';
+import './BugItem.css';
+import './Dashboard.css';
+
+// Plot area of the opened vs. resolved chart, in SVG units
+const TREND_HEIGHT = 160;
+const TREND_DAY_WIDTH = 12;
+
+const formatDay = (day) => {
+  return new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+};
+
+// Paired bars per day: opened on the left, resolved on the right
+const TrendChart = ({ daily }) => {
+  const axisMax = getAxisMax(daily.flatMap((day) => [day.opened, day.resolved]));
+  const barWidth = TREND_DAY_WIDTH / 2 - 1;
+  const toHeight = (count) => (count / axisMax) * TREND_HEIGHT;
+  const opened = daily.reduce((total, day) => total + day.opened, 0);
+  const resolved = daily.reduce((total, day) => total + day.resolved, 0);
+
+  return (
+    <figure className="dashboard-chart">
+      <svg
+        className="trend-chart"
+        viewBox={`0 0 ${daily.length * TREND_DAY_WIDTH} ${TREND_HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`${opened} opened and ${resolved} resolved over ${daily.length} days`}
+      >
+        {daily.map((day, index) => (
+          <g key={day.date} data-testid="trend-day">
+            <title>{`${formatDay(day.date)}: ${day.opened} opened, ${day.resolved} resolved`}</title>
+            <rect
+              className="trend-bar-opened"
+              x={index * TREND_DAY_WIDTH + 1}
+              y={TREND_HEIGHT - toHeight(day.opened)}
+              width={barWidth}
+              height={toHeight(day.opened)}
+            />
+            <rect
+              className="trend-bar-resolved"
+              x={index * TREND_DAY_WIDTH + 1 + barWidth}
+              y={TREND_HEIGHT - toHeight(day.resolved)}
+              width={barWidth}
+              height={toHeight(day.resolved)}
+            />
+          </g>
+        ))}
+      </svg>
+      <div className="trend-axis">
+        <span>{formatDay(daily[0].date)}</span>
+        <span className="trend-axis-max">Max {axisMax} per day</span>
+        <span>{formatDay(daily[daily.length - 1].date)}</span>
+      </div>
+      <figcaption className="chart-legend">
+        <span className="legend-opened">Opened ({opened})</span>
+        <span className="legend-resolved">Resolved ({resolved})</span>
+      </figcaption>
+    </figure>
+  );
+};
+
+// One stacked bar per status, split by priority
+const StatusPriorityChart = ({ matrix }) => {
+  const statusTotals = matrix.statuses.map((status) =>
+    matrix.priorities.reduce((total, priority) => total + matrix.counts[status][priority], 0)
+  );
+  const axisMax = getAxisMax(statusTotals);
+
+  return (
+    <figure className="dashboard-chart">
+      <ul className="status-chart">
+        {matrix.statuses.map((status, index) => (
+          <li key={status} className="status-chart-row">
+            <span className="status-chart-label">{status}</span>
+            <span className="status-chart-track">
+              {matrix.priorities
+                .filter((priority) => matrix.counts[status][priority] > 0)
+                .map((priority) => (
+                  <span
+                    key={priority}
+                    className={`status-chart-segment priority-${priority}`}
+                    style={{ width: `${(matrix.counts[status][priority] / axisMax) * 100}%` }}
+                    title={`${status}, ${priority}: ${matrix.counts[status][priority]}`}
+                  />
+                ))}
+            </span>
+            <span className="status-chart-total" aria-label={`${status}: ${statusTotals[index]} bugs`}>
+              {statusTotals[index]}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <figcaption className="chart-legend">
+        {matrix.priorities.map((priority) => (
+          <span key={priority} className={`legend-priority legend-${priority}`}>
+            {priority}
+          </span>
+        ))}
+      </figcaption>
+    </figure>
+  );
+};
+
+const Dashboard = ({ onViewBug }) => {
+  const [rangeDays, setRangeDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    getBugStats(getStatsRange(rangeDays))
+      .then((loaded) => {
+        if (!cancelled) {
+          setStats(loaded);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load statistics');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [rangeDays]);
+
+  return (
+    <section className="dashboard" aria-label="Dashboard">
+      <div className="dashboard-header">
+        <h2>Dashboard</h2>
+        <label className="dashboard-range">
+          Range
+          <select value={rangeDays} onChange={(e) => setRangeDays(Number(e.target.value))}>
+            {STATS_RANGES.map((days) => (
+              <option key={days} value={days}>
+                Last {days} days
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <div className="form-error-message">{error}</div>}
+
+      {loading && !stats ? (
+        <p className="dashboard-status">Loading statistics...</p>
+      ) : stats && (
+        <>
+          <div className="dashboard-cards">
+            <div className="dashboard-card">
+              <span className="dashboard-card-value">{stats.byStatusPriority.total}</span>
+              <span className="dashboard-card-label">Total bugs</span>
+            </div>
+            <div className="dashboard-card">
+              <span className="dashboard-card-value">
+                {countUnresolved(stats.byStatusPriority, 'critical')}
+              </span>
+              <span className="dashboard-card-label">Unresolved critical</span>
+            </div>
+            <div className="dashboard-card">
+              <span className="dashboard-card-value">
+                {formatDuration(stats.meanTimeToResolve.averageMs)}
+              </span>
+              <span className="dashboard-card-label">
+                Mean time to resolve ({stats.meanTimeToResolve.count} resolved)
+              </span>
+            </div>
+            <div className="dashboard-card">
+              <span className="dashboard-card-value">
+                {formatDuration(stats.cycleTime.averageMs)}
+              </span>
+              <span className="dashboard-card-label">
+                Mean cycle time, in progress to resolved ({stats.cycleTime.reopened} reopened)
+              </span>
+            </div>
+          </div>
+
+          <div className="dashboard-panels">
+            <div className="dashboard-panel">
+              <h3>Opened vs. resolved</h3>
+              <TrendChart daily={stats.daily} />
+            </div>
+
+            <div className="dashboard-panel">
+              <h3>Bugs by status and priority</h3>
+              <StatusPriorityChart matrix={stats.byStatusPriority} />
+            </div>
+          </div>
+
+          <div className="dashboard-panel">
+            <h3>Oldest open critical bugs</h3>
+            {stats.oldestOpenCritical.length === 0 ? (
+              <p className="dashboard-status">No open critical bugs.</p>
+            ) : (
+              <ol className="critical-list">
+                {stats.oldestOpenCritical.map((bug) => (
+                  <li key={bug._id} className="critical-item">
+                    <span className="critical-title">{bug.title}</span>
+                    <span className={`badge status-badge status-${bug.status}`}>{bug.status}</span>
+                    <span className="critical-meta">
+                      Open for {getElapsedTime(bug.createdAt)} · {bug.assignee?.name || 'Unassigned'}
+                    </span>
+                    {onViewBug && (
+                      <button
+                        className="btn btn-view"
+                        onClick={() => onViewBug(bug)}
+                        aria-label={`View bug: ${bug.title}`}
+                      >
+                        View
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default Dashboard;
@@ -1,25 +1,9 @@
 // ErrorBoundary.jsx - React Error Boundary component
 
 import React from 'react';
+import { reportError } from '../services/errorReportingService';
 import './ErrorBoundary.css';
 
-// Mock error reporting service
-const errorReportingService = {
-  logError: (error, errorInfo) => {
-    // In production, this would send to services like Sentry, LogRocket, etc.
-    console.error('🚨 [ERROR REPORTING]', {
-      error: error.toString(),
-      errorInfo,
-      timestamp: new Date().toISOString(),
-      userAgent: navigator.userAgent,
-      url: window.location.href,
-    });
-    
-    // Mock API call to error reporting service
-    // In real app: fetch('/api/errors', { method: 'POST', body: JSON.stringify({...}) })
-  },
-};
-
 class ErrorBoundary extends React.Component {
   constructor(props) {
     super(props);
@@ -36,8 +20,8 @@ class ErrorBoundary extends React.Component {
   }
 
   componentDidCatch(error, errorInfo) {
-    // Log error to error reporting service
-    errorReportingService.logError(error, errorInfo);
+    // Send the error to POST /api/errors with the next batch of reports
+    reportError(error, { source: 'boundary', componentStack: errorInfo?.componentStack });
 
     // Store error details in state for display
     this.setState({
@@ -45,7 +29,6 @@ class ErrorBoundary extends React.Component {
       errorInfo,
     });
 
-    // You can also log the error to an error reporting service here
     console.error('ErrorBoundary caught an error:', error, errorInfo);
   }
 
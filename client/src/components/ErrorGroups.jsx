@@ -0,0 +1,205 @@
+// ErrorGroups.jsx - Admin view of errors grouped by fingerprint
+
+import React, { useState, useEffect } from 'react';
+import { getErrorGroups, getErrorGroup } from '../services/errorGroupService';
+import { toBugDraft } from '../utils/errorGroups';
+import { getRelativeTime } from '../utils/dateUtils';
+import './BugItem.css';
+import './BugList.css';
+import './ErrorGroups.css';
+
+const SORT_OPTIONS = [
+  { value: 'lastSeen', label: 'Last seen' },
+  { value: 'count', label: 'Most frequent' },
+  { value: 'firstSeen', label: 'First seen' },
+];
+
+// Stack, latest reports and the users who hit them, loaded when a group is expanded
+const ErrorGroupDetails = ({ groupId }) => {
+  const [group, setGroup] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getErrorGroup(groupId)
+      .then((loaded) => {
+        if (!cancelled) {
+          setGroup(loaded);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load error details');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [groupId]);
+
+  if (error) {
+    return <div className="form-error-message">{error}</div>;
+  }
+  if (!group) {
+    return <p className="error-groups-status">Loading details...</p>;
+  }
+
+  return (
+    <div className="error-group-details">
+      {group.stack && <pre className="error-group-stack">{group.stack}</pre>}
+      {group.componentStack && (
+        <pre className="error-group-stack" aria-label="Component stack">{group.componentStack.trim()}</pre>
+      )}
+      {group.reports.length > 0 && (
+        <>
+          <h4>Latest reports</h4>
+          <ul className="error-group-reports">
+            {group.reports.map((report) => (
+              <li key={report._id}>
+                <span>{getRelativeTime(report.occurredAt)}</span>
+                <span>{report.user ? report.user.name : 'Anonymous'}</span>
+                {report.url && <span className="error-group-url">{report.url}</span>}
+                {report.appVersion && <span>v{report.appVersion}</span>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+const ErrorGroups = ({ onCreateBug }) => {
+  const [sort, setSort] = useState('lastSeen');
+  const [platform, setPlatform] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    getErrorGroups({ sort, platform })
+      .then((page) => {
+        if (!cancelled) {
+          setGroups(page.groups);
+          setTotal(page.total);
+          setNextCursor(page.nextCursor);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load errors');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sort, platform]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const page = await getErrorGroups({ sort, platform, cursor: nextCursor });
+      setGroups((prev) => [...prev, ...page.groups]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err.message || 'Failed to load errors');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <section className="error-groups" aria-label="Errors">
+      <div className="error-groups-header">
+        <h2>Errors ({total})</h2>
+        <div className="error-groups-filters">
+          <label>
+            Sort
+            <select value={sort} onChange={(e) => setSort(e.target.value)}>
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Platform
+            <select value={platform} onChange={(e) => setPlatform(e.target.value)}>
+              <option value="">All</option>
+              <option value="client">Client</option>
+              <option value="server">Server</option>
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {error && <div className="form-error-message">{error}</div>}
+
+      {loading ? (
+        <p className="error-groups-status">Loading errors...</p>
+      ) : groups.length === 0 ? (
+        <p className="error-groups-status">No errors have been reported.</p>
+      ) : (
+        <ul className="error-group-list">
+          {groups.map((group) => (
+            <li key={group._id} className="error-group">
+              <div className="error-group-summary">
+                <div className="error-group-title">
+                  <strong>{group.name}</strong>: {group.title}
+                </div>
+                {group.culprit && <div className="error-group-culprit">{group.culprit}</div>}
+                <div className="error-group-meta">
+                  <span className={`badge error-platform-${group.platform}`}>{group.platform}</span>
+                  <span aria-label={`${group.count} occurrences`}>
+                    {group.count} {group.count === 1 ? 'event' : 'events'}
+                  </span>
+                  <span>Last seen {getRelativeTime(group.lastSeen)}</span>
+                  <span>First seen {getRelativeTime(group.firstSeen)}</span>
+                </div>
+              </div>
+              <div className="error-group-actions">
+                <button
+                  className="btn btn-view"
+                  aria-expanded={expandedId === group._id}
+                  onClick={() => setExpandedId(expandedId === group._id ? null : group._id)}
+                >
+                  Details
+                </button>
+                <button className="btn btn-edit" onClick={() => onCreateBug(toBugDraft(group))}>
+                  Create bug from this error
+                </button>
+              </div>
+              {expandedId === group._id && <ErrorGroupDetails groupId={group._id} />}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {nextCursor && !loading && (
+        <div className="error-groups-more">
+          <button className="btn btn-load-more" onClick={loadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ErrorGroups;
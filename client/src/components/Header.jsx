@@ -1,23 +1,28 @@
 // Header.jsx - Header component
 
 import React from 'react';
+import { useAuth } from '../context/AuthContext';
 import './Header.css';
 
 const Header = () => {
+  const { user, logout } = useAuth();
+
   return (
     <header className="header">
       <div className="header-container">
         <h1 className="header-title">🐛 Bug Tracker</h1>
         <p className="header-subtitle">Track and manage your bugs efficiently</p>
+        {user && (
+          <div className="header-user">
+            <span className="header-user-name">Signed in as {user.name}</span>
+            <button type="button" className="btn-logout" onClick={logout}>
+              Log Out
+            </button>
+          </div>
+        )}
       </div>
     </header>
   );
 };
 
 export default Header;
-
-
-
-
-
-
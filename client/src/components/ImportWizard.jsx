@@ -0,0 +1,257 @@
+// ImportWizard.jsx - Step-by-step bug import from a CSV or JSON file
+
+import React, { useState } from 'react';
+import { useBugs } from '../context/BugContext';
+import { importBugs } from '../services/bugService';
+import './BugForm.css';
+import './ImportWizard.css';
+
+// Bug fields a column can be mapped to, matching the server's IMPORT_FIELDS
+const IMPORT_FIELDS = [
+  { value: 'title', label: 'Title' },
+  { value: 'description', label: 'Description' },
+  { value: 'status', label: 'Status' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'reporter', label: 'Reporter' },
+  { value: 'assignee', label: 'Assignee' },
+  { value: 'labels', label: 'Labels' },
+  { value: 'createdAt', label: 'Created at' },
+];
+
+const STEPS = [
+  { key: 'file', label: 'Choose file' },
+  { key: 'preview', label: 'Map & review' },
+  { key: 'done', label: 'Import' },
+];
+
+const STATUS_LABELS = {
+  valid: 'Ready',
+  invalid: 'Error',
+  duplicate: 'Duplicate',
+  imported: 'Imported',
+};
+
+// Describe the bug a duplicate row matches
+const describeDuplicate = (duplicateOf) =>
+  duplicateOf.row ? `Duplicate of row ${duplicateOf.row}` : `Duplicate of "${duplicateOf.title}"`;
+
+const ImportWizard = ({ onClose }) => {
+  const { loadBugs } = useBugs();
+  const [step, setStep] = useState('file');
+  const [file, setFile] = useState(null);
+  // Server preview: { headers, columns, summary, rows }
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Validate the file without importing; the first preview lets the server map the columns
+  const runPreview = async (selectedFile, mapping) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await importBugs(selectedFile, { mapping, dryRun: true });
+      setPreview(data);
+      setStep('preview');
+    } catch (err) {
+      setError(err.message || 'Failed to read the file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selectedFile = e.target.files[0];
+    if (!selectedFile) {
+      return;
+    }
+    setFile(selectedFile);
+    runPreview(selectedFile);
+  };
+
+  const handleMappingChange = (header, field) => {
+    runPreview(file, { ...preview.columns, [header]: field || null });
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await importBugs(file, { mapping: preview.columns });
+      setResult(data);
+      setStep('done');
+      loadBugs();
+    } catch (err) {
+      // Rows may have changed since the preview - show the server's latest report
+      if (err.report) {
+        setPreview(err.report);
+      }
+      setError(err.message || 'Failed to import bugs');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartOver = () => {
+    setFile(null);
+    setPreview(null);
+    setError('');
+    setStep('file');
+  };
+
+  const summary = preview?.summary;
+  const canImport = Boolean(summary) && summary.invalid === 0 && summary.valid > 0 && !loading;
+
+  return (
+    <div className="import-wizard">
+      <div className="import-wizard-header">
+        <h2>Import Bugs</h2>
+        <ol className="import-steps">
+          {STEPS.map((item, index) => (
+            <li
+              key={item.key}
+              className={`import-step${item.key === step ? ' import-step-active' : ''}`}
+              aria-current={item.key === step ? 'step' : undefined}
+            >
+              {index + 1}. {item.label}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      {error && (
+        <div className="import-error" role="alert">
+          {error}
+        </div>
+      )}
+
+      {step === 'file' && (
+        <div className="import-file">
+          <label htmlFor="import-file">CSV or JSON file</label>
+          <input
+            id="import-file"
+            type="file"
+            accept=".csv,.json"
+            onChange={handleFileChange}
+            disabled={loading}
+          />
+          <p className="import-hint">
+            The first CSV row must name the columns. Columns named after a bug field, such as Title or
+            Priority, are matched automatically; you can change the matching on the next step.
+          </p>
+          {loading && <p className="import-loading">Reading file...</p>}
+        </div>
+      )}
+
+      {step === 'preview' && preview && (
+        <>
+          <section className="import-section">
+            <h3>Columns in {file.name}</h3>
+            <table className="import-mapping">
+              <thead>
+                <tr>
+                  <th scope="col">Column</th>
+                  <th scope="col">Bug field</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.headers.map((header) => (
+                  <tr key={header}>
+                    <td>{header}</td>
+                    <td>
+                      <select
+                        aria-label={`Field for ${header}`}
+                        value={preview.columns[header] || ''}
+                        onChange={(e) => handleMappingChange(header, e.target.value)}
+                        disabled={loading}
+                      >
+                        <option value="">Ignore</option>
+                        {IMPORT_FIELDS.map((field) => (
+                          <option key={field.value} value={field.value}>
+                            {field.label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <section className="import-section">
+            <h3>Preview</h3>
+            <p className="import-summary">
+              {summary.total} rows: {summary.valid} ready, {summary.invalid} with errors,{' '}
+              {summary.duplicates} duplicates (skipped)
+            </p>
+            <table className="import-preview">
+              <thead>
+                <tr>
+                  <th scope="col">Row</th>
+                  <th scope="col">Title</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">Priority</th>
+                  <th scope="col">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((item) => (
+                  <tr key={item.row} className={`import-row import-row-${item.status}`}>
+                    <td>{item.row}</td>
+                    <td>{item.bug.title || <em>No title</em>}</td>
+                    <td>{item.bug.status || '-'}</td>
+                    <td>{item.bug.priority || '-'}</td>
+                    <td>
+                      <span className={`import-badge import-badge-${item.status}`}>
+                        {STATUS_LABELS[item.status]}
+                      </span>
+                      {item.errors.length > 0 && (
+                        <ul className="import-row-errors">
+                          {item.errors.map((message) => (
+                            <li key={message}>{message}</li>
+                          ))}
+                        </ul>
+                      )}
+                      {item.duplicateOf && (
+                        <span className="import-row-note">{describeDuplicate(item.duplicateOf)}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <div className="import-actions">
+            <button className="btn btn-cancel" onClick={handleStartOver} disabled={loading}>
+              Choose Another File
+            </button>
+            <button className="btn btn-cancel" onClick={onClose} disabled={loading}>
+              Cancel
+            </button>
+            <button className="btn btn-primary" onClick={handleImport} disabled={!canImport}>
+              {loading ? 'Working...' : `Import ${summary.valid} Bug${summary.valid === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === 'done' && result && (
+        <div className="import-done">
+          <p className="import-summary">
+            Imported {result.summary.imported} bug{result.summary.imported === 1 ? '' : 's'}
+            {result.summary.duplicates > 0 && `, skipped ${result.summary.duplicates} duplicates`}.
+          </p>
+          <div className="import-actions">
+            <button className="btn btn-primary" onClick={onClose}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportWizard;
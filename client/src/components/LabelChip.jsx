@@ -0,0 +1,33 @@
+// LabelChip.jsx - A label name on its registry colour
+
+import React from 'react';
+import './LabelChip.css';
+
+/**
+ * Pick black or white text, whichever reads better on the background
+ * @param {string} color - #rrggbb background
+ * @returns {string} Text colour
+ */
+export const getContrastColor = (color) => {
+  const [r, g, b] = [1, 3, 5].map((start) => parseInt(color.slice(start, start + 2), 16));
+  // Perceived brightness (ITU-R BT.601)
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#222' : '#fff';
+};
+
+const LabelChip = ({ name, color, onRemove }) => (
+  <span className="label-chip" style={{ backgroundColor: color, color: getContrastColor(color) }}>
+    {name}
+    {onRemove && (
+      <button
+        type="button"
+        className="label-chip-remove"
+        onClick={() => onRemove(name)}
+        aria-label={`Remove label ${name}`}
+      >
+        ×
+      </button>
+    )}
+  </span>
+);
+
+export default LabelChip;
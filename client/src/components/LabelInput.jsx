@@ -0,0 +1,125 @@
+// LabelInput.jsx - Tag input with autocomplete from the label registry
+
+import React, { useState } from 'react';
+import LabelChip from './LabelChip';
+import './LabelInput.css';
+
+// Same rules as server/src/utils/labelUtils.js
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9 _.-]*$/;
+const MAX_LABEL_LENGTH = 40;
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Normalise a typed label the way the server stores it
+ * @param {string} name - Raw input
+ * @returns {string} Trimmed, lowercased name with single spaces
+ */
+export const normalizeLabelName = (name) => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+const LabelInput = ({ id, value = [], onChange, labels = [], getLabelColor }) => {
+  const [text, setText] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+  const [error, setError] = useState('');
+
+  const query = normalizeLabelName(text);
+  const suggestions = query
+    ? labels
+      .filter((label) => label.name.includes(query) && !value.includes(label.name))
+      .slice(0, MAX_SUGGESTIONS)
+    : [];
+  const listId = `${id}-suggestions`;
+
+  const addLabel = (name) => {
+    const label = normalizeLabelName(name);
+    setText('');
+    setHighlighted(0);
+
+    if (!label || value.includes(label)) {
+      return;
+    }
+    if (label.length > MAX_LABEL_LENGTH || !LABEL_PATTERN.test(label)) {
+      setError('Labels may only contain letters, digits, spaces, "-", "_" and "."');
+      return;
+    }
+    setError('');
+    onChange([...value, label]);
+  };
+
+  const removeLabel = (name) => {
+    onChange(value.filter((label) => label !== name));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === ',') {
+      // Enter must not submit the bug form while a label is being typed
+      if (text.trim()) {
+        e.preventDefault();
+        addLabel(suggestions[highlighted]?.name || text);
+      } else if (e.key === ',') {
+        e.preventDefault();
+      }
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      removeLabel(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="label-input">
+      <div className="label-input-field">
+        {value.map((label) => (
+          <LabelChip key={label} name={label} color={getLabelColor(label)} onRemove={removeLabel} />
+        ))}
+        <input
+          type="text"
+          id={id}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setHighlighted(0);
+            setError('');
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => text.trim() && addLabel(text)}
+          placeholder={value.length === 0 ? 'Add labels, e.g. frontend' : ''}
+          role="combobox"
+          aria-expanded={suggestions.length > 0}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={suggestions.length > 0 ? `${listId}-${highlighted}` : undefined}
+        />
+      </div>
+
+      {suggestions.length > 0 && (
+        <ul className="label-input-suggestions" id={listId} role="listbox">
+          {suggestions.map((label, index) => (
+            <li
+              key={label._id || label.name}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === highlighted}
+              className={index === highlighted ? 'highlighted' : ''}
+              // mousedown fires before the input's blur, which would add the typed text instead
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addLabel(label.name);
+              }}
+            >
+              <LabelChip name={label.name} color={label.color} />
+              {label.bugCount > 0 && <span className="label-input-count">{label.bugCount}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <span className="field-error">{error}</span>}
+    </div>
+  );
+};
+
+export default LabelInput;
@@ -0,0 +1,40 @@
+// PresenceIndicator.jsx - Shows who else is looking at a bug
+
+import React from 'react';
+import './PresenceIndicator.css';
+
+// Initials for the avatar bubble
+const initials = (name = '') =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('');
+
+const PresenceIndicator = ({ viewers = [], currentUserId }) => {
+  const others = viewers.filter((viewer) => viewer._id !== currentUserId);
+
+  if (others.length === 0) {
+    return null;
+  }
+
+  const names = others.map((viewer) => viewer.name).join(', ');
+
+  return (
+    <div className="presence-indicator" role="status" aria-label={`Also viewing: ${names}`}>
+      <div className="presence-avatars" aria-hidden="true">
+        {others.map((viewer) => (
+          <span key={viewer._id} className="presence-avatar" title={viewer.name}>
+            {initials(viewer.name)}
+          </span>
+        ))}
+      </div>
+      <span className="presence-text">
+        {others.length === 1 ? `${names} is also viewing` : `${names} are also viewing`}
+      </span>
+    </div>
+  );
+};
+
+export default PresenceIndicator;
@@ -0,0 +1,33 @@
+// UndoToast.jsx - Short-lived notice with an Undo action
+
+import React, { useEffect } from 'react';
+import './UndoToast.css';
+
+// How long the toast stays up before it dismisses itself
+export const UNDO_TIMEOUT_MS = 8000;
+
+const UndoToast = ({ message, onUndo, onDismiss, timeout = UNDO_TIMEOUT_MS }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, timeout);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss, timeout]);
+
+  return (
+    <div className="undo-toast" role="status">
+      <span className="undo-toast-message">{message}</span>
+      <button type="button" className="btn-undo" onClick={onUndo}>
+        Undo
+      </button>
+      <button
+        type="button"
+        className="btn-undo-dismiss"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
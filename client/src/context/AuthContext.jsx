@@ -0,0 +1,88 @@
+// AuthContext.jsx - Context API for the logged-in user
+
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import {
+  getSession,
+  login as loginUser,
+  register as registerUser,
+  logout as logoutUser,
+  SESSION_EXPIRED_EVENT,
+} from '../services/authService';
+
+const AuthContext = createContext();
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export const AuthProvider = ({ children }) => {
+  // Restore the user from a stored session so a reload stays logged in
+  const [user, setUser] = useState(() => getSession()?.user || null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Drop the user when authFetch can no longer refresh the session
+  useEffect(() => {
+    const handleExpired = () => {
+      setUser(null);
+      setError('Your session has expired. Please log in again.');
+    };
+
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  // Log in with email and password
+  const login = async (email, password) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const loggedInUser = await loginUser(email, password);
+      setUser(loggedInUser);
+      return loggedInUser;
+    } catch (err) {
+      setError(err.message || 'Failed to log in');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Create an account and log in
+  const register = async (details) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const newUser = await registerUser(details);
+      setUser(newUser);
+      return newUser;
+    } catch (err) {
+      setError(err.message || 'Failed to register');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // End the session
+  const logout = async () => {
+    await logoutUser();
+    setUser(null);
+    setError(null);
+  };
+
+  const value = {
+    user,
+    loading,
+    error,
+    login,
+    register,
+    logout,
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
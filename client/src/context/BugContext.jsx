@@ -1,12 +1,21 @@
 // BugContext.jsx - Context API for bug state management
 
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import {
   getBugs as fetchBugs,
   createBug as addBug,
   updateBug as modifyBug,
+  patchBug as patchExistingBug,
   deleteBug as removeBug,
+  restoreBug as restoreDeletedBug,
+  bulkBugs as runBulkAction,
+  markDuplicate as markBugDuplicate,
+  getWorkflow,
 } from '../services/bugService';
+import { getSession } from '../services/authService';
+import { connectRealtime } from '../services/realtimeService';
+import { matchesFilters } from '../utils/bugFilters';
+import { DEFAULT_WORKFLOW } from '../utils/workflow';
 
 const BugContext = createContext();
 
@@ -23,23 +32,78 @@ export const BugProvider = ({ children }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState({});
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Live updates: whether the socket is connected, and who is viewing each bug
+  const [live, setLive] = useState(false);
+  const [viewers, setViewers] = useState({});
+  // Statuses and transitions the server enforces
+  const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
+  const realtime = useRef(null);
+  const viewing = useRef(new Set());
+  // Number of the latest list load; responses to earlier ones are dropped, so a slow
+  // response for old filters (e.g. an earlier search pause) can't replace the current list
+  const listRequest = useRef(0);
 
-  // Fetch bugs from API
+  // Fetch the first page of bugs from API
   const loadBugs = useCallback(async (customFilters = null) => {
+    listRequest.current += 1;
+    const request = listRequest.current;
     setLoading(true);
     setError(null);
     try {
       const activeFilters = customFilters || filters;
-      const data = await fetchBugs(activeFilters);
-      setBugs(data);
+      const page = await fetchBugs(activeFilters);
+      if (request !== listRequest.current) {
+        return;
+      }
+      setBugs(page.bugs);
+      setNextCursor(page.nextCursor);
+      setTotal(page.total);
     } catch (err) {
+      if (request !== listRequest.current) {
+        return;
+      }
       setError(err.message || 'Failed to load bugs');
       console.error('Error loading bugs:', err);
     } finally {
-      setLoading(false);
+      if (request === listRequest.current) {
+        setLoading(false);
+      }
     }
   }, [filters]);
 
+  // Fetch the next page and append it to the list
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+
+    // A page only belongs to the list it was requested for; a reload since then drops it
+    const request = listRequest.current;
+    setLoadingMore(true);
+    setError(null);
+    try {
+      const page = await fetchBugs(filters, { cursor: nextCursor });
+      if (request !== listRequest.current) {
+        return;
+      }
+      setBugs((prevBugs) => {
+        // Skip bugs already in the list (e.g. created locally since the first page)
+        const seen = new Set(prevBugs.map((bug) => bug._id));
+        return [...prevBugs, ...page.bugs.filter((bug) => !seen.has(bug._id))];
+      });
+      setNextCursor(page.nextCursor);
+      setTotal(page.total);
+    } catch (err) {
+      setError(err.message || 'Failed to load more bugs');
+      console.error('Error loading more bugs:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [filters, nextCursor, loadingMore]);
+
   // Create a new bug
   const createBug = async (bugData) => {
     // FIXED: Race condition - prevent multiple simultaneous calls
@@ -60,6 +124,7 @@ export const BugProvider = ({ children }) => {
         }
         return [newBug, ...prevBugs];
       });
+      setTotal((prevTotal) => prevTotal + 1);
       return newBug;
     } catch (err) {
       const errorMessage = err.message || 'Failed to create bug';
@@ -71,16 +136,28 @@ export const BugProvider = ({ children }) => {
   };
 
   // Update an existing bug
-  const updateBug = async (id, bugData) => {
+  // With a version the update is a PATCH that fails with a ConflictError if the bug changed since
+  const updateBug = async (id, bugData, version) => {
     setLoading(true);
     setError(null);
     try {
-      const updatedBug = await modifyBug(id, bugData);
+      const updatedBug = version === undefined
+        ? await modifyBug(id, bugData)
+        : await patchExistingBug(id, bugData, version);
       setBugs((prevBugs) =>
         prevBugs.map((bug) => (bug._id === id ? updatedBug : bug))
       );
       return updatedBug;
     } catch (err) {
+      if (err.name === 'ConflictError') {
+        // Show the latest copy in the list; the form handles the merge
+        if (err.current) {
+          setBugs((prevBugs) =>
+            prevBugs.map((bug) => (bug._id === id ? err.current : bug))
+          );
+        }
+        throw err;
+      }
       const errorMessage = err.message || 'Failed to update bug';
       setError(errorMessage);
       throw err;
@@ -96,6 +173,7 @@ export const BugProvider = ({ children }) => {
     try {
       await removeBug(id);
       setBugs((prevBugs) => prevBugs.filter((bug) => bug._id !== id));
+      setTotal((prevTotal) => Math.max(prevTotal - 1, 0));
     } catch (err) {
       const errorMessage = err.message || 'Failed to delete bug';
       setError(errorMessage);
@@ -105,10 +183,186 @@ export const BugProvider = ({ children }) => {
     }
   };
 
+  // Bring a deleted bug back from the trash
+  const restoreBug = async (id) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const restoredBug = await restoreDeletedBug(id);
+      setBugs((prevBugs) => {
+        if (prevBugs.some((bug) => bug._id === restoredBug._id)) {
+          return prevBugs;
+        }
+        return [restoredBug, ...prevBugs];
+      });
+      setTotal((prevTotal) => prevTotal + 1);
+      return restoredBug;
+    } catch (err) {
+      const errorMessage = err.message || 'Failed to restore bug';
+      setError(errorMessage);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Close a bug as a duplicate of another; the server resolves it and links the original
+  const markDuplicate = async (id, originalId) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const updatedBug = await markBugDuplicate(id, originalId);
+      setBugs((prevBugs) =>
+        prevBugs.map((bug) => (bug._id === id ? updatedBug : bug))
+      );
+      return updatedBug;
+    } catch (err) {
+      const errorMessage = err.message || 'Failed to mark bug as duplicate';
+      setError(errorMessage);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Apply one action to many bugs; only the bugs that succeeded change in the list
+  const bulkAction = async (ids, action, payload) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const outcome = await runBulkAction(ids, action, payload);
+      const succeeded = outcome.results.filter((item) => item.success);
+      const succeededIds = new Set(succeeded.map((item) => item.id));
+
+      if (action === 'delete') {
+        setBugs((prevBugs) => prevBugs.filter((bug) => !succeededIds.has(bug._id)));
+        setTotal((prevTotal) => Math.max(prevTotal - succeeded.length, 0));
+      } else if (action === 'restore') {
+        setBugs((prevBugs) => {
+          const seen = new Set(prevBugs.map((bug) => bug._id));
+          return [...succeeded.map((item) => item.data).filter((bug) => !seen.has(bug._id)), ...prevBugs];
+        });
+        setTotal((prevTotal) => prevTotal + succeeded.length);
+      } else {
+        const updatedById = new Map(succeeded.map((item) => [item.id, item.data]));
+        setBugs((prevBugs) => prevBugs.map((bug) => updatedById.get(bug._id) || bug));
+      }
+
+      return outcome;
+    } catch (err) {
+      const errorMessage = err.message || `Failed to ${action} bugs`;
+      setError(errorMessage);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Latest list state for the realtime handler, which is set up once
+  const listState = useRef({});
+  listState.current = { bugs, filters, nextCursor };
+
+  // Merge a bug pushed by the server into the list, respecting the active filters
+  const applyRemoteBug = useCallback((bug, isNew) => {
+    const { bugs: currentBugs, filters: currentFilters, nextCursor: cursor } = listState.current;
+    const inList = currentBugs.some((item) => item._id === bug._id);
+    const matches = matchesFilters(bug, currentFilters, getSession()?.user?._id || null);
+
+    if (inList && matches) {
+      setBugs((prevBugs) => prevBugs.map((item) => (item._id === bug._id ? bug : item)));
+    } else if (inList) {
+      // Edited out of the current filters
+      setBugs((prevBugs) => prevBugs.filter((item) => item._id !== bug._id));
+      setTotal((prevTotal) => Math.max(prevTotal - 1, 0));
+    } else if (matches && (isNew || !cursor)) {
+      // New bugs go on top like local creates; an updated bug is only added when every page is
+      // loaded, otherwise it may already be on a page that hasn't been fetched yet
+      setBugs((prevBugs) => [bug, ...prevBugs.filter((item) => item._id !== bug._id)]);
+      setTotal((prevTotal) => prevTotal + 1);
+    }
+  }, []);
+
+  const removeRemoteBug = useCallback((id) => {
+    if (listState.current.bugs.some((bug) => bug._id === id)) {
+      setBugs((prevBugs) => prevBugs.filter((bug) => bug._id !== id));
+      setTotal((prevTotal) => Math.max(prevTotal - 1, 0));
+    }
+  }, []);
+
+  // Subscribe to changes made by other users
+  useEffect(() => {
+    const connection = connectRealtime({
+      onStatusChange: setLive,
+      onMessage: (message) => {
+        switch (message.type) {
+          case 'ready':
+            setViewers(message.presence || {});
+            break;
+          case 'bug:created':
+          case 'bug:restored':
+            applyRemoteBug(message.bug, true);
+            break;
+          case 'bug:updated':
+            applyRemoteBug(message.bug, false);
+            break;
+          case 'bug:deleted':
+            removeRemoteBug(message.id);
+            break;
+          case 'presence':
+            setViewers((prev) => ({ ...prev, [message.bugId]: message.viewers }));
+            break;
+          default:
+            break;
+        }
+      },
+    });
+    realtime.current = connection;
+    // Bugs opened before the connection existed
+    viewing.current.forEach((id) => connection.viewBug(id));
+
+    return () => {
+      connection.close();
+      realtime.current = null;
+    };
+  }, [applyRemoteBug, removeRemoteBug]);
+
+  // Announce that the user is looking at a bug, and stop when they leave it
+  const viewBug = useCallback((id) => {
+    viewing.current.add(id);
+    realtime.current?.viewBug(id);
+  }, []);
+
+  const leaveBug = useCallback((id) => {
+    viewing.current.delete(id);
+    realtime.current?.leaveBug(id);
+  }, []);
+
   // Update filters and reload bugs
-  const updateFilters = (newFilters) => {
+  // The cursor belongs to the old filters, so Load More is off until the new first page arrives
+  const updateFilters = useCallback((newFilters) => {
     setFilters(newFilters);
-  };
+    setNextCursor(null);
+  }, []);
+
+  // Fetch the workflow once; the default stays in use if this fails
+  useEffect(() => {
+    let cancelled = false;
+    const loadWorkflow = async () => {
+      try {
+        const definition = await getWorkflow();
+        if (!cancelled && definition?.statuses) {
+          setWorkflow(definition);
+        }
+      } catch (err) {
+        console.error('Error loading workflow:', err);
+      }
+    };
+    loadWorkflow();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
   // Load bugs on mount and when filters change
   useEffect(() => {
@@ -120,11 +374,23 @@ export const BugProvider = ({ children }) => {
     loading,
     error,
     filters,
+    workflow,
+    total,
+    hasMore: Boolean(nextCursor),
+    loadingMore,
     loadBugs,
+    loadMore,
     createBug,
     updateBug,
     deleteBug,
+    restoreBug,
+    markDuplicate,
+    bulkAction,
     updateFilters,
+    live,
+    viewers,
+    viewBug,
+    leaveBug,
   };
 
   return <BugContext.Provider value={value}>{children}</BugContext.Provider>;
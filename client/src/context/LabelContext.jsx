@@ -0,0 +1,48 @@
+// LabelContext.jsx - Context API for the label registry (names and colours)
+
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { getLabels } from '../services/labelService';
+
+// Colour for labels the registry doesn't know yet; matches the server default
+export const DEFAULT_LABEL_COLOR = '#667eea';
+
+const LabelContext = createContext();
+
+export const useLabels = () => {
+  const context = useContext(LabelContext);
+  if (!context) {
+    throw new Error('useLabels must be used within a LabelProvider');
+  }
+  return context;
+};
+
+export const LabelProvider = ({ children }) => {
+  const [labels, setLabels] = useState([]);
+
+  // Fetch the registry; bugs still render with default colours if this fails
+  const loadLabels = useCallback(async () => {
+    try {
+      const registry = await getLabels();
+      setLabels(registry || []);
+    } catch (err) {
+      console.error('Error loading labels:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLabels();
+  }, [loadLabels]);
+
+  const getLabelColor = useCallback(
+    (name) => labels.find((label) => label.name === name)?.color || DEFAULT_LABEL_COLOR,
+    [labels]
+  );
+
+  const value = {
+    labels,
+    loadLabels,
+    getLabelColor,
+  };
+
+  return <LabelContext.Provider value={value}>{children}</LabelContext.Provider>;
+};
@@ -3,6 +3,10 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { installGlobalErrorHandlers } from './services/errorReportingService';
+
+// Errors outside React's render, such as in event handlers and promises, are reported too
+installGlobalErrorHandlers();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
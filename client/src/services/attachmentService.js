@@ -0,0 +1,85 @@
+// attachmentService.js - API service functions for bug attachments
+
+import { authFetch } from './authService';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const attachmentsUrl = (bugId) => `${API_BASE_URL}/bugs/${bugId}/attachments`;
+
+const CONNECTION_ERROR = 'Unable to connect to the server. Please ensure the backend server is running on port 5000.';
+
+// Shared request helper - returns the response for the caller to read, or throws the API error
+const send = async (url, options, failureMessage) => {
+  try {
+    const response = await authFetch(url, options);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `${failureMessage}: ${response.statusText}`);
+    }
+
+    return response;
+  } catch (error) {
+    console.error(`${failureMessage}:`, error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error(CONNECTION_ERROR);
+    }
+    throw error;
+  }
+};
+
+// JSON endpoints return their payload in data
+const request = async (url, options, failureMessage) => {
+  const response = await send(url, options, failureMessage);
+  const data = await response.json();
+  return data.data || data;
+};
+
+/**
+ * Fetch the attachments on a bug, oldest first
+ * @param {string} bugId - Bug ID
+ * @returns {Promise} Promise that resolves to an array of attachments
+ */
+export const getAttachments = (bugId) => {
+  return request(attachmentsUrl(bugId), { method: 'GET' }, 'Failed to fetch attachments');
+};
+
+/**
+ * Upload files to a bug
+ * The browser sets the multipart Content-Type and boundary itself
+ * @param {string} bugId - Bug ID
+ * @param {File[]} files - Files to attach
+ * @returns {Promise} Promise that resolves to the created attachments
+ */
+export const uploadAttachments = (bugId, files) => {
+  const body = new FormData();
+  files.forEach((file) => body.append('files', file));
+
+  return request(attachmentsUrl(bugId), { method: 'POST', body }, 'Failed to upload attachments');
+};
+
+/**
+ * Download an attachment, or its thumbnail, as a Blob
+ * Files need the access token, so they can't be linked to directly
+ * @param {string} bugId - Bug ID
+ * @param {string} attachmentId - Attachment ID
+ * @param {Object} [options]
+ * @param {boolean} [options.thumbnail] - Fetch the thumbnail instead of the original
+ * @returns {Promise<Blob>} Promise that resolves to the file contents
+ */
+export const getAttachmentBlob = async (bugId, attachmentId, { thumbnail = false } = {}) => {
+  const url = `${attachmentsUrl(bugId)}/${attachmentId}${thumbnail ? '/thumbnail' : ''}`;
+  const response = await send(url, { method: 'GET' }, 'Failed to download attachment');
+  return response.blob();
+};
+
+/**
+ * Delete an attachment
+ * @param {string} bugId - Bug ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise} Promise that resolves when the attachment is deleted
+ */
+export const deleteAttachment = async (bugId, attachmentId) => {
+  await request(`${attachmentsUrl(bugId)}/${attachmentId}`, { method: 'DELETE' }, 'Failed to delete attachment');
+  return true;
+};
@@ -0,0 +1,152 @@
+// authService.js - API service functions for authentication
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// localStorage key holding { user, accessToken, refreshToken }
+const SESSION_KEY = 'bugTracker.session';
+
+// Event fired when the session can no longer be refreshed
+export const SESSION_EXPIRED_EVENT = 'auth:expired';
+
+/**
+ * Read the stored session
+ * @returns {Object|null} Session with user, accessToken and refreshToken
+ */
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Store a session returned by register, login or refresh
+ * @param {Object} session - Session with user, accessToken and refreshToken
+ */
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+/**
+ * Remove the stored session
+ */
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+// Shared POST helper for the auth endpoints
+const postAuth = async (path, body, headers = {}) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Authentication failed: ${response.statusText}`);
+    }
+
+    return data.data;
+  } catch (error) {
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Register a new account and start a session
+ * @param {Object} details - name, email and password
+ * @returns {Promise} Promise that resolves to the new user
+ */
+export const register = async (details) => {
+  const session = await postAuth('register', details);
+  saveSession(session);
+  return session.user;
+};
+
+/**
+ * Log in and start a session
+ * @param {string} email - Account email
+ * @param {string} password - Account password
+ * @returns {Promise} Promise that resolves to the logged-in user
+ */
+export const login = async (email, password) => {
+  const session = await postAuth('login', { email, password });
+  saveSession(session);
+  return session.user;
+};
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * @returns {Promise} Promise that resolves to the refreshed session
+ */
+export const refreshSession = async () => {
+  const session = getSession();
+  if (!session?.refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  const refreshed = await postAuth('refresh', { refreshToken: session.refreshToken });
+  saveSession(refreshed);
+  return refreshed;
+};
+
+/**
+ * Log out on the server and clear the local session
+ * @returns {Promise} Promise that resolves once the session is cleared
+ */
+export const logout = async () => {
+  const session = getSession();
+  try {
+    if (session?.accessToken) {
+      await postAuth('logout', {}, { Authorization: `Bearer ${session.accessToken}` });
+    }
+  } catch (error) {
+    // The local session is cleared regardless - an expired token can't log out anyway
+    console.error('Error logging out:', error);
+  } finally {
+    clearSession();
+  }
+};
+
+/**
+ * fetch() with the access token attached
+ * On a 401 the token pair is refreshed once and the request retried;
+ * if that fails the session is cleared and SESSION_EXPIRED_EVENT is fired
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} fetch response
+ */
+export const authFetch = async (url, options = {}) => {
+  const withToken = (accessToken) => ({
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+    },
+  });
+
+  const session = getSession();
+  const response = await fetch(url, withToken(session?.accessToken));
+
+  if (response.status !== 401 || !session?.refreshToken) {
+    return response;
+  }
+
+  try {
+    const refreshed = await refreshSession();
+    return await fetch(url, withToken(refreshed.accessToken));
+  } catch (error) {
+    clearSession();
+    window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+    return response;
+  }
+};
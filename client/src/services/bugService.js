@@ -1,12 +1,17 @@
 // bugService.js - API service functions for bug operations
 
+import { authFetch } from './authService';
+import { getClientId } from './realtimeService';
+import { getFileName } from '../utils/download';
+
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
-/**
- * Fetch all bugs from the API
- * @param {Object} filters - Optional filters (status, priority, sort)
- * @returns {Promise} Promise that resolves to bugs array
- */
+// Identify this tab's realtime connection so the server doesn't echo our own changes back
+const withClientId = (headers = {}) => {
+  const clientId = getClientId();
+  return clientId ? { ...headers, 'X-Client-Id': clientId } : headers;
+};
+
 // Helper function to check backend health
 const checkBackendHealth = async () => {
   try {
@@ -23,19 +28,37 @@ const checkBackendHealth = async () => {
   }
 };
 
-export const getBugs = async (filters = {}) => {
+// Add the bug list filters to query params, shared by the list and the export
+const appendFilters = (queryParams, filters) => {
+  if (filters.status) queryParams.append('status', filters.status);
+  if (filters.priority) queryParams.append('priority', filters.priority);
+  if (filters.assignee) queryParams.append('assignee', filters.assignee);
+  if (filters.unassigned) queryParams.append('unassigned', 'true');
+  if (filters.labels?.length) queryParams.append('labels', [].concat(filters.labels).join(','));
+  if (filters.labelMode) queryParams.append('labelMode', filters.labelMode);
+  if (filters.sort) queryParams.append('sort', filters.sort);
+  if (filters.q) queryParams.append('q', filters.q);
+};
+
+/**
+ * Fetch a page of bugs from the API
+ * @param {Object} filters - Optional filters (status, priority, assignee, unassigned, labels, labelMode, sort, q)
+ * @param {Object} pagination - Optional pagination (cursor, limit)
+ * @returns {Promise} Promise that resolves to { bugs, nextCursor, total }
+ */
+export const getBugs = async (filters = {}, pagination = {}) => {
   try {
     const queryParams = new URLSearchParams();
     
-    if (filters.status) queryParams.append('status', filters.status);
-    if (filters.priority) queryParams.append('priority', filters.priority);
-    if (filters.sort) queryParams.append('sort', filters.sort);
+    appendFilters(queryParams, filters);
+    if (pagination.cursor) queryParams.append('cursor', pagination.cursor);
+    if (pagination.limit) queryParams.append('limit', pagination.limit);
 
     const url = `${API_BASE_URL}/bugs${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
     
     console.log(`[bugService] Fetching bugs from: ${url}`);
     
-    const response = await fetch(url, {
+    const response = await authFetch(url, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
@@ -50,7 +73,12 @@ export const getBugs = async (filters = {}) => {
 
     const data = await response.json();
     console.log(`[bugService] Successfully fetched ${data.count || data.length || 0} bugs`);
-    return data.data || data;
+    const bugs = data.data || data;
+    return {
+      bugs,
+      nextCursor: data.nextCursor || null,
+      total: data.total ?? bugs.length,
+    };
   } catch (error) {
     console.error('[bugService] Error fetching bugs:', error);
     
@@ -74,6 +102,29 @@ export const getBugs = async (filters = {}) => {
   }
 };
 
+/**
+ * Fetch the status workflow the server enforces
+ * @returns {Promise} Promise that resolves to { statuses, initialStatus, inProgressStatus, resolvedStatus, transitions }
+ */
+export const getWorkflow = async () => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/bugs/workflow`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch workflow: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data || data;
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
 /**
  * Fetch a single bug by ID
  * @param {string} id - Bug ID
@@ -81,7 +132,7 @@ export const getBugs = async (filters = {}) => {
  */
 export const getBug = async (id) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/bugs/${id}`);
+    const response = await authFetch(`${API_BASE_URL}/bugs/${id}`);
 
     if (!response.ok) {
       throw new Error(`Failed to fetch bug: ${response.statusText}`);
@@ -98,18 +149,74 @@ export const getBug = async (id) => {
   }
 };
 
+/**
+ * Find open bugs that look like duplicates of a report
+ * @param {Object} report - { title, description, exclude } - exclude leaves out a bug by ID
+ * @returns {Promise} Promise that resolves to similar bugs with a similarity from 0 to 1, most similar first
+ */
+export const findSimilarBugs = async ({ title, description = '', exclude } = {}) => {
+  try {
+    const queryParams = new URLSearchParams({ title });
+    if (description) {
+      queryParams.append('description', description);
+    }
+    if (exclude) {
+      queryParams.append('exclude', exclude);
+    }
+
+    const response = await authFetch(`${API_BASE_URL}/bugs/similar?${queryParams.toString()}`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to find similar bugs: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data || [];
+  } catch (error) {
+    console.error('Error finding similar bugs:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch the change history of a bug, newest first
+ * @param {string} id - Bug ID
+ * @returns {Promise} Promise that resolves to an array of history events
+ */
+export const getBugHistory = async (id) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/bugs/${id}/history`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch bug history: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data || data;
+  } catch (error) {
+    console.error('Error fetching bug history:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
 /**
  * Create a new bug
- * @param {Object} bugData - Bug data (title, description, status, priority, reporter)
+ * @param {Object} bugData - Bug data (title, description, status, priority, assignee)
  * @returns {Promise} Promise that resolves to created bug object
  */
 export const createBug = async (bugData) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/bugs`, {
+    const response = await authFetch(`${API_BASE_URL}/bugs`, {
       method: 'POST',
-      headers: {
+      headers: withClientId({
         'Content-Type': 'application/json',
-      },
+      }),
       body: JSON.stringify(bugData),
     });
 
@@ -137,11 +244,11 @@ export const createBug = async (bugData) => {
  */
 export const updateBug = async (id, bugData) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/bugs/${id}`, {
+    const response = await authFetch(`${API_BASE_URL}/bugs/${id}`, {
       method: 'PUT',
-      headers: {
+      headers: withClientId({
         'Content-Type': 'application/json',
-      },
+      }),
       body: JSON.stringify(bugData),
     });
 
@@ -161,6 +268,55 @@ export const updateBug = async (id, bugData) => {
   }
 };
 
+/**
+ * Error thrown when a PATCH is rejected because the bug changed since it was loaded
+ * `current` holds the bug as it is now stored on the server
+ */
+export class ConflictError extends Error {
+  constructor(message, current) {
+    super(message);
+    this.name = 'ConflictError';
+    this.current = current;
+  }
+}
+
+/**
+ * Partially update a bug, guarded by the version it was loaded at
+ * @param {string} id - Bug ID
+ * @param {Object} changes - Fields to change
+ * @param {number} version - The bug's __v when it was loaded
+ * @returns {Promise} Promise that resolves to the updated bug; rejects with ConflictError on a stale version
+ */
+export const patchBug = async (id, changes, version) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/bugs/${id}`, {
+      method: 'PATCH',
+      headers: withClientId({
+        'Content-Type': 'application/json',
+        'If-Match': `"${version}"`,
+      }),
+      body: JSON.stringify(changes),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      if (response.status === 409) {
+        throw new ConflictError(errorData.error || 'This bug was changed by someone else', errorData.data);
+      }
+      throw new Error(errorData.error || `Failed to update bug: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data || data;
+  } catch (error) {
+    console.error('Error updating bug:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
 /**
  * Delete a bug
  * @param {string} id - Bug ID
@@ -168,8 +324,9 @@ export const updateBug = async (id, bugData) => {
  */
 export const deleteBug = async (id) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/bugs/${id}`, {
+    const response = await authFetch(`${API_BASE_URL}/bugs/${id}`, {
       method: 'DELETE',
+      headers: withClientId(),
     });
 
     if (!response.ok) {
@@ -187,7 +344,214 @@ export const deleteBug = async (id) => {
   }
 };
 
+/**
+ * Restore a deleted bug from the trash
+ * @param {string} id - Bug ID
+ * @returns {Promise} Promise that resolves to the restored bug object
+ */
+export const restoreBug = async (id) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/bugs/${id}/restore`, {
+      method: 'POST',
+      headers: withClientId(),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || `Failed to restore bug: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data || data;
+  } catch (error) {
+    console.error('Error restoring bug:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch the bugs in the trash, most recently deleted first
+ * @returns {Promise} Promise that resolves to { bugs, retentionDays }
+ */
+export const getTrash = async () => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/bugs/trash`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch trash: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return { bugs: data.data, retentionDays: data.retentionDays };
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch bug statistics for the dashboard
+ * @param {Object} range - Optional inclusive range (from, to) as YYYY-MM-DD; defaults to the last 30 days
+ * @returns {Promise} Promise that resolves to { range, byStatusPriority, daily, meanTimeToResolve, oldestOpenCritical }
+ */
+export const getBugStats = async (range = {}) => {
+  try {
+    const queryParams = new URLSearchParams();
+
+    if (range.from) queryParams.append('from', range.from);
+    if (range.to) queryParams.append('to', range.to);
+
+    const query = queryParams.toString();
+    const response = await authFetch(`${API_BASE_URL}/bugs/stats${query ? `?${query}` : ''}`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Failed to fetch bug statistics: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data;
+  } catch (error) {
+    console.error('Error fetching bug statistics:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Export every bug matching the list filters
+ * @param {Object} filters - Same filters as getBugs
+ * @param {string} format - csv, json or ndjson
+ * @returns {Promise} Promise that resolves to { blob, filename }
+ */
+export const exportBugs = async (filters = {}, format = 'csv') => {
+  try {
+    const queryParams = new URLSearchParams({ format });
+    appendFilters(queryParams, filters);
+
+    const response = await authFetch(`${API_BASE_URL}/bugs/export?${queryParams.toString()}`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Failed to export bugs: ${response.statusText}`);
+    }
+
+    const blob = await response.blob();
+    const filename = getFileName(response.headers.get('Content-Disposition')) || `bugs.${format}`;
+    return { blob, filename };
+  } catch (error) {
+    console.error('Error exporting bugs:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Import bugs from a CSV or JSON file
+ * @param {File} file - CSV or JSON file
+ * @param {Object} options - { mapping: { header: field or null }, dryRun }
+ * @returns {Promise} Promise that resolves to { headers, columns, summary, rows }
+ *   A failed import rejects with the per-row report in error.report when the server sent one
+ */
+export const importBugs = async (file, { mapping, dryRun = false } = {}) => {
+  try {
+    const body = new FormData();
+    body.append('file', file);
+    if (mapping) body.append('mapping', JSON.stringify(mapping));
+    if (dryRun) body.append('dryRun', 'true');
+
+    const response = await authFetch(`${API_BASE_URL}/bugs/import`, {
+      method: 'POST',
+      headers: withClientId(),
+      body,
+    });
 
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `Failed to import bugs: ${response.statusText}`);
+      error.report = data.data || null;
+      throw error;
+    }
+
+    return data.data;
+  } catch (error) {
+    console.error('Error importing bugs:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
 
+/**
+ * Update, assign, delete or restore many bugs in one request
+ * @param {string[]} ids - Bug IDs
+ * @param {string} action - update, assign, delete or restore
+ * @param {Object} payload - { changes } for update, { assignee } for assign
+ * @returns {Promise} Promise that resolves to { succeeded, failed, results } with one result per bug
+ */
+export const bulkBugs = async (ids, action, payload = {}) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/bugs/bulk`, {
+      method: 'POST',
+      headers: withClientId({
+        'Content-Type': 'application/json',
+      }),
+      body: JSON.stringify({ ids, action, ...payload }),
+    });
 
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to ${action} bugs: ${response.statusText}`);
+    }
 
+    return data;
+  } catch (error) {
+    console.error('Error running bulk action:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Close a bug as a duplicate of another bug
+ * @param {string} id - Bug ID
+ * @param {string} originalId - ID of the bug it duplicates
+ * @returns {Promise} Promise that resolves to the resolved bug, with duplicateOf populated
+ */
+export const markDuplicate = async (id, originalId) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/bugs/${id}/duplicate`, {
+      method: 'POST',
+      headers: withClientId({
+        'Content-Type': 'application/json',
+      }),
+      body: JSON.stringify({ original: originalId }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to mark bug as duplicate: ${response.statusText}`);
+    }
+
+    return data.data || data;
+  } catch (error) {
+    console.error('Error marking bug as duplicate:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,89 @@
+// commentService.js - API service functions for bug comments
+
+import { authFetch } from './authService';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const commentsUrl = (bugId) => `${API_BASE_URL}/bugs/${bugId}/comments`;
+
+// Shared request helper - returns the response payload or throws the API error
+const request = async (url, options, failureMessage) => {
+  try {
+    const response = await authFetch(url, options);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `${failureMessage}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data || data;
+  } catch (error) {
+    console.error(`${failureMessage}:`, error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch the comments on a bug, oldest first
+ * @param {string} bugId - Bug ID
+ * @returns {Promise} Promise that resolves to an array of comments
+ */
+export const getComments = (bugId) => {
+  return request(commentsUrl(bugId), { method: 'GET' }, 'Failed to fetch comments');
+};
+
+/**
+ * Add a comment to a bug
+ * @param {string} bugId - Bug ID
+ * @param {string} body - Comment text
+ * @returns {Promise} Promise that resolves to the created comment
+ */
+export const addComment = (bugId, body) => {
+  return request(
+    commentsUrl(bugId),
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ body }),
+    },
+    'Failed to add comment'
+  );
+};
+
+/**
+ * Edit one of the logged-in user's comments
+ * @param {string} bugId - Bug ID
+ * @param {string} commentId - Comment ID
+ * @param {string} body - New comment text
+ * @returns {Promise} Promise that resolves to the updated comment
+ */
+export const updateComment = (bugId, commentId, body) => {
+  return request(
+    `${commentsUrl(bugId)}/${commentId}`,
+    {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ body }),
+    },
+    'Failed to update comment'
+  );
+};
+
+/**
+ * Delete a comment
+ * @param {string} bugId - Bug ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise} Promise that resolves when the comment is deleted
+ */
+export const deleteComment = async (bugId, commentId) => {
+  await request(`${commentsUrl(bugId)}/${commentId}`, { method: 'DELETE' }, 'Failed to delete comment');
+  return true;
+};
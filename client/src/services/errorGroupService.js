@@ -0,0 +1,66 @@
+// errorGroupService.js - API service functions for grouped errors (admin only)
+
+import { authFetch } from './authService';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+/**
+ * Fetch a page of error groups
+ * @param {Object} options - { sort: lastSeen|count|firstSeen, platform: client|server, cursor }
+ * @returns {Promise} Promise that resolves to { groups, nextCursor, total }
+ */
+export const getErrorGroups = async ({ sort, platform, cursor } = {}) => {
+  try {
+    const queryParams = new URLSearchParams();
+
+    if (sort) queryParams.append('sort', sort);
+    if (platform) queryParams.append('platform', platform);
+    if (cursor) queryParams.append('cursor', cursor);
+
+    const query = queryParams.toString();
+    const response = await authFetch(`${API_BASE_URL}/errors/groups${query ? `?${query}` : ''}`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Failed to fetch error groups: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return {
+      groups: data.data,
+      nextCursor: data.nextCursor || null,
+      total: data.total,
+    };
+  } catch (error) {
+    console.error('Error fetching error groups:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch one error group with its most recent reports
+ * @param {string} id - Error group ID
+ * @returns {Promise} Promise that resolves to the group, with a reports array
+ */
+export const getErrorGroup = async (id) => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/errors/groups/${id}`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Failed to fetch error group: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data;
+  } catch (error) {
+    console.error('Error fetching error group:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,168 @@
+// errorReportingService.js - Batches errors caught in the browser and sends them to the server
+
+import { getSession } from './authService';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Build version sent with every report, so errors can be matched to a release
+export const APP_VERSION = process.env.REACT_APP_VERSION || 'development';
+
+// Reports caught within this delay are sent together
+const BATCH_DELAY_MS = 2000;
+// Most reports per request; the server accepts up to ERROR_REPORT_MAX_BATCH
+const MAX_BATCH_SIZE = 10;
+// Oldest reports are dropped beyond this, so an error loop can't use up memory
+const MAX_QUEUE_SIZE = 50;
+// A failed batch is retried with doubling delays, then dropped
+const RETRY_MIN_MS = 1000;
+const MAX_ATTEMPTS = 4;
+
+let queue = [];
+let flushTimer = null;
+let sending = false;
+// Report of each error object already queued; in development React also passes errors the
+// ErrorBoundary catches to window.onerror, before the boundary sees them
+const reported = new WeakMap();
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Build a report from an error, or from any value a promise was rejected with
+ * @param {*} error - Error or other thrown value
+ * @param {Object} details - { source, componentStack }
+ * @returns {Object} Report in the shape POST /api/errors expects
+ */
+const toReport = (error, { source, componentStack } = {}) => {
+  const isError = error instanceof Error;
+  let message = isError ? error.message : error?.message;
+  if (typeof message !== 'string' || !message) {
+    try {
+      message = typeof error === 'string' ? error : JSON.stringify(error) || String(error);
+    } catch (err) {
+      message = String(error);
+    }
+  }
+
+  return {
+    message,
+    name: isError ? error.name : undefined,
+    stack: isError ? error.stack : undefined,
+    componentStack,
+    source,
+    url: window.location.href,
+    userAgent: navigator.userAgent,
+    appVersion: APP_VERSION,
+    occurredAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Send one batch, retrying network failures, rate limits and server errors
+ * Other rejections (such as 400) would fail again, so the batch is dropped
+ * @param {Object[]} batch - Reports
+ * @returns {Promise<void>}
+ */
+const sendBatch = async (batch) => {
+  const session = getSession();
+  const headers = { 'Content-Type': 'application/json' };
+  if (session?.accessToken) {
+    headers.Authorization = `Bearer ${session.accessToken}`;
+  }
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    let retryAfterMs = 0;
+    try {
+      const response = await fetch(`${API_BASE_URL}/errors`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ reports: batch }),
+      });
+      if (response.ok) {
+        return;
+      }
+      if (response.status !== 429 && response.status < 500) {
+        console.warn(`Error reports were rejected: ${response.status}`);
+        return;
+      }
+      retryAfterMs = Number(response.headers.get('Retry-After')) * 1000 || 0;
+    } catch (error) {
+      // Offline or the server is down; retried below
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      await wait(Math.max(RETRY_MIN_MS * 2 ** (attempt - 1), retryAfterMs));
+    }
+  }
+  console.warn(`Dropped ${batch.length} error report(s) after ${MAX_ATTEMPTS} attempts`);
+};
+
+/**
+ * Send every queued report now, one batch at a time
+ * @returns {Promise<void>}
+ */
+export const flushErrorReports = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (sending) {
+    return;
+  }
+
+  sending = true;
+  try {
+    while (queue.length > 0) {
+      await sendBatch(queue.splice(0, MAX_BATCH_SIZE));
+    }
+  } finally {
+    sending = false;
+  }
+};
+
+/**
+ * Queue an error to be sent to the server with the next batch
+ * @param {*} error - Error or other thrown value
+ * @param {Object} [details] - { source: boundary|onerror|unhandledrejection, componentStack }
+ */
+export const reportError = (error, details = {}) => {
+  const isObject = error !== null && typeof error === 'object';
+  if (isObject && reported.has(error)) {
+    // Keep one report, with the component stack if the boundary adds it
+    if (details.componentStack) {
+      Object.assign(reported.get(error), { source: 'boundary', componentStack: details.componentStack });
+    }
+    return;
+  }
+
+  const report = toReport(error, { source: 'boundary', ...details });
+  if (isObject) {
+    reported.set(error, report);
+  }
+  queue.push(report);
+  if (queue.length > MAX_QUEUE_SIZE) {
+    queue = queue.slice(-MAX_QUEUE_SIZE);
+  }
+
+  if (!flushTimer && !sending) {
+    flushTimer = setTimeout(flushErrorReports, BATCH_DELAY_MS);
+  }
+};
+
+/**
+ * Report uncaught errors and unhandled promise rejections from anywhere in the app
+ * @returns {Function} Removes the handlers again
+ */
+export const installGlobalErrorHandlers = () => {
+  const handleError = (event) => {
+    reportError(event.error || event.message, { source: 'onerror' });
+  };
+  const handleRejection = (event) => {
+    reportError(event.reason, { source: 'unhandledrejection' });
+  };
+
+  window.addEventListener('error', handleError);
+  window.addEventListener('unhandledrejection', handleRejection);
+
+  return () => {
+    window.removeEventListener('error', handleError);
+    window.removeEventListener('unhandledrejection', handleRejection);
+  };
+};
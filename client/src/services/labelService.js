@@ -0,0 +1,87 @@
+// labelService.js - API service functions for the label registry
+
+import { authFetch } from './authService';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const labelsUrl = `${API_BASE_URL}/labels`;
+
+// Shared request helper - returns the response payload or throws the API error
+const request = async (url, options, failureMessage) => {
+  try {
+    const response = await authFetch(url, options);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `${failureMessage}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data || data;
+  } catch (error) {
+    console.error(`${failureMessage}:`, error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch the label registry, sorted by name
+ * @param {string} q - Optional name prefix
+ * @returns {Promise} Promise that resolves to an array of labels (name, color, description, bugCount)
+ */
+export const getLabels = (q = '') => {
+  const url = q ? `${labelsUrl}?q=${encodeURIComponent(q)}` : labelsUrl;
+  return request(url, { method: 'GET' }, 'Failed to fetch labels');
+};
+
+/**
+ * Create a label
+ * @param {Object} label - name, color and description
+ * @returns {Promise} Promise that resolves to the created label
+ */
+export const createLabel = (label) => {
+  return request(
+    labelsUrl,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(label),
+    },
+    'Failed to create label'
+  );
+};
+
+/**
+ * Update a label; a new name is applied to every bug using the label
+ * @param {string} id - Label ID
+ * @param {Object} changes - name, color and/or description
+ * @returns {Promise} Promise that resolves to the updated label
+ */
+export const updateLabel = (id, changes) => {
+  return request(
+    `${labelsUrl}/${id}`,
+    {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(changes),
+    },
+    'Failed to update label'
+  );
+};
+
+/**
+ * Delete a label and remove it from every bug
+ * @param {string} id - Label ID
+ * @returns {Promise} Promise that resolves when the label is deleted
+ */
+export const deleteLabel = async (id) => {
+  await request(`${labelsUrl}/${id}`, { method: 'DELETE' }, 'Failed to delete label');
+  return true;
+};
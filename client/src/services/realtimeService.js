@@ -0,0 +1,148 @@
+// realtimeService.js - WebSocket connection for live bug updates and presence
+
+import { getSession, refreshSession, clearSession, SESSION_EXPIRED_EVENT } from './authService';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// The socket is served next to the API: http://host/api -> ws://host/ws
+export const REALTIME_URL =
+  process.env.REACT_APP_WS_URL || `${API_BASE_URL.replace(/^http/, 'ws').replace(/\/api\/?$/, '')}/ws`;
+
+// Reconnect delays double after each failed attempt up to the maximum
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// Close code the server uses when the access token is missing, expired or revoked
+export const CLOSE_UNAUTHORIZED = 4401;
+
+// Id the server gave this tab's connection; sent with API writes so our own changes aren't echoed
+let clientId = null;
+
+/**
+ * Get the id of the current realtime connection
+ * @returns {string|null} Connection id, or null while disconnected
+ */
+export const getClientId = () => clientId;
+
+/**
+ * Open a realtime connection that reconnects until closed
+ * Nothing is opened without a stored session. When the server rejects the token the
+ * session is refreshed and the socket reconnected once; if the token is rejected again,
+ * or can't be refreshed, the connection gives up instead of retrying
+ * @param {Object} handlers
+ * @param {Function} handlers.onMessage - Called with each server message
+ * @param {Function} [handlers.onStatusChange] - Called with true once authenticated and false on disconnect
+ * @returns {Object} { viewBug(bugId), leaveBug(bugId), close() }
+ */
+export const connectRealtime = ({ onMessage, onStatusChange = () => {} }) => {
+  let socket = null;
+  let ready = false;
+  let closed = false;
+  let retryTimer = null;
+  let retryDelay = RECONNECT_MIN_MS;
+  // Set after reconnecting with a refreshed token, until the server accepts a token again
+  let refreshed = false;
+  // Bugs on screen, re-announced after every reconnect
+  const viewing = new Set();
+
+  const send = (message) => {
+    if (ready && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const scheduleReconnect = () => {
+    retryTimer = setTimeout(open, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RECONNECT_MAX_MS);
+  };
+
+  const open = () => {
+    const session = getSession();
+    if (closed || !session?.accessToken) {
+      return;
+    }
+    const { accessToken } = session;
+
+    socket = new WebSocket(REALTIME_URL);
+
+    // The token is read again on every attempt, so a refreshed session is picked up
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ type: 'auth', token: accessToken }));
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+
+      if (message.type === 'ready') {
+        ready = true;
+        clientId = message.clientId;
+        retryDelay = RECONNECT_MIN_MS;
+        refreshed = false;
+        viewing.forEach((bugId) => send({ type: 'presence:join', bugId }));
+        onStatusChange(true);
+      }
+      onMessage(message);
+    };
+
+    socket.onclose = (event) => {
+      if (ready) {
+        onStatusChange(false);
+      }
+      ready = false;
+      clientId = null;
+      if (closed) {
+        return;
+      }
+      if (event.code === CLOSE_UNAUTHORIZED) {
+        reauthenticate(accessToken);
+      } else {
+        scheduleReconnect();
+      }
+    };
+  };
+
+  // Retrying with a token the server rejected would only be rejected again
+  const reauthenticate = async (rejectedToken) => {
+    if (refreshed) {
+      return;
+    }
+    refreshed = true;
+
+    // Another request may already have refreshed the session
+    if (getSession()?.accessToken === rejectedToken) {
+      try {
+        await refreshSession();
+      } catch (error) {
+        clearSession();
+        window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+        return;
+      }
+    }
+    open();
+  };
+
+  open();
+
+  return {
+    viewBug(bugId) {
+      viewing.add(bugId);
+      send({ type: 'presence:join', bugId });
+    },
+    leaveBug(bugId) {
+      viewing.delete(bugId);
+      send({ type: 'presence:leave', bugId });
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) {
+        socket.close();
+      }
+    },
+  };
+};
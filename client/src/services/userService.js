@@ -0,0 +1,28 @@
+// userService.js - API service functions for users
+
+import { authFetch } from './authService';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+/**
+ * Fetch the users bugs can be assigned to
+ * @returns {Promise} Promise that resolves to an array of users (name, email, role)
+ */
+export const getAssignees = async () => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/users/assignees`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch assignees: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data || data;
+  } catch (error) {
+    console.error('Error fetching assignees:', error);
+    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
+      throw new Error('Unable to connect to the server. Please ensure the backend server is running on port 5000.');
+    }
+    throw error;
+  }
+};
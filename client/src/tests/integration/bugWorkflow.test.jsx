@@ -6,9 +6,22 @@ import '@testing-library/jest-dom';
 import App from '../../App';
 import { BugProvider } from '../../context/BugContext';
 import * as bugService from '../../services/bugService';
+import { getAssignees } from '../../services/userService';
+import { saveSession, clearSession } from '../../services/authService';
 
 // Mock the bug service
 jest.mock('../../services/bugService');
+jest.mock('../../services/userService');
+jest.mock('../../services/labelService', () => ({
+  getLabels: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../../services/realtimeService', () => ({
+  connectRealtime: jest.fn(() => ({ viewBug: jest.fn(), leaveBug: jest.fn(), close: jest.fn() })),
+  getClientId: jest.fn(() => null),
+}));
+
+// Wrap bugs in the page shape returned by bugService.getBugs
+const toPage = (bugs, nextCursor = null) => ({ bugs, nextCursor, total: bugs.length });
 
 // Mock window.confirm and window.alert
 global.window.confirm = jest.fn(() => true);
@@ -42,12 +55,22 @@ describe('Bug Workflow Integration Tests', () => {
     jest.clearAllMocks();
     global.window.confirm.mockReturnValue(true);
     global.window.alert.mockClear();
+    getAssignees.mockResolvedValue([]);
+    saveSession({
+      user: { _id: 'u1', name: 'Test User', email: 'test@example.com', role: 'admin' },
+      accessToken: 'access',
+      refreshToken: 'refresh',
+    });
+  });
+
+  afterEach(() => {
+    clearSession();
   });
 
   describe('User Flow: Fill and Submit Bug Report Form', () => {
     it('should complete full flow of creating a new bug report', async () => {
       // Mock initial bugs list
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
 
       // Mock create bug
       const newBug = {
@@ -63,7 +86,7 @@ describe('Bug Workflow Integration Tests', () => {
       bugService.createBug.mockResolvedValue(newBug);
 
       // After creation, return updated list
-      bugService.getBugs.mockResolvedValue([...mockBugs, newBug]);
+      bugService.getBugs.mockResolvedValue(toPage([...mockBugs, newBug]));
 
       render(
         <BugProvider>
@@ -88,20 +111,17 @@ describe('Bug Workflow Integration Tests', () => {
       // Fill out the form
       const titleInput = screen.getByLabelText(/title/i);
       const descriptionInput = screen.getByLabelText(/description/i);
-      const reporterInput = screen.getByLabelText(/reporter/i);
       const statusSelect = screen.getByLabelText(/status/i);
       const prioritySelect = screen.getByLabelText(/priority/i);
 
       fireEvent.change(titleInput, { target: { value: 'New Bug Report' } });
       fireEvent.change(descriptionInput, { target: { value: 'This is a new bug that needs to be fixed' } });
-      fireEvent.change(reporterInput, { target: { value: 'Test User' } });
       fireEvent.change(statusSelect, { target: { value: 'open' } });
       fireEvent.change(prioritySelect, { target: { value: 'high' } });
 
       // Verify form fields are filled
       expect(titleInput).toHaveValue('New Bug Report');
       expect(descriptionInput).toHaveValue('This is a new bug that needs to be fixed');
-      expect(reporterInput).toHaveValue('Test User');
 
       // Submit the form
       const submitButton = screen.getByRole('button', { name: /create bug/i });
@@ -114,7 +134,8 @@ describe('Bug Workflow Integration Tests', () => {
           description: 'This is a new bug that needs to be fixed',
           status: 'open',
           priority: 'high',
-          reporter: 'Test User',
+          assignee: null,
+          labels: [],
         });
       });
 
@@ -130,7 +151,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should show validation errors when form is submitted with invalid data', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
 
       render(
         <BugProvider>
@@ -158,7 +179,6 @@ describe('Bug Workflow Integration Tests', () => {
       await waitFor(() => {
         expect(screen.getByText(/title is required/i)).toBeInTheDocument();
         expect(screen.getByText(/description is required/i)).toBeInTheDocument();
-        expect(screen.getByText(/reporter name is required/i)).toBeInTheDocument();
       });
 
       // Verify API was not called
@@ -166,7 +186,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should show error message when API call fails', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
       bugService.createBug.mockRejectedValue(new Error('Failed to create bug'));
 
       render(
@@ -190,7 +210,6 @@ describe('Bug Workflow Integration Tests', () => {
       // Fill and submit form
       fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Test Bug' } });
       fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Test Description' } });
-      fireEvent.change(screen.getByLabelText(/reporter/i), { target: { value: 'Test Reporter' } });
 
       const submitButton = screen.getByRole('button', { name: /create bug/i });
       fireEvent.click(submitButton);
@@ -202,7 +221,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should show loading state during form submission', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
       
       // Create a promise that we can control
       let resolveCreate;
@@ -232,7 +251,6 @@ describe('Bug Workflow Integration Tests', () => {
       // Fill form
       fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Test Bug' } });
       fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Test Description' } });
-      fireEvent.change(screen.getByLabelText(/reporter/i), { target: { value: 'Test Reporter' } });
 
       // Submit form
       const submitButton = screen.getByRole('button', { name: /create bug/i });
@@ -246,7 +264,7 @@ describe('Bug Workflow Integration Tests', () => {
 
       // Resolve the promise
       resolveCreate({ _id: '3', title: 'Test Bug' });
-      bugService.getBugs.mockResolvedValue([...mockBugs, { _id: '3', title: 'Test Bug' }]);
+      bugService.getBugs.mockResolvedValue(toPage([...mockBugs, { _id: '3', title: 'Test Bug' }]));
 
       // Wait for completion
       await waitFor(() => {
@@ -257,7 +275,7 @@ describe('Bug Workflow Integration Tests', () => {
 
   describe('User Flow: View List of Reported Bugs', () => {
     it('should display all bugs in the list', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
 
       render(
         <BugProvider>
@@ -295,7 +313,7 @@ describe('Bug Workflow Integration Tests', () => {
       expect(screen.getByText(/loading bugs/i)).toBeInTheDocument();
 
       // Resolve the promise
-      resolveGetBugs(mockBugs);
+      resolveGetBugs(toPage(mockBugs));
 
       // Wait for bugs to appear
       await waitFor(() => {
@@ -325,7 +343,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should show empty state when no bugs exist', async () => {
-      bugService.getBugs.mockResolvedValue([]);
+      bugService.getBugs.mockResolvedValue(toPage([]));
 
       render(
         <BugProvider>
@@ -340,7 +358,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should filter bugs by status', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
 
       render(
         <BugProvider>
@@ -362,7 +380,7 @@ describe('Bug Workflow Integration Tests', () => {
 
       // Mock filtered response
       const filteredBugs = [mockBugs[0]];
-      bugService.getBugs.mockResolvedValue(filteredBugs);
+      bugService.getBugs.mockResolvedValue(toPage(filteredBugs));
 
       // Wait for filter to apply
       await waitFor(() => {
@@ -373,7 +391,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should filter bugs by priority', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
 
       render(
         <BugProvider>
@@ -395,7 +413,7 @@ describe('Bug Workflow Integration Tests', () => {
 
       // Mock filtered response
       const filteredBugs = [mockBugs[1]];
-      bugService.getBugs.mockResolvedValue(filteredBugs);
+      bugService.getBugs.mockResolvedValue(toPage(filteredBugs));
 
       // Wait for filter to apply
       await waitFor(() => {
@@ -406,9 +424,65 @@ describe('Bug Workflow Integration Tests', () => {
     });
   });
 
+  describe('User Flow: Load More Bugs', () => {
+    it('should append the next page when Load More is clicked', async () => {
+      const olderBug = {
+        _id: '3',
+        title: 'Older Bug',
+        description: 'Description of older bug',
+        status: 'open',
+        priority: 'low',
+        reporter: 'Jane Smith',
+        createdAt: '2024-01-10T09:00:00Z',
+        updatedAt: '2024-01-10T09:00:00Z',
+      };
+      bugService.getBugs.mockImplementation(async (filters, pagination = {}) =>
+        pagination.cursor === 'cursor-1'
+          ? { bugs: [olderBug], nextCursor: null, total: 3 }
+          : { bugs: mockBugs, nextCursor: 'cursor-1', total: 3 }
+      );
+
+      render(
+        <BugProvider>
+          <App />
+        </BugProvider>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByText('Existing Bug 1')).toBeInTheDocument();
+      });
+      expect(screen.getByText(/bugs \(3\)/i)).toBeInTheDocument();
+      expect(screen.queryByText('Older Bug')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /load more/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Older Bug')).toBeInTheDocument();
+      });
+      expect(bugService.getBugs).toHaveBeenLastCalledWith({}, { cursor: 'cursor-1' });
+      expect(screen.getByText('Existing Bug 1')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: /load more/i })).not.toBeInTheDocument();
+    });
+
+    it('should hide Load More when there is only one page', async () => {
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
+
+      render(
+        <BugProvider>
+          <App />
+        </BugProvider>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByText('Existing Bug 1')).toBeInTheDocument();
+      });
+      expect(screen.queryByRole('button', { name: /load more/i })).not.toBeInTheDocument();
+    });
+  });
+
   describe('User Flow: Update Bug Status', () => {
     it('should update bug status through edit form', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
 
       const updatedBug = {
         ...mockBugs[0],
@@ -416,7 +490,7 @@ describe('Bug Workflow Integration Tests', () => {
         updatedAt: new Date().toISOString(),
       };
       bugService.updateBug.mockResolvedValue(updatedBug);
-      bugService.getBugs.mockResolvedValue([updatedBug, mockBugs[1]]);
+      bugService.getBugs.mockResolvedValue(toPage([updatedBug, mockBugs[1]]));
 
       render(
         <BugProvider>
@@ -461,7 +535,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should update multiple fields at once', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
 
       const updatedBug = {
         ...mockBugs[0],
@@ -471,7 +545,7 @@ describe('Bug Workflow Integration Tests', () => {
         updatedAt: new Date().toISOString(),
       };
       bugService.updateBug.mockResolvedValue(updatedBug);
-      bugService.getBugs.mockResolvedValue([updatedBug, mockBugs[1]]);
+      bugService.getBugs.mockResolvedValue(toPage([updatedBug, mockBugs[1]]));
 
       render(
         <BugProvider>
@@ -514,7 +588,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should show error when update fails', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
       bugService.updateBug.mockRejectedValue(new Error('Failed to update bug'));
 
       render(
@@ -549,9 +623,9 @@ describe('Bug Workflow Integration Tests', () => {
 
   describe('User Flow: Delete Bugs', () => {
     it('should delete a bug after confirmation', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
       bugService.deleteBug.mockResolvedValue(true);
-      bugService.getBugs.mockResolvedValue([mockBugs[1]]); // After deletion
+      bugService.getBugs.mockResolvedValue(toPage([mockBugs[1]])); // After deletion
 
       render(
         <BugProvider>
@@ -585,7 +659,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should not delete bug when confirmation is cancelled', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
       global.window.confirm.mockReturnValue(false);
 
       render(
@@ -610,7 +684,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should show alert when delete fails', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
       bugService.deleteBug.mockRejectedValue(new Error('Failed to delete bug'));
 
       render(
@@ -636,9 +710,9 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should update bug count after deletion', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
       bugService.deleteBug.mockResolvedValue(true);
-      bugService.getBugs.mockResolvedValue([mockBugs[1]]);
+      bugService.getBugs.mockResolvedValue(toPage([mockBugs[1]]));
 
       render(
         <BugProvider>
@@ -664,7 +738,7 @@ describe('Bug Workflow Integration Tests', () => {
   describe('Complete User Journey', () => {
     it('should complete full cycle: create, view, edit, delete', async () => {
       // Initial state - no bugs
-      bugService.getBugs.mockResolvedValue([]);
+      bugService.getBugs.mockResolvedValue(toPage([]));
 
       render(
         <BugProvider>
@@ -690,7 +764,7 @@ describe('Bug Workflow Integration Tests', () => {
       };
 
       bugService.createBug.mockResolvedValue(newBug);
-      bugService.getBugs.mockResolvedValue([newBug]);
+      bugService.getBugs.mockResolvedValue(toPage([newBug]));
 
       const reportButton = screen.getByRole('button', { name: /report new bug/i });
       fireEvent.click(reportButton);
@@ -701,7 +775,6 @@ describe('Bug Workflow Integration Tests', () => {
 
       fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Journey Bug' } });
       fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'A bug for the complete journey' } });
-      fireEvent.change(screen.getByLabelText(/reporter/i), { target: { value: 'Journey User' } });
 
       const createButton = screen.getByRole('button', { name: /create bug/i });
       fireEvent.click(createButton);
@@ -719,7 +792,7 @@ describe('Bug Workflow Integration Tests', () => {
         priority: 'high',
       };
       bugService.updateBug.mockResolvedValue(updatedBug);
-      bugService.getBugs.mockResolvedValue([updatedBug]);
+      bugService.getBugs.mockResolvedValue(toPage([updatedBug]));
 
       const editButton = screen.getByRole('button', { name: /edit/i });
       fireEvent.click(editButton);
@@ -741,7 +814,7 @@ describe('Bug Workflow Integration Tests', () => {
 
       // Step 6: Delete the bug
       bugService.deleteBug.mockResolvedValue(true);
-      bugService.getBugs.mockResolvedValue([]);
+      bugService.getBugs.mockResolvedValue(toPage([]));
 
       const deleteButton = screen.getByRole('button', { name: /delete/i });
       fireEvent.click(deleteButton);
@@ -773,7 +846,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should handle partial form submission errors', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
       bugService.createBug.mockRejectedValue(new Error('Server error'));
 
       render(
@@ -796,7 +869,6 @@ describe('Bug Workflow Integration Tests', () => {
 
       fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Test Bug' } });
       fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Test Description' } });
-      fireEvent.change(screen.getByLabelText(/reporter/i), { target: { value: 'Test Reporter' } });
 
       // Submit and get error
       const submitButton = screen.getByRole('button', { name: /create bug/i });
@@ -812,7 +884,7 @@ describe('Bug Workflow Integration Tests', () => {
     });
 
     it('should maintain form state after validation error', async () => {
-      bugService.getBugs.mockResolvedValue(mockBugs);
+      bugService.getBugs.mockResolvedValue(toPage(mockBugs));
 
       render(
         <BugProvider>
@@ -6,9 +6,36 @@ import '@testing-library/jest-dom';
 import App from '../../App';
 import { BugProvider } from '../../context/BugContext';
 import * as bugService from '../../services/bugService';
+import { DEFAULT_WORKFLOW } from '../../utils/workflow';
+import { getAssignees } from '../../services/userService';
+import { saveSession, clearSession, logout, login } from '../../services/authService';
+import { getErrorGroups } from '../../services/errorGroupService';
 
 // Mock the bug service
 jest.mock('../../services/bugService');
+jest.mock('../../services/userService');
+jest.mock('../../services/commentService', () => ({
+  getComments: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../../services/labelService', () => ({
+  getLabels: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../../services/attachmentService', () => ({
+  getAttachments: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../../services/errorGroupService', () => ({
+  getErrorGroups: jest.fn(),
+  getErrorGroup: jest.fn(),
+}));
+
+// Keep session storage real but stub the network calls
+jest.mock('../../services/authService', () => ({
+  ...jest.requireActual('../../services/authService'),
+  login: jest.fn(),
+  logout: jest.fn(),
+}));
+
+const testUser = { _id: 'u1', name: 'Test User', email: 'test@example.com', role: 'admin' };
 
 // Mock BugContext
 const mockBugs = [
@@ -37,11 +64,15 @@ const createMockContext = (overrides = {}) => ({
   loading: false,
   error: null,
   filters: {},
+  workflow: DEFAULT_WORKFLOW,
   createBug: jest.fn().mockResolvedValue({ _id: '3', title: 'New Bug' }),
   updateBug: jest.fn().mockResolvedValue({ _id: '1', title: 'Updated Bug' }),
   deleteBug: jest.fn().mockResolvedValue(true),
   loadBugs: jest.fn(),
   updateFilters: jest.fn(),
+  viewers: {},
+  viewBug: jest.fn(),
+  leaveBug: jest.fn(),
   ...overrides,
 });
 
@@ -57,6 +88,13 @@ describe('App Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     useBugs.mockReturnValue(createMockContext());
+    getAssignees.mockResolvedValue([]);
+    bugService.getBugHistory.mockResolvedValue([]);
+    saveSession({ user: testUser, accessToken: 'access', refreshToken: 'refresh' });
+  });
+
+  afterEach(() => {
+    clearSession();
   });
 
   describe('Initial Rendering', () => {
@@ -115,7 +153,6 @@ describe('App Component', () => {
 
       expect(screen.getByLabelText(/title/i)).toBeInTheDocument();
       expect(screen.getByLabelText(/description/i)).toBeInTheDocument();
-      expect(screen.getByLabelText(/reporter/i)).toBeInTheDocument();
     });
 
     it('should render form in create mode when creating new bug', () => {
@@ -196,7 +233,6 @@ describe('App Component', () => {
       // Fill form
       fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'New Bug' } });
       fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Description' } });
-      fireEvent.change(screen.getByLabelText(/reporter/i), { target: { value: 'Reporter' } });
 
       // Submit form
       const submitButton = screen.getByRole('button', { name: /create bug/i });
@@ -261,6 +297,206 @@ describe('App Component', () => {
     });
   });
 
+  describe('Bug Detail View', () => {
+    it('should open the detail view with comments when a bug is viewed', async () => {
+      render(<App />);
+
+      fireEvent.click(screen.getByLabelText(/view bug: bug 1/i));
+
+      expect(screen.getByRole('heading', { name: 'Bug 1' })).toBeInTheDocument();
+      expect(screen.queryByText('Bug 2')).not.toBeInTheDocument();
+      expect(await screen.findByText(/no attachments/i)).toBeInTheDocument();
+      expect(await screen.findByText(/no comments yet/i)).toBeInTheDocument();
+      expect(await screen.findByText(/no changes recorded/i)).toBeInTheDocument();
+    });
+
+    it('should return to the bug list from the detail view', async () => {
+      render(<App />);
+
+      fireEvent.click(screen.getByLabelText(/view bug: bug 1/i));
+      await screen.findByText(/no comments yet/i);
+      fireEvent.click(screen.getByRole('button', { name: /back to list/i }));
+
+      expect(screen.getByText('Bug 2')).toBeInTheDocument();
+    });
+
+    it('should return to the detail view after cancelling an edit started there', async () => {
+      render(<App />);
+
+      fireEvent.click(screen.getByLabelText(/view bug: bug 1/i));
+      await screen.findByText(/no comments yet/i);
+      fireEvent.click(screen.getByLabelText(/edit bug: bug 1/i));
+
+      expect(screen.getByDisplayValue('Bug 1')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /cancel/i }));
+
+      expect(await screen.findByRole('button', { name: /back to list/i })).toBeInTheDocument();
+    });
+
+    it('should mark the bug as a duplicate of a suggested bug', async () => {
+      const markDuplicate = jest.fn().mockResolvedValue({ _id: '1', status: 'resolved' });
+      useBugs.mockReturnValue(createMockContext({ markDuplicate }));
+      bugService.findSimilarBugs.mockResolvedValue([
+        { _id: '9', title: 'Bug 1 again', status: 'open', similarity: 0.8 },
+      ]);
+      render(<App />);
+
+      fireEvent.click(screen.getByLabelText(/view bug: bug 1/i));
+      fireEvent.click(screen.getByRole('button', { name: /mark as duplicate/i }));
+
+      expect(bugService.findSimilarBugs).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Bug 1', exclude: '1' })
+      );
+      fireEvent.click(await screen.findByRole('button', { name: 'Mark as duplicate of Bug 1 again' }));
+
+      await waitFor(() => {
+        expect(markDuplicate).toHaveBeenCalledWith('1', '9');
+      });
+      await waitFor(() => {
+        expect(screen.queryByRole('region', { name: /mark as duplicate/i })).not.toBeInTheDocument();
+      });
+    });
+
+    it('should show the original of a duplicate bug', async () => {
+      const duplicate = {
+        ...mockBugs[0],
+        status: 'resolved',
+        duplicateOf: { _id: '2', title: 'Bug 2', status: 'open' },
+      };
+      useBugs.mockReturnValue(createMockContext({ bugs: [duplicate, mockBugs[1]] }));
+      render(<App />);
+
+      fireEvent.click(screen.getByLabelText(/view bug: bug 1/i));
+
+      expect(screen.getByRole('note')).toHaveTextContent('Duplicate of Bug 2');
+      expect(screen.queryByRole('button', { name: /mark as duplicate/i })).not.toBeInTheDocument();
+      await screen.findByText(/no comments yet/i);
+    });
+  });
+
+  describe('Import', () => {
+    it('should open and close the import wizard', () => {
+      render(<App />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Import Bugs' }));
+
+      expect(screen.getByRole('heading', { name: 'Import Bugs' })).toBeInTheDocument();
+      expect(screen.queryByText(/bugs \(\d+\)/i)).not.toBeInTheDocument();
+    });
+
+    it('should not offer importing to users without permission', () => {
+      saveSession({ user: { ...testUser, role: 'developer' }, accessToken: 'access', refreshToken: 'refresh' });
+
+      render(<App />);
+
+      expect(screen.queryByRole('button', { name: 'Import Bugs' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Dashboard View', () => {
+    const stats = {
+      range: { from: '2024-01-01', to: '2024-01-02' },
+      byStatusPriority: {
+        statuses: ['open', 'in-progress', 'resolved'],
+        priorities: ['low', 'medium', 'high', 'critical'],
+        counts: {
+          open: { low: 0, medium: 0, high: 0, critical: 1 },
+          'in-progress': { low: 0, medium: 0, high: 0, critical: 0 },
+          resolved: { low: 0, medium: 0, high: 0, critical: 0 },
+        },
+        total: 1,
+      },
+      daily: [
+        { date: '2024-01-01', opened: 1, resolved: 0 },
+        { date: '2024-01-02', opened: 0, resolved: 0 },
+      ],
+      meanTimeToResolve: { averageMs: null, count: 0 },
+      cycleTime: { averageMs: null, count: 0, reopened: 0 },
+      oldestOpenCritical: [
+        { _id: '9', title: 'Checkout down', description: 'Payments fail', status: 'open', priority: 'critical', reporter: 'Ops', createdAt: '2024-01-01T00:00:00Z' },
+      ],
+    };
+
+    beforeEach(() => {
+      bugService.getBugStats.mockResolvedValue(stats);
+    });
+
+    it('should switch between the bug list and the dashboard', async () => {
+      render(<App />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Dashboard' }));
+
+      expect(await screen.findByText('Checkout down')).toBeInTheDocument();
+      expect(screen.queryByText(/bugs \(\d+\)/i)).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Bugs' }));
+
+      expect(screen.getByText(/bugs \(\d+\)/i)).toBeInTheDocument();
+    });
+
+    it('should open a critical bug from the dashboard and come back to it', async () => {
+      render(<App />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Dashboard' }));
+      fireEvent.click(await screen.findByLabelText(/view bug: checkout down/i));
+
+      expect(screen.getByRole('heading', { name: 'Checkout down' })).toBeInTheDocument();
+      await screen.findByText(/no comments yet/i);
+
+      fireEvent.click(screen.getByRole('button', { name: /back to list/i }));
+
+      expect(await screen.findByRole('heading', { name: 'Dashboard' })).toBeInTheDocument();
+    });
+  });
+
+  describe('Errors View', () => {
+    const group = {
+      _id: 'g1',
+      platform: 'client',
+      name: 'TypeError',
+      title: 'Cannot read properties of undefined',
+      culprit: 'BugItem (/static/js/main.js)',
+      count: 12,
+      firstSeen: '2024-01-01T00:00:00.000Z',
+      lastSeen: '2024-01-02T00:00:00.000Z',
+      stack: 'TypeError: Cannot read properties of undefined\n    at BugItem (main.js:1:2)',
+    };
+
+    beforeEach(() => {
+      getErrorGroups.mockResolvedValue({ groups: [group], nextCursor: null, total: 1 });
+    });
+
+    it('should open the bug form filled in from an error group', async () => {
+      render(<App />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Errors' }));
+      fireEvent.click(await screen.findByRole('button', { name: /create bug from this error/i }));
+
+      expect(screen.getByLabelText(/title/i)).toHaveValue('TypeError: Cannot read properties of undefined');
+      expect(screen.getByLabelText(/description/i).value).toContain('at BugItem (main.js:1:2)');
+    });
+
+    it('should start a new bug empty after a bug from an error was cancelled', async () => {
+      render(<App />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Errors' }));
+      fireEvent.click(await screen.findByRole('button', { name: /create bug from this error/i }));
+      fireEvent.click(screen.getByRole('button', { name: /cancel/i }));
+      fireEvent.click(screen.getByRole('button', { name: /report new bug/i }));
+
+      expect(screen.getByLabelText(/title/i)).toHaveValue('');
+    });
+
+    it('should only show the errors tab to admins', () => {
+      saveSession({ user: { ...testUser, role: 'triager' }, accessToken: 'access', refreshToken: 'refresh' });
+
+      render(<App />);
+
+      expect(screen.queryByRole('button', { name: 'Errors' })).not.toBeInTheDocument();
+    });
+  });
+
   describe('State Management', () => {
     it('should maintain separate state for showForm and editingBug', () => {
       render(<App />);
@@ -283,6 +519,48 @@ describe('App Component', () => {
     });
   });
 
+  describe('Authentication', () => {
+    it('should show the login form when no user is logged in', () => {
+      clearSession();
+      render(<App />);
+
+      expect(screen.getByRole('heading', { name: /log in/i })).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: /report new bug/i })).not.toBeInTheDocument();
+    });
+
+    it('should show the bug list after logging in', async () => {
+      clearSession();
+      login.mockResolvedValue(testUser);
+      render(<App />);
+
+      fireEvent.change(screen.getByLabelText(/email/i), { target: { value: testUser.email } });
+      fireEvent.change(screen.getByLabelText(/password/i), { target: { value: 'password123' } });
+      fireEvent.click(screen.getByRole('button', { name: /^log in$/i }));
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: /report new bug/i })).toBeInTheDocument();
+      });
+      expect(login).toHaveBeenCalledWith(testUser.email, 'password123');
+    });
+
+    it('should show the logged-in user in the header', () => {
+      render(<App />);
+
+      expect(screen.getByText(/signed in as test user/i)).toBeInTheDocument();
+    });
+
+    it('should return to the login form after logging out', async () => {
+      logout.mockResolvedValue();
+      render(<App />);
+
+      fireEvent.click(screen.getByRole('button', { name: /log out/i }));
+
+      await waitFor(() => {
+        expect(screen.getByRole('heading', { name: /log in/i })).toBeInTheDocument();
+      });
+    });
+  });
+
   describe('Integration with BugProvider', () => {
     it('should wrap app in BugProvider', () => {
       render(<App />);
@@ -0,0 +1,124 @@
+// AttachmentDropZone.test.jsx - Unit tests for AttachmentDropZone component
+
+import React, { useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AttachmentDropZone from '../../components/AttachmentDropZone';
+import { MAX_ATTACHMENTS, MAX_ATTACHMENT_SIZE } from '../../utils/attachments';
+
+const makeFile = (name, type, size = 3) => {
+  const file = new File(['x'.repeat(Math.min(size, 16))], name, { type, lastModified: 1 });
+  Object.defineProperty(file, 'size', { value: size });
+  return file;
+};
+
+// Controlled wrapper, as BugForm uses it
+const Harness = ({ onChange = () => {}, disabled }) => {
+  const [files, setFiles] = useState([]);
+  return (
+    <AttachmentDropZone
+      files={files}
+      onChange={(next) => {
+        setFiles(next);
+        onChange(next);
+      }}
+      disabled={disabled}
+    />
+  );
+};
+
+const drop = (files) => {
+  fireEvent.drop(screen.getByTestId('attachment-dropzone'), { dataTransfer: { files } });
+};
+
+describe('AttachmentDropZone Component', () => {
+  beforeEach(() => {
+    global.URL.createObjectURL = jest.fn((file) => `blob:${file.name}`);
+    global.URL.revokeObjectURL = jest.fn();
+  });
+
+  it('should queue dropped files with previews for images', () => {
+    render(<Harness />);
+
+    drop([makeFile('screenshot.png', 'image/png'), makeFile('console.txt', 'text/plain', 2048)]);
+
+    expect(screen.getByAltText('Preview of screenshot.png')).toHaveAttribute('src', 'blob:screenshot.png');
+    expect(screen.getByText('console.txt')).toBeInTheDocument();
+    expect(screen.getByText('2.0 KB')).toBeInTheDocument();
+  });
+
+  it('should queue files picked with the file input', () => {
+    const onChange = jest.fn();
+    render(<Harness onChange={onChange} />);
+    const file = makeFile('trace.json', 'application/json');
+
+    fireEvent.change(screen.getByLabelText('Attach files'), { target: { files: [file] } });
+
+    expect(onChange).toHaveBeenCalledWith([file]);
+  });
+
+  it('should highlight the zone while dragging over it', () => {
+    render(<Harness />);
+    const zone = screen.getByTestId('attachment-dropzone');
+
+    fireEvent.dragOver(zone);
+    expect(zone).toHaveClass('attachment-dropzone-active');
+
+    fireEvent.dragLeave(zone, { relatedTarget: document.body });
+    expect(zone).not.toHaveClass('attachment-dropzone-active');
+  });
+
+  it('should reject disallowed types and oversized files', () => {
+    render(<Harness />);
+
+    drop([
+      makeFile('page.html', 'text/html'),
+      makeFile('huge.png', 'image/png', MAX_ATTACHMENT_SIZE + 1),
+      makeFile('ok.txt', 'text/plain'),
+    ]);
+
+    expect(screen.getByText('page.html: this file type is not allowed')).toBeInTheDocument();
+    expect(screen.getByText('huge.png: files must be 10.0 MB or smaller')).toBeInTheDocument();
+    expect(screen.getByText('ok.txt')).toBeInTheDocument();
+    expect(screen.queryByText('page.html')).not.toBeInTheDocument();
+  });
+
+  it('should not queue the same file twice', () => {
+    const onChange = jest.fn();
+    render(<Harness onChange={onChange} />);
+    const file = makeFile('console.txt', 'text/plain');
+
+    drop([file]);
+    drop([file]);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(screen.getAllByText('console.txt')).toHaveLength(1);
+  });
+
+  it('should cap the queue at the upload limit', () => {
+    render(<Harness />);
+
+    drop(Array.from({ length: MAX_ATTACHMENTS + 1 }, (_, i) => makeFile(`log-${i}.txt`, 'text/plain')));
+
+    expect(screen.getAllByRole('button', { name: /remove attachment/i })).toHaveLength(MAX_ATTACHMENTS);
+    expect(screen.getByText(`You can attach up to ${MAX_ATTACHMENTS} files at a time`)).toBeInTheDocument();
+  });
+
+  it('should remove a queued file', () => {
+    render(<Harness />);
+    drop([makeFile('console.txt', 'text/plain')]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove attachment console.txt' }));
+
+    expect(screen.queryByText('console.txt')).not.toBeInTheDocument();
+  });
+
+  it('should ignore drops while disabled', () => {
+    const onChange = jest.fn();
+    render(<Harness onChange={onChange} disabled />);
+
+    drop([makeFile('console.txt', 'text/plain')]);
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,116 @@
+// AttachmentList.test.jsx - Unit tests for AttachmentList component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AttachmentList from '../../components/AttachmentList';
+
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+jest.mock('../../services/attachmentService', () => ({
+  getAttachments: jest.fn(),
+  getAttachmentBlob: jest.fn(),
+  deleteAttachment: jest.fn(),
+}));
+
+import { useAuth } from '../../context/AuthContext';
+import { getAttachments, getAttachmentBlob, deleteAttachment } from '../../services/attachmentService';
+
+const mockUser = (role, _id = 'user-1') => ({ user: { _id, name: 'Current User', role } });
+
+const screenshot = {
+  _id: 'a1',
+  filename: 'screenshot.png',
+  contentType: 'image/png',
+  size: 2048,
+  hasThumbnail: true,
+  uploadedBy: { _id: 'user-1', name: 'Current User' },
+};
+
+const log = {
+  _id: 'a2',
+  filename: 'console.txt',
+  contentType: 'text/plain',
+  size: 300,
+  hasThumbnail: false,
+  uploadedBy: { _id: 'user-2', name: 'Other User' },
+};
+
+describe('AttachmentList Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue(mockUser('reporter'));
+    getAttachments.mockResolvedValue([screenshot, log]);
+    getAttachmentBlob.mockResolvedValue(new Blob(['x']));
+    global.URL.createObjectURL = jest.fn(() => 'blob:thumbnail');
+    global.URL.revokeObjectURL = jest.fn();
+    window.confirm = jest.fn(() => true);
+  });
+
+  it('should list the attachments with thumbnails for images', async () => {
+    render(<AttachmentList bugId="bug-1" />);
+
+    expect(await screen.findByText('console.txt')).toBeInTheDocument();
+    expect(screen.getByText(/attachments \(2\)/i)).toBeInTheDocument();
+    expect(screen.getByText('300 B · Other User')).toBeInTheDocument();
+    expect(await screen.findByAltText('screenshot.png')).toHaveAttribute('src', 'blob:thumbnail');
+    expect(getAttachments).toHaveBeenCalledWith('bug-1');
+    expect(getAttachmentBlob).toHaveBeenCalledTimes(1);
+    expect(getAttachmentBlob).toHaveBeenCalledWith('bug-1', 'a1', { thumbnail: true });
+  });
+
+  it('should show an empty state', async () => {
+    getAttachments.mockResolvedValue([]);
+    render(<AttachmentList bugId="bug-1" />);
+
+    expect(await screen.findByText(/no attachments/i)).toBeInTheDocument();
+  });
+
+  it('should show load errors', async () => {
+    getAttachments.mockRejectedValue(new Error('Failed to fetch attachments'));
+    render(<AttachmentList bugId="bug-1" />);
+
+    expect(await screen.findByText('Failed to fetch attachments')).toBeInTheDocument();
+  });
+
+  it('should download the original file', async () => {
+    render(<AttachmentList bugId="bug-1" />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Download console.txt' }));
+
+    await waitFor(() => {
+      expect(getAttachmentBlob).toHaveBeenCalledWith('bug-1', 'a2');
+    });
+  });
+
+  it('should only offer delete on the user\'s own attachments', async () => {
+    render(<AttachmentList bugId="bug-1" />);
+
+    expect(await screen.findByRole('button', { name: 'Delete attachment screenshot.png' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Delete attachment console.txt' })).not.toBeInTheDocument();
+  });
+
+  it('should let admins delete any attachment', async () => {
+    useAuth.mockReturnValue(mockUser('admin', 'admin-1'));
+    deleteAttachment.mockResolvedValue(true);
+    render(<AttachmentList bugId="bug-1" />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete attachment console.txt' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('console.txt')).not.toBeInTheDocument();
+    });
+    expect(deleteAttachment).toHaveBeenCalledWith('bug-1', 'a2');
+  });
+
+  it('should release thumbnails when unmounted', async () => {
+    const { unmount } = render(<AttachmentList bugId="bug-1" />);
+    await screen.findByAltText('screenshot.png');
+
+    unmount();
+
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:thumbnail');
+  });
+});
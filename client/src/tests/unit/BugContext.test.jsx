@@ -0,0 +1,285 @@
+// BugContext.test.jsx - Unit tests for live updates in BugProvider
+
+import React from 'react';
+import { render, screen, act, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { BugProvider, useBugs } from '../../context/BugContext';
+import { getBugs, getWorkflow } from '../../services/bugService';
+import { connectRealtime } from '../../services/realtimeService';
+import { DEFAULT_WORKFLOW } from '../../utils/workflow';
+
+jest.mock('../../services/bugService');
+jest.mock('../../services/realtimeService', () => ({
+  connectRealtime: jest.fn(),
+}));
+
+const makeBug = (id, overrides = {}) => ({
+  _id: id,
+  title: `Bug ${id}`,
+  description: 'Details',
+  status: 'open',
+  priority: 'medium',
+  assignee: null,
+  labels: [],
+  ...overrides,
+});
+
+// Renders the list state and exposes the context to the test
+let context;
+const Probe = () => {
+  context = useBugs();
+  return (
+    <div>
+      <span data-testid="total">{context.total}</span>
+      <span data-testid="live">{context.live ? 'live' : 'offline'}</span>
+      <ul>
+        {context.bugs.map((bug) => (
+          <li key={bug._id}>{bug.title}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+describe('BugProvider Live Updates', () => {
+  let connection;
+  let handlers;
+
+  // Deliver a server message to the provider
+  const push = (message) => act(() => handlers.onMessage(message));
+
+  const renderProvider = async (bugs, nextCursor = null) => {
+    getBugs.mockResolvedValue({ bugs, nextCursor, total: bugs.length });
+    render(
+      <BugProvider>
+        <Probe />
+      </BugProvider>
+    );
+    await screen.findByTestId('total');
+    await waitFor(() => expect(screen.getByTestId('total')).toHaveTextContent(String(bugs.length)));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connection = { viewBug: jest.fn(), leaveBug: jest.fn(), close: jest.fn() };
+    connectRealtime.mockImplementation((options) => {
+      handlers = options;
+      return connection;
+    });
+  });
+
+  it('should add bugs created by other users', async () => {
+    await renderProvider([makeBug('1')]);
+
+    push({ type: 'bug:created', bug: makeBug('2', { title: 'Fresh bug' }) });
+
+    expect(screen.getAllByRole('listitem').map((item) => item.textContent)).toEqual(['Fresh bug', 'Bug 1']);
+    expect(screen.getByTestId('total')).toHaveTextContent('2');
+  });
+
+  it('should not add a duplicate of a bug already in the list', async () => {
+    await renderProvider([makeBug('1')]);
+
+    push({ type: 'bug:restored', bug: makeBug('1') });
+
+    expect(screen.getAllByRole('listitem')).toHaveLength(1);
+    expect(screen.getByTestId('total')).toHaveTextContent('1');
+  });
+
+  it('should replace updated bugs in place', async () => {
+    await renderProvider([makeBug('1'), makeBug('2')]);
+
+    push({ type: 'bug:updated', bug: makeBug('2', { title: 'Renamed' }) });
+
+    expect(screen.getAllByRole('listitem').map((item) => item.textContent)).toEqual(['Bug 1', 'Renamed']);
+  });
+
+  it('should drop bugs that no longer match the filters', async () => {
+    await renderProvider([makeBug('1'), makeBug('2')]);
+    act(() => context.updateFilters({ status: 'open' }));
+    await waitFor(() => expect(getBugs).toHaveBeenCalledWith({ status: 'open' }));
+
+    push({ type: 'bug:updated', bug: makeBug('2', { status: 'resolved' }) });
+
+    expect(screen.queryByText('Bug 2')).not.toBeInTheDocument();
+    expect(screen.getByTestId('total')).toHaveTextContent('1');
+  });
+
+  it('should ignore new bugs outside the filters', async () => {
+    await renderProvider([makeBug('1')]);
+    act(() => context.updateFilters({ priority: 'critical' }));
+    await waitFor(() => expect(getBugs).toHaveBeenCalledWith({ priority: 'critical' }));
+
+    push({ type: 'bug:created', bug: makeBug('2', { priority: 'low' }) });
+
+    expect(screen.queryByText('Bug 2')).not.toBeInTheDocument();
+  });
+
+  it('should only add newly matching updates when every page is loaded', async () => {
+    await renderProvider([makeBug('1')], 'next-page');
+
+    push({ type: 'bug:updated', bug: makeBug('9') });
+
+    expect(screen.queryByText('Bug 9')).not.toBeInTheDocument();
+  });
+
+  it('should remove deleted bugs', async () => {
+    await renderProvider([makeBug('1'), makeBug('2')]);
+
+    push({ type: 'bug:deleted', id: '1' });
+    push({ type: 'bug:deleted', id: 'unknown' });
+
+    expect(screen.queryByText('Bug 1')).not.toBeInTheDocument();
+    expect(screen.getByTestId('total')).toHaveTextContent('1');
+  });
+
+  it('should track presence and the connection status', async () => {
+    await renderProvider([makeBug('1')]);
+
+    act(() => handlers.onStatusChange(true));
+    push({ type: 'ready', clientId: 'c1', presence: { 1: [{ _id: 'u2', name: 'Bob' }] } });
+    push({ type: 'presence', bugId: '2', viewers: [{ _id: 'u3', name: 'Cy' }] });
+
+    expect(screen.getByTestId('live')).toHaveTextContent('live');
+    expect(context.viewers).toEqual({
+      1: [{ _id: 'u2', name: 'Bob' }],
+      2: [{ _id: 'u3', name: 'Cy' }],
+    });
+  });
+
+  it('should announce viewed bugs and close the connection on unmount', async () => {
+    getBugs.mockResolvedValue({ bugs: [], nextCursor: null, total: 0 });
+    const { unmount } = render(
+      <BugProvider>
+        <Probe />
+      </BugProvider>
+    );
+
+    act(() => context.viewBug('1'));
+    act(() => context.leaveBug('1'));
+    unmount();
+
+    expect(connection.viewBug).toHaveBeenCalledWith('1');
+    expect(connection.leaveBug).toHaveBeenCalledWith('1');
+    expect(connection.close).toHaveBeenCalled();
+  });
+});
+
+describe('BugProvider Loading', () => {
+  // A getBugs call whose response the test sends when it wants
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise((done) => { resolve = done; });
+    return { promise, resolve };
+  };
+
+  const listTitles = () => screen.queryAllByRole('listitem').map((item) => item.textContent);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connectRealtime.mockReturnValue({ viewBug: jest.fn(), leaveBug: jest.fn(), close: jest.fn() });
+  });
+
+  it('should ignore a response that arrives after a newer load', async () => {
+    const first = deferred();
+    const second = deferred();
+    getBugs
+      .mockReturnValueOnce(first.promise)
+      .mockReturnValueOnce(second.promise);
+    render(
+      <BugProvider>
+        <Probe />
+      </BugProvider>
+    );
+
+    act(() => context.updateFilters({ q: 'login' }));
+    await waitFor(() => expect(getBugs).toHaveBeenCalledTimes(2));
+
+    await act(async () => second.resolve({ bugs: [makeBug('2', { title: 'Login bug' })], nextCursor: null, total: 1 }));
+    await act(async () => first.resolve({ bugs: [makeBug('1'), makeBug('3')], nextCursor: 'stale', total: 2 }));
+
+    expect(listTitles()).toEqual(['Login bug']);
+    expect(screen.getByTestId('total')).toHaveTextContent('1');
+    expect(context.hasMore).toBe(false);
+    expect(context.loading).toBe(false);
+  });
+
+  it('should not load more pages of the old filters after the filters change', async () => {
+    const reload = deferred();
+    getBugs
+      .mockResolvedValueOnce({ bugs: [makeBug('1')], nextCursor: 'old-cursor', total: 2 })
+      .mockReturnValueOnce(reload.promise);
+    render(
+      <BugProvider>
+        <Probe />
+      </BugProvider>
+    );
+    await waitFor(() => expect(context.hasMore).toBe(true));
+
+    act(() => context.updateFilters({ status: 'resolved' }));
+
+    expect(context.hasMore).toBe(false);
+    await act(async () => context.loadMore());
+    expect(getBugs).not.toHaveBeenCalledWith(expect.anything(), { cursor: 'old-cursor' });
+
+    await act(async () => reload.resolve({ bugs: [makeBug('5', { title: 'Resolved bug' })], nextCursor: null, total: 1 }));
+    expect(listTitles()).toEqual(['Resolved bug']);
+  });
+
+  it('should drop a page that arrives after the list was reloaded', async () => {
+    const page = deferred();
+    getBugs
+      .mockResolvedValueOnce({ bugs: [makeBug('1')], nextCursor: 'cursor', total: 2 })
+      .mockReturnValueOnce(page.promise)
+      .mockResolvedValueOnce({ bugs: [makeBug('7', { title: 'Reloaded bug' })], nextCursor: null, total: 1 });
+    render(
+      <BugProvider>
+        <Probe />
+      </BugProvider>
+    );
+    await waitFor(() => expect(context.hasMore).toBe(true));
+
+    act(() => { context.loadMore(); });
+    await act(async () => context.loadBugs());
+    await act(async () => page.resolve({ bugs: [makeBug('2', { title: 'Old page bug' })], nextCursor: null, total: 2 }));
+
+    expect(listTitles()).toEqual(['Reloaded bug']);
+    expect(context.loadingMore).toBe(false);
+  });
+});
+
+describe('BugProvider Workflow', () => {
+  const renderProvider = () => {
+    getBugs.mockResolvedValue({ bugs: [], nextCursor: null, total: 0 });
+    render(
+      <BugProvider>
+        <Probe />
+      </BugProvider>
+    );
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connectRealtime.mockReturnValue({ viewBug: jest.fn(), leaveBug: jest.fn(), close: jest.fn() });
+  });
+
+  it('should load the workflow from the server', async () => {
+    const workflow = { ...DEFAULT_WORKFLOW, statuses: ['new', 'done'], initialStatus: 'new' };
+    getWorkflow.mockResolvedValue(workflow);
+
+    renderProvider();
+
+    await waitFor(() => expect(context.workflow).toEqual(workflow));
+  });
+
+  it('should keep the default workflow when it cannot be loaded', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getWorkflow.mockRejectedValue(new Error('Offline'));
+
+    renderProvider();
+
+    await waitFor(() => expect(console.error).toHaveBeenCalledWith('Error loading workflow:', expect.any(Error)));
+    expect(context.workflow).toEqual(DEFAULT_WORKFLOW);
+    console.error.mockRestore();
+  });
+});
@@ -6,9 +6,39 @@ import '@testing-library/jest-dom';
 import BugForm from '../../components/BugForm';
 import { BugProvider } from '../../context/BugContext';
 import * as bugService from '../../services/bugService';
+import { DEFAULT_WORKFLOW } from '../../utils/workflow';
+import { getAssignees } from '../../services/userService';
+import { uploadAttachments } from '../../services/attachmentService';
 
-// Mock the bug service
+// Mock the bug, user and attachment services
 jest.mock('../../services/bugService');
+jest.mock('../../services/userService');
+jest.mock('../../services/attachmentService');
+
+// Mock AuthContext - admin by default so the assignee picker is shown
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+import { useAuth } from '../../context/AuthContext';
+
+// Mock LabelContext with a small registry
+const mockLoadLabels = jest.fn();
+jest.mock('../../context/LabelContext', () => ({
+  useLabels: () => ({
+    labels: [
+      { _id: 'l1', name: 'frontend', color: '#ff8800', bugCount: 3 },
+      { _id: 'l2', name: 'regression', color: '#d73a4a', bugCount: 1 },
+    ],
+    loadLabels: mockLoadLabels,
+    getLabelColor: (name) => ({ frontend: '#ff8800', regression: '#d73a4a' }[name] || '#667eea'),
+  }),
+}));
+
+const mockAssignees = [
+  { _id: 'dev-1', name: 'Dana Developer', role: 'developer' },
+  { _id: 'tri-1', name: 'Tara Triager', role: 'triager' },
+];
 
 // Mock BugContext to control its behavior
 const mockCreateBug = jest.fn();
@@ -19,6 +49,7 @@ const mockBugContextValue = {
   loading: false,
   error: null,
   filters: {},
+  workflow: DEFAULT_WORKFLOW,
   createBug: mockCreateBug,
   updateBug: mockUpdateBug,
   deleteBug: jest.fn(),
@@ -42,8 +73,11 @@ const renderWithProvider = (component, props = {}) => {
 describe('BugForm Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    useAuth.mockReturnValue({ user: { _id: 'admin-1', name: 'Admin', role: 'admin' } });
+    getAssignees.mockResolvedValue(mockAssignees);
     mockBugContextValue.loading = false;
     mockBugContextValue.error = null;
+    mockBugContextValue.workflow = DEFAULT_WORKFLOW;
   });
 
   describe('Rendering', () => {
@@ -53,7 +87,7 @@ describe('BugForm Component', () => {
       expect(screen.getByText('Report New Bug')).toBeInTheDocument();
       expect(screen.getByLabelText(/title/i)).toBeInTheDocument();
       expect(screen.getByLabelText(/description/i)).toBeInTheDocument();
-      expect(screen.getByLabelText(/reporter/i)).toBeInTheDocument();
+      expect(screen.queryByLabelText(/reporter/i)).not.toBeInTheDocument();
       expect(screen.getByLabelText(/status/i)).toBeInTheDocument();
       expect(screen.getByLabelText(/priority/i)).toBeInTheDocument();
       expect(screen.getByRole('button', { name: /create bug/i })).toBeInTheDocument();
@@ -74,7 +108,7 @@ describe('BugForm Component', () => {
       expect(screen.getByText('Edit Bug')).toBeInTheDocument();
       expect(screen.getByDisplayValue('Test Bug')).toBeInTheDocument();
       expect(screen.getByDisplayValue('Test Description')).toBeInTheDocument();
-      expect(screen.getByDisplayValue('Test Reporter')).toBeInTheDocument();
+      expect(screen.getByText(/reported by/i)).toHaveTextContent('Reported by Test Reporter');
       expect(screen.getByRole('button', { name: /update bug/i })).toBeInTheDocument();
     });
 
@@ -111,15 +145,6 @@ describe('BugForm Component', () => {
       expect(descriptionInput).toHaveValue('New Description');
     });
 
-    it('should update reporter field when user types', () => {
-      renderWithProvider(<BugForm />);
-
-      const reporterInput = screen.getByLabelText(/reporter/i);
-      fireEvent.change(reporterInput, { target: { value: 'John Doe' } });
-
-      expect(reporterInput).toHaveValue('John Doe');
-    });
-
     it('should update status when user selects different option', () => {
       renderWithProvider(<BugForm />);
 
@@ -165,19 +190,16 @@ describe('BugForm Component', () => {
       });
     });
 
-    it('should show error when reporter is empty on submit', async () => {
+    it('should not require a reporter since it comes from the logged-in user', async () => {
+      mockCreateBug.mockResolvedValue({ _id: '123', title: 'Test Title' });
       renderWithProvider(<BugForm />);
 
-      const titleInput = screen.getByLabelText(/title/i);
-      const descriptionInput = screen.getByLabelText(/description/i);
-      fireEvent.change(titleInput, { target: { value: 'Test Title' } });
-      fireEvent.change(descriptionInput, { target: { value: 'Test Description' } });
-
-      const submitButton = screen.getByRole('button', { name: /create bug/i });
-      fireEvent.click(submitButton);
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Test Title' } });
+      fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Test Description' } });
+      fireEvent.click(screen.getByRole('button', { name: /create bug/i }));
 
       await waitFor(() => {
-        expect(screen.getByText(/reporter name is required/i)).toBeInTheDocument();
+        expect(mockCreateBug).toHaveBeenCalledWith(expect.not.objectContaining({ reporter: expect.anything() }));
       });
     });
 
@@ -188,9 +210,7 @@ describe('BugForm Component', () => {
       fireEvent.change(titleInput, { target: { value: 'a'.repeat(201) } });
 
       const descriptionInput = screen.getByLabelText(/description/i);
-      const reporterInput = screen.getByLabelText(/reporter/i);
       fireEvent.change(descriptionInput, { target: { value: 'Test Description' } });
-      fireEvent.change(reporterInput, { target: { value: 'Test Reporter' } });
 
       const submitButton = screen.getByRole('button', { name: /create bug/i });
       fireEvent.click(submitButton);
@@ -227,9 +247,10 @@ describe('BugForm Component', () => {
       const newBug = {
         title: 'New Bug',
         description: 'New Description',
-        reporter: 'New Reporter',
         status: 'open',
         priority: 'medium',
+        assignee: null,
+        labels: [],
       };
 
       mockCreateBug.mockResolvedValue({ _id: '123', ...newBug });
@@ -238,7 +259,6 @@ describe('BugForm Component', () => {
 
       fireEvent.change(screen.getByLabelText(/title/i), { target: { value: newBug.title } });
       fireEvent.change(screen.getByLabelText(/description/i), { target: { value: newBug.description } });
-      fireEvent.change(screen.getByLabelText(/reporter/i), { target: { value: newBug.reporter } });
 
       const submitButton = screen.getByRole('button', { name: /create bug/i });
       fireEvent.click(submitButton);
@@ -248,7 +268,7 @@ describe('BugForm Component', () => {
       });
     });
 
-    it('should call updateBug when editing existing bug', async () => {
+    it('should call updateBug with the bug version when editing existing bug', async () => {
       const bug = {
         _id: '123',
         title: 'Original Title',
@@ -256,6 +276,7 @@ describe('BugForm Component', () => {
         status: 'open',
         priority: 'medium',
         reporter: 'Original Reporter',
+        __v: 4,
       };
 
       const updates = {
@@ -263,7 +284,6 @@ describe('BugForm Component', () => {
         description: 'Updated Description',
         status: 'in-progress',
         priority: 'high',
-        reporter: 'Updated Reporter',
       };
 
       mockUpdateBug.mockResolvedValue({ _id: '123', ...updates });
@@ -274,13 +294,12 @@ describe('BugForm Component', () => {
       fireEvent.change(screen.getByLabelText(/description/i), { target: { value: updates.description } });
       fireEvent.change(screen.getByLabelText(/status/i), { target: { value: updates.status } });
       fireEvent.change(screen.getByLabelText(/priority/i), { target: { value: updates.priority } });
-      fireEvent.change(screen.getByLabelText(/reporter/i), { target: { value: updates.reporter } });
 
       const submitButton = screen.getByRole('button', { name: /update bug/i });
       fireEvent.click(submitButton);
 
       await waitFor(() => {
-        expect(mockUpdateBug).toHaveBeenCalledWith('123', expect.objectContaining(updates));
+        expect(mockUpdateBug).toHaveBeenCalledWith('123', expect.objectContaining(updates), 4);
       });
     });
 
@@ -292,7 +311,6 @@ describe('BugForm Component', () => {
 
       fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'New Bug' } });
       fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Description' } });
-      fireEvent.change(screen.getByLabelText(/reporter/i), { target: { value: 'Reporter' } });
 
       const submitButton = screen.getByRole('button', { name: /create bug/i });
       fireEvent.click(submitButton);
@@ -309,11 +327,9 @@ describe('BugForm Component', () => {
 
       const titleInput = screen.getByLabelText(/title/i);
       const descriptionInput = screen.getByLabelText(/description/i);
-      const reporterInput = screen.getByLabelText(/reporter/i);
 
       fireEvent.change(titleInput, { target: { value: 'New Bug' } });
       fireEvent.change(descriptionInput, { target: { value: 'Description' } });
-      fireEvent.change(reporterInput, { target: { value: 'Reporter' } });
 
       const submitButton = screen.getByRole('button', { name: /create bug/i });
       fireEvent.click(submitButton);
@@ -321,7 +337,6 @@ describe('BugForm Component', () => {
       await waitFor(() => {
         expect(titleInput).toHaveValue('');
         expect(descriptionInput).toHaveValue('');
-        expect(reporterInput).toHaveValue('');
       });
     });
   });
@@ -335,7 +350,6 @@ describe('BugForm Component', () => {
 
       fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'New Bug' } });
       fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Description' } });
-      fireEvent.change(screen.getByLabelText(/reporter/i), { target: { value: 'Reporter' } });
 
       const submitButton = screen.getByRole('button', { name: /create bug/i });
       fireEvent.click(submitButton);
@@ -374,7 +388,6 @@ describe('BugForm Component', () => {
       const titleInput = screen.getByLabelText(/title/i);
       fireEvent.change(titleInput, { target: { value: 'New Bug' } });
       fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Description' } });
-      fireEvent.change(screen.getByLabelText(/reporter/i), { target: { value: 'Reporter' } });
 
       const submitButton = screen.getByRole('button', { name: /create bug/i });
       fireEvent.click(submitButton);
@@ -421,6 +434,52 @@ describe('BugForm Component', () => {
     });
   });
 
+  describe('Status Workflow', () => {
+    const customWorkflow = {
+      statuses: ['new', 'triaged', 'in-progress', 'blocked', 'resolved'],
+      initialStatus: 'new',
+      inProgressStatus: 'in-progress',
+      resolvedStatus: 'resolved',
+      transitions: {
+        new: ['triaged'],
+        triaged: ['in-progress'],
+        'in-progress': ['blocked', 'resolved'],
+        blocked: ['in-progress'],
+        resolved: ['new'],
+      },
+    };
+
+    const statusOptions = () =>
+      Array.from(screen.getByLabelText(/status/i).querySelectorAll('option')).map((option) => option.textContent);
+
+    beforeEach(() => {
+      mockBugContextValue.workflow = customWorkflow;
+    });
+
+    it('should offer every status of the workflow for a new bug, starting at the initial one', () => {
+      renderWithProvider(<BugForm />);
+
+      expect(screen.getByLabelText(/status/i)).toHaveValue('new');
+      expect(statusOptions()).toEqual(['New', 'Triaged', 'In Progress', 'Blocked', 'Resolved']);
+    });
+
+    it('should offer only the current status and the ones allowed next when editing', () => {
+      const bug = { _id: '123', title: 'Stuck', description: 'Waiting', status: 'in-progress', priority: 'medium' };
+
+      renderWithProvider(<BugForm bug={bug} />);
+
+      expect(statusOptions()).toEqual(['In Progress', 'Blocked', 'Resolved']);
+    });
+
+    it('should keep users who cannot change status to the current one', () => {
+      useAuth.mockReturnValue({ user: { _id: 'rep-1', name: 'Reporter', role: 'reporter' } });
+
+      renderWithProvider(<BugForm />);
+
+      expect(statusOptions()).toEqual(['New']);
+    });
+  });
+
   describe('Cancel Functionality', () => {
     it('should call onCancel when cancel button is clicked', () => {
       const onCancel = jest.fn();
@@ -434,6 +493,310 @@ describe('BugForm Component', () => {
     });
   });
 
+  describe('Assignee Picker', () => {
+    it('should list assignable users', async () => {
+      renderWithProvider(<BugForm />);
+
+      await waitFor(() => {
+        expect(screen.getByRole('option', { name: 'Dana Developer' })).toBeInTheDocument();
+      });
+      expect(screen.getByLabelText(/assignee/i)).toHaveValue('');
+    });
+
+    it('should send the selected assignee', async () => {
+      mockCreateBug.mockResolvedValue({ _id: '123' });
+      renderWithProvider(<BugForm />);
+
+      await screen.findByRole('option', { name: 'Tara Triager' });
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Bug' } });
+      fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Desc' } });
+      fireEvent.change(screen.getByLabelText(/assignee/i), { target: { value: 'tri-1' } });
+      fireEvent.click(screen.getByRole('button', { name: /create bug/i }));
+
+      await waitFor(() => {
+        expect(mockCreateBug).toHaveBeenCalledWith(expect.objectContaining({ assignee: 'tri-1' }));
+      });
+    });
+
+    it('should preselect the current assignee when editing', async () => {
+      const bug = {
+        _id: '123',
+        title: 'Assigned Bug',
+        description: 'Desc',
+        assignee: { _id: 'dev-1', name: 'Dana Developer' },
+      };
+
+      renderWithProvider(<BugForm bug={bug} />);
+
+      await screen.findByRole('option', { name: 'Tara Triager' });
+      expect(screen.getByLabelText(/assignee/i)).toHaveValue('dev-1');
+    });
+
+    it('should hide the picker from reporters and not send an assignee', async () => {
+      useAuth.mockReturnValue({ user: { _id: 'rep-1', name: 'Reporter', role: 'reporter' } });
+      mockCreateBug.mockResolvedValue({ _id: '123' });
+      renderWithProvider(<BugForm />);
+
+      expect(screen.queryByLabelText(/assignee/i)).not.toBeInTheDocument();
+      expect(getAssignees).not.toHaveBeenCalled();
+
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Bug' } });
+      fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Desc' } });
+      fireEvent.click(screen.getByRole('button', { name: /create bug/i }));
+
+      await waitFor(() => {
+        expect(mockCreateBug).toHaveBeenCalledWith({
+          title: 'Bug',
+          description: 'Desc',
+          status: 'open',
+          priority: 'medium',
+          labels: [],
+        });
+      });
+    });
+  });
+
+  describe('Labels', () => {
+    it('should send the labels added in the form', async () => {
+      mockCreateBug.mockResolvedValue({ _id: '123' });
+      renderWithProvider(<BugForm />);
+
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Bug' } });
+      fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Desc' } });
+      const labelInput = screen.getByLabelText('Labels');
+      fireEvent.change(labelInput, { target: { value: 'front' } });
+      fireEvent.mouseDown(screen.getByRole('option', { name: /frontend/ }));
+      fireEvent.change(labelInput, { target: { value: 'Checkout' } });
+      fireEvent.keyDown(labelInput, { key: 'Enter' });
+      fireEvent.click(screen.getByRole('button', { name: /create bug/i }));
+
+      await waitFor(() => {
+        expect(mockCreateBug).toHaveBeenCalledWith(
+          expect.objectContaining({ labels: ['frontend', 'checkout'] })
+        );
+      });
+      // "checkout" is new, so the registry is reloaded to pick it up
+      expect(mockLoadLabels).toHaveBeenCalled();
+    });
+
+    it('should show the labels of the bug being edited', () => {
+      renderWithProvider(
+        <BugForm bug={{ _id: '1', title: 'T', description: 'D', status: 'open', priority: 'low', labels: ['regression'], __v: 0 }} />
+      );
+
+      expect(screen.getByRole('button', { name: 'Remove label regression' })).toBeInTheDocument();
+    });
+
+    it('should not reload the registry when only known labels are used', async () => {
+      mockCreateBug.mockResolvedValue({ _id: '123' });
+      renderWithProvider(<BugForm />);
+
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Bug' } });
+      fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Desc' } });
+      fireEvent.change(screen.getByLabelText('Labels'), { target: { value: 'frontend' } });
+      fireEvent.keyDown(screen.getByLabelText('Labels'), { key: 'Enter' });
+      fireEvent.click(screen.getByRole('button', { name: /create bug/i }));
+
+      await waitFor(() => {
+        expect(mockCreateBug).toHaveBeenCalled();
+      });
+      expect(mockLoadLabels).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Attachments', () => {
+    const screenshot = new File(['png'], 'screenshot.png', { type: 'image/png' });
+
+    beforeEach(() => {
+      global.URL.createObjectURL = jest.fn(() => 'blob:preview');
+      global.URL.revokeObjectURL = jest.fn();
+    });
+
+    const fillAndAttach = () => {
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Bug' } });
+      fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Desc' } });
+      fireEvent.drop(screen.getByTestId('attachment-dropzone'), {
+        dataTransfer: { files: [screenshot] },
+      });
+    };
+
+    it('should upload dropped files after the bug is created', async () => {
+      mockCreateBug.mockResolvedValue({ _id: 'new-bug' });
+      uploadAttachments.mockResolvedValue([]);
+      const onSuccess = jest.fn();
+      renderWithProvider(<BugForm onSuccess={onSuccess} />);
+
+      fillAndAttach();
+      expect(screen.getByAltText('Preview of screenshot.png')).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: /create bug/i }));
+
+      await waitFor(() => {
+        expect(uploadAttachments).toHaveBeenCalledWith('new-bug', [screenshot]);
+      });
+      await waitFor(() => expect(onSuccess).toHaveBeenCalled());
+      expect(screen.queryByText('screenshot.png')).not.toBeInTheDocument();
+    });
+
+    it('should not upload anything when no files were added', async () => {
+      mockCreateBug.mockResolvedValue({ _id: 'new-bug' });
+      const onSuccess = jest.fn();
+      renderWithProvider(<BugForm onSuccess={onSuccess} />);
+
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Bug' } });
+      fireEvent.change(screen.getByLabelText(/description/i), { target: { value: 'Desc' } });
+      fireEvent.click(screen.getByRole('button', { name: /create bug/i }));
+
+      await waitFor(() => expect(onSuccess).toHaveBeenCalled());
+      expect(uploadAttachments).not.toHaveBeenCalled();
+    });
+
+    it('should report a failed upload without losing the saved bug', async () => {
+      mockCreateBug.mockResolvedValue({ _id: 'new-bug' });
+      uploadAttachments.mockRejectedValue(new Error('Each file must be 10 MB or smaller'));
+      const onSuccess = jest.fn();
+      renderWithProvider(<BugForm onSuccess={onSuccess} />);
+
+      fillAndAttach();
+      fireEvent.click(screen.getByRole('button', { name: /create bug/i }));
+
+      await waitFor(() => expect(onSuccess).toHaveBeenCalled());
+      expect(window.alert).toHaveBeenCalledWith(
+        'The bug was saved, but its attachments could not be uploaded: Each file must be 10 MB or smaller'
+      );
+      expect(mockCreateBug).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Edit Conflicts', () => {
+    const { ConflictError } = jest.requireActual('../../services/bugService');
+
+    const bug = {
+      _id: '123',
+      title: 'Original Title',
+      description: 'Original Description',
+      status: 'open',
+      priority: 'medium',
+      assignee: null,
+      __v: 1,
+    };
+
+    const editTitleAndSubmit = (title) => {
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: title } });
+      fireEvent.click(screen.getByRole('button', { name: /update bug/i }));
+    };
+
+    it('should show a field-by-field merge when someone else changed the same field', async () => {
+      const current = { ...bug, title: 'Their Title', priority: 'high', __v: 2 };
+      mockUpdateBug.mockRejectedValueOnce(new ConflictError('Changed by someone else', current));
+
+      renderWithProvider(<BugForm bug={bug} />);
+      editTitleAndSubmit('My Title');
+
+      const dialog = await screen.findByRole('dialog');
+      expect(dialog).toHaveTextContent(/changed while you were editing/i);
+      expect(screen.getByRole('radio', { name: /keep mine: my title/i })).toBeChecked();
+      expect(screen.getByRole('radio', { name: /use theirs: their title/i })).not.toBeChecked();
+      // Non-conflicting changes are listed as kept
+      expect(dialog).toHaveTextContent(/priority: high/i);
+    });
+
+    it('should save the merged values against the new version', async () => {
+      const current = { ...bug, title: 'Their Title', priority: 'high', __v: 2 };
+      const onSuccess = jest.fn();
+      mockUpdateBug
+        .mockRejectedValueOnce(new ConflictError('Changed by someone else', current))
+        .mockResolvedValueOnce({ ...current, __v: 3 });
+
+      renderWithProvider(<BugForm bug={bug} onSuccess={onSuccess} />);
+      editTitleAndSubmit('My Title');
+
+      await screen.findByRole('dialog');
+      fireEvent.click(screen.getByRole('button', { name: /save merged bug/i }));
+
+      await waitFor(() => {
+        expect(mockUpdateBug).toHaveBeenLastCalledWith(
+          '123',
+          expect.objectContaining({ title: 'My Title', priority: 'high' }),
+          2
+        );
+      });
+      expect(onSuccess).toHaveBeenCalled();
+    });
+
+    it('should use their value for fields where theirs is picked', async () => {
+      const current = { ...bug, title: 'Their Title', __v: 2 };
+      mockUpdateBug
+        .mockRejectedValueOnce(new ConflictError('Changed by someone else', current))
+        .mockResolvedValueOnce({ ...current, __v: 3 });
+
+      renderWithProvider(<BugForm bug={bug} />);
+      editTitleAndSubmit('My Title');
+
+      await screen.findByRole('dialog');
+      fireEvent.click(screen.getByRole('radio', { name: /use theirs/i }));
+      fireEvent.click(screen.getByRole('button', { name: /save merged bug/i }));
+
+      await waitFor(() => {
+        expect(mockUpdateBug).toHaveBeenLastCalledWith(
+          '123',
+          expect.objectContaining({ title: 'Their Title' }),
+          2
+        );
+      });
+    });
+
+    it('should close the dialog and keep the edits when Keep Editing is clicked', async () => {
+      const current = { ...bug, title: 'Their Title', __v: 2 };
+      mockUpdateBug.mockRejectedValueOnce(new ConflictError('Changed by someone else', current));
+
+      renderWithProvider(<BugForm bug={bug} />);
+      editTitleAndSubmit('My Title');
+
+      await screen.findByRole('dialog');
+      fireEvent.click(screen.getByRole('button', { name: /keep editing/i }));
+
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(screen.getByLabelText(/title/i)).toHaveValue('My Title');
+      expect(mockUpdateBug).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Similar Bugs', () => {
+    const similarBug = { _id: 's1', title: 'Login page crashes', status: 'open', similarity: 0.82 };
+
+    it('should list similar bugs while the title of a new bug is typed', async () => {
+      bugService.findSimilarBugs.mockResolvedValue([similarBug]);
+      renderWithProvider(<BugForm />);
+
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Login crashes' } });
+
+      const region = await screen.findByRole('region', { name: /similar bugs already reported/i });
+      expect(region).toHaveTextContent('Login page crashes');
+      expect(region).toHaveTextContent('82% match');
+      expect(bugService.findSimilarBugs).toHaveBeenCalledTimes(1);
+      expect(bugService.findSimilarBugs).toHaveBeenCalledWith({ title: 'Login crashes' });
+    });
+
+    it('should not look for similar bugs for short titles', async () => {
+      renderWithProvider(<BugForm />);
+
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Bug' } });
+
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      expect(bugService.findSimilarBugs).not.toHaveBeenCalled();
+    });
+
+    it('should not look for similar bugs while editing', async () => {
+      renderWithProvider(<BugForm bug={{ _id: '123', title: 'Login page crashes', description: 'Details' }} />);
+
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Login page crashes on Safari' } });
+
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      expect(bugService.findSimilarBugs).not.toHaveBeenCalled();
+      expect(screen.queryByRole('region', { name: /similar bugs/i })).not.toBeInTheDocument();
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle bug prop changes', () => {
       const { rerender } = renderWithProvider(<BugForm />);
@@ -0,0 +1,89 @@
+// BugHistory.test.jsx - Unit tests for BugHistory component
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BugHistory from '../../components/BugHistory';
+
+jest.mock('../../services/bugService', () => ({
+  getBugHistory: jest.fn(),
+}));
+
+import { getBugHistory } from '../../services/bugService';
+
+const createEvent = {
+  _id: 'h1',
+  action: 'create',
+  actorName: 'Jane Reporter',
+  createdAt: '2024-01-15T10:30:00Z',
+  changes: [{ field: 'title', before: null, after: 'Login fails' }],
+};
+
+const updateEvent = {
+  _id: 'h2',
+  action: 'update',
+  actorName: 'Dev Person',
+  createdAt: '2024-01-16T10:30:00Z',
+  changes: [
+    { field: 'status', before: 'open', after: 'in-progress' },
+    { field: 'description', before: 'Old', after: 'New' },
+    { field: 'assignee', before: null, after: { _id: 'u2', name: 'Dev Person' } },
+  ],
+};
+
+describe('BugHistory Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getBugHistory.mockResolvedValue([updateEvent, createEvent]);
+  });
+
+  it('should load the history for the bug', async () => {
+    render(<BugHistory bugId="bug-1" />);
+
+    expect(await screen.findByText(/created this bug/i)).toBeInTheDocument();
+    expect(screen.getByText(/updated this bug/i)).toBeInTheDocument();
+    expect(screen.getByText('Jane Reporter')).toBeInTheDocument();
+    expect(getBugHistory).toHaveBeenCalledWith('bug-1');
+  });
+
+  it('should show before and after values for updated fields', async () => {
+    render(<BugHistory bugId="bug-1" />);
+
+    await screen.findByText(/updated this bug/i);
+    expect(screen.getByText('open')).toHaveClass('history-before');
+    expect(screen.getByText('in-progress')).toHaveClass('history-after');
+  });
+
+  it('should summarise description changes and name assignees', async () => {
+    render(<BugHistory bugId="bug-1" />);
+
+    await screen.findByText(/updated this bug/i);
+    expect(screen.getByText(/description changed/i)).toBeInTheDocument();
+    expect(screen.getByText('Unassigned')).toBeInTheDocument();
+    expect(screen.getAllByText('Dev Person')).toHaveLength(2);
+  });
+
+  it('should show an empty state', async () => {
+    getBugHistory.mockResolvedValue([]);
+    render(<BugHistory bugId="bug-1" />);
+
+    expect(await screen.findByText(/no changes recorded/i)).toBeInTheDocument();
+  });
+
+  it('should show load errors', async () => {
+    getBugHistory.mockRejectedValue(new Error('Failed to fetch bug history'));
+    render(<BugHistory bugId="bug-1" />);
+
+    expect(await screen.findByText('Failed to fetch bug history')).toBeInTheDocument();
+  });
+
+  it('should reload when the bug changes', async () => {
+    const { rerender } = render(<BugHistory bugId="bug-1" version="2024-01-16T10:30:00Z" />);
+    await screen.findByText(/created this bug/i);
+
+    rerender(<BugHistory bugId="bug-1" version="2024-01-17T10:30:00Z" />);
+
+    expect(await screen.findByText(/created this bug/i)).toBeInTheDocument();
+    expect(getBugHistory).toHaveBeenCalledTimes(2);
+  });
+});
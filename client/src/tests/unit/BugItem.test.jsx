@@ -5,7 +5,32 @@ import { render, screen, fireEvent } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import BugItem from '../../components/BugItem';
 
+// Mock AuthContext - admin by default so every action is available
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+import { useAuth } from '../../context/AuthContext';
+
+// Mock LabelContext with a small registry
+jest.mock('../../context/LabelContext', () => ({
+  useLabels: () => ({
+    labels: [
+      { _id: 'l1', name: 'frontend', color: '#ff8800', bugCount: 3 },
+      { _id: 'l2', name: 'regression', color: '#d73a4a', bugCount: 1 },
+    ],
+    loadLabels: jest.fn(),
+    getLabelColor: (name) => ({ frontend: '#ff8800', regression: '#d73a4a' }[name] || '#667eea'),
+  }),
+}));
+
+const mockUser = (role) => ({ user: { _id: 'user-1', name: 'Current User', role } });
+
 describe('BugItem Component', () => {
+  beforeEach(() => {
+    useAuth.mockReturnValue(mockUser('admin'));
+  });
+
   const mockBug = {
     _id: '123',
     title: 'Test Bug',
@@ -53,6 +78,74 @@ describe('BugItem Component', () => {
     });
   });
 
+  describe('Assignee', () => {
+    it('should show the assignee name', () => {
+      render(<BugItem bug={{ ...mockBug, assignee: { _id: 'dev-1', name: 'Dana Developer' } }} />);
+
+      expect(screen.getByText(/assignee:/i).parentElement).toHaveTextContent('Assignee: Dana Developer');
+    });
+
+    it('should show unassigned bugs as Unassigned', () => {
+      render(<BugItem bug={mockBug} />);
+
+      expect(screen.getByText('Unassigned')).toBeInTheDocument();
+    });
+  });
+
+  describe('Labels', () => {
+    it('should show labels as chips in their registry colours', () => {
+      render(<BugItem bug={{ ...mockBug, labels: ['frontend', 'new-label'] }} />);
+
+      expect(screen.getByText('frontend')).toHaveStyle({ backgroundColor: '#ff8800' });
+      expect(screen.getByText('new-label')).toHaveStyle({ backgroundColor: '#667eea' });
+    });
+
+    it('should not render a label row for unlabelled bugs', () => {
+      const { container } = render(<BugItem bug={mockBug} />);
+
+      expect(container.querySelector('.bug-item-labels')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Search Highlights', () => {
+    const highlightedBug = {
+      ...mockBug,
+      highlights: {
+        title: [
+          { text: 'Test ', highlight: false },
+          { text: 'Bug', highlight: true },
+        ],
+        description: [
+          { text: '…a test ', highlight: false },
+          { text: 'bug', highlight: true },
+          { text: ' description', highlight: false },
+        ],
+      },
+    };
+
+    it('should mark highlighted terms in the title and description', () => {
+      const { container } = render(<BugItem bug={highlightedBug} />);
+
+      const marks = container.querySelectorAll('mark.bug-item-highlight');
+      expect(marks).toHaveLength(2);
+      expect(marks[0]).toHaveTextContent('Bug');
+      expect(marks[1]).toHaveTextContent('bug');
+    });
+
+    it('should render the description snippet instead of the full description', () => {
+      render(<BugItem bug={highlightedBug} />);
+
+      expect(screen.getByText(/…a test/)).toBeInTheDocument();
+      expect(screen.queryByText('This is a test bug description')).not.toBeInTheDocument();
+    });
+
+    it('should render plain text when there are no highlights', () => {
+      const { container } = render(<BugItem bug={mockBug} />);
+
+      expect(container.querySelector('mark')).toBeNull();
+    });
+  });
+
   describe('Status Display', () => {
     it('should apply correct class for open status', () => {
       const bug = { ...mockBug, status: 'open' };
@@ -79,6 +172,41 @@ describe('BugItem Component', () => {
     });
   });
 
+  describe('Status Age', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+    it('should show how long an open bug has been open', () => {
+      render(<BugItem bug={{ ...mockBug, createdAt: daysAgo(3) }} />);
+
+      expect(screen.getByText('Open for 3 days')).toBeInTheDocument();
+    });
+
+    it('should show how long a bug has been in progress', () => {
+      render(<BugItem bug={{ ...mockBug, status: 'in-progress', inProgressAt: daysAgo(1) }} />);
+
+      expect(screen.getByText('In progress for 1 day')).toBeInTheDocument();
+    });
+
+    it('should show when a resolved bug was resolved', () => {
+      render(<BugItem bug={{ ...mockBug, status: 'resolved', resolvedAt: daysAgo(2) }} />);
+
+      expect(screen.getByText('Resolved 2 days ago')).toBeInTheDocument();
+    });
+
+    it('should fall back to the age of bugs without status timestamps', () => {
+      render(<BugItem bug={{ ...mockBug, status: 'in-progress', createdAt: daysAgo(5) }} />);
+
+      expect(screen.getByText('Open for 5 days')).toBeInTheDocument();
+    });
+
+    it('should mention reopens', () => {
+      render(<BugItem bug={{ ...mockBug, createdAt: daysAgo(4), reopenCount: 2 }} />);
+
+      expect(screen.getByText('Open for 4 days · Reopened 2 times')).toBeInTheDocument();
+    });
+  });
+
   describe('Priority Display', () => {
     it('should apply correct class for low priority', () => {
       const bug = { ...mockBug, priority: 'low' };
@@ -113,6 +241,31 @@ describe('BugItem Component', () => {
     });
   });
 
+  describe('View Functionality', () => {
+    it('should not render view button when onView is not provided', () => {
+      render(<BugItem bug={mockBug} />);
+
+      expect(screen.queryByRole('button', { name: /view/i })).not.toBeInTheDocument();
+    });
+
+    it('should call onView with bug object when view button is clicked', () => {
+      const onView = jest.fn();
+      render(<BugItem bug={mockBug} onView={onView} />);
+
+      fireEvent.click(screen.getByLabelText(/view bug: test bug/i));
+
+      expect(onView).toHaveBeenCalledWith(mockBug);
+    });
+
+    it('should offer view to users who cannot edit', () => {
+      useAuth.mockReturnValue(mockUser('reporter'));
+      render(<BugItem bug={mockBug} onView={jest.fn()} onEdit={jest.fn()} />);
+
+      expect(screen.getByRole('button', { name: /view/i })).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: /edit/i })).not.toBeInTheDocument();
+    });
+  });
+
   describe('Edit Functionality', () => {
     it('should render edit button when onEdit is provided', () => {
       const onEdit = jest.fn();
@@ -183,6 +336,54 @@ describe('BugItem Component', () => {
     });
   });
 
+  describe('Role Permissions', () => {
+    const onEdit = jest.fn();
+    const onDelete = jest.fn();
+
+    it('should hide Delete from non-admins', () => {
+      for (const role of ['reporter', 'developer', 'triager']) {
+        useAuth.mockReturnValue(mockUser(role));
+        const { unmount } = render(<BugItem bug={mockBug} onEdit={onEdit} onDelete={onDelete} />);
+
+        expect(screen.queryByRole('button', { name: /delete/i })).not.toBeInTheDocument();
+        unmount();
+      }
+    });
+
+    it('should show Edit to developers and triagers on any bug', () => {
+      for (const role of ['developer', 'triager']) {
+        useAuth.mockReturnValue(mockUser(role));
+        const { unmount } = render(<BugItem bug={mockBug} onEdit={onEdit} />);
+
+        expect(screen.getByRole('button', { name: /edit/i })).toBeInTheDocument();
+        unmount();
+      }
+    });
+
+    it('should show Edit to a reporter on their own open bug', () => {
+      useAuth.mockReturnValue(mockUser('reporter'));
+      render(<BugItem bug={{ ...mockBug, reportedBy: 'user-1' }} onEdit={onEdit} />);
+
+      expect(screen.getByRole('button', { name: /edit/i })).toBeInTheDocument();
+    });
+
+    it("should hide Edit from a reporter on someone else's bug", () => {
+      useAuth.mockReturnValue(mockUser('reporter'));
+      render(<BugItem bug={{ ...mockBug, reportedBy: 'user-2' }} onEdit={onEdit} />);
+
+      expect(screen.queryByRole('button', { name: /edit/i })).not.toBeInTheDocument();
+    });
+
+    it('should hide Edit from a reporter once their bug is in progress', () => {
+      useAuth.mockReturnValue(mockUser('reporter'));
+      render(
+        <BugItem bug={{ ...mockBug, reportedBy: 'user-1', status: 'in-progress' }} onEdit={onEdit} />
+      );
+
+      expect(screen.queryByRole('button', { name: /edit/i })).not.toBeInTheDocument();
+    });
+  });
+
   describe('Both Edit and Delete', () => {
     it('should render both buttons when both callbacks are provided', () => {
       const onEdit = jest.fn();
@@ -1,29 +1,39 @@
 // BugList.test.jsx - Unit tests for BugList component
 
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import BugList from '../../components/BugList';
 import { BugProvider } from '../../context/BugContext';
 import * as bugService from '../../services/bugService';
+import { DEFAULT_WORKFLOW } from '../../utils/workflow';
 
 // Mock the bug service
 jest.mock('../../services/bugService');
 
 // Mock BugContext
 const mockDeleteBug = jest.fn();
+const mockRestoreBug = jest.fn();
+const mockBulkAction = jest.fn();
 const mockUpdateFilters = jest.fn();
+const mockLoadMore = jest.fn();
 
 const createMockContext = (overrides = {}) => ({
   bugs: [],
   loading: false,
   error: null,
   filters: {},
+  workflow: DEFAULT_WORKFLOW,
   createBug: jest.fn(),
   updateBug: jest.fn(),
   deleteBug: mockDeleteBug,
+  restoreBug: mockRestoreBug,
+  bulkAction: mockBulkAction,
   loadBugs: jest.fn(),
   updateFilters: mockUpdateFilters,
+  loadMore: mockLoadMore,
+  hasMore: false,
+  loadingMore: false,
   ...overrides,
 });
 
@@ -34,6 +44,23 @@ jest.mock('../../context/BugContext', () => ({
 
 import { useBugs } from '../../context/BugContext';
 
+// Mock LabelContext with a small registry
+jest.mock('../../context/LabelContext', () => ({
+  useLabels: () => ({
+    labels: [
+      { _id: 'l1', name: 'frontend', color: '#ff8800', bugCount: 3 },
+      { _id: 'l2', name: 'regression', color: '#d73a4a', bugCount: 1 },
+    ],
+    loadLabels: jest.fn(),
+    getLabelColor: (name) => ({ frontend: '#ff8800', regression: '#d73a4a' }[name] || '#667eea'),
+  }),
+}));
+
+// Mock AuthContext with an admin so BugItem shows every action
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: () => ({ user: { _id: 'user-1', name: 'Admin', role: 'admin' } }),
+}));
+
 describe('BugList Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -198,6 +225,40 @@ describe('BugList Component', () => {
     });
   });
 
+  describe('Assigned to Me Quick Filter', () => {
+    it('should filter to bugs assigned to the current user', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs: [], filters: { status: 'open' } }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      const quickFilter = screen.getByRole('button', { name: /assigned to me/i });
+      expect(quickFilter).toHaveAttribute('aria-pressed', 'false');
+      fireEvent.click(quickFilter);
+
+      expect(mockUpdateFilters).toHaveBeenCalledWith({ status: 'open', assignee: 'me' });
+    });
+
+    it('should clear the filter when clicked again', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs: [], filters: { assignee: 'me' } }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      const quickFilter = screen.getByRole('button', { name: /assigned to me/i });
+      expect(quickFilter).toHaveAttribute('aria-pressed', 'true');
+      fireEvent.click(quickFilter);
+
+      expect(mockUpdateFilters).toHaveBeenCalledWith({});
+    });
+  });
+
   describe('Filter Functionality', () => {
     it('should toggle filters visibility', () => {
       useBugs.mockReturnValue(createMockContext({ bugs: [] }));
@@ -286,6 +347,24 @@ describe('BugList Component', () => {
       expect(mockUpdateFilters).toHaveBeenCalledWith({ sort: 'oldest' });
     });
 
+    it('should update filters with a multi-key priority sort', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs: [], filters: {} }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      const filterButton = screen.getByRole('button', { name: /show filters/i });
+      fireEvent.click(filterButton);
+
+      const sortSelect = screen.getByLabelText(/sort/i);
+      fireEvent.change(sortSelect, { target: { value: '-priority,createdAt' } });
+
+      expect(mockUpdateFilters).toHaveBeenCalledWith({ sort: '-priority,createdAt' });
+    });
+
     it('should show clear filters button when filters are active', () => {
       useBugs.mockReturnValue(createMockContext({ 
         bugs: [], 
@@ -396,6 +475,209 @@ describe('BugList Component', () => {
     });
   });
 
+  describe('Undo Delete', () => {
+    const bugs = [
+      { _id: '1', title: 'Bug 1', description: 'Desc 1', status: 'open', priority: 'low', reporter: 'Reporter 1', createdAt: new Date() },
+    ];
+
+    const deleteFirstBug = async () => {
+      useBugs.mockReturnValue(createMockContext({ bugs }));
+      mockDeleteBug.mockResolvedValue(true);
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /delete/i }));
+      return screen.findByRole('status');
+    };
+
+    it('should offer to undo after a bug is deleted', async () => {
+      const toast = await deleteFirstBug();
+
+      expect(toast).toHaveTextContent('Deleted "Bug 1"');
+      expect(screen.getByRole('button', { name: 'Undo' })).toBeInTheDocument();
+    });
+
+    it('should restore the bug when Undo is clicked', async () => {
+      mockRestoreBug.mockResolvedValue(bugs[0]);
+      await deleteFirstBug();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+      await waitFor(() => {
+        expect(mockRestoreBug).toHaveBeenCalledWith('1');
+      });
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+
+    it('should show alert when restore fails', async () => {
+      mockRestoreBug.mockRejectedValue(new Error('Restore failed'));
+      await deleteFirstBug();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+      await waitFor(() => {
+        expect(global.window.alert).toHaveBeenCalledWith(expect.stringContaining('Restore failed'));
+      });
+    });
+
+    it('should hide the toast when dismissed', async () => {
+      await deleteFirstBug();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+      expect(mockRestoreBug).not.toHaveBeenCalled();
+    });
+
+    it('should not offer undo when delete fails', async () => {
+      useBugs.mockReturnValue(createMockContext({ bugs }));
+      mockDeleteBug.mockRejectedValue(new Error('Delete failed'));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /delete/i }));
+
+      await waitFor(() => {
+        expect(global.window.alert).toHaveBeenCalled();
+      });
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Bulk Actions', () => {
+    const bugs = [
+      { _id: '1', title: 'Bug 1', description: 'Desc 1', status: 'open', priority: 'low', reporter: 'Reporter 1', createdAt: new Date() },
+      { _id: '2', title: 'Bug 2', description: 'Desc 2', status: 'open', priority: 'medium', reporter: 'Reporter 2', createdAt: new Date() },
+    ];
+
+    const renderWithBugs = () => {
+      useBugs.mockReturnValue(createMockContext({ bugs }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+    };
+
+    it('should show the toolbar only when bugs are selected', () => {
+      renderWithBugs();
+
+      expect(screen.queryByRole('toolbar')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText('Select bug: Bug 1'));
+
+      expect(screen.getByRole('toolbar')).toHaveTextContent('1 selected');
+    });
+
+    it('should select and clear every bug', () => {
+      renderWithBugs();
+
+      fireEvent.click(screen.getByLabelText('Select all bugs'));
+      expect(screen.getByRole('toolbar')).toHaveTextContent('2 selected');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Clear selection' }));
+      expect(screen.queryByRole('toolbar')).not.toBeInTheDocument();
+    });
+
+    it('should update the status of the selected bugs', async () => {
+      mockBulkAction.mockResolvedValue({
+        succeeded: 2,
+        failed: 0,
+        results: [{ id: '1', success: true }, { id: '2', success: true }],
+      });
+      renderWithBugs();
+
+      fireEvent.click(screen.getByLabelText('Select all bugs'));
+      fireEvent.change(screen.getByLabelText('Set status of selected bugs'), {
+        target: { value: 'in-progress' },
+      });
+
+      await waitFor(() => {
+        expect(mockBulkAction).toHaveBeenCalledWith(['1', '2'], 'update', { changes: { status: 'in-progress' } });
+      });
+      await waitFor(() => {
+        expect(screen.queryByRole('toolbar')).not.toBeInTheDocument();
+      });
+    });
+
+    it('should assign the selected bugs to the current user', async () => {
+      mockBulkAction.mockResolvedValue({ succeeded: 1, failed: 0, results: [{ id: '2', success: true }] });
+      renderWithBugs();
+
+      fireEvent.click(screen.getByLabelText('Select bug: Bug 2'));
+      fireEvent.click(screen.getByRole('button', { name: 'Assign to me' }));
+
+      await waitFor(() => {
+        expect(mockBulkAction).toHaveBeenCalledWith(['2'], 'assign', { assignee: 'me' });
+      });
+    });
+
+    it('should list failures and keep the failed bugs selected', async () => {
+      mockBulkAction.mockResolvedValue({
+        succeeded: 1,
+        failed: 1,
+        results: [
+          { id: '1', success: true },
+          { id: '2', success: false, status: 422, error: 'Cannot change status from open to resolved' },
+        ],
+      });
+      renderWithBugs();
+
+      fireEvent.click(screen.getByLabelText('Select all bugs'));
+      fireEvent.change(screen.getByLabelText('Set priority of selected bugs'), {
+        target: { value: 'high' },
+      });
+
+      const alert = await screen.findByRole('alert');
+      expect(alert).toHaveTextContent('1 of 2 succeeded, 1 failed');
+      expect(alert).toHaveTextContent('Bug 2: Cannot change status from open to resolved');
+      expect(screen.getByRole('toolbar')).toHaveTextContent('1 selected');
+      expect(screen.getByLabelText('Select bug: Bug 2')).toBeChecked();
+    });
+
+    it('should delete the selected bugs and offer to undo', async () => {
+      mockBulkAction.mockResolvedValue({
+        succeeded: 2,
+        failed: 0,
+        results: [{ id: '1', success: true }, { id: '2', success: true }],
+      });
+      renderWithBugs();
+
+      fireEvent.click(screen.getByLabelText('Select all bugs'));
+      fireEvent.click(screen.getByRole('button', { name: 'Delete selected' }));
+
+      expect(global.window.confirm).toHaveBeenCalledWith('Are you sure you want to delete 2 bugs?');
+      expect(await screen.findByRole('status')).toHaveTextContent('Deleted 2 bugs');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+      await waitFor(() => {
+        expect(mockBulkAction).toHaveBeenLastCalledWith(['1', '2'], 'restore');
+      });
+    });
+
+    it('should alert when the bulk request fails', async () => {
+      mockBulkAction.mockRejectedValue(new Error('Network down'));
+      renderWithBugs();
+
+      fireEvent.click(screen.getByLabelText('Select bug: Bug 1'));
+      fireEvent.click(screen.getByRole('button', { name: 'Unassign' }));
+
+      await waitFor(() => {
+        expect(global.window.alert).toHaveBeenCalledWith(expect.stringContaining('Network down'));
+      });
+    });
+  });
+
   describe('Edit Functionality', () => {
     it('should call onEditBug when edit button is clicked', () => {
       const bugs = [
@@ -455,10 +737,263 @@ describe('BugList Component', () => {
       window.location.reload = originalReload;
     });
   });
-});
 
+  describe('Pagination', () => {
+    const bugs = [
+      { _id: '1', title: 'Bug 1', description: 'Desc 1', status: 'open', priority: 'low', reporter: 'Reporter 1', createdAt: new Date() },
+    ];
+
+    it('should show the total count rather than the loaded count', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs, total: 42, hasMore: true }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      expect(screen.getByText(/bugs \(42\)/i)).toBeInTheDocument();
+    });
+
+    it('should call loadMore when Load More is clicked', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs, total: 42, hasMore: true }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /load more/i }));
+
+      expect(mockLoadMore).toHaveBeenCalled();
+    });
+
+    it('should disable Load More while the next page is loading', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs, total: 42, hasMore: true, loadingMore: true }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      expect(screen.getByRole('button', { name: /loading\.\.\./i })).toBeDisabled();
+    });
+
+    it('should not show Load More on the last page', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs, total: 1, hasMore: false }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      expect(screen.queryByRole('button', { name: /load more/i })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Label Filter', () => {
+    it('should filter by the labels entered', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs: [], filters: { status: 'open' } }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /show filters/i }));
+      const input = screen.getByLabelText(/labels/i);
+      fireEvent.change(input, { target: { value: 'regression' } });
+      fireEvent.keyDown(input, { key: 'Enter' });
 
+      expect(mockUpdateFilters).toHaveBeenCalledWith({ status: 'open', labels: ['regression'] });
+    });
 
+    it('should offer any/all matching once two labels are filtered', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs: [], filters: { labels: ['frontend', 'regression'] } }));
 
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /show filters/i }));
+      fireEvent.change(screen.getByLabelText('Label match'), { target: { value: 'all' } });
 
+      expect(mockUpdateFilters).toHaveBeenCalledWith({ labels: ['frontend', 'regression'], labelMode: 'all' });
+    });
 
+    it('should drop the labels filter when the last label is removed', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs: [], filters: { labels: ['frontend'] } }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /show filters/i }));
+      fireEvent.click(screen.getByRole('button', { name: 'Remove label frontend' }));
+
+      expect(mockUpdateFilters).toHaveBeenCalledWith({});
+    });
+  });
+
+  describe('Search', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should update filters with the search query after the debounce delay', () => {
+      jest.useFakeTimers();
+      useBugs.mockReturnValue(createMockContext({ bugs: [], filters: { status: 'open' } }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /show filters/i }));
+      fireEvent.change(screen.getByLabelText(/search/i), { target: { value: 'login crash' } });
+
+      expect(mockUpdateFilters).not.toHaveBeenCalled();
+
+      act(() => {
+        jest.advanceTimersByTime(300);
+      });
+
+      expect(mockUpdateFilters).toHaveBeenCalledTimes(1);
+      expect(mockUpdateFilters).toHaveBeenCalledWith({ status: 'open', q: 'login crash' });
+    });
+
+    it('should only search once for a burst of keystrokes', () => {
+      jest.useFakeTimers();
+      useBugs.mockReturnValue(createMockContext({ bugs: [], filters: {} }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /show filters/i }));
+      const searchInput = screen.getByLabelText(/search/i);
+      fireEvent.change(searchInput, { target: { value: 'lo' } });
+      act(() => {
+        jest.advanceTimersByTime(100);
+      });
+      fireEvent.change(searchInput, { target: { value: 'login' } });
+      act(() => {
+        jest.advanceTimersByTime(300);
+      });
+
+      expect(mockUpdateFilters).toHaveBeenCalledTimes(1);
+      expect(mockUpdateFilters).toHaveBeenCalledWith({ q: 'login' });
+    });
+
+    it('should remove the query and relevance sort when the search is cleared', () => {
+      jest.useFakeTimers();
+      useBugs.mockReturnValue(createMockContext({
+        bugs: [],
+        filters: { q: 'login', sort: 'relevance', priority: 'high' },
+      }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /show filters/i }));
+      fireEvent.change(screen.getByLabelText(/search/i), { target: { value: '' } });
+      act(() => {
+        jest.advanceTimersByTime(300);
+      });
+
+      expect(mockUpdateFilters).toHaveBeenCalledWith({ priority: 'high' });
+    });
+
+    it('should clear the search box with Clear Filters', () => {
+      useBugs.mockReturnValue(createMockContext({ bugs: [], filters: { q: 'login' } }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /show filters/i }));
+      expect(screen.getByLabelText(/search/i)).toHaveValue('login');
+
+      fireEvent.click(screen.getByRole('button', { name: /clear filters/i }));
+
+      expect(screen.getByLabelText(/search/i)).toHaveValue('');
+      expect(mockUpdateFilters).toHaveBeenCalledWith({});
+    });
+  });
+
+  describe('Export', () => {
+    const originalCreateObjectURL = global.URL.createObjectURL;
+    const originalRevokeObjectURL = global.URL.revokeObjectURL;
+
+    beforeEach(() => {
+      global.URL.createObjectURL = jest.fn(() => 'blob:export');
+      global.URL.revokeObjectURL = jest.fn();
+      jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      global.URL.createObjectURL = originalCreateObjectURL;
+      global.URL.revokeObjectURL = originalRevokeObjectURL;
+      HTMLAnchorElement.prototype.click.mockRestore();
+    });
+
+    it('should download the export with the current filters', async () => {
+      const filters = { status: 'open', priority: 'high', sort: '-priority' };
+      const blob = new Blob(['id,title']);
+      bugService.exportBugs.mockResolvedValue({ blob, filename: 'bugs-2026-01-31.json' });
+      useBugs.mockReturnValue(createMockContext({ bugs: [], filters }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.change(screen.getByLabelText(/export format/i), { target: { value: 'json' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Export' }));
+
+      expect(screen.getByRole('button', { name: /exporting/i })).toBeDisabled();
+      await waitFor(() => {
+        expect(HTMLAnchorElement.prototype.click).toHaveBeenCalled();
+      });
+      expect(bugService.exportBugs).toHaveBeenCalledWith(filters, 'json');
+      expect(global.URL.createObjectURL).toHaveBeenCalledWith(blob);
+      expect(screen.getByRole('button', { name: 'Export' })).toBeEnabled();
+    });
+
+    it('should show an alert when the export fails', async () => {
+      window.alert = jest.fn();
+      bugService.exportBugs.mockRejectedValue(new Error('Invalid sort: nonsense'));
+      useBugs.mockReturnValue(createMockContext({ bugs: [] }));
+
+      render(
+        <BugProvider>
+          <BugList />
+        </BugProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Export' }));
+
+      await waitFor(() => {
+        expect(window.alert).toHaveBeenCalledWith('Failed to export bugs: Invalid sort: nonsense');
+      });
+      expect(bugService.exportBugs).toHaveBeenCalledWith({}, 'csv');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+// CommentThread.test.jsx - Unit tests for CommentThread component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import CommentThread from '../../components/CommentThread';
+
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+jest.mock('../../services/commentService', () => ({
+  getComments: jest.fn(),
+  addComment: jest.fn(),
+  updateComment: jest.fn(),
+  deleteComment: jest.fn(),
+}));
+
+import { useAuth } from '../../context/AuthContext';
+import {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+} from '../../services/commentService';
+
+const mockUser = (role, _id = 'user-1') => ({ user: { _id, name: 'Current User', role } });
+
+const ownComment = {
+  _id: 'c1',
+  body: 'I can reproduce this',
+  author: { _id: 'user-1', name: 'Current User' },
+  createdAt: '2024-01-15T10:30:00Z',
+  editedAt: null,
+};
+
+const otherComment = {
+  _id: 'c2',
+  body: 'Fixed on my branch',
+  author: { _id: 'user-2', name: 'Other User' },
+  createdAt: '2024-01-16T10:30:00Z',
+  editedAt: '2024-01-16T12:00:00Z',
+};
+
+describe('CommentThread Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue(mockUser('reporter'));
+    getComments.mockResolvedValue([ownComment, otherComment]);
+    window.confirm = jest.fn(() => true);
+  });
+
+  it('should load and render the comments for the bug', async () => {
+    render(<CommentThread bugId="bug-1" />);
+
+    expect(await screen.findByText('I can reproduce this')).toBeInTheDocument();
+    expect(screen.getByText('Fixed on my branch')).toBeInTheDocument();
+    expect(screen.getByText('Other User')).toBeInTheDocument();
+    expect(screen.getByText(/comments \(2\)/i)).toBeInTheDocument();
+    expect(getComments).toHaveBeenCalledWith('bug-1');
+  });
+
+  it('should mark edited comments', async () => {
+    render(<CommentThread bugId="bug-1" />);
+
+    await screen.findByText('Fixed on my branch');
+    expect(screen.getAllByText(/\(edited/i)).toHaveLength(1);
+  });
+
+  it('should show an empty state', async () => {
+    getComments.mockResolvedValue([]);
+    render(<CommentThread bugId="bug-1" />);
+
+    expect(await screen.findByText(/no comments yet/i)).toBeInTheDocument();
+  });
+
+  it('should show load errors', async () => {
+    getComments.mockRejectedValue(new Error('Failed to fetch comments'));
+    render(<CommentThread bugId="bug-1" />);
+
+    expect(await screen.findByText('Failed to fetch comments')).toBeInTheDocument();
+  });
+
+  it('should post a new comment and append it', async () => {
+    addComment.mockResolvedValue({
+      ...ownComment,
+      _id: 'c3',
+      body: 'New note',
+      createdAt: '2024-01-17T10:30:00Z',
+    });
+    render(<CommentThread bugId="bug-1" />);
+    await screen.findByText('I can reproduce this');
+
+    fireEvent.change(screen.getByLabelText(/add a comment/i), { target: { value: 'New note' } });
+    fireEvent.click(screen.getByRole('button', { name: /post comment/i }));
+
+    expect(await screen.findByText('New note')).toBeInTheDocument();
+    expect(addComment).toHaveBeenCalledWith('bug-1', 'New note');
+    expect(screen.getByLabelText(/add a comment/i)).toHaveValue('');
+  });
+
+  it('should disable posting an empty comment', async () => {
+    render(<CommentThread bugId="bug-1" />);
+    await screen.findByText('I can reproduce this');
+
+    expect(screen.getByRole('button', { name: /post comment/i })).toBeDisabled();
+  });
+
+  it('should only offer edit and delete on the user\'s own comments', async () => {
+    render(<CommentThread bugId="bug-1" />);
+    await screen.findByText('I can reproduce this');
+
+    expect(screen.getByLabelText('Edit comment by Current User')).toBeInTheDocument();
+    expect(screen.getByLabelText('Delete comment by Current User')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Edit comment by Other User')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Delete comment by Other User')).not.toBeInTheDocument();
+  });
+
+  it('should let admins delete any comment but only edit their own', async () => {
+    useAuth.mockReturnValue(mockUser('admin'));
+    render(<CommentThread bugId="bug-1" />);
+    await screen.findByText('Fixed on my branch');
+
+    expect(screen.getByLabelText('Delete comment by Other User')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Edit comment by Other User')).not.toBeInTheDocument();
+  });
+
+  it('should edit a comment in place', async () => {
+    updateComment.mockResolvedValue({
+      ...ownComment,
+      body: 'I can reproduce this on Firefox',
+      editedAt: '2024-01-18T10:30:00Z',
+    });
+    render(<CommentThread bugId="bug-1" />);
+    await screen.findByText('I can reproduce this');
+
+    fireEvent.click(screen.getByLabelText('Edit comment by Current User'));
+    fireEvent.change(screen.getByLabelText('Edit comment'), {
+      target: { value: 'I can reproduce this on Firefox' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: /save/i }));
+
+    await waitFor(() => {
+      expect(screen.queryByLabelText('Edit comment')).not.toBeInTheDocument();
+    });
+    expect(screen.getByText('I can reproduce this on Firefox')).toBeInTheDocument();
+    expect(updateComment).toHaveBeenCalledWith('bug-1', 'c1', 'I can reproduce this on Firefox');
+    expect(screen.getAllByText(/\(edited/i)).toHaveLength(2);
+  });
+
+  it('should delete a comment after confirmation', async () => {
+    deleteComment.mockResolvedValue(true);
+    render(<CommentThread bugId="bug-1" />);
+    await screen.findByText('I can reproduce this');
+
+    fireEvent.click(screen.getByLabelText('Delete comment by Current User'));
+
+    await waitFor(() => {
+      expect(screen.queryByText('I can reproduce this')).not.toBeInTheDocument();
+    });
+    expect(deleteComment).toHaveBeenCalledWith('bug-1', 'c1');
+  });
+
+  it('should keep the comment when deletion is cancelled', async () => {
+    window.confirm = jest.fn(() => false);
+    render(<CommentThread bugId="bug-1" />);
+    await screen.findByText('I can reproduce this');
+
+    fireEvent.click(screen.getByLabelText('Delete comment by Current User'));
+
+    expect(deleteComment).not.toHaveBeenCalled();
+    expect(screen.getByText('I can reproduce this')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,130 @@
+// Dashboard.test.jsx - Unit tests for Dashboard component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Dashboard from '../../components/Dashboard';
+
+jest.mock('../../services/bugService', () => ({
+  getBugStats: jest.fn(),
+}));
+
+import { getBugStats } from '../../services/bugService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const criticalBug = {
+  _id: 'c1',
+  title: 'Checkout down',
+  status: 'in-progress',
+  priority: 'critical',
+  assignee: { _id: 'u1', name: 'Dev Person' },
+  createdAt: new Date(Date.now() - 3 * DAY_MS).toISOString(),
+};
+
+const stats = {
+  range: { from: '2024-01-01', to: '2024-01-03' },
+  byStatusPriority: {
+    statuses: ['open', 'in-progress', 'resolved'],
+    priorities: ['low', 'medium', 'high', 'critical'],
+    counts: {
+      open: { low: 1, medium: 2, high: 0, critical: 1 },
+      'in-progress': { low: 0, medium: 0, high: 1, critical: 2 },
+      resolved: { low: 3, medium: 0, high: 0, critical: 4 },
+    },
+    total: 14,
+  },
+  daily: [
+    { date: '2024-01-01', opened: 2, resolved: 0 },
+    { date: '2024-01-02', opened: 1, resolved: 3 },
+    { date: '2024-01-03', opened: 0, resolved: 1 },
+  ],
+  meanTimeToResolve: { averageMs: 2 * DAY_MS + 5 * 60 * 60 * 1000, count: 4 },
+  cycleTime: { averageMs: 20 * 60 * 60 * 1000, count: 3, reopened: 1 },
+  oldestOpenCritical: [criticalBug],
+};
+
+describe('Dashboard Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getBugStats.mockResolvedValue(stats);
+  });
+
+  it('should load statistics for the last 30 days by default', async () => {
+    render(<Dashboard />);
+
+    expect(screen.getByText(/loading statistics/i)).toBeInTheDocument();
+    expect(await screen.findByText('Total bugs')).toBeInTheDocument();
+
+    const range = getBugStats.mock.calls[0][0];
+    expect((Date.parse(range.to) - Date.parse(range.from)) / DAY_MS).toBe(29);
+  });
+
+  it('should show the summary cards', async () => {
+    render(<Dashboard />);
+
+    await screen.findByText('Total bugs');
+    expect(screen.getByText('Total bugs').previousSibling).toHaveTextContent('14');
+    // Critical bugs in open and in-progress
+    expect(screen.getByText('Unresolved critical').previousSibling).toHaveTextContent('3');
+    expect(screen.getByText('2 d 5 h')).toBeInTheDocument();
+    expect(screen.getByText(/mean time to resolve \(4 resolved\)/i)).toBeInTheDocument();
+    expect(screen.getByText('20 h')).toBeInTheDocument();
+    expect(screen.getByText(/mean cycle time.*\(1 reopened\)/i)).toBeInTheDocument();
+  });
+
+  it('should chart opened and resolved bugs per day', async () => {
+    render(<Dashboard />);
+
+    const chart = await screen.findByRole('img', { name: '3 opened and 4 resolved over 3 days' });
+    expect(chart.querySelectorAll('[data-testid="trend-day"]')).toHaveLength(3);
+    expect(screen.getByText('Opened (3)')).toBeInTheDocument();
+    expect(screen.getByText('Resolved (4)')).toBeInTheDocument();
+  });
+
+  it('should show a bar per status with its total', async () => {
+    render(<Dashboard />);
+
+    expect(await screen.findByLabelText('open: 4 bugs')).toBeInTheDocument();
+    expect(screen.getByLabelText('in-progress: 3 bugs')).toBeInTheDocument();
+    expect(screen.getByLabelText('resolved: 7 bugs')).toBeInTheDocument();
+    expect(screen.getByTitle('resolved, critical: 4')).toBeInTheDocument();
+  });
+
+  it('should list the oldest open critical bugs and open them', async () => {
+    const onViewBug = jest.fn();
+    render(<Dashboard onViewBug={onViewBug} />);
+
+    expect(await screen.findByText('Checkout down')).toBeInTheDocument();
+    expect(screen.getByText(/open for 3 days · dev person/i)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /view bug: checkout down/i }));
+
+    expect(onViewBug).toHaveBeenCalledWith(criticalBug);
+  });
+
+  it('should reload when a different range is picked', async () => {
+    render(<Dashboard />);
+    await screen.findByText('Total bugs');
+
+    fireEvent.change(screen.getByLabelText(/range/i), { target: { value: '7' } });
+
+    await waitFor(() => expect(getBugStats).toHaveBeenCalledTimes(2));
+    const range = getBugStats.mock.calls[1][0];
+    expect((Date.parse(range.to) - Date.parse(range.from)) / DAY_MS).toBe(6);
+  });
+
+  it('should show a message when there are no open critical bugs', async () => {
+    getBugStats.mockResolvedValue({ ...stats, oldestOpenCritical: [] });
+    render(<Dashboard />);
+
+    expect(await screen.findByText(/no open critical bugs/i)).toBeInTheDocument();
+  });
+
+  it('should show an error when statistics cannot be loaded', async () => {
+    getBugStats.mockRejectedValue(new Error('Stats unavailable'));
+    render(<Dashboard />);
+
+    expect(await screen.findByText('Stats unavailable')).toBeInTheDocument();
+  });
+});
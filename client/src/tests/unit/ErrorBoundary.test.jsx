@@ -5,6 +5,12 @@ import { render, screen, fireEvent } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import ErrorBoundary from '../../components/ErrorBoundary';
 import ErrorThrower from '../../components/ErrorThrower';
+import { reportError } from '../../services/errorReportingService';
+
+// Reports are checked here; batching and sending are tested with the service
+jest.mock('../../services/errorReportingService', () => ({
+  reportError: jest.fn(),
+}));
 
 // Suppress console.error for error boundary tests
 const originalError = console.error;
@@ -183,6 +189,19 @@ describe('ErrorBoundary Component', () => {
 
       consoleSpy.mockRestore();
     });
+
+    it('should report caught errors with their component stack', () => {
+      render(
+        <ErrorBoundary>
+          <ThrowError shouldThrow={true} />
+        </ErrorBoundary>
+      );
+
+      expect(reportError).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Test error for ErrorBoundary' }),
+        expect.objectContaining({ source: 'boundary', componentStack: expect.any(String) })
+      );
+    });
   });
 
   describe('Home Button', () => {
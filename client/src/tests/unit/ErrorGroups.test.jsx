@@ -0,0 +1,130 @@
+// ErrorGroups.test.jsx - Unit tests for ErrorGroups component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ErrorGroups from '../../components/ErrorGroups';
+
+jest.mock('../../services/errorGroupService', () => ({
+  getErrorGroups: jest.fn(),
+  getErrorGroup: jest.fn(),
+}));
+
+import { getErrorGroups, getErrorGroup } from '../../services/errorGroupService';
+
+const clientGroup = {
+  _id: 'g1',
+  platform: 'client',
+  name: 'TypeError',
+  title: 'Cannot read properties of undefined',
+  culprit: 'BugItem (/static/js/main.js)',
+  count: 12,
+  firstSeen: '2024-01-01T00:00:00.000Z',
+  lastSeen: '2024-01-02T00:00:00.000Z',
+  stack: 'TypeError: Cannot read properties of undefined\n    at BugItem (main.js:1:2)',
+};
+
+const serverGroup = {
+  _id: 'g2',
+  platform: 'server',
+  name: 'MongoServerError',
+  title: 'Connection pool closed',
+  culprit: null,
+  count: 1,
+  firstSeen: '2024-01-02T00:00:00.000Z',
+  lastSeen: '2024-01-02T00:00:00.000Z',
+};
+
+describe('ErrorGroups Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getErrorGroups.mockResolvedValue({ groups: [clientGroup, serverGroup], nextCursor: null, total: 2 });
+  });
+
+  it('should list error groups with their counts and where they were thrown', async () => {
+    render(<ErrorGroups onCreateBug={jest.fn()} />);
+
+    expect(screen.getByText(/loading errors/i)).toBeInTheDocument();
+    expect(await screen.findByText(/cannot read properties of undefined/i)).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Errors (2)' })).toBeInTheDocument();
+    expect(screen.getByText('BugItem (/static/js/main.js)')).toBeInTheDocument();
+    expect(screen.getByLabelText('12 occurrences')).toHaveTextContent('12 events');
+    expect(screen.getByLabelText('1 occurrences')).toHaveTextContent('1 event');
+    expect(getErrorGroups).toHaveBeenCalledWith({ sort: 'lastSeen', platform: '' });
+  });
+
+  it('should reload when the sort or platform changes', async () => {
+    render(<ErrorGroups onCreateBug={jest.fn()} />);
+    await screen.findByText(/cannot read properties of undefined/i);
+
+    fireEvent.change(screen.getByLabelText(/sort/i), { target: { value: 'count' } });
+    await waitFor(() => expect(getErrorGroups).toHaveBeenLastCalledWith({ sort: 'count', platform: '' }));
+
+    fireEvent.change(screen.getByLabelText(/platform/i), { target: { value: 'server' } });
+    await waitFor(() => expect(getErrorGroups).toHaveBeenLastCalledWith({ sort: 'count', platform: 'server' }));
+  });
+
+  it('should pass a bug draft for the group to onCreateBug', async () => {
+    const onCreateBug = jest.fn();
+    render(<ErrorGroups onCreateBug={onCreateBug} />);
+
+    const buttons = await screen.findAllByRole('button', { name: /create bug from this error/i });
+    fireEvent.click(buttons[0]);
+
+    expect(onCreateBug).toHaveBeenCalledWith(
+      expect.objectContaining({
+        title: 'TypeError: Cannot read properties of undefined',
+        description: expect.stringContaining('Seen 12 times on the client'),
+        priority: 'medium',
+      })
+    );
+  });
+
+  it('should show the stack and latest reports of an expanded group', async () => {
+    getErrorGroup.mockResolvedValue({
+      ...clientGroup,
+      reports: [
+        { _id: 'r1', occurredAt: new Date().toISOString(), user: { name: 'Jane' }, url: 'http://localhost:3000/' },
+        { _id: 'r2', occurredAt: new Date().toISOString(), user: null, appVersion: '1.2.0' },
+      ],
+    });
+    render(<ErrorGroups onCreateBug={jest.fn()} />);
+
+    const [details] = await screen.findAllByRole('button', { name: 'Details' });
+    fireEvent.click(details);
+
+    expect(await screen.findByText('Jane')).toBeInTheDocument();
+    expect(screen.getByText('Anonymous')).toBeInTheDocument();
+    expect(screen.getByText('v1.2.0')).toBeInTheDocument();
+    expect(screen.getByText(/at BugItem \(main\.js:1:2\)/)).toBeInTheDocument();
+    expect(getErrorGroup).toHaveBeenCalledWith('g1');
+    expect(details).toHaveAttribute('aria-expanded', 'true');
+  });
+
+  it('should load more groups with the next cursor', async () => {
+    getErrorGroups
+      .mockResolvedValueOnce({ groups: [clientGroup], nextCursor: 'next', total: 2 })
+      .mockResolvedValueOnce({ groups: [serverGroup], nextCursor: null, total: 2 });
+    render(<ErrorGroups onCreateBug={jest.fn()} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Load More' }));
+
+    expect(await screen.findByText(/connection pool closed/i)).toBeInTheDocument();
+    expect(getErrorGroups).toHaveBeenLastCalledWith({ sort: 'lastSeen', platform: '', cursor: 'next' });
+    expect(screen.queryByRole('button', { name: 'Load More' })).not.toBeInTheDocument();
+  });
+
+  it('should say when no errors have been reported', async () => {
+    getErrorGroups.mockResolvedValue({ groups: [], nextCursor: null, total: 0 });
+    render(<ErrorGroups onCreateBug={jest.fn()} />);
+
+    expect(await screen.findByText(/no errors have been reported/i)).toBeInTheDocument();
+  });
+
+  it('should show an error when the groups cannot be loaded', async () => {
+    getErrorGroups.mockRejectedValue(new Error('Not authorized to perform this action'));
+    render(<ErrorGroups onCreateBug={jest.fn()} />);
+
+    expect(await screen.findByText('Not authorized to perform this action')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,139 @@
+// ImportWizard.test.jsx - Unit tests for ImportWizard component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ImportWizard from '../../components/ImportWizard';
+
+jest.mock('../../services/bugService', () => ({
+  importBugs: jest.fn(),
+}));
+
+const mockLoadBugs = jest.fn();
+jest.mock('../../context/BugContext', () => ({
+  useBugs: () => ({ loadBugs: mockLoadBugs }),
+}));
+
+import { importBugs } from '../../services/bugService';
+
+const file = new File(['Summary,Notes\nCrash,x\n'], 'bugs.csv', { type: 'text/csv' });
+
+const makePreview = (overrides = {}) => ({
+  headers: ['Summary', 'Notes'],
+  columns: { Summary: 'title', Notes: null },
+  summary: { total: 3, valid: 1, invalid: 0, duplicates: 2 },
+  rows: [
+    { row: 2, status: 'valid', bug: { title: 'Crash', priority: 'high' }, errors: [], duplicateOf: null },
+    { row: 3, status: 'duplicate', bug: { title: 'crash' }, errors: [], duplicateOf: { row: 2 } },
+    { row: 4, status: 'duplicate', bug: { title: 'Old' }, errors: [], duplicateOf: { id: 'b1', title: 'Old' } },
+  ],
+  ...overrides,
+});
+
+const chooseFile = () => {
+  fireEvent.change(screen.getByLabelText(/csv or json file/i), { target: { files: [file] } });
+};
+
+describe('ImportWizard Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should preview a chosen file with a dry run', async () => {
+    importBugs.mockResolvedValue(makePreview());
+    render(<ImportWizard onClose={jest.fn()} />);
+
+    chooseFile();
+
+    expect(await screen.findByText('Columns in bugs.csv')).toBeInTheDocument();
+    expect(importBugs).toHaveBeenCalledWith(file, { mapping: undefined, dryRun: true });
+    expect(screen.getByLabelText('Field for Summary')).toHaveValue('title');
+    expect(screen.getByLabelText('Field for Notes')).toHaveValue('');
+    expect(screen.getByText(/3 rows: 1 ready, 0 with errors, 2 duplicates/)).toBeInTheDocument();
+    expect(screen.getByText('Duplicate of row 2')).toBeInTheDocument();
+    expect(screen.getByText('Duplicate of "Old"')).toBeInTheDocument();
+  });
+
+  it('should preview again when a column mapping changes', async () => {
+    importBugs.mockResolvedValue(makePreview());
+    render(<ImportWizard onClose={jest.fn()} />);
+    chooseFile();
+    await screen.findByText('Columns in bugs.csv');
+
+    fireEvent.change(screen.getByLabelText('Field for Notes'), { target: { value: 'description' } });
+
+    await waitFor(() => {
+      expect(importBugs).toHaveBeenLastCalledWith(file, {
+        mapping: { Summary: 'title', Notes: 'description' },
+        dryRun: true,
+      });
+    });
+  });
+
+  it('should list row errors and not allow importing while rows are invalid', async () => {
+    importBugs.mockResolvedValue(makePreview({
+      summary: { total: 1, valid: 0, invalid: 1, duplicates: 0 },
+      rows: [{
+        row: 2,
+        status: 'invalid',
+        bug: {},
+        errors: ['Title is required and must be a non-empty string'],
+        duplicateOf: null,
+      }],
+    }));
+    render(<ImportWizard onClose={jest.fn()} />);
+
+    chooseFile();
+
+    expect(await screen.findByText('Title is required and must be a non-empty string')).toBeInTheDocument();
+    expect(screen.getByText('No title')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /import 0 bugs/i })).toBeDisabled();
+  });
+
+  it('should import with the reviewed mapping and refresh the bug list', async () => {
+    const onClose = jest.fn();
+    importBugs
+      .mockResolvedValueOnce(makePreview())
+      .mockResolvedValueOnce({ ...makePreview(), summary: { total: 3, valid: 1, invalid: 0, duplicates: 2, imported: 1 } });
+    render(<ImportWizard onClose={onClose} />);
+    chooseFile();
+    await screen.findByText('Columns in bugs.csv');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Import 1 Bug' }));
+
+    expect(await screen.findByText(/imported 1 bug, skipped 2 duplicates/i)).toBeInTheDocument();
+    expect(importBugs).toHaveBeenLastCalledWith(file, { mapping: { Summary: 'title', Notes: null } });
+    expect(mockLoadBugs).toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Done' }));
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it('should show the latest report when the import is rejected', async () => {
+    const rejected = makePreview({
+      summary: { total: 1, valid: 0, invalid: 1, duplicates: 0 },
+      rows: [{ row: 2, status: 'invalid', bug: { title: 'Crash' }, errors: ['Assignee not found: x'], duplicateOf: null }],
+    });
+    const error = Object.assign(new Error('1 of 1 rows have errors; no bugs were imported'), { report: rejected });
+    importBugs.mockResolvedValueOnce(makePreview()).mockRejectedValueOnce(error);
+    render(<ImportWizard onClose={jest.fn()} />);
+    chooseFile();
+    await screen.findByText('Columns in bugs.csv');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Import 1 Bug' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('no bugs were imported');
+    expect(screen.getByText('Assignee not found: x')).toBeInTheDocument();
+    expect(mockLoadBugs).not.toHaveBeenCalled();
+  });
+
+  it('should show errors reading the file and stay on the first step', async () => {
+    importBugs.mockRejectedValue(new Error('The file is not valid JSON'));
+    render(<ImportWizard onClose={jest.fn()} />);
+
+    chooseFile();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('The file is not valid JSON');
+    expect(screen.getByLabelText(/csv or json file/i)).toBeInTheDocument();
+  });
+});
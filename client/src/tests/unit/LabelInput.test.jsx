@@ -0,0 +1,147 @@
+// LabelInput.test.jsx - Unit tests for the label tag input
+
+import React, { useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import LabelInput from '../../components/LabelInput';
+import { getContrastColor } from '../../components/LabelChip';
+
+const registry = [
+  { _id: 'l1', name: 'frontend', color: '#ff8800', bugCount: 3 },
+  { _id: 'l2', name: 'regression', color: '#d73a4a', bugCount: 1 },
+  { _id: 'l3', name: 'payments', color: '#22aa55', bugCount: 0 },
+];
+
+const getLabelColor = (name) => registry.find((label) => label.name === name)?.color || '#667eea';
+
+// Controlled wrapper so the input behaves as it does inside a form
+const Harness = ({ initial = [], onChange = () => {} }) => {
+  const [labels, setLabels] = useState(initial);
+  return (
+    <>
+      <label htmlFor="labels">Labels</label>
+      <LabelInput
+        id="labels"
+        value={labels}
+        onChange={(next) => {
+          setLabels(next);
+          onChange(next);
+        }}
+        labels={registry}
+        getLabelColor={getLabelColor}
+      />
+    </>
+  );
+};
+
+describe('LabelInput Component', () => {
+  it('should show the current labels as removable chips', () => {
+    const onChange = jest.fn();
+    render(<Harness initial={['frontend', 'regression']} onChange={onChange} />);
+
+    expect(screen.getByText('frontend')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove label frontend' }));
+
+    expect(onChange).toHaveBeenCalledWith(['regression']);
+  });
+
+  it('should add a normalised label on Enter without submitting the form', () => {
+    const onChange = jest.fn();
+    const onSubmit = jest.fn((e) => e.preventDefault());
+    render(
+      <form onSubmit={onSubmit}>
+        <Harness onChange={onChange} />
+      </form>
+    );
+
+    const input = screen.getByLabelText('Labels');
+    fireEvent.change(input, { target: { value: '  Mobile   App ' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onChange).toHaveBeenCalledWith(['mobile app']);
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(input).toHaveValue('');
+  });
+
+  it('should add a label when a comma is typed', () => {
+    const onChange = jest.fn();
+    render(<Harness onChange={onChange} />);
+
+    const input = screen.getByLabelText('Labels');
+    fireEvent.change(input, { target: { value: 'backend' } });
+    fireEvent.keyDown(input, { key: ',' });
+
+    expect(onChange).toHaveBeenCalledWith(['backend']);
+  });
+
+  it('should suggest matching labels that are not already added', () => {
+    render(<Harness initial={['frontend']} />);
+
+    fireEvent.change(screen.getByLabelText('Labels'), { target: { value: 'e' } });
+
+    const options = screen.getAllByRole('option');
+    expect(options.map((option) => option.textContent)).toEqual(['regression1', 'payments']);
+  });
+
+  it('should pick a suggestion with the keyboard', () => {
+    const onChange = jest.fn();
+    render(<Harness onChange={onChange} />);
+
+    const input = screen.getByLabelText('Labels');
+    fireEvent.change(input, { target: { value: 'e' } });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onChange).toHaveBeenCalledWith(['regression']);
+  });
+
+  it('should pick a suggestion with the mouse', () => {
+    const onChange = jest.fn();
+    render(<Harness onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText('Labels'), { target: { value: 'pay' } });
+    fireEvent.mouseDown(screen.getByRole('option'));
+
+    expect(onChange).toHaveBeenCalledWith(['payments']);
+  });
+
+  it('should remove the last label with Backspace in an empty input', () => {
+    const onChange = jest.fn();
+    render(<Harness initial={['frontend', 'regression']} onChange={onChange} />);
+
+    fireEvent.keyDown(screen.getByLabelText('Labels'), { key: 'Backspace' });
+
+    expect(onChange).toHaveBeenCalledWith(['frontend']);
+  });
+
+  it('should reject labels with unsupported characters', () => {
+    const onChange = jest.fn();
+    render(<Harness onChange={onChange} />);
+
+    const input = screen.getByLabelText('Labels');
+    fireEvent.change(input, { target: { value: 'urgent!' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onChange).not.toHaveBeenCalled();
+    expect(screen.getByText(/Labels may only contain/)).toBeInTheDocument();
+  });
+
+  it('should add pending text when the input loses focus', () => {
+    const onChange = jest.fn();
+    render(<Harness onChange={onChange} />);
+
+    const input = screen.getByLabelText('Labels');
+    fireEvent.change(input, { target: { value: 'docs' } });
+    fireEvent.blur(input);
+
+    expect(onChange).toHaveBeenCalledWith(['docs']);
+  });
+});
+
+describe('getContrastColor', () => {
+  it('should use dark text on light colours and white text on dark colours', () => {
+    expect(getContrastColor('#ffff00')).toBe('#222');
+    expect(getContrastColor('#1a237e')).toBe('#fff');
+  });
+});
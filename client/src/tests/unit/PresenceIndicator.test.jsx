@@ -0,0 +1,45 @@
+// PresenceIndicator.test.jsx - Unit tests for PresenceIndicator component
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import PresenceIndicator from '../../components/PresenceIndicator';
+
+describe('PresenceIndicator Component', () => {
+  it('should list the other users viewing the bug', () => {
+    render(
+      <PresenceIndicator
+        viewers={[
+          { _id: 'me', name: 'Current User' },
+          { _id: 'u2', name: 'Bob Builder' },
+          { _id: 'u3', name: 'Cy' },
+        ]}
+        currentUserId="me"
+      />
+    );
+
+    expect(screen.getByRole('status', { name: 'Also viewing: Bob Builder, Cy' })).toBeInTheDocument();
+    expect(screen.getByText('Bob Builder, Cy are also viewing')).toBeInTheDocument();
+    expect(screen.getByText('BB')).toBeInTheDocument();
+  });
+
+  it('should use the singular for one other viewer', () => {
+    render(<PresenceIndicator viewers={[{ _id: 'u2', name: 'Bob' }]} currentUserId="me" />);
+
+    expect(screen.getByText('Bob is also viewing')).toBeInTheDocument();
+  });
+
+  it('should render nothing when only the current user is viewing', () => {
+    const { container } = render(
+      <PresenceIndicator viewers={[{ _id: 'me', name: 'Current User' }]} currentUserId="me" />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should render nothing without viewers', () => {
+    const { container } = render(<PresenceIndicator currentUserId="me" />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
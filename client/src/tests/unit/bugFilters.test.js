@@ -0,0 +1,52 @@
+// bugFilters.test.js - Unit tests for client-side list filter matching
+
+import { matchesFilters } from '../../utils/bugFilters';
+
+const bug = {
+  _id: 'b1',
+  title: 'Checkout button unresponsive',
+  description: 'Clicking pay does nothing on Safari',
+  status: 'open',
+  priority: 'high',
+  assignee: { _id: 'dev-1', name: 'Dana' },
+  labels: ['frontend', 'payments'],
+};
+
+describe('matchesFilters', () => {
+  it('should match everything without filters', () => {
+    expect(matchesFilters(bug, {})).toBe(true);
+    expect(matchesFilters(bug)).toBe(true);
+  });
+
+  it('should filter by status and priority', () => {
+    expect(matchesFilters(bug, { status: 'open', priority: 'high' })).toBe(true);
+    expect(matchesFilters(bug, { status: 'resolved' })).toBe(false);
+    expect(matchesFilters(bug, { priority: 'low' })).toBe(false);
+  });
+
+  it('should filter by assignee, including me and unassigned', () => {
+    expect(matchesFilters(bug, { assignee: 'dev-1' })).toBe(true);
+    expect(matchesFilters(bug, { assignee: 'dev-2' })).toBe(false);
+    expect(matchesFilters(bug, { assignee: 'me' }, 'dev-1')).toBe(true);
+    expect(matchesFilters(bug, { assignee: 'me' }, 'dev-2')).toBe(false);
+    expect(matchesFilters(bug, { unassigned: true })).toBe(false);
+    expect(matchesFilters({ ...bug, assignee: null }, { unassigned: true })).toBe(true);
+  });
+
+  it('should accept an unpopulated assignee id', () => {
+    expect(matchesFilters({ ...bug, assignee: 'dev-1' }, { assignee: 'dev-1' })).toBe(true);
+  });
+
+  it('should match any label by default and all labels with labelMode=all', () => {
+    expect(matchesFilters(bug, { labels: ['payments', 'backend'] })).toBe(true);
+    expect(matchesFilters(bug, { labels: ['payments', 'backend'], labelMode: 'all' })).toBe(false);
+    expect(matchesFilters(bug, { labels: ['Frontend', 'payments'], labelMode: 'all' })).toBe(true);
+    expect(matchesFilters(bug, { labels: ['backend'] })).toBe(false);
+  });
+
+  it('should match search terms in the title or description', () => {
+    expect(matchesFilters(bug, { q: 'safari' })).toBe(true);
+    expect(matchesFilters(bug, { q: 'firefox checkout' })).toBe(true);
+    expect(matchesFilters(bug, { q: 'firefox' })).toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+// bugMerge.test.js - Unit tests for merging conflicting bug edits
+
+import { toFormValues, mergeBugChanges } from '../../utils/bugMerge';
+
+describe('Bug Merge Utilities', () => {
+  const base = {
+    title: 'Login fails',
+    description: 'Cannot log in',
+    status: 'open',
+    priority: 'medium',
+    assignee: '',
+  };
+
+  describe('toFormValues', () => {
+    it('should map a bug to form values with the assignee id', () => {
+      const bug = { ...base, _id: '1', assignee: { _id: 'dev-1', name: 'Dev' } };
+
+      expect(toFormValues(bug)).toEqual({ ...base, assignee: 'dev-1', labels: [] });
+    });
+
+    it('should fill in defaults for missing fields', () => {
+      expect(toFormValues({})).toEqual({
+        title: '',
+        description: '',
+        status: 'open',
+        priority: 'medium',
+        assignee: '',
+        labels: [],
+      });
+    });
+
+    it('should copy labels so form edits do not change the bug', () => {
+      const bug = { ...base, labels: ['frontend'] };
+      const values = toFormValues(bug);
+
+      values.labels.push('regression');
+
+      expect(bug.labels).toEqual(['frontend']);
+    });
+  });
+
+  describe('mergeBugChanges', () => {
+    it('should keep my changes and take theirs when they touch different fields', () => {
+      const mine = { ...base, title: 'Login fails on Safari' };
+      const theirs = { ...base, status: 'in-progress' };
+
+      const result = mergeBugChanges(base, mine, theirs);
+
+      expect(result.conflicts).toEqual([]);
+      expect(result.theirChanges).toEqual(['status']);
+      expect(result.merged).toEqual({ ...base, title: 'Login fails on Safari', status: 'in-progress' });
+    });
+
+    it('should report fields both sides changed differently, defaulting to mine', () => {
+      const mine = { ...base, priority: 'high' };
+      const theirs = { ...base, priority: 'critical' };
+
+      const result = mergeBugChanges(base, mine, theirs);
+
+      expect(result.conflicts).toEqual(['priority']);
+      expect(result.merged.priority).toBe('high');
+    });
+
+    it('should not treat identical changes as a conflict', () => {
+      const mine = { ...base, status: 'resolved' };
+      const theirs = { ...base, status: 'resolved' };
+
+      const result = mergeBugChanges(base, mine, theirs);
+
+      expect(result.conflicts).toEqual([]);
+      expect(result.merged.status).toBe('resolved');
+    });
+
+    it('should compare labels by their contents', () => {
+      const labelled = { ...base, labels: ['frontend'] };
+      const mine = { ...labelled, labels: ['frontend'] };
+      const theirs = { ...labelled, labels: ['frontend', 'regression'] };
+
+      const result = mergeBugChanges(labelled, mine, theirs);
+
+      expect(result.conflicts).toEqual([]);
+      expect(result.theirChanges).toEqual(['labels']);
+      expect(result.merged.labels).toEqual(['frontend', 'regression']);
+    });
+
+    it('should report labels changed differently on both sides as a conflict', () => {
+      const labelled = { ...base, labels: ['frontend'] };
+
+      const result = mergeBugChanges(
+        labelled,
+        { ...labelled, labels: [] },
+        { ...labelled, labels: ['frontend', 'regression'] }
+      );
+
+      expect(result.conflicts).toEqual(['labels']);
+      expect(result.merged.labels).toEqual([]);
+    });
+
+    it('should only merge the given fields', () => {
+      const theirs = { ...base, assignee: 'dev-1' };
+
+      const result = mergeBugChanges(base, base, theirs, ['title', 'status']);
+
+      expect(result.merged).toEqual({ title: base.title, status: base.status });
+      expect(result.theirChanges).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+// dateUtils.test.js - Unit tests for client relative time helpers
+
+import { getElapsedTime, getRelativeTime } from '../../utils/dateUtils';
+
+describe('dateUtils', () => {
+  const now = new Date('2024-03-10T12:00:00Z');
+
+  describe('getElapsedTime', () => {
+    it('should use the largest whole unit', () => {
+      expect(getElapsedTime(new Date('2024-03-10T11:58:00Z'), now)).toBe('2 minutes');
+      expect(getElapsedTime(new Date('2024-03-10T11:00:00Z'), now)).toBe('1 hour');
+      expect(getElapsedTime('2024-03-07T12:00:00Z', now)).toBe('3 days');
+      expect(getElapsedTime('2024-01-01T12:00:00Z', now)).toBe('2 months');
+      expect(getElapsedTime('2021-03-10T12:00:00Z', now)).toBe('3 years');
+    });
+
+    it('should return "less than a minute" for very recent dates', () => {
+      expect(getElapsedTime(new Date('2024-03-10T11:59:30Z'), now)).toBe('less than a minute');
+    });
+
+    it('should return null for missing dates and throw for invalid ones', () => {
+      expect(getElapsedTime(null, now)).toBeNull();
+      expect(() => getElapsedTime('not-a-date', now)).toThrow('Invalid date provided');
+    });
+  });
+
+  describe('getRelativeTime', () => {
+    it('should describe past dates with "ago"', () => {
+      expect(getRelativeTime(new Date(Date.now() - 5 * 60 * 1000))).toBe('5 minutes ago');
+    });
+
+    it('should return "just now" for very recent dates', () => {
+      expect(getRelativeTime(new Date(Date.now() - 30 * 1000))).toBe('just now');
+    });
+  });
+});
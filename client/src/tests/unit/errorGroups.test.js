@@ -0,0 +1,70 @@
+// errorGroups.test.js - Unit tests for turning error groups into bugs
+
+import { toBugDraft } from '../../utils/errorGroups';
+
+describe('Error Group Utilities', () => {
+  const group = {
+    platform: 'client',
+    name: 'TypeError',
+    title: 'Cannot read properties of undefined',
+    culprit: 'BugItem (/static/js/main.js)',
+    count: 1,
+    firstSeen: '2024-01-01T00:00:00.000Z',
+    lastSeen: '2024-01-02T00:00:00.000Z',
+    lastMessage: 'Cannot read properties of undefined',
+    url: 'http://localhost:3000/',
+    appVersion: '1.2.0',
+    stack: 'TypeError: Cannot read properties of undefined\n    at BugItem (main.js:1:2)',
+    componentStack: '\n    in BugItem\n    in BugList',
+  };
+
+  describe('toBugDraft', () => {
+    it('should describe when, where and how often the error happened', () => {
+      const draft = toBugDraft(group);
+
+      expect(draft.title).toBe('TypeError: Cannot read properties of undefined');
+      expect(draft.priority).toBe('medium');
+      expect(draft.description).toContain(
+        'Seen 1 time on the client, first at 2024-01-01T00:00:00.000Z and last at 2024-01-02T00:00:00.000Z.'
+      );
+      expect(draft.description).toContain('Where: BugItem (/static/js/main.js)');
+      expect(draft.description).toContain('URL: http://localhost:3000/');
+      expect(draft.description).toContain('App version: 1.2.0');
+      expect(draft.description).toContain('Stack trace:\nTypeError: Cannot read properties of undefined\n    at BugItem');
+      expect(draft.description).toContain('Component stack:\nin BugItem\n    in BugList');
+    });
+
+    it('should leave out details the group does not have', () => {
+      const draft = toBugDraft({
+        ...group,
+        platform: 'server',
+        culprit: null,
+        url: null,
+        appVersion: null,
+        stack: null,
+        componentStack: null,
+      });
+
+      expect(draft.description).not.toMatch(/Where:|URL:|App version:|Stack trace:|Component stack:|null/);
+    });
+
+    it('should shorten long titles to what the bug form accepts', () => {
+      const draft = toBugDraft({ ...group, title: 'x'.repeat(300) });
+
+      expect(draft.title).toHaveLength(200);
+      expect(draft.title.endsWith('...')).toBe(true);
+    });
+
+    it('should only copy the top of long stacks', () => {
+      const stack = Array.from({ length: 40 }, (_, index) => `    at fn${index} (main.js:1:1)`).join('\n');
+      const draft = toBugDraft({ ...group, stack });
+
+      expect(draft.description).toContain('fn14');
+      expect(draft.description).not.toContain('fn15');
+    });
+
+    it('should raise the priority of frequent errors', () => {
+      expect(toBugDraft({ ...group, count: 100 }).priority).toBe('high');
+    });
+  });
+});
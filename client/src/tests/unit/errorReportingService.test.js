@@ -0,0 +1,192 @@
+// errorReportingService.test.js - Unit tests for client error report batching
+
+import { saveSession, clearSession } from '../../services/authService';
+
+// Let pending promise callbacks run between fake timer steps
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+const okResponse = { ok: true, status: 201, headers: { get: () => null } };
+const errorResponse = (status, retryAfter = null) => ({
+  ok: false,
+  status,
+  headers: { get: (name) => (name === 'Retry-After' ? retryAfter : null) },
+});
+
+// Each test gets a fresh queue
+let service;
+const loadService = () => {
+  jest.isolateModules(() => {
+    service = require('../../services/errorReportingService');
+  });
+};
+
+const sentBodies = () => global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+
+describe('errorReportingService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn().mockResolvedValue(okResponse);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    loadService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+    clearSession();
+  });
+
+  it('should send reports caught close together in one batch', async () => {
+    service.reportError(new Error('First'));
+    service.reportError(new TypeError('Second'), { source: 'onerror' });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(2000);
+    await flushPromises();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:5000/api/errors');
+    expect(options.method).toBe('POST');
+    const { reports } = JSON.parse(options.body);
+    expect(reports).toHaveLength(2);
+    expect(reports[0]).toMatchObject({ message: 'First', name: 'Error', source: 'boundary' });
+    expect(reports[1]).toMatchObject({ message: 'Second', name: 'TypeError', source: 'onerror' });
+    expect(reports[0].url).toBe(window.location.href);
+    expect(reports[0].appVersion).toBe(service.APP_VERSION);
+  });
+
+  it('should send the access token when logged in', async () => {
+    saveSession({ user: { _id: 'u1' }, accessToken: 'access', refreshToken: 'refresh' });
+
+    service.reportError(new Error('Boom'));
+    await service.flushErrorReports();
+
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer access');
+  });
+
+  it('should describe rejections with values that are not errors', async () => {
+    service.reportError('plain string', { source: 'unhandledrejection' });
+    service.reportError({ code: 42 }, { source: 'unhandledrejection' });
+    await service.flushErrorReports();
+
+    const { reports } = sentBodies()[0];
+    expect(reports.map((report) => report.message)).toEqual(['plain string', '{"code":42}']);
+  });
+
+  it('should report an error object once and keep the component stack', async () => {
+    const error = new Error('Render failed');
+    service.reportError(error, { source: 'onerror' });
+    service.reportError(error, { source: 'boundary', componentStack: '\n    in BugList' });
+    await service.flushErrorReports();
+
+    const { reports } = sentBodies()[0];
+    expect(reports).toHaveLength(1);
+    expect(reports[0]).toMatchObject({ source: 'boundary', componentStack: '\n    in BugList' });
+  });
+
+  it('should split large queues into batches of ten', async () => {
+    for (let i = 0; i < 12; i += 1) {
+      service.reportError(new Error(`Error ${i}`));
+    }
+    await service.flushErrorReports();
+
+    expect(sentBodies().map(({ reports }) => reports.length)).toEqual([10, 2]);
+  });
+
+  it('should retry network failures and server errors with growing delays', async () => {
+    global.fetch
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(errorResponse(503))
+      .mockResolvedValueOnce(okResponse);
+
+    service.reportError(new Error('Boom'));
+    const flushing = service.flushErrorReports();
+    await flushPromises();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(1999);
+    await flushPromises();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    await flushing;
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('should wait for Retry-After when rate limited', async () => {
+    global.fetch.mockResolvedValueOnce(errorResponse(429, '5')).mockResolvedValueOnce(okResponse);
+
+    service.reportError(new Error('Boom'));
+    const flushing = service.flushErrorReports();
+    await flushPromises();
+
+    jest.advanceTimersByTime(4999);
+    await flushPromises();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    await flushing;
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should drop a batch the server rejects as invalid', async () => {
+    global.fetch.mockResolvedValue(errorResponse(400));
+
+    service.reportError(new Error('Boom'));
+    await service.flushErrorReports();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith('Error reports were rejected: 400');
+  });
+
+  it('should give up after four attempts', async () => {
+    global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    service.reportError(new Error('Boom'));
+    const flushing = service.flushErrorReports();
+    for (const delay of [1000, 2000, 4000]) {
+      await flushPromises();
+      jest.advanceTimersByTime(delay);
+    }
+    await flushing;
+
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    expect(console.warn).toHaveBeenCalledWith('Dropped 1 error report(s) after 4 attempts');
+  });
+
+  it('should report uncaught errors and unhandled rejections once installed', async () => {
+    const uninstall = service.installGlobalErrorHandlers();
+
+    // jsdom treats events with an error attached as test failures, so only the message is set
+    const errorEvent = new Event('error');
+    errorEvent.message = 'Uncaught';
+    window.dispatchEvent(errorEvent);
+    const rejectionEvent = new Event('unhandledrejection');
+    rejectionEvent.reason = new Error('Rejected');
+    window.dispatchEvent(rejectionEvent);
+
+    uninstall();
+    const ignored = new Event('error');
+    ignored.message = 'After uninstall';
+    window.dispatchEvent(ignored);
+
+    await service.flushErrorReports();
+    const { reports } = sentBodies()[0];
+    expect(reports.map(({ message, source }) => ({ message, source }))).toEqual([
+      { message: 'Uncaught', source: 'onerror' },
+      { message: 'Rejected', source: 'unhandledrejection' },
+    ]);
+  });
+});
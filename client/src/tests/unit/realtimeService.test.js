@@ -0,0 +1,118 @@
+// realtimeService.test.js - Unit tests for reconnecting the realtime socket
+
+import { connectRealtime, CLOSE_UNAUTHORIZED } from '../../services/realtimeService';
+import { getSession, saveSession, clearSession, SESSION_EXPIRED_EVENT } from '../../services/authService';
+
+// Let pending promise callbacks run between fake timer steps
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+// WebSocket stand-in that records every socket the service opens
+class FakeSocket {
+  static OPEN = 1;
+
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeSocket.OPEN;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {}
+
+  serverClose(code) {
+    this.onclose({ code });
+  }
+}
+
+const latestSocket = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+
+const session = (accessToken) => ({ user: { name: 'Jane' }, accessToken, refreshToken: `refresh-${accessToken}` });
+
+const refreshResponse = (ok, data) => ({ ok, json: async () => data, statusText: ok ? 'OK' : 'Unauthorized' });
+
+describe('realtimeService', () => {
+  let connection;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    FakeSocket.instances = [];
+    global.WebSocket = FakeSocket;
+    global.fetch = jest.fn();
+    saveSession(session('old-token'));
+  });
+
+  afterEach(() => {
+    connection.close();
+    jest.useRealTimers();
+    delete global.WebSocket;
+    delete global.fetch;
+    clearSession();
+  });
+
+  it('should reconnect with backoff after the connection drops', () => {
+    connection = connectRealtime({ onMessage: jest.fn() });
+
+    latestSocket().serverClose(1006);
+    jest.advanceTimersByTime(1000);
+
+    expect(FakeSocket.instances).toHaveLength(2);
+  });
+
+  it('should refresh the session and reconnect once when the token is rejected', async () => {
+    global.fetch.mockResolvedValue(refreshResponse(true, { success: true, data: session('new-token') }));
+    connection = connectRealtime({ onMessage: jest.fn() });
+
+    latestSocket().serverClose(CLOSE_UNAUTHORIZED);
+    await flushPromises();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(FakeSocket.instances).toHaveLength(2);
+    latestSocket().onopen();
+    expect(latestSocket().sent).toEqual([{ type: 'auth', token: 'new-token' }]);
+
+    // Rejected again straight away: give up rather than loop
+    latestSocket().serverClose(CLOSE_UNAUTHORIZED);
+    await flushPromises();
+    jest.advanceTimersByTime(60000);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(FakeSocket.instances).toHaveLength(2);
+  });
+
+  it('should stop and expire the session when it cannot be refreshed', async () => {
+    global.fetch.mockResolvedValue(refreshResponse(false, { success: false, error: 'Invalid refresh token' }));
+    const onExpired = jest.fn();
+    window.addEventListener(SESSION_EXPIRED_EVENT, onExpired);
+    connection = connectRealtime({ onMessage: jest.fn() });
+
+    latestSocket().serverClose(CLOSE_UNAUTHORIZED);
+    await flushPromises();
+    jest.advanceTimersByTime(60000);
+
+    expect(FakeSocket.instances).toHaveLength(1);
+    expect(getSession()).toBeNull();
+    expect(onExpired).toHaveBeenCalledTimes(1);
+    window.removeEventListener(SESSION_EXPIRED_EVENT, onExpired);
+  });
+
+  it('should reconnect without refreshing when the session was already refreshed elsewhere', async () => {
+    connection = connectRealtime({ onMessage: jest.fn() });
+    saveSession(session('new-token'));
+
+    latestSocket().serverClose(CLOSE_UNAUTHORIZED);
+    await flushPromises();
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(FakeSocket.instances).toHaveLength(2);
+  });
+});
@@ -0,0 +1,63 @@
+// stats.test.js - Unit tests for dashboard statistics helpers
+
+import { getStatsRange, formatDuration, getAxisMax, countUnresolved } from '../../utils/stats';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('stats utils', () => {
+  describe('getStatsRange', () => {
+    it('should cover the given number of days ending today in UTC', () => {
+      expect(getStatsRange(7, new Date('2024-03-10T23:30:00Z'))).toEqual({
+        from: '2024-03-04',
+        to: '2024-03-10',
+      });
+    });
+
+    it('should cover only today for a one day range', () => {
+      expect(getStatsRange(1, new Date('2024-03-10T01:00:00Z'))).toEqual({
+        from: '2024-03-10',
+        to: '2024-03-10',
+      });
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('should show a dash when there is no value', () => {
+      expect(formatDuration(null)).toBe('—');
+    });
+
+    it('should use minutes, hours or days depending on the length', () => {
+      expect(formatDuration(20 * 1000)).toBe('1 min');
+      expect(formatDuration(45 * 60 * 1000)).toBe('45 min');
+      expect(formatDuration(5 * HOUR_MS)).toBe('5 h');
+      expect(formatDuration(76 * HOUR_MS)).toBe('3 d 4 h');
+      expect(formatDuration(48 * HOUR_MS)).toBe('2 d');
+    });
+  });
+
+  describe('getAxisMax', () => {
+    it('should round up to 1, 2 or 5 times a power of ten', () => {
+      expect(getAxisMax([0, 0])).toBe(1);
+      expect(getAxisMax([3])).toBe(5);
+      expect(getAxisMax([7, 2])).toBe(10);
+      expect(getAxisMax([12])).toBe(20);
+      expect(getAxisMax([50])).toBe(50);
+      expect(getAxisMax([])).toBe(1);
+    });
+  });
+
+  describe('countUnresolved', () => {
+    it('should add up a priority across statuses other than resolved', () => {
+      const matrix = {
+        statuses: ['open', 'in-progress', 'resolved'],
+        counts: {
+          open: { critical: 2 },
+          'in-progress': { critical: 1 },
+          resolved: { critical: 5 },
+        },
+      };
+
+      expect(countUnresolved(matrix, 'critical')).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+// workflow.test.js - Unit tests for the status workflow helpers
+
+import { DEFAULT_WORKFLOW, formatStatus, getStatusOptions } from '../../utils/workflow';
+
+describe('workflow utils', () => {
+  describe('formatStatus', () => {
+    it('should turn status names into labels', () => {
+      expect(formatStatus('open')).toBe('Open');
+      expect(formatStatus('in-progress')).toBe('In Progress');
+      expect(formatStatus('wont_fix')).toBe('Wont Fix');
+    });
+  });
+
+  describe('getStatusOptions', () => {
+    const workflow = {
+      ...DEFAULT_WORKFLOW,
+      transitions: { open: ['in-progress'], 'in-progress': ['open', 'resolved'], resolved: ['open'] },
+    };
+
+    it('should offer every status for a new bug to users who can change status', () => {
+      expect(getStatusOptions(workflow, null, true)).toEqual(['open', 'in-progress', 'resolved']);
+      expect(getStatusOptions(workflow, null, false)).toEqual(['open']);
+    });
+
+    it('should offer the current status and its transitions in workflow order', () => {
+      expect(getStatusOptions(workflow, 'open', true)).toEqual(['open', 'in-progress']);
+      expect(getStatusOptions(workflow, 'resolved', true)).toEqual(['open', 'resolved']);
+      expect(getStatusOptions(workflow, 'resolved', false)).toEqual(['resolved']);
+    });
+
+    it('should keep a status the workflow no longer lists', () => {
+      expect(getStatusOptions(workflow, 'wont-fix', true)).toEqual(['wont-fix']);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// attachments.js - Client copy of the server's attachment limits
+// Keep in sync with server/src/config/attachments.js; the server still enforces every limit
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Files sent in one upload
+export const MAX_ATTACHMENTS = 5;
+
+export const ALLOWED_ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'text/csv',
+  'application/json',
+  'application/pdf',
+  'application/zip',
+];
+
+// File input accept list, so the picker hides files that would be rejected
+export const ATTACHMENT_ACCEPT = ALLOWED_ATTACHMENT_TYPES.join(',');
+
+/**
+ * Check whether a content type is an image the server thumbnails
+ * @param {string} type - MIME type
+ * @returns {boolean} True for previewable images
+ */
+export const isImageType = (type) => ALLOWED_ATTACHMENT_TYPES.includes(type) && type.startsWith('image/');
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "512 B", "1.5 KB" or "2.3 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Check a file against the upload limits
+ * @param {File} file - Selected or dropped file
+ * @returns {string} Error message, or '' if the file can be uploaded
+ */
+export const validateAttachmentFile = (file) => {
+  if (!ALLOWED_ATTACHMENT_TYPES.includes(file.type)) {
+    return `${file.name}: this file type is not allowed`;
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `${file.name}: files must be ${formatFileSize(MAX_ATTACHMENT_SIZE)} or smaller`;
+  }
+  return '';
+};
@@ -0,0 +1,53 @@
+// bugFilters.js - Client-side copy of the GET /api/bugs filters
+// Used to decide whether a bug pushed over the realtime connection belongs in the current list
+
+/**
+ * Check whether a bug matches the list filters
+ * Text search is approximated: the server's stemmed search can match bugs this misses,
+ * which then show up on the next reload
+ * @param {Object} bug - Bug as returned by the API
+ * @param {Object} filters - BugContext filters (status, priority, assignee, unassigned, labels, labelMode, q)
+ * @param {string|null} currentUserId - Logged-in user id, for assignee=me
+ * @returns {boolean} True if the bug belongs in the filtered list
+ */
+export const matchesFilters = (bug, filters = {}, currentUserId = null) => {
+  if (filters.status && bug.status !== filters.status) {
+    return false;
+  }
+  if (filters.priority && bug.priority !== filters.priority) {
+    return false;
+  }
+
+  const assigneeId = bug.assignee?._id || bug.assignee || null;
+  if (filters.unassigned) {
+    if (assigneeId) {
+      return false;
+    }
+  } else if (filters.assignee) {
+    const wanted = filters.assignee === 'me' ? currentUserId : filters.assignee;
+    if (assigneeId !== wanted) {
+      return false;
+    }
+  }
+
+  const labels = [].concat(filters.labels || []).map((label) => label.toLowerCase());
+  if (labels.length > 0) {
+    const bugLabels = bug.labels || [];
+    const matches = filters.labelMode === 'all'
+      ? labels.every((label) => bugLabels.includes(label))
+      : labels.some((label) => bugLabels.includes(label));
+    if (!matches) {
+      return false;
+    }
+  }
+
+  if (filters.q) {
+    const text = `${bug.title} ${bug.description}`.toLowerCase();
+    const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.some((term) => text.includes(term))) {
+      return false;
+    }
+  }
+
+  return true;
+};
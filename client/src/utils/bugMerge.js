@@ -0,0 +1,64 @@
+// bugMerge.js - Three-way merge of bug edits after a conflicting update
+
+// Fields the edit form can change, in display order
+export const MERGE_FIELDS = ['title', 'description', 'status', 'priority', 'assignee', 'labels'];
+
+/**
+ * Convert a bug into the values the edit form works with
+ * @param {Object} bug - Bug from the API
+ * @returns {Object} Form values (assignee as an id, '' when unassigned; labels as a new array)
+ */
+export const toFormValues = (bug) => ({
+  title: bug.title || '',
+  description: bug.description || '',
+  status: bug.status || 'open',
+  priority: bug.priority || 'medium',
+  assignee: bug.assignee?._id || '',
+  labels: [...(bug.labels || [])],
+});
+
+/**
+ * Compare two form values; lists such as labels are equal when they hold the same items in order
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are the same
+ */
+const sameValue = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => item === b[index]);
+  }
+  return a === b;
+};
+
+/**
+ * Merge the user's edits with changes someone else saved in the meantime
+ * A field is a conflict when both sides changed it to different values;
+ * otherwise whichever side changed it wins
+ * @param {Object} base - Form values the user started from
+ * @param {Object} mine - The user's form values
+ * @param {Object} theirs - Form values of the bug as now stored
+ * @param {string[]} fields - Fields to merge
+ * @returns {Object} { merged, conflicts, theirChanges } - merged takes "mine" for conflicts
+ */
+export const mergeBugChanges = (base, mine, theirs, fields = MERGE_FIELDS) => {
+  const merged = {};
+  const conflicts = [];
+  const theirChanges = [];
+
+  fields.forEach((field) => {
+    const changedByMe = !sameValue(mine[field], base[field]);
+    const changedByThem = !sameValue(theirs[field], base[field]);
+
+    if (changedByMe && changedByThem && !sameValue(mine[field], theirs[field])) {
+      conflicts.push(field);
+      merged[field] = mine[field];
+    } else if (changedByThem) {
+      theirChanges.push(field);
+      merged[field] = theirs[field];
+    } else {
+      merged[field] = mine[field];
+    }
+  });
+
+  return { merged, conflicts, theirChanges };
+};
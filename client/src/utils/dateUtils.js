@@ -0,0 +1,58 @@
+// dateUtils.js - Relative time helpers, matching server/src/utils/dateUtils.js
+
+/**
+ * Get the time elapsed since a date as a duration (e.g., "2 hours", "3 days")
+ * @param {Date|string} date - Start of the duration
+ * @param {Date} [now] - End of the duration
+ * @returns {string} Duration in the largest whole unit, or "less than a minute"
+ */
+export const getElapsedTime = (date, now = new Date()) => {
+  if (!date) return null;
+
+  const dateObj = date instanceof Date ? date : new Date(date);
+
+  if (isNaN(dateObj.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+
+  const diffInSeconds = Math.floor((now - dateObj) / 1000);
+
+  if (diffInSeconds < 60) {
+    return 'less than a minute';
+  }
+
+  const diffInMinutes = Math.floor(diffInSeconds / 60);
+  if (diffInMinutes < 60) {
+    return `${diffInMinutes} minute${diffInMinutes > 1 ? 's' : ''}`;
+  }
+
+  const diffInHours = Math.floor(diffInMinutes / 60);
+  if (diffInHours < 24) {
+    return `${diffInHours} hour${diffInHours > 1 ? 's' : ''}`;
+  }
+
+  const diffInDays = Math.floor(diffInHours / 24);
+  if (diffInDays < 30) {
+    return `${diffInDays} day${diffInDays > 1 ? 's' : ''}`;
+  }
+
+  const diffInMonths = Math.floor(diffInDays / 30);
+  if (diffInMonths < 12) {
+    return `${diffInMonths} month${diffInMonths > 1 ? 's' : ''}`;
+  }
+
+  const diffInYears = Math.floor(diffInMonths / 12);
+  return `${diffInYears} year${diffInYears > 1 ? 's' : ''}`;
+};
+
+/**
+ * Get relative time string (e.g., "2 hours ago", "3 days ago")
+ * @param {Date|string} date - Date to calculate relative time from
+ * @returns {string} Relative time string
+ */
+export const getRelativeTime = (date) => {
+  if (!date) return null;
+
+  const elapsed = getElapsedTime(date);
+  return elapsed === 'less than a minute' ? 'just now' : `${elapsed} ago`;
+};
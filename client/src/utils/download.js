@@ -0,0 +1,27 @@
+// download.js - Helpers for saving files fetched with the access token
+
+/**
+ * Save a Blob through a temporary link so the browser uses the given file name
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name to save the file as
+ */
+export const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Read the file name from a Content-Disposition header
+ * @param {string|null} header - Header value, e.g. attachment; filename="bugs.csv"
+ * @returns {string|null} File name, or null if the header has none
+ */
+export const getFileName = (header) => {
+  const match = /filename="?([^";]+)"?/i.exec(header || '');
+  return match ? match[1] : null;
+};
@@ -0,0 +1,43 @@
+// errorGroups.js - Helpers for turning grouped errors into bug reports
+
+// Longest title the bug form accepts
+const MAX_TITLE_LENGTH = 200;
+
+// Stack lines copied into the bug description; the rest stays in the error group
+const MAX_STACK_LINES = 15;
+
+// Errors seen at least this often are reported as high priority
+const HIGH_PRIORITY_COUNT = 100;
+
+const firstLines = (text, count) => text.split('\n').slice(0, count).join('\n');
+
+/**
+ * Build the values of a new bug describing an error group
+ * @param {Object} group - Error group from GET /api/errors/groups
+ * @returns {Object} { title, description, priority } for BugForm's initialValues
+ */
+export const toBugDraft = (group) => {
+  const fullTitle = `${group.name}: ${group.title}`;
+  const title = fullTitle.length > MAX_TITLE_LENGTH
+    ? `${fullTitle.slice(0, MAX_TITLE_LENGTH - 3)}...`
+    : fullTitle;
+
+  const details = [
+    `Seen ${group.count} time${group.count === 1 ? '' : 's'} on the ${group.platform}, ` +
+      `first at ${group.firstSeen} and last at ${group.lastSeen}.`,
+    '',
+    group.culprit && `Where: ${group.culprit}`,
+    group.lastMessage && `Last message: ${group.lastMessage}`,
+    group.url && `URL: ${group.url}`,
+    group.appVersion && `App version: ${group.appVersion}`,
+    group.stack && `\nStack trace:\n${firstLines(group.stack, MAX_STACK_LINES)}`,
+    group.componentStack && `\nComponent stack:\n${firstLines(group.componentStack.trim(), MAX_STACK_LINES)}`,
+  ];
+
+  return {
+    title,
+    // Missing details are null or undefined; the empty string is a blank line
+    description: details.filter((line) => typeof line === 'string').join('\n').trim(),
+    priority: group.count >= HIGH_PRIORITY_COUNT ? 'high' : 'medium',
+  };
+};
@@ -0,0 +1,89 @@
+// permissions.js - Client copy of the server's bug permission matrix
+// Keep in sync with server/src/config/permissions.js; the server still enforces every rule
+
+const PERMISSIONS = {
+  'bug:editOwn': ['reporter', 'developer', 'triager', 'admin'],
+  'bug:edit': ['developer', 'triager', 'admin'],
+  'bug:status': ['developer', 'admin'],
+  'bug:priority': ['triager', 'admin'],
+  'bug:assign': ['developer', 'triager', 'admin'],
+  'bug:delete': ['admin'],
+  'bug:import': ['triager', 'admin'],
+  'bug:duplicate': ['developer', 'triager', 'admin'],
+  'comment:moderate': ['admin'],
+  'attachment:moderate': ['admin'],
+  'label:manage': ['triager', 'admin'],
+  'error:view': ['admin'],
+};
+
+// Reporters may only edit their own bugs while they are still in this status
+const INITIAL_STATUS = 'open';
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {Object} user - Logged-in user
+ * @param {string} permission - Permission key
+ * @returns {boolean} True if the role is listed for the permission
+ */
+export const hasPermission = (user, permission) => {
+  const roles = PERMISSIONS[permission];
+  return Boolean(user && roles && roles.includes(user.role));
+};
+
+/**
+ * Check whether a user can change anything on a bug through the edit form
+ * @param {Object} user - Logged-in user
+ * @param {Object} bug - Bug to edit
+ * @returns {boolean} True if the Edit action should be offered
+ */
+export const canEditBug = (user, bug) => {
+  if (
+    hasPermission(user, 'bug:edit') ||
+    hasPermission(user, 'bug:status') ||
+    hasPermission(user, 'bug:priority')
+  ) {
+    return true;
+  }
+
+  return (
+    hasPermission(user, 'bug:editOwn') &&
+    Boolean(bug.reportedBy) &&
+    bug.reportedBy === user._id &&
+    bug.status === INITIAL_STATUS
+  );
+};
+
+/**
+ * Check whether a user can delete bugs
+ * @param {Object} user - Logged-in user
+ * @returns {boolean} True if the Delete action should be offered
+ */
+export const canDeleteBug = (user) => hasPermission(user, 'bug:delete');
+
+/**
+ * Check whether a user wrote a comment
+ * @param {Object} user - Logged-in user
+ * @param {Object} comment - Comment with a populated author
+ * @returns {boolean} True if the Edit action should be offered
+ */
+export const isCommentAuthor = (user, comment) =>
+  Boolean(user && comment.author && comment.author._id === user._id);
+
+/**
+ * Check whether a user can delete a comment
+ * @param {Object} user - Logged-in user
+ * @param {Object} comment - Comment with a populated author
+ * @returns {boolean} True if the Delete action should be offered
+ */
+export const canDeleteComment = (user, comment) =>
+  isCommentAuthor(user, comment) || hasPermission(user, 'comment:moderate');
+
+/**
+ * Check whether a user can delete an attachment
+ * @param {Object} user - Logged-in user
+ * @param {Object} attachment - Attachment with a populated uploader
+ * @returns {boolean} True if the Delete action should be offered
+ */
+export const canDeleteAttachment = (user, attachment) =>
+  Boolean(user && attachment.uploadedBy && attachment.uploadedBy._id === user._id) ||
+  hasPermission(user, 'attachment:moderate');
@@ -0,0 +1,70 @@
+// stats.js - Helpers for the statistics dashboard
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Ranges offered by the dashboard, in days
+export const STATS_RANGES = [7, 30, 90];
+
+// Format a date as a UTC day, the format GET /api/bugs/stats expects
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Get the inclusive range covering the last `days` days, ending today (UTC)
+ * @param {number} days - Number of days
+ * @param {Date} [now] - Current time
+ * @returns {Object} { from, to } as YYYY-MM-DD
+ */
+export const getStatsRange = (days, now = new Date()) => ({
+  from: toDay(new Date(now.getTime() - (days - 1) * DAY_MS)),
+  to: toDay(now),
+});
+
+/**
+ * Format a duration for display
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} e.g. "45 min", "5 h", "3 d 4 h", or "—" when there is no value
+ */
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) {
+    return '—';
+  }
+  if (ms < HOUR_MS) {
+    return `${Math.max(1, Math.round(ms / 60000))} min`;
+  }
+  if (ms < DAY_MS) {
+    return `${Math.round(ms / HOUR_MS)} h`;
+  }
+
+  const days = Math.floor(ms / DAY_MS);
+  const hours = Math.round((ms - days * DAY_MS) / HOUR_MS);
+  return hours > 0 ? `${days} d ${hours} h` : `${days} d`;
+};
+
+/**
+ * Round a chart's largest value up to a readable axis maximum
+ * @param {number[]} values - Values plotted on the axis
+ * @returns {number} 1, 2 or 5 times a power of ten, at least 1
+ */
+export const getAxisMax = (values) => {
+  const max = Math.max(0, ...values);
+  if (max <= 1) {
+    return 1;
+  }
+
+  const magnitude = 10 ** Math.floor(Math.log10(max));
+  const step = [1, 2, 5, 10].find((multiple) => multiple * magnitude >= max);
+  return step * magnitude;
+};
+
+/**
+ * Count the bugs of one priority that are not resolved
+ * @param {Object} matrix - byStatusPriority from the stats response
+ * @param {string} priority - Priority to count
+ * @returns {number} Number of unresolved bugs with that priority
+ */
+export const countUnresolved = (matrix, priority) => {
+  return matrix.statuses
+    .filter((status) => status !== 'resolved')
+    .reduce((total, status) => total + matrix.counts[status][priority], 0);
+};
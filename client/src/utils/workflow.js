@@ -0,0 +1,51 @@
+// workflow.js - Status workflow helpers
+// The server's workflow (GET /api/bugs/workflow) decides which statuses exist and which changes
+// are allowed; the default below matches server/src/config/workflow.json until it has loaded
+
+export const DEFAULT_WORKFLOW = {
+  statuses: ['open', 'in-progress', 'resolved'],
+  initialStatus: 'open',
+  inProgressStatus: 'in-progress',
+  resolvedStatus: 'resolved',
+  transitions: {
+    open: ['in-progress', 'resolved'],
+    'in-progress': ['open', 'resolved'],
+    resolved: ['open', 'in-progress'],
+  },
+};
+
+/**
+ * Turn a status name into a label, e.g. "in-progress" -> "In Progress"
+ * @param {string} status - Status name
+ * @returns {string} Label
+ */
+export const formatStatus = (status) =>
+  status
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+/**
+ * Get the statuses a bug form can offer, in workflow order
+ * A new bug can start in any status, and an existing one can keep its status or move to
+ * the statuses the workflow allows next; users who can't change status keep the current one
+ * @param {Object} workflow - Active workflow
+ * @param {string|null} currentStatus - Status of the bug being edited, or null for a new bug
+ * @param {boolean} canChangeStatus - Whether the user has bug:status
+ * @returns {string[]} Statuses
+ */
+export const getStatusOptions = (workflow, currentStatus, canChangeStatus) => {
+  const current = currentStatus || workflow.initialStatus;
+  if (!canChangeStatus) {
+    return [current];
+  }
+  if (!currentStatus) {
+    return workflow.statuses;
+  }
+
+  const next = workflow.transitions[current] || [];
+  const options = workflow.statuses.filter((status) => status === current || next.includes(status));
+  // A status the workflow no longer lists is still shown, so the form doesn't change it silently
+  return options.includes(current) ? options : [current, ...options];
+};
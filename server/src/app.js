@@ -3,9 +3,17 @@
 const express = require('express');
 const cors = require('cors');
 const bugRoutes = require('./routes/bugRoutes');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const labelRoutes = require('./routes/labelRoutes');
+const errorRoutes = require('./routes/errorRoutes');
+const logRoutes = require('./routes/logRoutes');
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 const asyncHandler = require('./middleware/asyncHandler');
+const { logger } = require('./utils/logger');
+
+const log = logger.child('app');
 
 const app = express();
 
@@ -36,48 +44,48 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'X-Client-Id'],
+  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar', 'ETag', 'Content-Disposition'],
   optionsSuccessStatus: 200 // Some legacy browsers (IE11, various SmartTVs) choke on 204
 };
 
 app.use(cors(corsOptions));
 
+// Client error reports parse their own, smaller bodies, so they are mounted before the body parser
+app.use('/api/errors', errorRoutes);
+
 // Body parser middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// DEBUG: Request logging middleware
+// Request logging, silent unless the app module logs at debug
 app.use((req, res, next) => {
-  console.log('=== DEBUG: Incoming Request ===');
-  console.log('Method:', req.method);
-  console.log('URL:', req.url);
-  console.log('Path:', req.path);
-  console.log('Original URL:', req.originalUrl);
-  console.log('Params:', req.params);
-  console.log('Query:', req.query);
-  console.log('==============================');
+  log.debug('Incoming request', {
+    method: req.method,
+    url: req.originalUrl,
+    path: req.path,
+    query: req.query,
+  });
   next();
 });
 
-// DEBUG: Log route mounting
-console.log('=== DEBUG: App Route Mounting ===');
-console.log('Mounting bugRoutes at /api/bugs');
-console.log('=================================');
-
 // Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/bugs', bugRoutes);
-
-// DEBUG: Log all registered routes
-console.log('=== DEBUG: All Registered Routes ===');
-app._router.stack.forEach((middleware) => {
-  if (middleware.route) {
-    console.log(`${Object.keys(middleware.route.methods).join(', ').toUpperCase()} ${middleware.route.path}`);
-  } else if (middleware.name === 'router') {
-    console.log('Router mounted at:', middleware.regexp);
-  }
-});
-console.log('===================================');
+app.use('/api/labels', labelRoutes);
+app.use('/api/logs', logRoutes);
+
+// Registered routes, logged at debug
+if (log.isLevelEnabled('debug')) {
+  log.debug('Registered routes', {
+    routes: app._router.stack
+      .filter((layer) => layer.route || layer.name === 'router')
+      .map((layer) => (layer.route
+        ? `${Object.keys(layer.route.methods).join(', ').toUpperCase()} ${layer.route.path}`
+        : `router ${layer.regexp}`)),
+  });
+}
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -0,0 +1,36 @@
+// attachments.js - Attachment upload limits and storage configuration
+
+const path = require('path');
+const { readPositiveNumber, readList } = require('./env');
+
+const DEFAULT_MAX_FILE_SIZE_MB = 10;
+const DEFAULT_MAX_FILES = 5;
+
+// Screenshots, logs and crash dumps; anything a browser could run as a page is left out
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'text/csv',
+  'application/json',
+  'application/pdf',
+  'application/zip',
+];
+
+const getAttachmentConfig = () => ({
+  // Storage backend name, see storage/index.js
+  storage: process.env.ATTACHMENT_STORAGE || 'local',
+  // Root directory for the local disk backend
+  uploadDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+  // Bytes; whole numbers only, since the multipart parser ignores fractional limits
+  maxFileSize: Math.floor(
+    readPositiveNumber(process.env.ATTACHMENT_MAX_SIZE_MB, DEFAULT_MAX_FILE_SIZE_MB) * 1024 * 1024
+  ),
+  // Files accepted in a single upload request
+  maxFiles: readPositiveNumber(process.env.ATTACHMENT_MAX_FILES, DEFAULT_MAX_FILES),
+  allowedTypes: readList(process.env.ATTACHMENT_ALLOWED_TYPES, DEFAULT_ALLOWED_TYPES),
+});
+
+module.exports = getAttachmentConfig;
@@ -0,0 +1,23 @@
+// auth.js - Authentication configuration
+
+// Development fallbacks so the app runs without a .env file
+// Production must provide real secrets via the environment
+const DEV_ACCESS_SECRET = 'dev-access-secret-change-me';
+const DEV_REFRESH_SECRET = 'dev-refresh-secret-change-me';
+
+const getAuthConfig = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  if (isProduction && (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET)) {
+    throw new Error('JWT_SECRET and JWT_REFRESH_SECRET must be set in production');
+  }
+
+  return {
+    accessTokenSecret: process.env.JWT_SECRET || DEV_ACCESS_SECRET,
+    accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshTokenSecret: process.env.JWT_REFRESH_SECRET || DEV_REFRESH_SECRET,
+    refreshTokenExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+  };
+};
+
+module.exports = getAuthConfig;
@@ -0,0 +1,21 @@
+// env.js - Readers for config values set in the environment
+
+// Read a positive number from the environment, falling back to a default
+const readPositiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// Read a lowercased comma-separated list from the environment, falling back to a default
+const readList = (value, fallback = []) => {
+  const items = (value || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+  return items.length > 0 ? items : fallback;
+};
+
+module.exports = {
+  readPositiveNumber,
+  readList,
+};
@@ -0,0 +1,46 @@
+// errorLogging.js - Where server error logs are sent, and how they are batched
+
+const path = require('path');
+const { readPositiveNumber, readList } = require('./env');
+
+const LOG_DIR = path.join(__dirname, '..', '..', 'logs');
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_FLUSH_SECONDS = 2;
+const DEFAULT_MAX_QUEUE = 1000;
+const DEFAULT_FILE_MAX_SIZE_MB = 10;
+const DEFAULT_FILE_MAX_FILES = 5;
+const DEFAULT_HTTP_TIMEOUT_SECONDS = 5;
+const DEFAULT_MONGO_RETENTION_DAYS = 30;
+
+const getErrorLogConfig = () => ({
+  // Transport names, see logging/index.js
+  transports: readList(process.env.ERROR_LOG_TRANSPORTS, ['console']),
+  // Entries sent to a batched transport in one write
+  batchSize: readPositiveNumber(process.env.ERROR_LOG_BATCH_SIZE, DEFAULT_BATCH_SIZE),
+  // Milliseconds an entry can wait for its batch to fill
+  flushInterval: readPositiveNumber(process.env.ERROR_LOG_FLUSH_SECONDS, DEFAULT_FLUSH_SECONDS) * 1000,
+  // Entries held per transport while it is busy; the rest go to the fallback file
+  maxQueue: readPositiveNumber(process.env.ERROR_LOG_MAX_QUEUE, DEFAULT_MAX_QUEUE),
+  // Where entries go when a transport fails or is full
+  fallbackFile: process.env.ERROR_LOG_FALLBACK_FILE || path.join(LOG_DIR, 'errors-fallback.log'),
+  file: {
+    path: process.env.ERROR_LOG_FILE || path.join(LOG_DIR, 'errors.log'),
+    // Bytes; the file is rotated before it grows past this
+    maxSize: readPositiveNumber(process.env.ERROR_LOG_FILE_MAX_SIZE_MB, DEFAULT_FILE_MAX_SIZE_MB) * 1024 * 1024,
+    // Rotated files kept as errors.log.1 (newest) to errors.log.N
+    maxFiles: Math.floor(readPositiveNumber(process.env.ERROR_LOG_FILE_MAX_FILES, DEFAULT_FILE_MAX_FILES)),
+  },
+  http: {
+    url: process.env.ERROR_LOG_HTTP_URL || null,
+    // Sent as a Bearer token when set
+    token: process.env.ERROR_LOG_HTTP_TOKEN || null,
+    timeout: readPositiveNumber(process.env.ERROR_LOG_HTTP_TIMEOUT_SECONDS, DEFAULT_HTTP_TIMEOUT_SECONDS) * 1000,
+  },
+  mongo: {
+    // Entries are removed by a TTL index this many days after they are logged
+    retentionDays: readPositiveNumber(process.env.ERROR_LOG_MONGO_RETENTION_DAYS, DEFAULT_MONGO_RETENTION_DAYS),
+  },
+});
+
+module.exports = getErrorLogConfig;
@@ -0,0 +1,24 @@
+// errorReports.js - Limits for client error reports sent to POST /api/errors
+
+const { readPositiveNumber } = require('./env');
+
+const DEFAULT_MAX_BODY_SIZE_KB = 64;
+const DEFAULT_MAX_BATCH_SIZE = 20;
+const DEFAULT_RATE_LIMIT = 30;
+const DEFAULT_RATE_WINDOW_SECONDS = 60;
+
+const getErrorReportConfig = () => ({
+  // Bytes of JSON accepted per request, checked before the body is parsed
+  maxBodySize: Math.floor(
+    readPositiveNumber(process.env.ERROR_REPORT_MAX_SIZE_KB, DEFAULT_MAX_BODY_SIZE_KB) * 1024
+  ),
+  // Reports accepted in a single request
+  maxBatchSize: Math.floor(readPositiveNumber(process.env.ERROR_REPORT_MAX_BATCH, DEFAULT_MAX_BATCH_SIZE)),
+  // Requests each client (by IP) may send per window
+  rateLimit: Math.floor(readPositiveNumber(process.env.ERROR_REPORT_RATE_LIMIT, DEFAULT_RATE_LIMIT)),
+  rateWindowMs: Math.floor(
+    readPositiveNumber(process.env.ERROR_REPORT_RATE_WINDOW_SECONDS, DEFAULT_RATE_WINDOW_SECONDS) * 1000
+  ),
+});
+
+module.exports = getErrorReportConfig;
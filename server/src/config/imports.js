@@ -0,0 +1,17 @@
+// imports.js - Bug import limits
+
+const { readPositiveNumber } = require('./env');
+
+const DEFAULT_MAX_FILE_SIZE_MB = 5;
+const DEFAULT_MAX_ROWS = 1000;
+
+const getImportConfig = () => ({
+  // Bytes; the whole file is parsed in memory, so this bounds the memory an import can use
+  maxFileSize: Math.floor(
+    readPositiveNumber(process.env.IMPORT_MAX_SIZE_MB, DEFAULT_MAX_FILE_SIZE_MB) * 1024 * 1024
+  ),
+  // Bugs accepted in a single import
+  maxRows: Math.floor(readPositiveNumber(process.env.IMPORT_MAX_ROWS, DEFAULT_MAX_ROWS)),
+});
+
+module.exports = getImportConfig;
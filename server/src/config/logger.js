@@ -0,0 +1,24 @@
+// logger.js - Log levels and output format for the application logger
+
+// Read a lowercased value from the environment, falling back to a default
+const readValue = (value, fallback) => (value || '').trim().toLowerCase() || fallback;
+
+// Read "module=level" pairs from the environment
+const readModuleLevels = (value) =>
+  (value || '')
+    .split(',')
+    .map((pair) => pair.split('=').map((part) => part.trim()))
+    .filter(([module, level]) => module && level)
+    .reduce((levels, [module, level]) => ({ ...levels, [module]: level.toLowerCase() }), {});
+
+// Levels are checked by utils/logger.js, which falls back to info for unknown ones
+const getLoggerConfig = () => ({
+  // Default level for every module; debug events are silent unless this or a module level asks for them
+  level: readValue(process.env.LOG_LEVEL, 'info'),
+  // Levels for single modules, such as LOG_MODULE_LEVELS=bugController=debug,app=warn
+  modules: readModuleLevels(process.env.LOG_MODULE_LEVELS),
+  // One JSON document per line for log collectors in production, readable lines otherwise
+  format: readValue(process.env.LOG_FORMAT, process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+});
+
+module.exports = getLoggerConfig;
@@ -0,0 +1,41 @@
+// permissions.js - Role definitions and the bug permission matrix
+
+const ROLES = ['reporter', 'developer', 'triager', 'admin'];
+
+// Role given to newly registered users
+const DEFAULT_ROLE = 'reporter';
+
+// Roles allowed to perform each action
+// 'bug:editOwn' only applies to bugs the user reported that are still in the initial status
+// Comments can always be edited and deleted by their author; 'comment:moderate' deletes anyone's
+// Attachments follow the same rule: the uploader or 'attachment:moderate' can delete them
+// Anyone who can edit a bug can label it; 'label:manage' edits the label registry itself
+const PERMISSIONS = {
+  'bug:create': ['reporter', 'developer', 'triager', 'admin'],
+  'bug:editOwn': ['reporter', 'developer', 'triager', 'admin'],
+  'bug:edit': ['developer', 'triager', 'admin'],
+  'bug:status': ['developer', 'admin'],
+  'bug:priority': ['triager', 'admin'],
+  'bug:assign': ['developer', 'triager', 'admin'],
+  'bug:delete': ['admin'],
+  'bug:import': ['triager', 'admin'],
+  'bug:duplicate': ['developer', 'triager', 'admin'],
+  'comment:create': ['reporter', 'developer', 'triager', 'admin'],
+  'comment:moderate': ['admin'],
+  'attachment:create': ['reporter', 'developer', 'triager', 'admin'],
+  'attachment:moderate': ['admin'],
+  'label:manage': ['triager', 'admin'],
+  'user:manage': ['admin'],
+  'error:view': ['admin'],
+  'log:manage': ['admin'],
+};
+
+// Roles that bugs can be assigned to - reporters do not work on bugs
+const ASSIGNABLE_ROLES = ['developer', 'triager', 'admin'];
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  ASSIGNABLE_ROLES,
+};
@@ -0,0 +1,51 @@
+// redaction.js - Secrets and personal data removed from error logs and client error reports
+
+const { readList } = require('./env');
+
+// Request headers whose values are never logged
+const DEFAULT_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-auth-token',
+];
+
+// Fields whose values are never logged, wherever they appear; see utils/redaction.js for the syntax
+const DEFAULT_PATHS = [
+  '**.password',
+  '**.currentpassword',
+  '**.newpassword',
+  '**.token',
+  '**.accesstoken',
+  '**.refreshtoken',
+  '**.secret',
+  '**.apikey',
+];
+
+// Read a JSON array of regular expression sources from the environment
+const readPatterns = (value) => {
+  if (!value) {
+    return [];
+  }
+  try {
+    const sources = JSON.parse(value);
+    if (!Array.isArray(sources)) {
+      throw new Error('not an array');
+    }
+    return sources.map((source) => new RegExp(source, 'g'));
+  } catch (error) {
+    throw new Error(`REDACT_PATTERNS must be a JSON array of regular expressions (${error.message})`);
+  }
+};
+
+// The environment adds to the defaults, so configuring one extra header can't unredact Authorization
+const getRedactionConfig = () => ({
+  headers: [...DEFAULT_HEADERS, ...readList(process.env.REDACT_HEADERS)],
+  paths: [...DEFAULT_PATHS, ...readList(process.env.REDACT_PATHS)],
+  // Matched anywhere in a string, on top of emails, tokens and card numbers
+  patterns: readPatterns(process.env.REDACT_PATTERNS),
+});
+
+module.exports = getRedactionConfig;
@@ -0,0 +1,17 @@
+// trash.js - Soft delete retention configuration
+
+const { readPositiveNumber } = require('./env');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MINUTES = 60;
+
+const getTrashConfig = () => ({
+  // Bugs stay restorable for this many days before the purge job removes them
+  retentionDays: readPositiveNumber(process.env.TRASH_RETENTION_DAYS, DEFAULT_RETENTION_DAYS),
+  purgeIntervalMinutes: readPositiveNumber(
+    process.env.TRASH_PURGE_INTERVAL_MINUTES,
+    DEFAULT_PURGE_INTERVAL_MINUTES
+  ),
+});
+
+module.exports = getTrashConfig;
@@ -0,0 +1,293 @@
+// attachmentController.js - Bug attachment controller functions
+
+const crypto = require('crypto');
+const path = require('path');
+const Bug = require('../models/Bug');
+const Attachment = require('../models/Attachment');
+const { getStorage, removeAttachmentFiles } = require('../storage');
+const { canDeleteAttachment } = require('../utils/permissions');
+const { ForbiddenError } = require('../utils/errors');
+const { THUMBNAIL_TYPE, isImageType, inspectImage, createThumbnail } = require('../utils/thumbnails');
+
+// User fields returned in place of the uploader id
+const UPLOADER_FIELDS = 'name email role';
+
+// Shared 404 responses
+const bugNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: 'Bug not found',
+  });
+
+const attachmentNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: 'Attachment not found',
+  });
+
+/**
+ * Find an attachment on a bug that is not in the trash
+ * @param {Object} params - Route params with id (bug) and attachmentId
+ * @returns {Promise<Object|null>} Attachment document or null
+ */
+const findBugAttachment = async (params) => {
+  const bugExists = await Bug.exists({ _id: params.id, deletedAt: null });
+  if (!bugExists) {
+    return null;
+  }
+  return Attachment.findOne({ _id: params.attachmentId, bug: params.id });
+};
+
+/**
+ * Build a storage key for an upload
+ * Keys never include the user's file name, only its extension
+ * @param {string} bugId - Bug the file belongs to
+ * @param {string} filename - Original file name
+ * @returns {string} Storage key
+ */
+const buildStorageKey = (bugId, filename) => {
+  const extension = path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${bugId}/${crypto.randomUUID()}${extension}`;
+};
+
+/**
+ * Store an uploaded file and its thumbnail
+ * @param {string} bugId - Bug the file belongs to
+ * @param {Object} file - Multer file with originalname, mimetype, size and buffer
+ * @returns {Promise<Object>} Attachment fields, not yet saved
+ */
+const storeFile = async (bugId, file) => {
+  const contentType = file.mimetype.toLowerCase();
+  const fields = {
+    filename: file.originalname,
+    contentType,
+    size: file.size,
+    storageKey: buildStorageKey(bugId, file.originalname),
+    thumbnailKey: null,
+    width: null,
+    height: null,
+  };
+
+  // Reject images whose contents don't match before anything is written
+  let thumbnail = null;
+  if (isImageType(contentType)) {
+    Object.assign(fields, await inspectImage(file.buffer, contentType));
+    thumbnail = await createThumbnail(file.buffer);
+  }
+
+  const storage = getStorage();
+  await storage.save(fields.storageKey, file.buffer, { contentType });
+  if (thumbnail) {
+    fields.thumbnailKey = `${fields.storageKey}.thumb.webp`;
+    try {
+      await storage.save(fields.thumbnailKey, thumbnail, { contentType: THUMBNAIL_TYPE });
+    } catch (error) {
+      await removeAttachmentFiles(fields).catch(() => {});
+      throw error;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Stream a stored file as the response
+ * @param {Object} res - Express response
+ * @param {string} key - Storage key
+ * @param {Object} headers - Response headers
+ * @param {Function} next - Express next, for storage errors
+ */
+const sendStoredFile = (res, key, headers, next) => {
+  const stream = getStorage().createReadStream(key);
+
+  stream.on('error', (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    // Nothing was sent yet, so the file headers can be swapped for an error response
+    Object.keys(headers).forEach((name) => res.removeHeader(name));
+    if (error.code === 'ENOENT') {
+      attachmentNotFound(res);
+    } else {
+      next(error);
+    }
+  });
+  res.set(headers);
+  stream.pipe(res);
+};
+
+// Quote a file name for Content-Disposition, with a UTF-8 form for non-ASCII names
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// @desc    Get the attachments on a bug, oldest first
+// @route   GET /api/bugs/:id/attachments
+// @access  Private
+const getAttachments = async (req, res, next) => {
+  try {
+    const bugExists = await Bug.exists({ _id: req.params.id, deletedAt: null });
+    if (!bugExists) {
+      return bugNotFound(res);
+    }
+
+    const attachments = await Attachment.find({ bug: req.params.id })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('uploadedBy', UPLOADER_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: attachments,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return bugNotFound(res);
+    }
+    next(error);
+  }
+};
+
+// @desc    Upload files to a bug (multipart field "files")
+// @route   POST /api/bugs/:id/attachments
+// @access  Private
+const uploadAttachments = async (req, res, next) => {
+  const stored = [];
+
+  try {
+    const bugExists = await Bug.exists({ _id: req.params.id, deletedAt: null });
+    if (!bugExists) {
+      return bugNotFound(res);
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded',
+      });
+    }
+
+    for (const file of files) {
+      stored.push(await storeFile(req.params.id, file));
+    }
+
+    const attachments = await Attachment.insertMany(
+      stored.map((fields) => ({
+        ...fields,
+        bug: req.params.id,
+        uploadedBy: req.user._id,
+      }))
+    );
+    await Attachment.populate(attachments, { path: 'uploadedBy', select: UPLOADER_FIELDS });
+
+    res.status(201).json({
+      success: true,
+      count: attachments.length,
+      data: attachments,
+    });
+  } catch (error) {
+    // Nothing is attached unless every file was stored, so drop what was written
+    await Promise.all(stored.map((fields) => removeAttachmentFiles(fields).catch(() => {})));
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    if (error.name === 'CastError') {
+      return bugNotFound(res);
+    }
+    next(error);
+  }
+};
+
+// @desc    Download an attachment
+// @route   GET /api/bugs/:id/attachments/:attachmentId
+// @access  Private
+const downloadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await findBugAttachment(req.params);
+    if (!attachment) {
+      return attachmentNotFound(res);
+    }
+
+    // Only images are shown inline; everything else is saved to disk by the browser
+    const disposition = isImageType(attachment.contentType) ? 'inline' : 'attachment';
+
+    sendStoredFile(res, attachment.storageKey, {
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': contentDisposition(disposition, attachment.filename),
+      'X-Content-Type-Options': 'nosniff',
+    }, next);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return attachmentNotFound(res);
+    }
+    next(error);
+  }
+};
+
+// @desc    Get the thumbnail of an image attachment
+// @route   GET /api/bugs/:id/attachments/:attachmentId/thumbnail
+// @access  Private
+const getAttachmentThumbnail = async (req, res, next) => {
+  try {
+    const attachment = await findBugAttachment(req.params);
+    if (!attachment || !attachment.thumbnailKey) {
+      return attachmentNotFound(res);
+    }
+
+    sendStoredFile(res, attachment.thumbnailKey, {
+      'Content-Type': THUMBNAIL_TYPE,
+      'X-Content-Type-Options': 'nosniff',
+    }, next);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return attachmentNotFound(res);
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete an attachment
+// @route   DELETE /api/bugs/:id/attachments/:attachmentId
+// @access  Private (uploader or moderator)
+const deleteAttachment = async (req, res, next) => {
+  try {
+    const attachment = await findBugAttachment(req.params);
+    if (!attachment) {
+      return attachmentNotFound(res);
+    }
+
+    if (!canDeleteAttachment(req.user, attachment)) {
+      throw new ForbiddenError('Not authorized to delete this attachment');
+    }
+
+    await attachment.deleteOne();
+    await removeAttachmentFiles(attachment);
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return attachmentNotFound(res);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment,
+};
@@ -0,0 +1,143 @@
+// authController.js - Authentication controller functions
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const getAuthConfig = require('../config/auth');
+
+// Build the response body shared by register, login and refresh
+const sendTokens = (res, statusCode, user) => {
+  res.status(statusCode).json({
+    success: true,
+    data: {
+      user,
+      accessToken: user.generateAccessToken(),
+      refreshToken: user.generateRefreshToken(),
+    },
+  });
+};
+
+// @desc    Register a new user
+// @route   POST /api/auth/register
+// @access  Public
+const register = async (req, res, next) => {
+  try {
+    const { name, email, password } = req.body;
+
+    const user = await User.create({ name, email, password });
+
+    sendTokens(res, 201, user);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already registered',
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Log in with email and password
+// @route   POST /api/auth/login
+// @access  Public
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required',
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() })
+      .select('+password +tokenVersion');
+
+    // Same message for unknown email and wrong password so accounts can't be probed
+    if (!user || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password',
+      });
+    }
+
+    sendTokens(res, 200, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required',
+      });
+    }
+
+    const { refreshTokenSecret } = getAuthConfig();
+    const decoded = jwt.verify(refreshToken, refreshTokenSecret);
+
+    const user = await User.findById(decoded.id).select('+tokenVersion');
+
+    // A logout since the token was issued bumps the version and revokes it
+    if (!user || user.tokenVersion !== decoded.version) {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token has been revoked',
+      });
+    }
+
+    sendTokens(res, 200, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out and revoke all refresh tokens for the user
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res, next) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $inc: { tokenVersion: 1 } });
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the logged-in user
+// @route   GET /api/auth/me
+// @access  Private
+const getMe = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user,
+  });
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe,
+};
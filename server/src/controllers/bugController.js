@@ -1,34 +1,438 @@
 // bugController.js - Bug controller functions
 
+const mongoose = require('mongoose');
 const Bug = require('../models/Bug');
-const asyncHandler = require('../middleware/asyncHandler');
+const BugHistory = require('../models/BugHistory');
+const Label = require('../models/Label');
+const User = require('../models/User');
+const { parseLimit, encodeCursor, decodeCursor, buildCursorFilter } = require('../utils/pagination');
+const {
+  isValidStatus,
+  isValidStatusTransition,
+  getValidNextStatuses,
+  isValidObjectId,
+  parseSort,
+  pickUpdatableFields,
+  toETag,
+  parseIfMatch,
+  validateBugData,
+  getStatusTimestampUpdates,
+} = require('../utils/bugUtils');
+const { getSearchTerms, buildHighlights } = require('../utils/searchUtils');
+const { SIMILAR_CANDIDATES, getSimilarityTerms, rankSimilarBugs } = require('../utils/similarityUtils');
+const {
+  EXPORT_FORMATS,
+  toExportRecord,
+  createExportWriter,
+  getExportFileName,
+} = require('../utils/exportUtils');
+const { normalizeLabels, parseLabelFilter } = require('../utils/labelUtils');
+const { hasPermission, assertCanUpdateBug } = require('../utils/permissions');
+const { ForbiddenError } = require('../utils/errors');
+const getTrashConfig = require('../config/trash');
+const { getWorkflow, getInProgressStatus, getResolvedStatus } = require('../utils/workflow');
+const { runInTransaction } = require('../utils/transactions');
+const { publishBugEvent } = require('../realtime/bugEvents');
+const { logger } = require('../utils/logger');
+
+const log = logger.child('bugController');
+
+// User fields returned in place of the assignee id
+const ASSIGNEE_FIELDS = 'name email role';
+
+// Actions accepted by POST /api/bugs/bulk and the most bugs one request may change
+const BULK_ACTIONS = ['update', 'assign', 'delete', 'restore'];
+const MAX_BULK_IDS = 100;
+
+// Bugs fetched from the database per batch while streaming an export
+const EXPORT_BATCH_SIZE = 200;
+
+// Realtime event published for each bug a bulk action changed
+const BULK_EVENTS = {
+  update: 'bug:updated',
+  assign: 'bug:updated',
+  delete: 'bug:deleted',
+  restore: 'bug:restored',
+};
+
+// ?labelMode= values: match bugs with any of the labels, or with all of them
+const LABEL_MODES = ['any', 'all'];
+
+/**
+ * Filter matching a bug that has not been moved to the trash
+ * @param {string} id - Bug id
+ * @returns {Object} Query filter
+ */
+const activeBug = (id) => ({ _id: id, deletedAt: null });
+
+/**
+ * Resolve an assignee from the request body or query
+ * 'me' means the authenticated user; '' and null mean unassigned
+ * @param {string|null} assignee - Raw value
+ * @param {Object} user - Authenticated user
+ * @returns {string|null|undefined} User id, null, or undefined if the value is not a valid id
+ */
+const resolveAssignee = (assignee, user) => {
+  if (assignee === null || assignee === '') {
+    return null;
+  }
+  if (assignee === 'me') {
+    return user._id.toString();
+  }
+  return isValidObjectId(assignee) ? assignee : undefined;
+};
+
+/**
+ * Check updates to an existing bug before writing them
+ * Resolves updates.assignee, normalises updates.labels and adds the status
+ * timestamps for a status change in place; throws a ForbiddenError for fields
+ * the role can't change
+ * @param {Object} existingBug - Bug as currently stored
+ * @param {Object} updates - Whitelisted fields to change
+ * @param {Object} user - Authenticated user
+ * @returns {Object|null} { status, body } to send back, or null if the updates may be written
+ */
+const checkUpdates = (existingBug, updates, user) => {
+  if (updates.assignee !== undefined) {
+    updates.assignee = resolveAssignee(updates.assignee, user);
+    if (updates.assignee === undefined) {
+      return {
+        status: 400,
+        body: { success: false, error: 'Assignee must be a valid user id' },
+      };
+    }
+  }
+
+  // Normalise first so resending the same labels in another case is not a change
+  if (updates.labels !== undefined) {
+    updates.labels = normalizeLabels(updates.labels);
+  }
+
+  // Every changed field must be allowed by the user's role (403 via errorHandler)
+  assertCanUpdateBug(user, existingBug, updates);
+
+  // Enforce the status workflow before writing anything
+  if (updates.status && isValidStatus(updates.status)) {
+    const currentStatus = existingBug.status;
+    if (
+      updates.status !== currentStatus &&
+      !isValidStatusTransition(currentStatus, updates.status)
+    ) {
+      return {
+        status: 422,
+        body: {
+          success: false,
+          error: `Cannot change status from ${currentStatus} to ${updates.status}`,
+          allowedStatuses: getValidNextStatuses(currentStatus),
+        },
+      };
+    }
+  }
+
+  Object.assign(updates, getStatusTimestampUpdates(existingBug.status, updates.status));
+
+  // Reopening a bug closed as a duplicate unlinks it from the original
+  if (existingBug.duplicateOf && updates.status && updates.status !== getResolvedStatus()) {
+    updates.duplicateOf = null;
+  }
+
+  return null;
+};
+
+/**
+ * Find open bugs that look like duplicates of a report
+ * Candidates come from the text index and are ranked by trigram similarity
+ * @param {Object} report - { title, description }
+ * @param {string} [excludeId] - Bug to leave out, such as the report itself
+ * @returns {Promise<Array<Object>>} Up to MAX_SIMILAR_BUGS bugs with a similarity from 0 to 1
+ */
+const findSimilarBugs = async (report, excludeId = null) => {
+  const terms = getSimilarityTerms(report);
+  if (!terms) {
+    return [];
+  }
+
+  const query = {
+    deletedAt: null,
+    status: { $ne: getResolvedStatus() },
+    $text: { $search: terms },
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const candidates = await Bug.find(query)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(SIMILAR_CANDIDATES)
+    .select('title description status priority createdAt')
+    .lean();
+
+  return rankSimilarBugs(report, candidates);
+};
+
+/**
+ * Build the filter and sort of a bug list request
+ * Shared by GET /api/bugs and GET /api/bugs/export so both return the same bugs
+ * @param {Object} reqQuery - Request query (status, priority, assignee, unassigned, labels, labelMode, q, sort)
+ * @param {Object} user - Authenticated user, for assignee=me
+ * @returns {Object} { query, q, sortFields }, or { error } with a message for a 400 response
+ */
+const parseBugListQuery = (reqQuery, user) => {
+  const { status, priority, sort } = reqQuery;
+  const q = typeof reqQuery.q === 'string' ? reqQuery.q.trim() : '';
+
+  // Build query object - trashed bugs are only listed by getTrash
+  const query = { deletedAt: null };
+  if (status) {
+    query.status = status;
+  }
+  if (priority) {
+    query.priority = priority;
+  }
+  if (reqQuery.unassigned === 'true') {
+    query.assignee = null;
+  } else if (reqQuery.assignee) {
+    const assignee = resolveAssignee(reqQuery.assignee, user);
+    if (!assignee) {
+      return { error: 'Invalid assignee' };
+    }
+    // Cast explicitly - aggregation pipelines skip mongoose casting
+    query.assignee = new mongoose.Types.ObjectId(assignee);
+  }
+  if (reqQuery.labels !== undefined) {
+    const labelMode = reqQuery.labelMode || 'any';
+    if (!LABEL_MODES.includes(labelMode)) {
+      return { error: `labelMode must be one of: ${LABEL_MODES.join(', ')}` };
+    }
+    const labels = parseLabelFilter(reqQuery.labels);
+    if (labels.length > 0) {
+      query.labels = labelMode === 'all' ? { $all: labels } : { $in: labels };
+    }
+  }
+  if (q) {
+    query.$text = { $search: q };
+  }
+
+  // Build sort fields - searches rank by relevance unless a sort is given
+  // _id breaks ties so every cursor position is unique
+  const sortFields = parseSort(sort || (q ? 'relevance' : undefined));
+  if (!sortFields) {
+    return { error: `Invalid sort: ${sort}` };
+  }
+  if (!q && sortFields.some(([field]) => field === 'score')) {
+    return { error: 'Sorting by relevance requires a search query (q)' };
+  }
+
+  return { query, q, sortFields };
+};
 
 // @desc    Get all bugs
 // @route   GET /api/bugs
-// @access  Public
+// @access  Private
 const getBugs = async (req, res, next) => {
   try {
-    const { status, priority, sort } = req.query;
-    
-    // Build query object
-    const query = {};
-    if (status) {
-      query.status = status;
+    const { cursor } = req.query;
+
+    const listQuery = parseBugListQuery(req.query, req.user);
+    if (listQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: listQuery.error,
+      });
     }
-    if (priority) {
-      query.priority = priority;
+    const { query, q, sortFields } = listQuery;
+
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Limit must be a positive integer',
+      });
     }
 
-    // Build sort object
-    let sortBy = '-createdAt'; // Default: newest first
-    if (sort === 'oldest') {
-      sortBy = 'createdAt';
-    } else if (sort === 'priority') {
-      sortBy = '-priority';
+    // Only documents after the cursor belong to this page
+    let cursorFilter = null;
+    if (cursor) {
+      const cursorValues = decodeCursor(cursor, sortFields, Bug);
+      if (!cursorValues) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+        });
+      }
+      cursorFilter = buildCursorFilter(sortFields, cursorValues);
     }
 
-    const bugs = await Bug.find(query).sort(sortBy);
+    // Fetch one extra document to find out whether another page exists
+    // Text searches go through an aggregation so the relevance score can be sorted and paged on
+    const [results, total] = await Promise.all([
+      q
+        ? Bug.aggregate([
+          { $match: query },
+          { $addFields: { score: { $meta: 'textScore' } } },
+          ...(cursorFilter ? [{ $match: cursorFilter }] : []),
+          { $sort: Object.fromEntries(sortFields) },
+          { $limit: limit + 1 },
+        ])
+        : Bug.find(cursorFilter ? { $and: [query, cursorFilter] } : query)
+          .sort(Object.fromEntries(sortFields))
+          .limit(limit + 1)
+          .populate('assignee', ASSIGNEE_FIELDS),
+      Bug.countDocuments(query),
+    ]);
+
+    const hasMore = results.length > limit;
+    let bugs = hasMore ? results.slice(0, limit) : results;
+    const nextCursor = hasMore ? encodeCursor(bugs[bugs.length - 1], sortFields) : null;
+
+    if (q) {
+      await Bug.populate(bugs, { path: 'assignee', select: ASSIGNEE_FIELDS });
+      const terms = getSearchTerms(q);
+      bugs = bugs.map((bug) => ({ ...bug, highlights: buildHighlights(bug, terms) }));
+    }
     
+    res.status(200).json({
+      success: true,
+      count: bugs.length,
+      total,
+      nextCursor,
+      data: bugs,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Write a chunk to a response, waiting for it to drain when its buffer is full
+ * Resolves early if the client disconnects so a stalled export does not hang
+ * @param {Object} res - Express response
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>}
+ */
+const writeChunk = (res, chunk) => {
+  if (!chunk || res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+// @desc    Export all bugs matching the list filters
+// @route   GET /api/bugs/export?format=csv|json|ndjson
+// @access  Private
+const exportBugs = async (req, res, next) => {
+  let cursor;
+  try {
+    const format = req.query.format || 'csv';
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      });
+    }
+
+    const listQuery = parseBugListQuery(req.query, req.user);
+    if (listQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: listQuery.error,
+      });
+    }
+    const { query, q, sortFields } = listQuery;
+
+    // Stream from a cursor so large exports are never held in memory
+    // The assignee is joined in the pipeline, keeping only the fields that are exported
+    cursor = Bug.aggregate([
+      { $match: query },
+      ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      { $sort: Object.fromEntries(sortFields) },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: 'assignee',
+          foreignField: '_id',
+          as: 'assignee',
+        },
+      },
+      {
+        $set: {
+          assignee: {
+            $first: {
+              $map: { input: '$assignee', in: { name: '$$this.name', email: '$$this.email' } },
+            },
+          },
+        },
+      },
+    ])
+      .allowDiskUse(true)
+      .cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+    const writer = createExportWriter(format);
+    res.status(200);
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${getExportFileName(format)}"`,
+      'Cache-Control': 'no-store',
+    });
+
+    await writeChunk(res, writer.start());
+    let index = 0;
+    for await (const bug of cursor) {
+      if (res.destroyed) {
+        break;
+      }
+      await writeChunk(res, writer.record(toExportRecord(bug), index));
+      index += 1;
+    }
+    res.end(writer.end());
+  } catch (error) {
+    // Once the download has started the status can no longer change, so the response is cut short
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader('Content-Disposition');
+    next(error);
+  } finally {
+    if (cursor) {
+      await cursor.close().catch(() => {});
+    }
+  }
+};
+
+// @desc    Find open bugs similar to a report, to suggest duplicates
+// @route   GET /api/bugs/similar?title=&description=&exclude=
+// @access  Private
+const getSimilarBugs = async (req, res, next) => {
+  try {
+    const { title, description, exclude } = req.query;
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'title is required',
+      });
+    }
+    if (exclude !== undefined && !isValidObjectId(exclude)) {
+      return res.status(400).json({
+        success: false,
+        error: 'exclude must be a valid bug id',
+      });
+    }
+
+    const bugs = await findSimilarBugs(
+      { title, description: typeof description === 'string' ? description : '' },
+      exclude
+    );
+
     res.status(200).json({
       success: true,
       count: bugs.length,
@@ -39,29 +443,36 @@ const getBugs = async (req, res, next) => {
   }
 };
 
+// @desc    Get the status workflow, so clients offer only the statuses and transitions it allows
+// @route   GET /api/bugs/workflow
+// @access  Private
+const getBugWorkflow = (req, res) => {
+  const { initialStatus, statuses, transitions } = getWorkflow();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      statuses,
+      initialStatus,
+      inProgressStatus: getInProgressStatus(),
+      resolvedStatus: getResolvedStatus(),
+      transitions,
+    },
+  });
+};
+
 // @desc    Get single bug by ID
 // @route   GET /api/bugs/:id
-// @access  Public
+// @access  Private
 const getBug = async (req, res, next) => {
   try {
-    // DEBUG: Log incoming request details
-    console.log('=== DEBUG: getBug Controller ===');
-    console.log('req.params:', req.params);
-    console.log('req.params.id:', req.params.id);
-    console.log('req.params.id type:', typeof req.params.id);
-    console.log('req.method:', req.method);
-    console.log('req.path:', req.path);
-    console.log('req.url:', req.url);
-    
-    const bug = await Bug.findById(req.params.id);
-    
-    console.log('Bug found:', bug ? 'YES' : 'NO');
-    if (bug) {
-      console.log('Bug _id:', bug._id.toString());
-    } else {
-      console.log('No bug found with ID:', req.params.id);
-    }
-    console.log('================================');
+    log.debug('getBug request', { id: req.params.id, method: req.method, url: req.originalUrl });
+
+    const bug = await Bug.findOne(activeBug(req.params.id))
+      .populate('assignee', ASSIGNEE_FIELDS)
+      .populate('duplicateOf', 'title status');
+
+    log.debug('getBug result', { id: req.params.id, found: Boolean(bug) });
 
     if (!bug) {
       return res.status(404).json({
@@ -70,17 +481,14 @@ const getBug = async (req, res, next) => {
       });
     }
 
+    res.set('ETag', toETag(bug.__v));
     res.status(200).json({
       success: true,
       data: bug,
     });
   } catch (error) {
-    console.log('=== DEBUG: getBug Error ===');
-    console.log('Error name:', error.name);
-    console.log('Error message:', error.message);
-    console.log('Error stack:', error.stack);
-    console.log('===========================');
-    
+    log.debug('getBug failed', { id: req.params.id, error });
+
     if (error.name === 'CastError') {
       return res.status(404).json({
         success: false,
@@ -93,17 +501,55 @@ const getBug = async (req, res, next) => {
 
 // @desc    Create new bug
 // @route   POST /api/bugs
-// @access  Public
+// @access  Private
 const createBug = async (req, res, next) => {
   try {
-    const bug = await Bug.create(req.body);
-    
-    // FIXED: Removed memory leak - if history is needed, use database or proper cache with TTL
-    // Removed global bugHistory array that was causing memory leak
+    const assignee = resolveAssignee(req.body.assignee ?? null, req.user);
+    if (assignee === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Assignee must be a valid user id',
+      });
+    }
+    if (assignee && !hasPermission(req.user, 'bug:assign')) {
+      throw new ForbiddenError('Not authorized to assign this bug');
+    }
+
+    // Only whitelisted fields are taken from the body, so ids, trash and timestamp fields can't be set
+    // Users who can't change status file bugs in the workflow's initial status
+    const { updates: fields } = pickUpdatableFields(req.body);
+    if (!hasPermission(req.user, 'bug:status')) {
+      fields.status = getWorkflow().initialStatus;
+    }
+
+    // The reporter is always the authenticated user, never a value from the body,
+    // and the status timestamps are set by the model from the initial status
+    // A new bug is linked to an original only through POST /api/bugs/:id/duplicate
+    const bug = await Bug.create({
+      ...fields,
+      assignee,
+      reporter: req.user.name,
+      reportedBy: req.user._id,
+    });
+    await bug.populate('assignee', ASSIGNEE_FIELDS);
+    await Label.register(bug.labels);
+
+    // History lives in the BugHistory collection rather than in memory
+    await BugHistory.record({ action: 'create', before: null, after: bug, user: req.user });
+    publishBugEvent('bug:created', { bug }, req);
+
+    // Likely duplicates are only a hint, so failing to find them doesn't fail the create
+    let similar = [];
+    try {
+      similar = await findSimilarBugs(bug, bug._id);
+    } catch (error) {
+      log.warn('Failed to find similar bugs', { error: error.message });
+    }
 
     res.status(201).json({
       success: true,
       data: bug,
+      similar,
     });
   } catch (error) {
     if (error.name === 'ValidationError') {
@@ -119,36 +565,227 @@ const createBug = async (req, res, next) => {
 
 // @desc    Update bug
 // @route   PUT /api/bugs/:id
-// @access  Public
+// @access  Private
 const updateBug = async (req, res, next) => {
   try {
-    // DEBUG: Log incoming request details
-    console.log('=== DEBUG: updateBug Controller ===');
-    console.log('req.params:', req.params);
-    console.log('req.params.id:', req.params.id);
-    console.log('req.params.id type:', typeof req.params.id);
-    console.log('req.method:', req.method);
-    console.log('req.path:', req.path);
-    console.log('req.url:', req.url);
-    console.log('req.body:', req.body);
-    
+    log.debug('updateBug request', {
+      id: req.params.id,
+      method: req.method,
+      url: req.originalUrl,
+      body: req.body,
+    });
+
+    const existingBug = await Bug.findOne(activeBug(req.params.id));
+
+    if (!existingBug) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+
+    // Only whitelisted fields are written; the reporter is fixed at creation time
+    const { updates } = pickUpdatableFields(req.body);
+
+    const rejection = checkUpdates(existingBug, updates, req.user);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
     // FIXED: Added await to properly wait for database operation
-    const bug = await Bug.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    const bug = await Bug.findOneAndUpdate(
+      activeBug(req.params.id),
+      updates,
       {
         new: true,
         runValidators: true,
       }
-    );
-    
-    console.log('Bug found:', bug ? 'YES' : 'NO');
-    if (bug) {
-      console.log('Bug _id:', bug._id.toString());
-    } else {
-      console.log('No bug found with ID:', req.params.id);
+    ).populate('assignee', ASSIGNEE_FIELDS);
+
+    log.debug('updateBug result', { id: req.params.id, found: Boolean(bug) });
+
+    if (!bug) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+
+    if (updates.labels !== undefined) {
+      await Label.register(bug.labels);
+    }
+    await BugHistory.record({ action: 'update', before: existingBug, after: bug, user: req.user });
+    publishBugEvent('bug:updated', { bug }, req);
+
+    res.status(200).json({
+      success: true,
+      data: bug,
+    });
+  } catch (error) {
+    log.debug('updateBug failed', { id: req.params.id, error });
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Send a 409 with the bug as currently stored so the client can merge
+ * @param {Object} res - Express response
+ * @param {string} id - Bug id
+ * @returns {Promise<Object>} Express response (404 if the bug is gone)
+ */
+const sendConflict = async (res, id) => {
+  const current = await Bug.findOne(activeBug(id)).populate('assignee', ASSIGNEE_FIELDS);
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      error: 'Bug not found',
+    });
+  }
+
+  res.set('ETag', toETag(current.__v));
+  return res.status(409).json({
+    success: false,
+    error: 'This bug was changed by someone else. Review their changes and try again.',
+    data: current,
+  });
+};
+
+// @desc    Partially update a bug, rejecting writes based on a stale version
+// @route   PATCH /api/bugs/:id
+// @access  Private
+const patchBug = async (req, res, next) => {
+  try {
+    // The version the client last saw, from the ETag of GET /api/bugs/:id or the bug's __v
+    const version = parseIfMatch(req.get('If-Match'));
+    if (version === null) {
+      return res.status(428).json({
+        success: false,
+        error: 'If-Match header with the bug version is required',
+      });
+    }
+
+    const { updates, unknownFields } = pickUpdatableFields(req.body);
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot update field(s): ${unknownFields.join(', ')}`,
+      });
+    }
+
+    const existingBug = await Bug.findOne(activeBug(req.params.id));
+
+    if (!existingBug) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+
+    if (existingBug.__v !== version) {
+      return sendConflict(res, req.params.id);
+    }
+
+    const rejection = checkUpdates(existingBug, updates, req.user);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
     }
-    console.log('===================================');
+
+    // Matching on __v makes the version check and the write atomic
+    const bug = await Bug.findOneAndUpdate(
+      { ...activeBug(req.params.id), __v: version },
+      updates,
+      {
+        new: true,
+        runValidators: true,
+      }
+    ).populate('assignee', ASSIGNEE_FIELDS);
+
+    // Someone else wrote between the read and the update
+    if (!bug) {
+      return sendConflict(res, req.params.id);
+    }
+
+    if (updates.labels !== undefined) {
+      await Label.register(bug.labels);
+    }
+    await BugHistory.record({ action: 'update', before: existingBug, after: bug, user: req.user });
+    publishBugEvent('bug:updated', { bug }, req);
+
+    res.set('ETag', toETag(bug.__v));
+    res.status(200).json({
+      success: true,
+      data: bug,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Assign a bug to a user, or unassign it with null
+// @route   PATCH /api/bugs/:id/assign
+// @access  Private (developer, triager, admin)
+const assignBug = async (req, res, next) => {
+  try {
+    if (req.body.assignee === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Assignee is required (use null to unassign)',
+      });
+    }
+
+    const assignee = resolveAssignee(req.body.assignee, req.user);
+    if (assignee === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Assignee must be a valid user id',
+      });
+    }
+
+    const existingBug = await Bug.findOne(activeBug(req.params.id));
+
+    if (!existingBug) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+
+    const bug = await Bug.findOneAndUpdate(
+      activeBug(req.params.id),
+      { assignee },
+      {
+        new: true,
+        runValidators: true,
+      }
+    ).populate('assignee', ASSIGNEE_FIELDS);
 
     if (!bug) {
       return res.status(404).json({
@@ -157,17 +794,116 @@ const updateBug = async (req, res, next) => {
       });
     }
 
+    await BugHistory.record({ action: 'update', before: existingBug, after: bug, user: req.user });
+    publishBugEvent('bug:updated', { bug }, req);
+
+    res.status(200).json({
+      success: true,
+      data: bug,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Close a bug as a duplicate of another and link it to the original
+// @route   POST /api/bugs/:id/duplicate
+// @access  Private (developer, triager, admin)
+const markDuplicate = async (req, res, next) => {
+  try {
+    const { original: originalId } = req.body;
+    if (!isValidObjectId(originalId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'original must be a valid bug id',
+      });
+    }
+    if (originalId === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'A bug cannot be a duplicate of itself',
+      });
+    }
+
+    const existingBug = await Bug.findOne(activeBug(req.params.id));
+
+    if (!existingBug) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+
+    let original = await Bug.findOne(activeBug(originalId));
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        error: 'Original bug not found',
+      });
+    }
+
+    // Link to the root of a duplicate chain (skipping trashed bugs), and refuse cycles
+    const seen = new Set([existingBug._id.toString()]);
+    while (original.duplicateOf && !seen.has(original._id.toString())) {
+      seen.add(original._id.toString());
+      const next = await Bug.findOne(activeBug(original.duplicateOf));
+      if (!next) {
+        break;
+      }
+      original = next;
+    }
+    if (seen.has(original._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        error: 'The original bug is already a duplicate of this bug',
+      });
+    }
+
+    // A duplicate is resolved from any status, outside the status workflow
+    const resolvedStatus = getResolvedStatus();
+    const updates = {
+      duplicateOf: original._id,
+      status: resolvedStatus,
+      ...getStatusTimestampUpdates(existingBug.status, resolvedStatus),
+    };
+
+    const bug = await Bug.findOneAndUpdate(activeBug(req.params.id), updates, {
+      new: true,
+      runValidators: true,
+    })
+      .populate('assignee', ASSIGNEE_FIELDS)
+      .populate('duplicateOf', 'title status');
+
+    if (!bug) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+
+    await BugHistory.record({ action: 'update', before: existingBug, after: bug, user: req.user });
+    publishBugEvent('bug:updated', { bug }, req);
+
+    res.set('ETag', toETag(bug.__v));
     res.status(200).json({
       success: true,
       data: bug,
     });
   } catch (error) {
-    console.log('=== DEBUG: updateBug Error ===');
-    console.log('Error name:', error.name);
-    console.log('Error message:', error.message);
-    console.log('Error stack:', error.stack);
-    console.log('=============================');
-    
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map((err) => err.message);
       return res.status(400).json({
@@ -185,12 +921,86 @@ const updateBug = async (req, res, next) => {
   }
 };
 
-// @desc    Delete bug
+/**
+ * Replace assignee ids in history changes with { _id, name } so the timeline can show names
+ * Users that no longer exist are left as ids
+ * @param {Object[]} events - BugHistory documents
+ * @returns {Promise<Object[]>} Plain event objects
+ */
+const withAssigneeNames = async (events) => {
+  const plainEvents = events.map((event) => event.toObject());
+  const ids = new Set();
+  plainEvents.forEach((event) => {
+    event.changes
+      .filter((change) => change.field === 'assignee')
+      .forEach((change) => {
+        if (change.before) ids.add(change.before);
+        if (change.after) ids.add(change.after);
+      });
+  });
+
+  if (ids.size === 0) {
+    return plainEvents;
+  }
+
+  const users = await User.find({ _id: { $in: [...ids] } }).select('name');
+  const namesById = new Map(users.map((user) => [user._id.toString(), user.name]));
+  const withName = (id) => (id && namesById.has(id) ? { _id: id, name: namesById.get(id) } : id);
+
+  plainEvents.forEach((event) => {
+    event.changes = event.changes.map((change) =>
+      change.field === 'assignee'
+        ? { ...change, before: withName(change.before), after: withName(change.after) }
+        : change
+    );
+  });
+  return plainEvents;
+};
+
+// @desc    Get the change history of a bug, newest first
+// @route   GET /api/bugs/:id/history
+// @access  Private
+const getBugHistory = async (req, res, next) => {
+  try {
+    const events = await BugHistory.find({ bug: req.params.id }).sort({ createdAt: -1, _id: -1 });
+
+    // History outlives deleted bugs, so only 404 when there is nothing at all
+    if (events.length === 0 && !(await Bug.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+
+    const data = await withAssigneeNames(events);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Move a bug to the trash
 // @route   DELETE /api/bugs/:id
-// @access  Public
+// @access  Private
 const deleteBug = async (req, res, next) => {
   try {
-    const bug = await Bug.findById(req.params.id);
+    // Soft delete - the bug can be restored until the purge job removes it
+    const bug = await Bug.findOneAndUpdate(
+      activeBug(req.params.id),
+      { deletedAt: new Date(), deletedBy: req.user._id },
+      { new: true }
+    );
 
     if (!bug) {
       return res.status(404).json({
@@ -199,7 +1009,8 @@ const deleteBug = async (req, res, next) => {
       });
     }
 
-    await bug.deleteOne();
+    await BugHistory.record({ action: 'delete', before: bug, after: null, user: req.user });
+    publishBugEvent('bug:deleted', { id: bug._id }, req);
 
     res.status(200).json({
       success: true,
@@ -216,11 +1027,299 @@ const deleteBug = async (req, res, next) => {
   }
 };
 
+// @desc    List bugs in the trash, most recently deleted first
+// @route   GET /api/bugs/trash
+// @access  Private (admin)
+const getTrash = async (req, res, next) => {
+  try {
+    const { retentionDays } = getTrashConfig();
+    const bugs = await Bug.find({ deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1, _id: -1 })
+      .populate('assignee', ASSIGNEE_FIELDS)
+      .populate('deletedBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: bugs.length,
+      retentionDays,
+      data: bugs,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a bug from the trash
+// @route   POST /api/bugs/:id/restore
+// @access  Private (admin)
+const restoreBug = async (req, res, next) => {
+  try {
+    const bug = await Bug.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { deletedAt: null, deletedBy: null },
+      { new: true }
+    ).populate('assignee', ASSIGNEE_FIELDS);
+
+    if (!bug) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found in trash',
+      });
+    }
+
+    await BugHistory.record({ action: 'restore', before: null, after: bug, user: req.user });
+    publishBugEvent('bug:restored', { bug }, req);
+
+    res.status(200).json({
+      success: true,
+      data: bug,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found in trash',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Per-item failure reported by bulkBugs
+ * @param {string} id - Bug id
+ * @param {number} status - HTTP status the single-bug route would have returned
+ * @param {string} error - Error message
+ * @returns {Object} Item result
+ */
+const bulkFailure = (id, status, error) => ({ id, success: false, status, error });
+
+/**
+ * Apply whitelisted updates to one bug of a bulk request
+ * Runs the same checks as PUT plus validateBugData on the bug as it would be saved
+ * @param {string} id - Bug id
+ * @param {Object} updates - Whitelisted fields to change
+ * @param {Object} user - Authenticated user
+ * @param {Object|null} session - Transaction session
+ * @returns {Promise<Object>} Item result
+ */
+const bulkUpdateBug = async (id, updates, user, session) => {
+  const existingBug = await Bug.findOne(activeBug(id)).session(session);
+  if (!existingBug) {
+    return bulkFailure(id, 404, 'Bug not found');
+  }
+
+  // checkUpdates resolves the assignee in place, so every bug gets its own copy
+  const bugUpdates = { ...updates };
+  let rejection;
+  try {
+    rejection = checkUpdates(existingBug, bugUpdates, user);
+  } catch (error) {
+    if (error.name === 'ForbiddenError') {
+      return bulkFailure(id, 403, error.message);
+    }
+    throw error;
+  }
+  if (rejection) {
+    return { id, ...rejection.body, status: rejection.status };
+  }
+
+  const { valid, errors } = validateBugData({
+    ...existingBug.toObject(),
+    assignee: existingBug.assignee ? existingBug.assignee.toString() : null,
+    ...bugUpdates,
+  });
+  if (!valid) {
+    return bulkFailure(id, 400, errors.join(', '));
+  }
+
+  const bug = await Bug.findOneAndUpdate(activeBug(id), bugUpdates, {
+    new: true,
+    runValidators: true,
+    session,
+  }).populate('assignee', ASSIGNEE_FIELDS);
+
+  if (!bug) {
+    return bulkFailure(id, 404, 'Bug not found');
+  }
+
+  if (bugUpdates.labels !== undefined) {
+    await Label.register(bug.labels, session);
+  }
+  await BugHistory.record({ action: 'update', before: existingBug, after: bug, user, session });
+  return { id, success: true, data: bug };
+};
+
+/**
+ * Move one bug of a bulk request to the trash
+ * @param {string} id - Bug id
+ * @param {Object} user - Authenticated user
+ * @param {Object|null} session - Transaction session
+ * @returns {Promise<Object>} Item result
+ */
+const bulkTrashBug = async (id, user, session) => {
+  const bug = await Bug.findOneAndUpdate(
+    activeBug(id),
+    { deletedAt: new Date(), deletedBy: user._id },
+    { new: true, session }
+  );
+
+  if (!bug) {
+    return bulkFailure(id, 404, 'Bug not found');
+  }
+
+  await BugHistory.record({ action: 'delete', before: bug, after: null, user, session });
+  return { id, success: true, data: {} };
+};
+
+/**
+ * Restore one bug of a bulk request from the trash
+ * @param {string} id - Bug id
+ * @param {Object} user - Authenticated user
+ * @param {Object|null} session - Transaction session
+ * @returns {Promise<Object>} Item result
+ */
+const bulkRestoreBug = async (id, user, session) => {
+  const bug = await Bug.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { deletedAt: null, deletedBy: null },
+    { new: true, session }
+  ).populate('assignee', ASSIGNEE_FIELDS);
+
+  if (!bug) {
+    return bulkFailure(id, 404, 'Bug not found in trash');
+  }
+
+  await BugHistory.record({ action: 'restore', before: null, after: bug, user, session });
+  return { id, success: true, data: bug };
+};
+
+// @desc    Update, assign, delete or restore many bugs at once
+// @route   POST /api/bugs/bulk
+// @access  Private (delete and restore: admin; assign: developer, triager, admin)
+const bulkBugs = async (req, res, next) => {
+  try {
+    const { ids, action } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Action must be one of: ${BULK_ACTIONS.join(', ')}`,
+      });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'ids must be a non-empty array of bug ids',
+      });
+    }
+
+    const bugIds = [...new Set(ids.map(String))];
+    if (bugIds.length > MAX_BULK_IDS) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot change more than ${MAX_BULK_IDS} bugs at once`,
+      });
+    }
+
+    let applyToBug;
+    if (action === 'update' || action === 'assign') {
+      if (action === 'assign' && !hasPermission(req.user, 'bug:assign')) {
+        throw new ForbiddenError('Not authorized to assign bugs');
+      }
+      if (action === 'assign' && req.body.assignee === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Assignee is required (use null to unassign)',
+        });
+      }
+
+      const { updates, unknownFields } = action === 'assign'
+        ? { updates: { assignee: req.body.assignee }, unknownFields: [] }
+        : pickUpdatableFields(req.body.changes);
+      if (unknownFields.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot update field(s): ${unknownFields.join(', ')}`,
+        });
+      }
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'changes must include at least one field to update',
+        });
+      }
+
+      applyToBug = (id, session) => bulkUpdateBug(id, updates, req.user, session);
+    } else {
+      if (!hasPermission(req.user, 'bug:delete')) {
+        throw new ForbiddenError(`Not authorized to ${action} bugs`);
+      }
+      applyToBug = action === 'delete'
+        ? (id, session) => bulkTrashBug(id, req.user, session)
+        : (id, session) => bulkRestoreBug(id, req.user, session);
+    }
+
+    // Bugs are changed one after another - a transaction session runs one operation at a time.
+    // Items that fail validation are reported and skipped; any other error rolls the batch back.
+    const { result: results, transaction } = await runInTransaction(async (session) => {
+      const itemResults = [];
+      for (const id of bugIds) {
+        try {
+          itemResults.push(await applyToBug(id, session));
+        } catch (error) {
+          if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map((err) => err.message);
+            itemResults.push(bulkFailure(id, 400, messages.join(', ')));
+          } else if (error.name === 'CastError') {
+            itemResults.push(bulkFailure(id, 404, 'Bug not found'));
+          } else {
+            throw error;
+          }
+        }
+      }
+      return itemResults;
+    });
+
+    // Announced only once the whole batch is committed
+    results
+      .filter((item) => item.success)
+      .forEach((item) => {
+        const data = action === 'delete' ? { id: item.id } : { bug: item.data };
+        publishBugEvent(BULK_EVENTS[action], data, req);
+      });
+
+    const succeeded = results.filter((item) => item.success).length;
+
+    res.status(200).json({
+      success: true,
+      action,
+      transaction,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getBugs,
+  exportBugs,
+  getSimilarBugs,
+  getBugWorkflow,
   getBug,
   createBug,
   updateBug,
+  patchBug,
+  assignBug,
+  markDuplicate,
+  getBugHistory,
   deleteBug,
+  getTrash,
+  restoreBug,
+  bulkBugs,
 };
 
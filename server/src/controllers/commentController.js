@@ -0,0 +1,178 @@
+// commentController.js - Bug comment controller functions
+
+const Bug = require('../models/Bug');
+const Comment = require('../models/Comment');
+const { isCommentAuthor, canDeleteComment } = require('../utils/permissions');
+const { ForbiddenError } = require('../utils/errors');
+
+// User fields returned in place of the author id
+const AUTHOR_FIELDS = 'name email role';
+
+// Shared 404 responses
+const bugNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: 'Bug not found',
+  });
+
+const commentNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: 'Comment not found',
+  });
+
+/**
+ * Find a comment that belongs to the bug in the route
+ * @param {Object} params - Route params with id (bug) and commentId
+ * @returns {Promise<Object|null>} Comment document or null
+ */
+const findBugComment = (params) => {
+  return Comment.findOne({ _id: params.commentId, bug: params.id });
+};
+
+// @desc    Get the comments on a bug, oldest first
+// @route   GET /api/bugs/:id/comments
+// @access  Private
+const getComments = async (req, res, next) => {
+  try {
+    const bugExists = await Bug.exists({ _id: req.params.id, deletedAt: null });
+    if (!bugExists) {
+      return bugNotFound(res);
+    }
+
+    const comments = await Comment.find({ bug: req.params.id })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('author', AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      data: comments,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return bugNotFound(res);
+    }
+    next(error);
+  }
+};
+
+// @desc    Add a comment to a bug
+// @route   POST /api/bugs/:id/comments
+// @access  Private
+const createComment = async (req, res, next) => {
+  try {
+    const bugExists = await Bug.exists({ _id: req.params.id, deletedAt: null });
+    if (!bugExists) {
+      return bugNotFound(res);
+    }
+
+    // The author always comes from the authenticated user
+    const comment = await Comment.create({
+      bug: req.params.id,
+      author: req.user._id,
+      body: req.body.body,
+    });
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      data: comment,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    if (error.name === 'CastError') {
+      return bugNotFound(res);
+    }
+    next(error);
+  }
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/bugs/:id/comments/:commentId
+// @access  Private (author only)
+const updateComment = async (req, res, next) => {
+  try {
+    const bugExists = await Bug.exists({ _id: req.params.id, deletedAt: null });
+    if (!bugExists) {
+      return bugNotFound(res);
+    }
+
+    const comment = await findBugComment(req.params);
+    if (!comment) {
+      return commentNotFound(res);
+    }
+
+    if (!isCommentAuthor(req.user, comment)) {
+      throw new ForbiddenError('Not authorized to edit this comment');
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: comment,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    if (error.name === 'CastError') {
+      return commentNotFound(res);
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete a comment
+// @route   DELETE /api/bugs/:id/comments/:commentId
+// @access  Private (author or moderator)
+const deleteComment = async (req, res, next) => {
+  try {
+    const bugExists = await Bug.exists({ _id: req.params.id, deletedAt: null });
+    if (!bugExists) {
+      return bugNotFound(res);
+    }
+
+    const comment = await findBugComment(req.params);
+    if (!comment) {
+      return commentNotFound(res);
+    }
+
+    if (!canDeleteComment(req.user, comment)) {
+      throw new ForbiddenError('Not authorized to delete this comment');
+    }
+
+    await comment.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return commentNotFound(res);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+};
@@ -0,0 +1,176 @@
+// errorReportController.js - Client error report controller functions
+
+const ErrorReport = require('../models/ErrorReport');
+const ErrorGroup = require('../models/ErrorGroup');
+const getErrorReportConfig = require('../config/errorReports');
+const { toErrorReport } = require('../utils/errorReportUtils');
+const { ERROR_PLATFORMS } = require('../utils/fingerprintUtils');
+const { parseLimit, encodeCursor, decodeCursor, buildCursorFilter } = require('../utils/pagination');
+
+// Orders for the error group list, newest or largest first; _id breaks ties for cursors
+const GROUP_SORTS = ['lastSeen', 'count', 'firstSeen'];
+
+// Occurrences returned with a single client error group
+const RECENT_REPORTS = 20;
+
+// @desc    Store errors caught in the browser
+// @route   POST /api/errors
+// @access  Public (the user is recorded when logged in)
+const reportErrors = async (req, res, next) => {
+  try {
+    const { reports } = req.body || {};
+    if (!Array.isArray(reports) || reports.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'reports must be a non-empty array',
+      });
+    }
+
+    const { maxBatchSize } = getErrorReportConfig();
+    if (reports.length > maxBatchSize) {
+      return res.status(413).json({
+        success: false,
+        error: `Send at most ${maxBatchSize} reports at a time`,
+      });
+    }
+
+    // Bad reports are skipped so one malformed entry doesn't lose the rest of the batch
+    const accepted = [];
+    const rejected = [];
+    const receivedAt = new Date();
+    reports.forEach((raw, index) => {
+      const { report, error } = toErrorReport(raw, { userAgent: req.get('User-Agent'), receivedAt });
+      if (error) {
+        rejected.push({ index, error });
+      } else {
+        accepted.push({ ...report, user: req.user ? req.user._id : null });
+      }
+    });
+
+    if (accepted.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid reports were sent',
+        rejected,
+      });
+    }
+
+    const fingerprints = await ErrorGroup.recordOccurrences('client', accepted);
+    await ErrorReport.insertMany(
+      accepted.map((report, index) => ({ ...report, fingerprint: fingerprints[index] }))
+    );
+
+    res.status(201).json({
+      success: true,
+      accepted: accepted.length,
+      rejected,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List error groups
+// @route   GET /api/errors/groups
+// @access  Private (admin)
+const getErrorGroups = async (req, res, next) => {
+  try {
+    const { platform, sort = 'lastSeen', cursor } = req.query;
+
+    if (!GROUP_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of: ${GROUP_SORTS.join(', ')}`,
+      });
+    }
+    if (platform !== undefined && !ERROR_PLATFORMS.includes(platform)) {
+      return res.status(400).json({
+        success: false,
+        error: `platform must be one of: ${ERROR_PLATFORMS.join(', ')}`,
+      });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Limit must be a positive integer',
+      });
+    }
+
+    const sortFields = [[sort, -1], ['_id', -1]];
+    const query = platform ? { platform } : {};
+    let cursorFilter = null;
+    if (cursor) {
+      const cursorValues = decodeCursor(cursor, sortFields, ErrorGroup);
+      if (!cursorValues) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+        });
+      }
+      cursorFilter = buildCursorFilter(sortFields, cursorValues);
+    }
+
+    // Fetch one extra group to find out whether another page exists
+    const [results, total] = await Promise.all([
+      ErrorGroup.find(cursorFilter ? { $and: [query, cursorFilter] } : query)
+        .sort(Object.fromEntries(sortFields))
+        .limit(limit + 1),
+      ErrorGroup.countDocuments(query),
+    ]);
+
+    const hasMore = results.length > limit;
+    const groups = hasMore ? results.slice(0, limit) : results;
+
+    res.status(200).json({
+      success: true,
+      count: groups.length,
+      total,
+      nextCursor: hasMore ? encodeCursor(groups[groups.length - 1], sortFields) : null,
+      data: groups,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get an error group with its most recent client reports
+// @route   GET /api/errors/groups/:id
+// @access  Private (admin)
+const getErrorGroup = async (req, res, next) => {
+  try {
+    const group = await ErrorGroup.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Error group not found',
+      });
+    }
+
+    // Server errors are only counted, so only client groups have reports
+    const reports = await ErrorReport.find({ fingerprint: group.fingerprint })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_REPORTS)
+      .populate('user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: { ...group.toObject(), reports },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Error group not found',
+      });
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  reportErrors,
+  getErrorGroups,
+  getErrorGroup,
+};
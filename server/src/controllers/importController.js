@@ -0,0 +1,326 @@
+// importController.js - Bulk bug import controller functions
+
+const Bug = require('../models/Bug');
+const BugHistory = require('../models/BugHistory');
+const Label = require('../models/Label');
+const User = require('../models/User');
+const getImportConfig = require('../config/imports');
+const { validateBugData, isValidObjectId } = require('../utils/bugUtils');
+const { normalizeLabels } = require('../utils/labelUtils');
+const { hasPermission } = require('../utils/permissions');
+const { getWorkflow } = require('../utils/workflow');
+const {
+  IMPORT_FORMATS,
+  parseImportFile,
+  buildColumnMapping,
+  toImportBug,
+  getDuplicateKey,
+} = require('../utils/importUtils');
+const { runInTransaction } = require('../utils/transactions');
+const { publishBugEvent } = require('../realtime/bugEvents');
+
+// User fields returned in place of the assignee id
+const ASSIGNEE_FIELDS = 'name email role';
+
+// Title comparison used to find existing duplicates: case-insensitive
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+/**
+ * Get the format of an uploaded import file from the format field or its extension
+ * @param {Object} req - Express request with req.file
+ * @returns {string|null} csv or json, or null if not recognised
+ */
+const getImportFormat = (req) => {
+  const format = (req.body.format || req.file.originalname.split('.').pop() || '').toLowerCase();
+  return IMPORT_FORMATS.includes(format) ? format : null;
+};
+
+/**
+ * Find the users named by assignee cells, by id, email or name
+ * @param {string[]} values - Assignee cells
+ * @returns {Promise<Function>} Lookup of a cell to { id } or { error }
+ */
+const resolveAssignees = async (values) => {
+  const unique = [...new Set(values.map(String))];
+  if (unique.length === 0) {
+    return () => ({});
+  }
+
+  const users = await User.find({
+    $or: [
+      { _id: { $in: unique.filter(isValidObjectId) } },
+      { email: { $in: unique.map((value) => value.toLowerCase()) } },
+      { name: { $in: unique } },
+    ],
+  }).select('name email');
+
+  return (value) => {
+    const text = String(value);
+    const byId = users.find((user) => user._id.toString() === text);
+    const byEmail = users.find((user) => user.email === text.toLowerCase());
+    if (byId || byEmail) {
+      return { id: (byId || byEmail)._id.toString() };
+    }
+
+    const byName = users.filter((user) => user.name === text);
+    if (byName.length > 1) {
+      return { error: `More than one user is named ${text}; use their email instead` };
+    }
+    return byName.length === 1 ? { id: byName[0]._id.toString() } : { error: `Assignee not found: ${text}` };
+  };
+};
+
+/**
+ * Validate every row of an import and find duplicates, without writing anything
+ * A row duplicates an existing bug, or an earlier row, with the same title
+ * @param {Array<{row: number, values: Object}>} rows - Parsed rows
+ * @param {Object} columns - Column mapping
+ * @param {Object} user - Importing user, the default reporter
+ * @returns {Promise<Array>} [{ row, status: valid|invalid|duplicate, bug, errors, duplicateOf }]
+ */
+const analyseRows = async (rows, columns, user) => {
+  const drafts = rows.map(({ row, values }) => ({ row, data: toImportBug(values, columns) }));
+  const canAssign = hasPermission(user, 'bug:assign');
+  // Rows can't set a status or priority the user couldn't give a bug by editing it
+  const { initialStatus } = getWorkflow();
+  const defaultPriority = Bug.schema.path('priority').defaultValue;
+  const canSetStatus = hasPermission(user, 'bug:status');
+  const canSetPriority = hasPermission(user, 'bug:priority');
+
+  const lookupAssignee = await resolveAssignees(
+    drafts.map(({ data }) => data.assignee).filter((assignee) => assignee !== undefined)
+  );
+
+  // Both the title as written and with its spaces collapsed, since stored titles are trimmed
+  const titles = [...new Set(
+    drafts
+      .map(({ data }) => data.title)
+      .filter((title) => typeof title === 'string')
+      .flatMap((title) => [title, title.replace(/\s+/g, ' ')])
+  )];
+  const existing = titles.length > 0
+    ? await Bug.find({ deletedAt: null, title: { $in: titles } }).collation(CASE_INSENSITIVE).select('title')
+    : [];
+  const existingByKey = new Map(existing.map((bug) => [getDuplicateKey(bug.title), bug]));
+  const rowsByKey = new Map();
+
+  const report = [];
+  for (const { row, data } of drafts) {
+    const errors = [];
+    const bug = {
+      ...data,
+      reporter: data.reporter === undefined ? user.name : String(data.reporter),
+    };
+
+    if (bug.labels) {
+      bug.labels = normalizeLabels(bug.labels);
+    }
+
+    // The assignee cell is kept in the preview when it can't be resolved, but not validated again
+    let checked = bug;
+    if (bug.assignee !== undefined) {
+      const assignee = lookupAssignee(bug.assignee);
+      if (assignee.error || !canAssign) {
+        errors.push(assignee.error || 'Not authorized to assign bugs');
+        checked = { ...bug, assignee: undefined };
+      } else {
+        bug.assignee = assignee.id;
+      }
+    }
+    if (bug.status !== undefined && bug.status !== initialStatus && !canSetStatus) {
+      errors.push(`Not authorized to import bugs with a status other than ${initialStatus}`);
+    }
+    if (bug.priority !== undefined && bug.priority !== defaultPriority && !canSetPriority) {
+      errors.push(`Not authorized to import bugs with a priority other than ${defaultPriority}`);
+    }
+    if (bug.createdAt !== undefined && isNaN(new Date(bug.createdAt).getTime())) {
+      errors.push('createdAt must be a date');
+    }
+
+    const { errors: dataErrors } = validateBugData(checked);
+    errors.push(...dataErrors);
+
+    // Model rules (label names, lengths, assignable roles) only matter once the basics are right
+    if (errors.length === 0) {
+      try {
+        await new Bug(bug).validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') {
+          throw error;
+        }
+        errors.push(...Object.values(error.errors).map((err) => err.message));
+      }
+    }
+
+    const key = getDuplicateKey(bug.title);
+    let duplicateOf = null;
+    if (errors.length === 0 && key) {
+      if (existingByKey.has(key)) {
+        const original = existingByKey.get(key);
+        duplicateOf = { id: original._id.toString(), title: original.title };
+      } else if (rowsByKey.has(key)) {
+        duplicateOf = { row: rowsByKey.get(key) };
+      } else {
+        rowsByKey.set(key, row);
+      }
+    }
+
+    let status = 'valid';
+    if (errors.length > 0) {
+      status = 'invalid';
+    } else if (duplicateOf) {
+      status = 'duplicate';
+    }
+    report.push({ row, status, bug, errors, duplicateOf });
+  }
+
+  return report;
+};
+
+/**
+ * Count the rows of an import report by status
+ * @param {Array} report - Rows from analyseRows
+ * @returns {Object} { total, valid, invalid, duplicates }
+ */
+const summarise = (report) => ({
+  total: report.length,
+  valid: report.filter((item) => item.status === 'valid').length,
+  invalid: report.filter((item) => item.status === 'invalid').length,
+  duplicates: report.filter((item) => item.status === 'duplicate').length,
+});
+
+// @desc    Import bugs from a CSV or JSON file
+// @route   POST /api/bugs/import
+// @access  Private (bug:import)
+const importBugs = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a CSV or JSON file in the "file" field',
+      });
+    }
+
+    const format = getImportFormat(req);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${IMPORT_FORMATS.join(', ')}`,
+      });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'mapping must be a JSON object',
+        });
+      }
+    }
+
+    const parsed = parseImportFile(req.file.buffer.toString('utf8'), format);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error,
+      });
+    }
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The file has no bugs to import',
+      });
+    }
+
+    const { maxRows } = getImportConfig();
+    if (parsed.rows.length > maxRows) {
+      return res.status(413).json({
+        success: false,
+        error: `Import at most ${maxRows} bugs at a time`,
+      });
+    }
+
+    const { columns, error: mappingError } = buildColumnMapping(parsed.headers, mapping);
+    if (mappingError) {
+      return res.status(400).json({
+        success: false,
+        error: mappingError,
+      });
+    }
+
+    const report = await analyseRows(parsed.rows, columns, req.user);
+    const summary = summarise(report);
+    const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        data: { headers: parsed.headers, columns, summary, rows: report },
+      });
+    }
+
+    // Nothing is imported while any row is invalid, so a fixed file can simply be imported again
+    if (summary.invalid > 0) {
+      return res.status(422).json({
+        success: false,
+        error: `${summary.invalid} of ${summary.total} rows have errors; no bugs were imported`,
+        data: { headers: parsed.headers, columns, summary, rows: report },
+      });
+    }
+
+    // Duplicates are reported but skipped
+    const toCreate = report.filter((item) => item.status === 'valid');
+    const { result: created } = await runInTransaction(async (session) => {
+      const bugs = [];
+      for (const item of toCreate) {
+        // Status timestamps are set by the model from the imported status
+        const [bug] = await Bug.create([{
+          ...item.bug,
+          reportedBy: req.user._id,
+          inProgressAt: null,
+          resolvedAt: null,
+          reopenCount: 0,
+        }], { session });
+        await BugHistory.record({ action: 'create', before: null, after: bug, user: req.user, session });
+        bugs.push(bug);
+      }
+      await Label.register([...new Set(bugs.flatMap((bug) => bug.labels))], session);
+      return bugs;
+    });
+
+    await Bug.populate(created, { path: 'assignee', select: ASSIGNEE_FIELDS });
+    created.forEach((bug) => publishBugEvent('bug:created', { bug }, req));
+
+    const createdIds = new Map(toCreate.map((item, index) => [item, created[index]._id.toString()]));
+    const rows = report.map((item) =>
+      createdIds.has(item) ? { ...item, status: 'imported', id: createdIds.get(item) } : item
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        headers: parsed.headers,
+        columns,
+        summary: { ...summary, imported: created.length },
+        rows,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  importBugs,
+};
@@ -0,0 +1,185 @@
+// labelController.js - Label registry controller functions
+
+const Bug = require('../models/Bug');
+const Label = require('../models/Label');
+const { normalizeLabelName } = require('../utils/labelUtils');
+
+// Fields clients may set on a label
+const LABEL_FIELDS = ['name', 'color', 'description'];
+
+/**
+ * Pick the label fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Fields that were sent
+ */
+const pickLabelFields = (body = {}) =>
+  LABEL_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+const labelNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: 'Label not found',
+  });
+
+const labelExists = (res, name) =>
+  res.status(409).json({
+    success: false,
+    error: `Label "${name}" already exists`,
+  });
+
+// @desc    List labels with the number of live bugs using each, optionally filtered by prefix
+// @route   GET /api/labels
+// @access  Private
+const getLabels = async (req, res, next) => {
+  try {
+    const q = typeof req.query.q === 'string' ? normalizeLabelName(req.query.q) : '';
+    const filter = {};
+    if (q) {
+      // Escape so the prefix is matched literally
+      filter.name = { $regex: `^${q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` };
+    }
+
+    const [labels, usage] = await Promise.all([
+      Label.find(filter).sort({ name: 1 }),
+      Bug.aggregate([
+        { $match: { deletedAt: null } },
+        { $unwind: '$labels' },
+        { $group: { _id: '$labels', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const counts = new Map(usage.map((entry) => [entry._id, entry.count]));
+    const data = labels.map((label) => ({ ...label.toObject(), bugCount: counts.get(label.name) || 0 }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a label
+// @route   POST /api/labels
+// @access  Private (triager, admin)
+const createLabel = async (req, res, next) => {
+  try {
+    const fields = pickLabelFields(req.body);
+
+    if (typeof fields.name === 'string' && (await Label.exists({ name: normalizeLabelName(fields.name) }))) {
+      return labelExists(res, normalizeLabelName(fields.name));
+    }
+
+    const label = await Label.create(fields);
+
+    res.status(201).json({
+      success: true,
+      data: label,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Update a label; renaming it renames it on every bug
+// @route   PUT /api/labels/:id
+// @access  Private (triager, admin)
+const updateLabel = async (req, res, next) => {
+  try {
+    const fields = pickLabelFields(req.body);
+    const label = await Label.findById(req.params.id);
+
+    if (!label) {
+      return labelNotFound(res);
+    }
+
+    const oldName = label.name;
+    label.set(fields);
+    await label.validate();
+
+    const renamed = label.name !== oldName;
+    if (renamed && (await Label.exists({ name: label.name }))) {
+      return labelExists(res, label.name);
+    }
+
+    await label.save();
+
+    if (renamed) {
+      // Bugs that already carry the new name just lose the old one
+      await Bug.updateMany(
+        { labels: { $all: [oldName, label.name] } },
+        { $pull: { labels: oldName }, $inc: { __v: 1 } }
+      );
+      await Bug.updateMany(
+        { labels: oldName },
+        { $set: { 'labels.$': label.name }, $inc: { __v: 1 } }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: label,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    if (error.name === 'CastError') {
+      return labelNotFound(res);
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete a label and remove it from every bug
+// @route   DELETE /api/labels/:id
+// @access  Private (triager, admin)
+const deleteLabel = async (req, res, next) => {
+  try {
+    const label = await Label.findByIdAndDelete(req.params.id);
+
+    if (!label) {
+      return labelNotFound(res);
+    }
+
+    await Bug.updateMany(
+      { labels: label.name },
+      { $pull: { labels: label.name }, $inc: { __v: 1 } }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return labelNotFound(res);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+};
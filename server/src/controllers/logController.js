@@ -0,0 +1,59 @@
+// logController.js - Runtime log level controller functions
+
+const { LOG_LEVELS, logger, getLogLevels, setLogLevel, clearLogLevel } = require('../utils/logger');
+
+const log = logger.child('logController');
+
+// Module names as passed to logger.child, such as "bugController" or "bugController.export"
+const MODULE_NAME = /^[\w-]+(\.[\w-]+)*$/;
+const MAX_MODULE_LENGTH = 100;
+
+// @desc    Get the default log level and the levels set for single modules
+// @route   GET /api/logs/levels
+// @access  Private/Admin
+const getLevels = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { ...getLogLevels(), levels: LOG_LEVELS },
+  });
+};
+
+// @desc    Change the default log level, or one module's level, until the server restarts
+// @route   PUT /api/logs/levels
+// @access  Private/Admin
+const updateLevel = (req, res) => {
+  const { level, module } = req.body || {};
+
+  if (module !== undefined && (
+    typeof module !== 'string' || module.length > MAX_MODULE_LENGTH || !MODULE_NAME.test(module)
+  )) {
+    return res.status(400).json({
+      success: false,
+      error: 'module must be a module name such as bugController',
+    });
+  }
+
+  // A module's level can be cleared so it follows the default again
+  if (level === null && module !== undefined) {
+    clearLogLevel(module);
+  } else if (LOG_LEVELS.includes(level)) {
+    setLogLevel(level, module);
+  } else {
+    return res.status(400).json({
+      success: false,
+      error: `Level must be one of: ${LOG_LEVELS.join(', ')}`,
+    });
+  }
+
+  log.info('Log level changed', { level, module: module || null, user: req.user._id.toString() });
+
+  res.status(200).json({
+    success: true,
+    data: { ...getLogLevels(), levels: LOG_LEVELS },
+  });
+};
+
+module.exports = {
+  getLevels,
+  updateLevel,
+};
@@ -0,0 +1,208 @@
+// statsController.js - Bug statistics controller functions
+
+const Bug = require('../models/Bug');
+const BugHistory = require('../models/BugHistory');
+const { getWorkflow, getResolvedStatus } = require('../utils/workflow');
+const {
+  OLDEST_CRITICAL_LIMIT,
+  toDayKey,
+  parseStatsRange,
+  getRangeEnd,
+  buildDailySeries,
+  buildStatusPriorityMatrix,
+  getCycleTimes,
+} = require('../utils/statsUtils');
+
+// User fields returned in place of the assignee id
+const ASSIGNEE_FIELDS = 'name email role';
+
+// History events that moved a bug into the resolved status (including bugs created resolved)
+// Restores also list every field as changed, so they are not counted as resolutions
+const resolveEvent = () => ({
+  action: { $in: ['create', 'update'] },
+  changes: { $elemMatch: { field: 'status', after: getResolvedStatus() } },
+});
+
+// Group documents by the UTC day of a date field
+const byDay = (field) => ({
+  _id: { $dateToString: { format: '%Y-%m-%d', date: `$${field}` } },
+  count: { $sum: 1 },
+});
+
+// Join history events to their bug, keeping only bugs that are not in the trash
+const withActiveBug = (localField) => [
+  { $lookup: { from: Bug.collection.name, localField, foreignField: '_id', as: 'bug' } },
+  { $match: { bug: { $elemMatch: { deletedAt: null } } } },
+];
+
+/**
+ * Count bugs by status and priority
+ * @returns {Promise<Array>} Rows of { _id: { status, priority }, count }
+ */
+const countByStatusPriority = () => Bug.aggregate([
+  { $match: { deletedAt: null } },
+  { $group: { _id: { status: '$status', priority: '$priority' }, count: { $sum: 1 } } },
+]);
+
+/**
+ * Count bugs opened on each day of a range
+ * @param {Date} from - Range start
+ * @param {Date} end - Exclusive range end
+ * @returns {Promise<Array>} Rows of { _id: day, count }
+ */
+const countOpenedPerDay = (from, end) => Bug.aggregate([
+  { $match: { deletedAt: null, createdAt: { $gte: from, $lt: end } } },
+  { $group: byDay('createdAt') },
+]);
+
+/**
+ * Count resolutions on each day of a range
+ * A bug that is reopened and resolved again counts once for each resolution
+ * @param {Date} from - Range start
+ * @param {Date} end - Exclusive range end
+ * @returns {Promise<Array>} Rows of { _id: day, count }
+ */
+const countResolvedPerDay = (from, end) => BugHistory.aggregate([
+  { $match: { ...resolveEvent(), createdAt: { $gte: from, $lt: end } } },
+  ...withActiveBug('bug'),
+  { $group: byDay('createdAt') },
+]);
+
+/**
+ * Average the lead and cycle times of bugs resolved in a range
+ * Only bugs that are still resolved have a resolvedAt, so reopened bugs are left out until resolved again
+ * @param {Date} from - Range start
+ * @param {Date} end - Exclusive range end
+ * @returns {Promise<Object>} { meanTimeToResolve, cycleTime } with averageMs null when there is nothing to average
+ */
+const getResolutionTimes = async (from, end) => {
+  const [result] = await Bug.aggregate([
+    { $match: { deletedAt: null, resolvedAt: { $gte: from, $lt: end } } },
+    {
+      $project: {
+        leadTime: { $subtract: ['$resolvedAt', '$createdAt'] },
+        // Dates sort above null and missing values, so $gt also skips bugs never started
+        cycleTime: {
+          $cond: [
+            { $and: [{ $gt: ['$inProgressAt', null] }, { $lte: ['$inProgressAt', '$resolvedAt'] }] },
+            { $subtract: ['$resolvedAt', '$inProgressAt'] },
+            null,
+          ],
+        },
+        reopened: { $cond: [{ $gt: ['$reopenCount', 0] }, 1, 0] },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        averageLeadTime: { $avg: '$leadTime' },
+        averageCycleTime: { $avg: '$cycleTime' },
+        started: { $sum: { $cond: [{ $eq: ['$cycleTime', null] }, 0, 1] } },
+        reopened: { $sum: '$reopened' },
+      },
+    },
+  ]);
+
+  const round = (value) => (value === null || value === undefined ? null : Math.round(value));
+
+  return {
+    meanTimeToResolve: {
+      averageMs: result ? round(result.averageLeadTime) : null,
+      count: result ? result.count : 0,
+    },
+    cycleTime: {
+      averageMs: result ? round(result.averageCycleTime) : null,
+      count: result ? result.started : 0,
+      reopened: result ? result.reopened : 0,
+    },
+  };
+};
+
+// @desc    Get bug counts, opened vs. resolved per day, resolution and cycle times and the oldest open critical bugs
+// @route   GET /api/bugs/stats?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private
+const getBugStats = async (req, res, next) => {
+  try {
+    const range = parseStatsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error,
+      });
+    }
+
+    const { from, to, days } = range;
+    const end = getRangeEnd(to);
+
+    const [statusPriorityRows, openedRows, resolvedRows, resolutionTimes, oldestOpenCritical] =
+      await Promise.all([
+        countByStatusPriority(),
+        countOpenedPerDay(from, end),
+        countResolvedPerDay(from, end),
+        getResolutionTimes(from, end),
+        Bug.find({ deletedAt: null, priority: 'critical', status: { $ne: getResolvedStatus() } })
+          .sort({ createdAt: 1, _id: 1 })
+          .limit(OLDEST_CRITICAL_LIMIT)
+          .populate('assignee', ASSIGNEE_FIELDS),
+      ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        range: { from: toDayKey(from), to: toDayKey(to) },
+        byStatusPriority: buildStatusPriorityMatrix(
+          statusPriorityRows,
+          getWorkflow().statuses,
+          Bug.schema.path('priority').enumValues
+        ),
+        daily: buildDailySeries(from, days, { opened: openedRows, resolved: resolvedRows }),
+        ...resolutionTimes,
+        oldestOpenCritical,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the status timestamps and cycle-time metrics of one bug
+// @route   GET /api/bugs/:id/metrics
+// @access  Private
+const getBugMetrics = async (req, res, next) => {
+  try {
+    const bug = await Bug.findOne({ _id: req.params.id, deletedAt: null })
+      .select('status createdAt inProgressAt resolvedAt reopenCount');
+
+    if (!bug) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: bug.status,
+        createdAt: bug.createdAt,
+        inProgressAt: bug.inProgressAt,
+        resolvedAt: bug.resolvedAt,
+        ...getCycleTimes(bug),
+      },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Bug not found',
+      });
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getBugStats,
+  getBugMetrics,
+};
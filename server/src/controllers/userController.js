@@ -0,0 +1,91 @@
+// userController.js - User management controller functions
+
+const User = require('../models/User');
+const { ROLES, ASSIGNABLE_ROLES } = require('../config/permissions');
+
+// @desc    Get all users
+// @route   GET /api/users
+// @access  Private/Admin
+const getUsers = async (req, res, next) => {
+  try {
+    const users = await User.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get users that bugs can be assigned to
+// @route   GET /api/users/assignees
+// @access  Private
+const getAssignees = async (req, res, next) => {
+  try {
+    const users = await User.find({ role: { $in: ASSIGNABLE_ROLES } })
+      .select('name email role')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.join(', ')}`,
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getAssignees,
+  updateUserRole,
+};
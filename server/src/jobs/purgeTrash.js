@@ -0,0 +1,71 @@
+// purgeTrash.js - Permanently remove bugs that have been in the trash past the retention period
+
+const Bug = require('../models/Bug');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
+const { removeAttachmentFiles } = require('../storage');
+const getTrashConfig = require('../config/trash');
+const { logger } = require('../utils/logger');
+
+const log = logger.child('purgeTrash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delete trashed bugs (with their comments and attachments) older than the retention period
+ * Their history is kept
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Days to keep trashed bugs (defaults to config)
+ * @param {Date} [options.now] - Current time, for tests
+ * @returns {Promise<number>} Number of bugs purged
+ */
+const purgeTrash = async ({ retentionDays = getTrashConfig().retentionDays, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const expired = await Bug.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  const ids = expired.map((bug) => bug._id);
+  await Comment.deleteMany({ bug: { $in: ids } });
+
+  const attachments = await Attachment.find({ bug: { $in: ids } }).select('storageKey thumbnailKey');
+  for (const attachment of attachments) {
+    await removeAttachmentFiles(attachment);
+  }
+  await Attachment.deleteMany({ bug: { $in: ids } });
+
+  const result = await Bug.deleteMany({ _id: { $in: ids } });
+
+  return result.deletedCount;
+};
+
+/**
+ * Run purgeTrash now and then on the configured interval
+ * @returns {NodeJS.Timeout} Interval handle (unref'd so it never keeps the process alive)
+ */
+const startTrashPurge = () => {
+  const { retentionDays, purgeIntervalMinutes } = getTrashConfig();
+
+  const run = async () => {
+    try {
+      const purged = await purgeTrash({ retentionDays });
+      if (purged > 0) {
+        log.info('Purged bugs from the trash', { purged });
+      }
+    } catch (error) {
+      log.error('Failed to purge trash', { error: error.message });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, purgeIntervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purgeTrash,
+  startTrashPurge,
+};
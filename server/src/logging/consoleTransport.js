@@ -0,0 +1,29 @@
+// consoleTransport.js - Error log transport that prints to the console
+
+/**
+ * Create a transport that prints each entry as soon as it is logged
+ * Production prints one JSON document per entry; development prints the object for reading
+ * @returns {Object} Transport with write
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  // Printing is synchronous and cheap, so entries are not batched
+  immediate: true,
+
+  /**
+   * Print entries
+   * @param {Object[]} entries - Log entries
+   * @returns {Promise<void>}
+   */
+  async write(entries) {
+    entries.forEach((entry) => {
+      if (process.env.NODE_ENV === 'production') {
+        console.error('🚨 [ERROR REPORTING SERVICE]', JSON.stringify(entry, null, 2));
+      } else {
+        console.error('🚨 [ERROR LOG]', entry);
+      }
+    });
+  },
+});
+
+module.exports = createConsoleTransport;
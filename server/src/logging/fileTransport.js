@@ -0,0 +1,80 @@
+// fileTransport.js - Error log transport that appends JSON lines to a rotating file
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a transport that appends one JSON document per line
+ * Before a write would take the file past maxSize it is renamed to <file>.1, shifting older
+ * files up to <file>.<maxFiles>; the oldest is deleted
+ * @param {Object} options
+ * @param {string} options.path - Log file
+ * @param {number} options.maxSize - Bytes the file may reach before it is rotated
+ * @param {number} options.maxFiles - Rotated files to keep
+ * @returns {Object} Transport with write
+ */
+const createFileTransport = ({ path: filePath, maxSize, maxFiles }) => {
+  const file = path.resolve(filePath);
+  // Bytes in the current file; read from disk on the first write
+  let size = null;
+  // Writes run one at a time so rotation never races an append
+  let pending = Promise.resolve();
+
+  const rotate = async () => {
+    await fs.promises.rm(`${file}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index -= 1) {
+      try {
+        await fs.promises.rename(`${file}.${index}`, `${file}.${index + 1}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    await fs.promises.rename(file, `${file}.1`);
+    size = 0;
+  };
+
+  const append = async (entries) => {
+    const data = entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+    const bytes = Buffer.byteLength(data);
+
+    if (size === null) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      try {
+        size = (await fs.promises.stat(file)).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        size = 0;
+      }
+    }
+
+    // A batch bigger than maxSize still gets a file of its own
+    if (size > 0 && size + bytes > maxSize) {
+      await rotate();
+    }
+
+    await fs.promises.appendFile(file, data);
+    size += bytes;
+  };
+
+  return {
+    name: 'file',
+    file,
+
+    /**
+     * Append entries, rotating first if they would not fit
+     * @param {Object[]} entries - Log entries
+     * @returns {Promise<void>}
+     */
+    write(entries) {
+      const written = pending.then(() => append(entries));
+      pending = written.catch(() => {});
+      return written;
+    },
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,45 @@
+// httpTransport.js - Error log transport that posts batches to a webhook or log collector
+
+/**
+ * Create a transport that POSTs each batch as a JSON array
+ * Any response other than 2xx, a network error or a timeout fails the batch
+ * @param {Object} options
+ * @param {string} options.url - Endpoint that receives the batches
+ * @param {string} [options.token] - Sent as a Bearer token
+ * @param {number} options.timeout - Milliseconds to wait for a response
+ * @returns {Object} Transport with write
+ * @throws {Error} If no URL is configured
+ */
+const createHttpTransport = ({ url, token, timeout }) => {
+  if (!url) {
+    throw new Error('ERROR_LOG_HTTP_URL is required for the http error log transport');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  return {
+    name: 'http',
+
+    /**
+     * Send entries in one request
+     * @param {Object[]} entries - Log entries
+     * @returns {Promise<void>}
+     */
+    async write(entries) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(entries),
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (!response.ok) {
+        throw new Error(`Error log endpoint responded with ${response.status}`);
+      }
+    },
+  };
+};
+
+module.exports = createHttpTransport;
@@ -0,0 +1,200 @@
+// index.js - Pluggable error log transports
+//
+// A transport is an object with:
+//   name
+//   write(entries) -> Promise<void>, where entries is a batch of log entries
+//   immediate (optional) - write each entry as it is logged instead of batching
+// Transports are registered by name and picked with ERROR_LOG_TRANSPORTS
+//
+// Each batched transport has its own queue and writes one batch at a time. Entries wait up to
+// flushInterval for a batch to fill; while a write is in flight they queue up to maxQueue, and
+// entries beyond that go to the fallback file instead of piling up in memory. A batch whose
+// write fails also goes to the fallback file, so a down collector never loses errors.
+
+const getErrorLogConfig = require('../config/errorLogging');
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+const createHttpTransport = require('./httpTransport');
+const createMongoTransport = require('./mongoTransport');
+
+const factories = {
+  console: createConsoleTransport,
+  file: (config) => createFileTransport(config.file),
+  http: (config) => createHttpTransport(config.http),
+  mongo: createMongoTransport,
+};
+
+let queues = null;
+
+/**
+ * Write entries a transport could not take to the fallback file, or the console as a last resort
+ * @param {Object} fallback - Fallback file transport
+ * @param {string} transportName - Transport that failed
+ * @param {Object[]} entries - Log entries
+ * @param {Error} reason - Why the transport could not take them
+ * @param {boolean} [quiet] - Skip the warning, for repeats of a failure already reported
+ * @returns {Promise<void>}
+ */
+const writeFallback = async (fallback, transportName, entries, reason, quiet = false) => {
+  if (!quiet) {
+    console.error(
+      `Error log transport "${transportName}" failed (${reason.message}); writing ${entries.length} entries to the fallback file`
+    );
+  }
+  try {
+    await fallback.write(entries.map((entry) => ({ ...entry, failedTransport: transportName })));
+  } catch (error) {
+    console.error('Error log fallback file failed:', error.message);
+    entries.forEach((entry) => console.error('🚨 [ERROR LOG]', JSON.stringify(entry)));
+  }
+};
+
+/**
+ * Put a queue in front of a transport
+ * @param {Object} transport - Transport
+ * @param {Object} options - { batchSize, flushInterval, maxQueue }
+ * @param {Object} fallback - Fallback file transport
+ * @returns {Object} Queue with push and flush
+ */
+const createQueue = (transport, { batchSize, flushInterval, maxQueue }, fallback) => {
+  const entries = [];
+  let timer = null;
+  let draining = null;
+  // Only the first overflow of a burst is reported
+  let overflowing = false;
+  // Writes made outside the batches, awaited by flush
+  const pendingWrites = new Set();
+
+  const track = (promise) => {
+    pendingWrites.add(promise);
+    promise.finally(() => pendingWrites.delete(promise));
+  };
+
+  const drain = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!draining) {
+      draining = (async () => {
+        while (entries.length > 0) {
+          const batch = entries.splice(0, batchSize);
+          try {
+            await transport.write(batch);
+            overflowing = false;
+          } catch (error) {
+            await writeFallback(fallback, transport.name, batch, error);
+          }
+        }
+        draining = null;
+      })();
+    }
+    return draining;
+  };
+
+  return {
+    push(entry) {
+      if (transport.immediate) {
+        track(transport.write([entry]).catch((error) => writeFallback(fallback, transport.name, [entry], error)));
+        return;
+      }
+
+      if (entries.length >= maxQueue) {
+        const reason = new Error(`queue is full at ${maxQueue} entries`);
+        track(writeFallback(fallback, transport.name, [entry], reason, overflowing));
+        overflowing = true;
+        return;
+      }
+
+      entries.push(entry);
+      if (entries.length >= batchSize) {
+        drain();
+      } else if (!timer && !draining) {
+        timer = setTimeout(drain, flushInterval);
+        // Pending log writes should not keep the process alive
+        timer.unref();
+      }
+    },
+
+    async flush() {
+      await drain();
+      await Promise.all(pendingWrites);
+    },
+  };
+};
+
+/**
+ * Register a transport factory
+ * @param {string} name - Name used in ERROR_LOG_TRANSPORTS
+ * @param {Function} factory - Called with the error log config, returns a transport
+ */
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+/**
+ * Get the configured transports, creating them on first use
+ * Call at startup so a misconfigured transport stops the server instead of every log write
+ * @returns {Object[]} Transports
+ * @throws {Error} If ERROR_LOG_TRANSPORTS names an unknown transport, or a transport is misconfigured
+ */
+const getTransports = () => {
+  if (!queues) {
+    const config = getErrorLogConfig();
+    const transports = config.transports.map((name) => {
+      const factory = factories[name];
+      if (!factory) {
+        throw new Error(`Unknown error log transport: ${name}`);
+      }
+      return factory(config);
+    });
+    setTransports(transports, config);
+  }
+  return queues.map(({ transport }) => transport);
+};
+
+/**
+ * Replace the active transports, or pass null to re-read the config on next use
+ * @param {Object[]|null} transports - Transports
+ * @param {Object} [config] - Batching options and fallback file, defaulting to the environment
+ */
+const setTransports = (transports, config = getErrorLogConfig()) => {
+  if (!transports) {
+    queues = null;
+    return;
+  }
+  const fallback = createFileTransport({ ...config.file, path: config.fallbackFile });
+  queues = transports.map((transport) => ({ transport, queue: createQueue(transport, config, fallback) }));
+};
+
+/**
+ * Send a log entry to every transport
+ * Never throws; if the transports cannot be created the entry is printed instead
+ * @param {Object} entry - Log entry
+ */
+const logEntry = (entry) => {
+  try {
+    getTransports();
+  } catch (error) {
+    console.error('Error log transports are not available:', error.message);
+    console.error('🚨 [ERROR LOG]', JSON.stringify(entry));
+    return;
+  }
+  queues.forEach(({ queue }) => queue.push(entry));
+};
+
+/**
+ * Write every queued entry now, such as before the process exits
+ * @returns {Promise<void>}
+ */
+const flushErrorLogs = async () => {
+  if (queues) {
+    await Promise.all(queues.map(({ queue }) => queue.flush()));
+  }
+};
+
+module.exports = {
+  registerTransport,
+  getTransports,
+  setTransports,
+  logEntry,
+  flushErrorLogs,
+};
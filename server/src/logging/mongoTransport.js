@@ -0,0 +1,27 @@
+// mongoTransport.js - Error log transport that stores entries in MongoDB
+
+const mongoose = require('mongoose');
+const ErrorLog = require('../models/ErrorLog');
+
+/**
+ * Create a transport that inserts each batch into the errorlogs collection
+ * Fails while the database is disconnected instead of buffering, so the batch reaches the fallback
+ * @returns {Object} Transport with write
+ */
+const createMongoTransport = () => ({
+  name: 'mongo',
+
+  /**
+   * Insert entries
+   * @param {Object[]} entries - Log entries
+   * @returns {Promise<void>}
+   */
+  async write(entries) {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('Database is not connected');
+    }
+    await ErrorLog.insertMany(entries, { ordered: false });
+  },
+});
+
+module.exports = createMongoTransport;
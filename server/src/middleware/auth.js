@@ -0,0 +1,82 @@
+// auth.js - Authentication middleware
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const getAuthConfig = require('../config/auth');
+const { hasPermission } = require('../utils/permissions');
+const { ForbiddenError } = require('../utils/errors');
+
+/**
+ * Find the user an access token belongs to
+ * Also used to authenticate realtime connections, which can't send headers
+ * @param {string} token - Access token
+ * @returns {Promise<Object|null>} User, or null if the user no longer exists
+ * @throws {JsonWebTokenError|TokenExpiredError} If the token is invalid or expired
+ */
+const getUserFromToken = async (token) => {
+  const { accessTokenSecret } = getAuthConfig();
+  const decoded = jwt.verify(token, accessTokenSecret);
+  return User.findById(decoded.id);
+};
+
+/**
+ * Require a valid access token on the request
+ * Sets req.user to the authenticated user
+ * Invalid or expired tokens are passed to errorHandler, which maps them to 401
+ */
+const protect = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const [scheme, token] = authHeader.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized, no token',
+      });
+    }
+
+    const user = await getUserFromToken(token);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized, user no longer exists',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Identify the user when the request has a valid access token, without requiring one
+ * Sets req.user, or leaves it unset for anonymous requests and bad tokens
+ */
+const identify = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme === 'Bearer' && token) {
+    try {
+      req.user = (await getUserFromToken(token)) || undefined;
+    } catch (error) {
+      // Bad or expired tokens are treated as anonymous
+    }
+  }
+  next();
+};
+
+/**
+ * Require the authenticated user's role to grant every listed permission
+ * Must run after protect; denials are passed to errorHandler, which maps them to 403
+ * @param {...string} permissions - Permission keys from config/permissions
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  if (!permissions.every((permission) => hasPermission(req.user, permission))) {
+    return next(new ForbiddenError());
+  }
+  next();
+};
+
+module.exports = { getUserFromToken, protect, identify, authorize };
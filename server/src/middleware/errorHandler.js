@@ -49,10 +49,47 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 401 };
   }
 
+  // Authenticated but not allowed
+  if (err.name === 'ForbiddenError') {
+    const message = err.message || 'Not authorized to perform this action';
+    error = { message, statusCode: 403 };
+  }
+
+  // Upload limits
+  if (err.name === 'PayloadTooLargeError') {
+    const message = err.message || 'Upload is too large';
+    error = { message, statusCode: 413 };
+  }
+
+  if (err.name === 'UnsupportedMediaTypeError') {
+    const message = err.message || 'Unsupported file type';
+    error = { message, statusCode: 415 };
+  }
+
+  // Rate limits tell the client when to retry
+  if (err.name === 'TooManyRequestsError') {
+    const message = err.message || 'Too many requests, please try again later';
+    error = { message, statusCode: 429 };
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+  }
+
+  // Multer rejects oversized uploads itself; other multer errors are malformed requests
+  if (err.name === 'MulterError') {
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE' || err.code === 'LIMIT_FILE_COUNT';
+    error = { message: err.message, statusCode: tooLarge ? 413 : 400 };
+  }
+
   // Determine status code
   const statusCode = error.statusCode || 500;
   const message = error.message || 'Server Error';
 
+  // Only server faults are grouped; client mistakes such as 404s would bury them
+  if (statusCode >= 500) {
+    errorLogger.groupError(err, req);
+  }
+
   // Format consistent error response
   const errorResponse = {
     success: false,
@@ -0,0 +1,61 @@
+// rateLimit.js - In-memory fixed-window rate limiting
+
+const { TooManyRequestsError } = require('../utils/errors');
+
+/**
+ * Create middleware that limits how many requests each client makes per window
+ * Counts are kept in memory, so each server process limits on its own
+ * @param {Object} options - { limit, windowMs, keyGenerator, message, now }
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} [options.keyGenerator] - Maps a request to its client key; the IP by default
+ * @param {string} [options.message] - Error message once the limit is reached
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Function} Express middleware; over the limit it passes a TooManyRequestsError on
+ */
+const createRateLimiter = ({
+  limit,
+  windowMs,
+  keyGenerator = (req) => req.ip,
+  message,
+  now = Date.now,
+}) => {
+  // key -> { count, resetAt }
+  const windows = new Map();
+  let nextSweep = now() + windowMs;
+
+  // Forget clients whose window has ended so the map doesn't grow without bound
+  const sweep = (time) => {
+    windows.forEach((window, key) => {
+      if (window.resetAt <= time) {
+        windows.delete(key);
+      }
+    });
+    nextSweep = time + windowMs;
+  };
+
+  return (req, res, next) => {
+    const time = now();
+    if (time >= nextSweep) {
+      sweep(time);
+    }
+
+    const key = keyGenerator(req);
+    let window = windows.get(key);
+    if (!window || window.resetAt <= time) {
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(Math.max(limit - window.count, 0)));
+
+    if (window.count > limit) {
+      return next(new TooManyRequestsError(message, Math.ceil((window.resetAt - time) / 1000)));
+    }
+    next();
+  };
+};
+
+module.exports = { createRateLimiter };
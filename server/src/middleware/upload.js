@@ -0,0 +1,95 @@
+// upload.js - Multipart upload middleware for bug attachments and imports
+
+const multer = require('multer');
+const path = require('path');
+const getAttachmentConfig = require('../config/attachments');
+const getImportConfig = require('../config/imports');
+const { PayloadTooLargeError, UnsupportedMediaTypeError } = require('../utils/errors');
+
+// Form field that carries the files
+const UPLOAD_FIELD = 'files';
+
+// Form field that carries a bug import file, and the file extensions accepted there
+const IMPORT_FIELD = 'file';
+const IMPORT_EXTENSIONS = ['.csv', '.json'];
+
+/**
+ * Parse multipart uploads in the "files" field into req.files
+ * Files are kept in memory so they can be checked and thumbnailed before they are stored;
+ * the size and count limits bound how much that can be
+ * Oversized uploads fail with PayloadTooLargeError (413), disallowed types with
+ * UnsupportedMediaTypeError (415)
+ */
+const receiveAttachments = (req, res, next) => {
+  const { maxFileSize, maxFiles, allowedTypes } = getAttachmentConfig();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSize,
+      files: maxFiles,
+    },
+    fileFilter: (request, file, callback) => {
+      const type = (file.mimetype || '').toLowerCase();
+      if (!allowedTypes.includes(type)) {
+        return callback(
+          new UnsupportedMediaTypeError(`File type ${type || 'unknown'} is not allowed for ${file.originalname}`)
+        );
+      }
+      callback(null, true);
+    },
+  }).array(UPLOAD_FIELD);
+
+  upload(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      const maxMb = Math.round((maxFileSize / (1024 * 1024)) * 10) / 10;
+      return next(new PayloadTooLargeError(`Each file must be ${maxMb} MB or smaller`));
+    }
+    if (err && err.code === 'LIMIT_FILE_COUNT') {
+      return next(new PayloadTooLargeError(`Upload at most ${maxFiles} files at a time`));
+    }
+    next(err);
+  });
+};
+
+/**
+ * Parse a single CSV or JSON file in the "file" field into req.file
+ * Browsers report CSV files under several MIME types, so the extension decides
+ * Oversized files fail with PayloadTooLargeError (413), other extensions with
+ * UnsupportedMediaTypeError (415)
+ */
+const receiveImportFile = (req, res, next) => {
+  const { maxFileSize } = getImportConfig();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSize,
+      files: 1,
+    },
+    fileFilter: (request, file, callback) => {
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      if (!IMPORT_EXTENSIONS.includes(extension)) {
+        return callback(
+          new UnsupportedMediaTypeError(`Import a ${IMPORT_EXTENSIONS.join(' or ')} file, not ${file.originalname}`)
+        );
+      }
+      callback(null, true);
+    },
+  }).single(IMPORT_FIELD);
+
+  upload(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      const maxMb = Math.round((maxFileSize / (1024 * 1024)) * 10) / 10;
+      return next(new PayloadTooLargeError(`Import files must be ${maxMb} MB or smaller`));
+    }
+    next(err);
+  });
+};
+
+module.exports = {
+  UPLOAD_FIELD,
+  IMPORT_FIELD,
+  receiveAttachments,
+  receiveImportFile,
+};
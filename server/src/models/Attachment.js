@@ -0,0 +1,71 @@
+// Attachment.js - Attachment model schema
+// The file itself lives in the storage backend under storageKey
+
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    bug: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      required: [true, 'Bug is required'],
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Uploader is required'],
+    },
+    // Original file name, shown to users and used for downloads
+    filename: {
+      type: String,
+      required: [true, 'File name is required'],
+      trim: true,
+      maxlength: [255, 'File name cannot exceed 255 characters'],
+    },
+    contentType: {
+      type: String,
+      required: [true, 'Content type is required'],
+    },
+    size: {
+      type: Number,
+      required: [true, 'Size is required'],
+      min: 0,
+    },
+    storageKey: {
+      type: String,
+      required: [true, 'Storage key is required'],
+    },
+    // Set for images that could be thumbnailed
+    thumbnailKey: {
+      type: String,
+      default: null,
+    },
+    width: {
+      type: Number,
+      default: null,
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Storage keys are an implementation detail; clients use the download routes
+attachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.hasThumbnail = Boolean(ret.thumbnailKey);
+    delete ret.storageKey;
+    delete ret.thumbnailKey;
+    return ret;
+  },
+});
+
+attachmentSchema.index({ bug: 1, createdAt: 1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
@@ -1,6 +1,16 @@
 // Bug.js - Bug model schema
 
 const mongoose = require('mongoose');
+const { getWorkflow } = require('../utils/workflow');
+const {
+  getPriorityWeight,
+  isValidStatus,
+  getStatusTimestampFields,
+  getStatusTimestampUpdates,
+} = require('../utils/bugUtils');
+const { ASSIGNABLE_ROLES } = require('../config/permissions');
+const { MAX_LABELS_PER_BUG, normalizeLabels, isValidLabelName } = require('../utils/labelUtils');
+const User = require('./User');
 
 const bugSchema = new mongoose.Schema(
   {
@@ -15,13 +25,14 @@ const bugSchema = new mongoose.Schema(
       required: [true, 'Description is required'],
       trim: true,
     },
+    // Statuses come from the active workflow, read on each save so setWorkflow() applies at once
     status: {
       type: String,
-      enum: {
-        values: ['open', 'in-progress', 'resolved'],
-        message: 'Status must be one of: open, in-progress, resolved',
+      validate: {
+        validator: isValidStatus,
+        message: () => `Status must be one of: ${getWorkflow().statuses.join(', ')}`,
       },
-      default: 'open',
+      default: () => getWorkflow().initialStatus,
     },
     priority: {
       type: String,
@@ -31,11 +42,84 @@ const bugSchema = new mongoose.Schema(
       },
       default: 'medium',
     },
+    // Numeric copy of priority so sorts follow severity instead of the alphabet
+    priorityWeight: {
+      type: Number,
+      default: () => getPriorityWeight('medium'),
+    },
+    // Display name of the reporter, copied from the authenticated user
     reporter: {
       type: String,
       required: [true, 'Reporter is required'],
       trim: true,
     },
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // User working on the bug, null while unassigned
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      validate: {
+        validator: async (value) => {
+          if (!value) {
+            return true;
+          }
+          const user = await User.findById(value).select('role');
+          return Boolean(user && ASSIGNABLE_ROLES.includes(user.role));
+        },
+        message: 'Assignee must be an existing developer, triager or admin',
+      },
+    },
+    // Free-form labels; colours live in the Label registry
+    labels: {
+      type: [String],
+      default: [],
+      set: normalizeLabels,
+      validate: [
+        {
+          validator: (labels) => labels.length <= MAX_LABELS_PER_BUG,
+          message: `A bug cannot have more than ${MAX_LABELS_PER_BUG} labels`,
+        },
+        {
+          validator: (labels) => labels.every(isValidLabelName),
+          message: 'Label names may only contain letters, digits, spaces, "-", "_" and "."',
+        },
+      ],
+    },
+    // Last time the bug entered in-progress and resolved; resolvedAt is cleared when it is reopened
+    inProgressAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    // Number of times the bug has left the resolved status
+    reopenCount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reopen count cannot be negative'],
+    },
+    // Original bug this one was closed as a duplicate of; cleared when the bug is reopened
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      default: null,
+    },
+    // Set when the bug is moved to the trash; null for live bugs
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt
@@ -45,6 +129,113 @@ const bugSchema = new mongoose.Schema(
 // Index for better query performance
 bugSchema.index({ status: 1, priority: 1 });
 bugSchema.index({ createdAt: -1 });
+bugSchema.index({ priorityWeight: -1, createdAt: -1 });
+bugSchema.index({ assignee: 1, createdAt: -1 });
+bugSchema.index({ deletedAt: 1 });
+bugSchema.index({ labels: 1 });
+bugSchema.index({ resolvedAt: 1 });
+bugSchema.index({ duplicateOf: 1 });
+
+// Text index for ?q= searches - title matches count more than description matches
+bugSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 3, description: 1 }, name: 'bug_text_search' }
+);
+
+// Keep priorityWeight in step with priority on create/save
+bugSchema.pre('validate', function (next) {
+  if (this.isNew || this.isModified('priority')) {
+    this.priorityWeight = getPriorityWeight(this.priority);
+  }
+  next();
+});
+
+// Stamp the initial status of a new bug; timestamps given explicitly (e.g. by seeds) are kept
+bugSchema.pre('validate', function (next) {
+  if (this.isNew) {
+    const timestamps = getStatusTimestampUpdates(null, this.status, this.createdAt || new Date());
+    Object.entries(timestamps).forEach(([field, value]) => {
+      if (!this[field]) {
+        this[field] = value;
+      }
+    });
+  }
+  next();
+});
+
+// Keep priorityWeight in step with priority on findByIdAndUpdate
+bugSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate() || {};
+  const priority = update.$set?.priority ?? update.priority;
+
+  if (priority !== undefined) {
+    this.set('priorityWeight', getPriorityWeight(priority));
+  }
+  next();
+});
+
+// Bump __v on every findByIdAndUpdate so PATCH If-Match checks see all writes
+// (Mongoose only versions array changes made through save() by default)
+bugSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate() || {};
+
+  if (update.$inc?.__v === undefined) {
+    this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+  }
+  next();
+});
+
+/**
+ * Set priorityWeight on bugs saved before the field existed
+ * @returns {Promise<number>} Number of bugs updated
+ */
+bugSchema.statics.backfillPriorityWeights = async function () {
+  const priorities = this.schema.path('priority').enumValues;
+  let modified = 0;
+
+  for (const priority of priorities) {
+    const result = await this.updateMany(
+      { priority, priorityWeight: { $ne: getPriorityWeight(priority) } },
+      { $set: { priorityWeight: getPriorityWeight(priority) } }
+    );
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+};
+
+/**
+ * Set inProgressAt and resolvedAt on bugs saved before the fields existed
+ * Uses the bug's latest move into the status from its history, or updatedAt without one
+ * @returns {Promise<number>} Number of bugs updated
+ */
+bugSchema.statics.backfillStatusTimestamps = async function () {
+  const BugHistory = mongoose.model('BugHistory');
+  let modified = 0;
+
+  for (const [status, field] of Object.entries(getStatusTimestampFields())) {
+    const bugs = await this.find({ status, [field]: null }).select('updatedAt');
+
+    for (const bug of bugs) {
+      const event = await BugHistory.findOne({
+        bug: bug._id,
+        action: { $in: ['create', 'update'] },
+        changes: { $elemMatch: { field: 'status', after: status } },
+      })
+        .sort({ createdAt: -1 })
+        .select('createdAt');
+
+      await this.updateOne(
+        { _id: bug._id },
+        { $set: { [field]: event ? event.createdAt : bug.updatedAt } },
+        { timestamps: false }
+      );
+      modified += 1;
+    }
+  }
+
+  return modified;
+};
 
 const Bug = mongoose.model('Bug', bugSchema);
 
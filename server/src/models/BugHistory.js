@@ -0,0 +1,80 @@
+// BugHistory.js - Audit trail of changes to bugs
+
+const mongoose = require('mongoose');
+const { diffBugs } = require('../utils/historyUtils');
+
+const HISTORY_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+const bugHistorySchema = new mongoose.Schema(
+  {
+    // Kept after the bug is deleted so its history stays readable
+    bug: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      required: [true, 'Bug is required'],
+    },
+    action: {
+      type: String,
+      enum: {
+        values: HISTORY_ACTIONS,
+        message: `Action must be one of: ${HISTORY_ACTIONS.join(', ')}`,
+      },
+      required: [true, 'Action is required'],
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Name at the time of the change, kept if the user is later renamed or removed
+    actorName: {
+      type: String,
+      default: null,
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed, default: null },
+        after: { type: mongoose.Schema.Types.Mixed, default: null },
+      },
+    ],
+  },
+  {
+    // Events are append-only, so only the creation time is kept
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+bugHistorySchema.index({ bug: 1, createdAt: -1 });
+
+/**
+ * Record an audit event for a bug
+ * Updates that change no audited field are not recorded
+ * @param {Object} options
+ * @param {string} options.action - create, update, delete or restore
+ * @param {Object|null} options.before - Bug before the change (null for create and restore)
+ * @param {Object|null} options.after - Bug after the change (null for delete)
+ * @param {Object} [options.user] - Authenticated user making the change
+ * @param {Object} [options.session] - Session to write the event in, for changes made in a transaction
+ * @returns {Promise<Object|null>} The event, or null if nothing changed
+ */
+bugHistorySchema.statics.record = async function ({ action, before, after, user, session = null }) {
+  const changes = diffBugs(before, after);
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+
+  const [event] = await this.create([{
+    bug: (after || before)._id,
+    action,
+    actor: user?._id || null,
+    actorName: user?.name || null,
+    changes,
+  }], { session });
+  return event;
+};
+
+const BugHistory = mongoose.model('BugHistory', bugHistorySchema);
+
+module.exports = BugHistory;
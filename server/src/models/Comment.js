@@ -0,0 +1,39 @@
+// Comment.js - Comment model schema
+
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema(
+  {
+    bug: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bug',
+      required: [true, 'Bug is required'],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Author is required'],
+    },
+    body: {
+      type: String,
+      required: [true, 'Comment body is required'],
+      trim: true,
+      maxlength: [5000, 'Comment cannot exceed 5000 characters'],
+    },
+    // Set when the author edits the body; updatedAt alone can't tell edits apart
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt
+  }
+);
+
+// Threads are always read per bug in posting order
+commentSchema.index({ bug: 1, createdAt: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
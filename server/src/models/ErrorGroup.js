@@ -0,0 +1,156 @@
+// ErrorGroup.js - Occurrences of the same error, grouped by fingerprint
+
+const mongoose = require('mongoose');
+const { ERROR_PLATFORMS, fingerprintError } = require('../utils/fingerprintUtils');
+const { FIELD_LIMITS } = require('../utils/errorReportUtils');
+
+const errorGroupSchema = new mongoose.Schema({
+  fingerprint: {
+    type: String,
+    required: [true, 'Fingerprint is required'],
+    unique: true,
+  },
+  platform: {
+    type: String,
+    enum: {
+      values: ERROR_PLATFORMS,
+      message: `Platform must be one of: ${ERROR_PLATFORMS.join(', ')}`,
+    },
+    required: [true, 'Platform is required'],
+  },
+  name: {
+    type: String,
+    default: 'Error',
+  },
+  // Message with ids, numbers and other varying values replaced by placeholders
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+  },
+  // Innermost stack frame, such as "getBug (src/controllers/bugController.js)"
+  culprit: {
+    type: String,
+    default: null,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  firstSeen: {
+    type: Date,
+    required: true,
+  },
+  lastSeen: {
+    type: Date,
+    required: true,
+  },
+  // The most recent occurrence, shown as an example of the group
+  lastMessage: {
+    type: String,
+    maxlength: FIELD_LIMITS.message,
+    default: null,
+  },
+  stack: {
+    type: String,
+    maxlength: FIELD_LIMITS.stack,
+    default: null,
+  },
+  componentStack: {
+    type: String,
+    maxlength: FIELD_LIMITS.componentStack,
+    default: null,
+  },
+  url: {
+    type: String,
+    maxlength: FIELD_LIMITS.url,
+    default: null,
+  },
+  appVersion: {
+    type: String,
+    maxlength: FIELD_LIMITS.appVersion,
+    default: null,
+  },
+});
+
+// The admin list sorts by these, with _id breaking ties for cursors
+errorGroupSchema.index({ lastSeen: -1, _id: -1 });
+errorGroupSchema.index({ count: -1, _id: -1 });
+errorGroupSchema.index({ firstSeen: -1, _id: -1 });
+
+/**
+ * Add occurrences to their groups, creating groups for errors not seen before
+ * Occurrences with the same fingerprint are merged into one write, and the group keeps the
+ * newest occurrence as its example
+ * @param {string} platform - client or server
+ * @param {Array<Object>} occurrences - { name, message, stack, componentStack, url, appVersion, occurredAt }
+ * @returns {Promise<string[]>} Fingerprint of each occurrence, in order
+ */
+errorGroupSchema.statics.recordOccurrences = async function (platform, occurrences) {
+  const groups = new Map();
+  const fingerprints = occurrences.map((occurrence) => {
+    const { fingerprint, title, culprit } = fingerprintError({ platform, ...occurrence });
+    const seenAt = occurrence.occurredAt ? new Date(occurrence.occurredAt) : new Date();
+    const group = groups.get(fingerprint);
+    if (!group) {
+      groups.set(fingerprint, { title, culprit, occurrence, firstSeen: seenAt, lastSeen: seenAt, count: 1 });
+    } else {
+      group.count += 1;
+      if (seenAt < group.firstSeen) {
+        group.firstSeen = seenAt;
+      }
+      if (seenAt >= group.lastSeen) {
+        group.lastSeen = seenAt;
+        group.occurrence = occurrence;
+      }
+    }
+    return fingerprint;
+  });
+
+  if (groups.size === 0) {
+    return fingerprints;
+  }
+
+  await this.bulkWrite(
+    [...groups].map(([fingerprint, { title, culprit, occurrence, firstSeen, lastSeen, count }]) => {
+      // An update pipeline, so the example fields are only replaced by an occurrence at least as
+      // recent as the stored lastSeen; reports can arrive out of order. Values are $literal so a
+      // message starting with "$" isn't read as a field path
+      const inserting = { $eq: [{ $type: '$count' }, 'missing'] };
+      const newest = { $gte: [lastSeen, { $ifNull: ['$lastSeen', lastSeen] }] };
+      const onInsert = (field, value) => ({ $cond: [inserting, { $literal: value }, `$${field}`] });
+      const ifNewest = (field, value) => ({ $cond: [newest, { $literal: value }, `$${field}`] });
+
+      return {
+        updateOne: {
+          filter: { fingerprint },
+          update: [
+            {
+              $set: {
+                platform: onInsert('platform', platform),
+                name: onInsert('name', occurrence.name || 'Error'),
+                title: onInsert('title', title),
+                culprit: onInsert('culprit', culprit),
+                lastMessage: ifNewest('lastMessage', occurrence.message),
+                stack: ifNewest('stack', occurrence.stack || null),
+                componentStack: ifNewest('componentStack', occurrence.componentStack || null),
+                url: ifNewest('url', occurrence.url || null),
+                appVersion: ifNewest('appVersion', occurrence.appVersion || null),
+                firstSeen: { $min: ['$firstSeen', firstSeen] },
+                lastSeen: { $max: ['$lastSeen', lastSeen] },
+                count: { $add: [{ $ifNull: ['$count', 0] }, count] },
+              },
+            },
+          ],
+          upsert: true,
+        },
+      };
+    }),
+    { ordered: false }
+  );
+
+  return fingerprints;
+};
+
+const ErrorGroup = mongoose.model('ErrorGroup', errorGroupSchema);
+
+module.exports = ErrorGroup;
@@ -0,0 +1,33 @@
+// ErrorLog.js - Server error log entries written by the mongo error log transport
+
+const mongoose = require('mongoose');
+const getErrorLogConfig = require('../config/errorLogging');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const errorLogSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: [true, 'Timestamp is required'],
+  },
+  error: {
+    message: { type: String, default: null },
+    name: { type: String, default: null },
+    stack: { type: String, default: null },
+  },
+  // Request, process and other details passed to errorLogger
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+});
+
+// Entries are read newest first and deleted once they are older than the retention period
+errorLogSchema.index(
+  { timestamp: -1 },
+  { expireAfterSeconds: Math.round(getErrorLogConfig().mongo.retentionDays * DAY_SECONDS) }
+);
+
+const ErrorLog = mongoose.model('ErrorLog', errorLogSchema);
+
+module.exports = ErrorLog;
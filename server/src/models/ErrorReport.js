@@ -0,0 +1,80 @@
+// ErrorReport.js - Errors caught in the browser and sent to POST /api/errors
+
+const mongoose = require('mongoose');
+const { ERROR_SOURCES, FIELD_LIMITS } = require('../utils/errorReportUtils');
+
+const errorReportSchema = new mongoose.Schema(
+  {
+    message: {
+      type: String,
+      required: [true, 'Error message is required'],
+      maxlength: FIELD_LIMITS.message,
+    },
+    name: {
+      type: String,
+      maxlength: FIELD_LIMITS.name,
+      default: null,
+    },
+    stack: {
+      type: String,
+      maxlength: FIELD_LIMITS.stack,
+      default: null,
+    },
+    // React component stack, only sent by the ErrorBoundary
+    componentStack: {
+      type: String,
+      maxlength: FIELD_LIMITS.componentStack,
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: {
+        values: ERROR_SOURCES,
+        message: `Source must be one of: ${ERROR_SOURCES.join(', ')}`,
+      },
+      default: 'boundary',
+    },
+    url: {
+      type: String,
+      maxlength: FIELD_LIMITS.url,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      maxlength: FIELD_LIMITS.userAgent,
+      default: null,
+    },
+    appVersion: {
+      type: String,
+      maxlength: FIELD_LIMITS.appVersion,
+      default: null,
+    },
+    // When the browser caught the error; createdAt is when the report arrived
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Null for errors reported before login
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // ErrorGroup this report was counted in
+    fingerprint: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Reports are read newest first, on their own or for one group
+errorReportSchema.index({ createdAt: -1 });
+errorReportSchema.index({ fingerprint: 1, createdAt: -1 });
+
+const ErrorReport = mongoose.model('ErrorReport', errorReportSchema);
+
+module.exports = ErrorReport;
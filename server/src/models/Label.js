@@ -0,0 +1,78 @@
+// Label.js - Label registry: the known labels and their colours
+
+const mongoose = require('mongoose');
+const {
+  MAX_LABEL_LENGTH,
+  DEFAULT_LABEL_COLOR,
+  normalizeLabelName,
+  isValidLabelName,
+  isValidLabelColor,
+} = require('../utils/labelUtils');
+
+const labelSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Label name is required'],
+      unique: true,
+      set: normalizeLabelName,
+      maxlength: [MAX_LABEL_LENGTH, `Label name cannot exceed ${MAX_LABEL_LENGTH} characters`],
+      validate: {
+        validator: isValidLabelName,
+        message: 'Label names may only contain letters, digits, spaces, "-", "_" and "."',
+      },
+    },
+    color: {
+      type: String,
+      default: DEFAULT_LABEL_COLOR,
+      validate: {
+        validator: isValidLabelColor,
+        message: 'Color must be a hex value such as #ff8800',
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Add labels used on a bug to the registry if they are not there yet
+ * Existing labels keep their colour
+ * @param {string[]} names - Normalised label names
+ * @param {Object} [session] - Session for writes made in a transaction
+ * @returns {Promise<void>}
+ */
+labelSchema.statics.register = async function (names = [], session = null) {
+  if (names.length === 0) {
+    return;
+  }
+
+  try {
+    await this.bulkWrite(
+      names.map((name) => ({
+        updateOne: {
+          filter: { name },
+          update: { $setOnInsert: { name, color: DEFAULT_LABEL_COLOR, description: '' } },
+          upsert: true,
+        },
+      })),
+      { ordered: false, session }
+    );
+  } catch (error) {
+    // Two requests registering the same new label race on the unique index - one insert is enough
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+const Label = mongoose.model('Label', labelSchema);
+
+module.exports = Label;
@@ -0,0 +1,104 @@
+// User.js - User model schema
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const getAuthConfig = require('../config/auth');
+const { ROLES, DEFAULT_ROLE } = require('../config/permissions');
+
+const userSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email'],
+    },
+    password: {
+      type: String,
+      required: [true, 'Password is required'],
+      minlength: [8, 'Password must be at least 8 characters'],
+      select: false, // Never return the hash unless explicitly asked for
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(', ')}`,
+      },
+      default: DEFAULT_ROLE,
+    },
+    // Bumped on logout so every refresh token issued before it stops working
+    tokenVersion: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Hash password before saving
+userSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  this.password = await bcrypt.hash(this.password, 10);
+  next();
+});
+
+/**
+ * Compare a plain-text password with the stored hash
+ * @param {string} candidatePassword - Password from the login form
+ * @returns {Promise<boolean>} True if the password matches
+ */
+userSchema.methods.matchPassword = function (candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+/**
+ * Create a short-lived access token for API requests
+ * @returns {string} Signed JWT
+ */
+userSchema.methods.generateAccessToken = function () {
+  const { accessTokenSecret, accessTokenExpiresIn } = getAuthConfig();
+  return jwt.sign({ id: this._id }, accessTokenSecret, { expiresIn: accessTokenExpiresIn });
+};
+
+/**
+ * Create a long-lived refresh token tied to the current token version
+ * @returns {string} Signed JWT
+ */
+userSchema.methods.generateRefreshToken = function () {
+  const { refreshTokenSecret, refreshTokenExpiresIn } = getAuthConfig();
+  return jwt.sign(
+    { id: this._id, version: this.tokenVersion },
+    refreshTokenSecret,
+    { expiresIn: refreshTokenExpiresIn }
+  );
+};
+
+// Strip internal fields from API responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenVersion;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
@@ -0,0 +1,46 @@
+// bugEvents.js - In-process bus for bug change events
+// Controllers publish here; the WebSocket server relays events to connected clients
+
+const { EventEmitter } = require('events');
+
+const BUG_EVENTS = ['bug:created', 'bug:updated', 'bug:deleted', 'bug:restored'];
+
+// Header a client sends with its realtime connection id so its own changes aren't echoed back
+const CLIENT_ID_HEADER = 'X-Client-Id';
+
+const emitter = new EventEmitter();
+
+/**
+ * Publish a bug change
+ * @param {string} type - One of BUG_EVENTS
+ * @param {Object} data - { bug } for created, updated and restored; { id } for deleted
+ * @param {Object} [req] - Request that made the change, used to skip the client that sent it
+ */
+const publishBugEvent = (type, data, req = null) => {
+  if (!BUG_EVENTS.includes(type)) {
+    throw new Error(`Unknown bug event: ${type}`);
+  }
+
+  emitter.emit('event', {
+    type,
+    data,
+    origin: (req && req.get(CLIENT_ID_HEADER)) || null,
+  });
+};
+
+/**
+ * Listen for bug changes
+ * @param {Function} listener - Called with { type, data, origin }
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeToBugEvents = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+module.exports = {
+  BUG_EVENTS,
+  CLIENT_ID_HEADER,
+  publishBugEvent,
+  subscribeToBugEvents,
+};
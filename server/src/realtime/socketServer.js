@@ -0,0 +1,198 @@
+// socketServer.js - WebSocket server for live bug updates and presence
+//
+// Clients connect to /ws and authenticate with their access token as the first message:
+//   -> { "type": "auth", "token": "<access token>" }
+//   <- { "type": "ready", "clientId": "...", "presence": { "<bugId>": [{ _id, name }] } }
+// After that the server pushes bug events and presence changes:
+//   <- { "type": "bug:created" | "bug:updated" | "bug:restored", "bug": {...} }
+//   <- { "type": "bug:deleted", "id": "..." }
+//   <- { "type": "presence", "bugId": "...", "viewers": [{ _id, name }] }
+// and clients report which bug they are viewing:
+//   -> { "type": "presence:join" | "presence:leave", "bugId": "..." }
+
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const { getUserFromToken } = require('../middleware/auth');
+const { isValidObjectId } = require('../utils/bugUtils');
+const { subscribeToBugEvents } = require('./bugEvents');
+
+const SOCKET_PATH = '/ws';
+
+// Connections that haven't authenticated by then are closed
+const AUTH_TIMEOUT_MS = 10 * 1000;
+// Connections that miss a ping are dropped, which also clears their presence
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// Client messages are tiny; anything bigger is not from our client
+const MAX_MESSAGE_BYTES = 4 * 1024;
+// Bugs one connection may be viewing at once
+const MAX_VIEWING = 20;
+
+// Close codes in the application range
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_AUTH_TIMEOUT = 4408;
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const parseMessage = (raw) => {
+  try {
+    const message = JSON.parse(raw);
+    return message && typeof message.type === 'string' ? message : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Attach the realtime WebSocket server to an HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @param {Object} [options]
+ * @param {string} [options.path] - URL path for WebSocket upgrades
+ * @returns {Object} { wss, close } - close stops the server and its event subscription
+ */
+const attachRealtime = (server, { path = SOCKET_PATH } = {}) => {
+  const wss = new WebSocketServer({ server, path, maxPayload: MAX_MESSAGE_BYTES });
+  // Connection state by socket: { clientId, user, viewing: Set<bugId>, alive }
+  const clients = new Map();
+
+  const authenticatedClients = () => [...clients.entries()].filter(([, client]) => client.user);
+
+  const broadcast = (message, exceptClientId = null) => {
+    authenticatedClients().forEach(([socket, client]) => {
+      if (client.clientId !== exceptClientId) {
+        send(socket, message);
+      }
+    });
+  };
+
+  // Everyone viewing a bug, once per user even with several tabs open
+  const viewersOf = (bugId) => {
+    const viewers = new Map();
+    authenticatedClients().forEach(([, client]) => {
+      if (client.viewing.has(bugId)) {
+        viewers.set(client.user._id.toString(), { _id: client.user._id, name: client.user.name });
+      }
+    });
+    return [...viewers.values()];
+  };
+
+  const presenceSnapshot = () => {
+    const bugIds = new Set(authenticatedClients().flatMap(([, client]) => [...client.viewing]));
+    return Object.fromEntries([...bugIds].map((bugId) => [bugId, viewersOf(bugId)]));
+  };
+
+  const broadcastPresence = (bugId) => {
+    broadcast({ type: 'presence', bugId, viewers: viewersOf(bugId) });
+  };
+
+  const authenticate = async (socket, client, token) => {
+    let user = null;
+    try {
+      user = typeof token === 'string' ? await getUserFromToken(token) : null;
+    } catch (error) {
+      // Invalid and expired tokens are handled like a missing user
+    }
+
+    if (!user) {
+      socket.close(CLOSE_UNAUTHORIZED, 'Not authorized');
+      return;
+    }
+
+    client.user = user;
+    send(socket, { type: 'ready', clientId: client.clientId, presence: presenceSnapshot() });
+  };
+
+  const handleMessage = (socket, client, message) => {
+    if (message.type === 'auth') {
+      if (!client.user) {
+        authenticate(socket, client, message.token);
+      }
+      return;
+    }
+
+    if (!client.user) {
+      socket.close(CLOSE_UNAUTHORIZED, 'Not authorized');
+      return;
+    }
+
+    if (!isValidObjectId(message.bugId)) {
+      return;
+    }
+    if (message.type === 'presence:join' && !client.viewing.has(message.bugId)) {
+      if (client.viewing.size >= MAX_VIEWING) {
+        return;
+      }
+      client.viewing.add(message.bugId);
+      broadcastPresence(message.bugId);
+    } else if (message.type === 'presence:leave' && client.viewing.delete(message.bugId)) {
+      broadcastPresence(message.bugId);
+    }
+  };
+
+  wss.on('connection', (socket) => {
+    const client = { clientId: crypto.randomUUID(), user: null, viewing: new Set(), alive: true };
+    clients.set(socket, client);
+
+    const authTimer = setTimeout(() => {
+      if (!client.user) {
+        socket.close(CLOSE_AUTH_TIMEOUT, 'Authentication timed out');
+      }
+    }, AUTH_TIMEOUT_MS);
+
+    socket.on('pong', () => {
+      client.alive = true;
+    });
+
+    socket.on('message', (raw) => {
+      const message = parseMessage(raw);
+      if (message) {
+        handleMessage(socket, client, message);
+      }
+    });
+
+    socket.on('close', () => {
+      clearTimeout(authTimer);
+      clients.delete(socket);
+      client.viewing.forEach((bugId) => broadcastPresence(bugId));
+    });
+
+    socket.on('error', () => {
+      // 'close' follows and cleans up
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    clients.forEach((client, socket) => {
+      if (!client.alive) {
+        socket.terminate();
+        return;
+      }
+      client.alive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  // Relay bug changes to everyone except the client that made them
+  const unsubscribe = subscribeToBugEvents(({ type, data, origin }) => {
+    broadcast({ type, ...data }, origin);
+  });
+
+  const close = () =>
+    new Promise((resolve) => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      clients.forEach((client, socket) => socket.terminate());
+      wss.close(() => resolve());
+    });
+
+  return { wss, close };
+};
+
+module.exports = {
+  SOCKET_PATH,
+  attachRealtime,
+};
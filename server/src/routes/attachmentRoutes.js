@@ -0,0 +1,35 @@
+// attachmentRoutes.js - Bug attachment routes, mounted under /api/bugs/:id/attachments
+
+const express = require('express');
+// mergeParams exposes the bug :id from the parent router
+const router = express.Router({ mergeParams: true });
+const {
+  getAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment,
+} = require('../controllers/attachmentController');
+const { authorize } = require('../middleware/auth');
+const { receiveAttachments } = require('../middleware/upload');
+
+// Authentication is applied by the parent bug router
+
+// Route: GET /api/bugs/:id/attachments
+router.get('/', getAttachments);
+
+// Route: POST /api/bugs/:id/attachments
+// Multipart form with one or more files in the "files" field
+router.post('/', authorize('attachment:create'), receiveAttachments, uploadAttachments);
+
+// Route: GET /api/bugs/:id/attachments/:attachmentId
+router.get('/:attachmentId', downloadAttachment);
+
+// Route: GET /api/bugs/:id/attachments/:attachmentId/thumbnail
+router.get('/:attachmentId/thumbnail', getAttachmentThumbnail);
+
+// Route: DELETE /api/bugs/:id/attachments/:attachmentId
+// Only the uploader or a moderator may delete, which is checked in the controller
+router.delete('/:attachmentId', deleteAttachment);
+
+module.exports = router;
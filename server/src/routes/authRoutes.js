@@ -0,0 +1,29 @@
+// authRoutes.js - Authentication routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe,
+} = require('../controllers/authController');
+const { protect } = require('../middleware/auth');
+
+// Route: POST /api/auth/register
+router.post('/register', register);
+
+// Route: POST /api/auth/login
+router.post('/login', login);
+
+// Route: POST /api/auth/refresh
+router.post('/refresh', refresh);
+
+// Route: POST /api/auth/logout
+router.post('/logout', protect, logout);
+
+// Route: GET /api/auth/me
+router.get('/me', protect, getMe);
+
+module.exports = router;
@@ -4,35 +4,112 @@ const express = require('express');
 const router = express.Router();
 const {
   getBugs,
+  exportBugs,
+  getSimilarBugs,
+  getBugWorkflow,
   getBug,
   createBug,
   updateBug,
+  patchBug,
+  assignBug,
+  markDuplicate,
+  getBugHistory,
   deleteBug,
+  getTrash,
+  restoreBug,
+  bulkBugs,
 } = require('../controllers/bugController');
+const { getBugStats, getBugMetrics } = require('../controllers/statsController');
+const { importBugs } = require('../controllers/importController');
+const { protect, authorize } = require('../middleware/auth');
+const { receiveImportFile } = require('../middleware/upload');
+const commentRoutes = require('./commentRoutes');
+const attachmentRoutes = require('./attachmentRoutes');
+const { logger } = require('../utils/logger');
 
-// DEBUG: Log route registration
-console.log('=== DEBUG: Bug Routes Registration ===');
-console.log('Registering GET /api/bugs');
-console.log('Registering GET /api/bugs/:id');
-console.log('Registering POST /api/bugs');
-console.log('Registering PUT /api/bugs/:id');
-console.log('Registering DELETE /api/bugs/:id');
-console.log('======================================');
+const log = logger.child('bugRoutes');
+
+// All bug routes require a logged-in user
+router.use(protect);
 
 // Route: GET /api/bugs
 router.get('/', getBugs);
 
+// Route: GET /api/bugs/trash
+// Registered before /:id so "trash" is not taken as a bug id
+router.get('/trash', authorize('bug:delete'), getTrash);
+
+// Route: GET /api/bugs/stats
+// Registered before /:id so "stats" is not taken as a bug id
+router.get('/stats', getBugStats);
+
+// Route: GET /api/bugs/export
+// Registered before /:id so "export" is not taken as a bug id
+router.get('/export', exportBugs);
+
+// Route: GET /api/bugs/similar
+// Registered before /:id so "similar" is not taken as a bug id
+router.get('/similar', getSimilarBugs);
+
+// Route: GET /api/bugs/workflow
+// Registered before /:id so "workflow" is not taken as a bug id
+router.get('/workflow', getBugWorkflow);
+
 // Route: GET /api/bugs/:id
 router.get('/:id', getBug);
 
+// Route: GET /api/bugs/:id/history
+router.get('/:id/history', getBugHistory);
+
+// Route: GET /api/bugs/:id/metrics
+router.get('/:id/metrics', getBugMetrics);
+
 // Route: POST /api/bugs
-router.post('/', createBug);
+router.post('/', authorize('bug:create'), createBug);
+
+// Route: POST /api/bugs/bulk
+// Per-action permissions are checked in the controller; per-bug results are returned
+router.post('/bulk', bulkBugs);
+
+// Route: POST /api/bugs/import
+// Multipart CSV or JSON file; dryRun=true only validates and previews the rows
+router.post('/import', authorize('bug:import'), receiveImportFile, importBugs);
 
 // Route: PUT /api/bugs/:id
+// Field-level permissions depend on the bug, so they are checked in the controller
 router.put('/:id', updateBug);
 
+// Route: PATCH /api/bugs/:id
+// Requires If-Match with the bug version; stale writes get 409
+router.patch('/:id', patchBug);
+
+// Route: PATCH /api/bugs/:id/assign
+router.patch('/:id/assign', authorize('bug:assign'), assignBug);
+
+// Route: POST /api/bugs/:id/duplicate
+// Resolves the bug and links it to the original in { original }
+router.post('/:id/duplicate', authorize('bug:duplicate'), markDuplicate);
+
 // Route: DELETE /api/bugs/:id
-router.delete('/:id', deleteBug);
+router.delete('/:id', authorize('bug:delete'), deleteBug);
+
+// Route: POST /api/bugs/:id/restore
+router.post('/:id/restore', authorize('bug:delete'), restoreBug);
+
+// Routes: /api/bugs/:id/comments
+router.use('/:id/comments', commentRoutes);
+
+// Routes: /api/bugs/:id/attachments
+router.use('/:id/attachments', attachmentRoutes);
+
+// Registered routes, logged at debug
+if (log.isLevelEnabled('debug')) {
+  log.debug('Registered bug routes', {
+    routes: router.stack
+      .filter((layer) => layer.route)
+      .map((layer) => `${Object.keys(layer.route.methods).join(', ').toUpperCase()} /api/bugs${layer.route.path}`),
+  });
+}
 
 module.exports = router;
 
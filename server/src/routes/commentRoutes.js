@@ -0,0 +1,29 @@
+// commentRoutes.js - Bug comment routes, mounted under /api/bugs/:id/comments
+
+const express = require('express');
+// mergeParams exposes the bug :id from the parent router
+const router = express.Router({ mergeParams: true });
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} = require('../controllers/commentController');
+const { authorize } = require('../middleware/auth');
+
+// Authentication is applied by the parent bug router
+
+// Route: GET /api/bugs/:id/comments
+router.get('/', getComments);
+
+// Route: POST /api/bugs/:id/comments
+router.post('/', authorize('comment:create'), createComment);
+
+// Route: PUT /api/bugs/:id/comments/:commentId
+// Only the author may edit, which is checked in the controller
+router.put('/:commentId', updateComment);
+
+// Route: DELETE /api/bugs/:id/comments/:commentId
+router.delete('/:commentId', deleteComment);
+
+module.exports = router;
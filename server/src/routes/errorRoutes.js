@@ -0,0 +1,32 @@
+// errorRoutes.js - Client error report routes
+
+const express = require('express');
+const router = express.Router();
+const { reportErrors, getErrorGroups, getErrorGroup } = require('../controllers/errorReportController');
+const { identify, protect, authorize } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const getErrorReportConfig = require('../config/errorReports');
+
+const { maxBodySize, rateLimit, rateWindowMs } = getErrorReportConfig();
+
+// Route: POST /api/errors
+// Open to anonymous users, since the app can crash before login; limited per IP before
+// the body is read, and bodies over maxBodySize are rejected with 413 by the JSON parser
+router.post(
+  '/',
+  createRateLimiter({
+    limit: rateLimit,
+    windowMs: rateWindowMs,
+    message: 'Too many error reports, please try again later',
+  }),
+  express.json({ limit: maxBodySize }),
+  identify,
+  reportErrors
+);
+
+// Routes: GET /api/errors/groups and GET /api/errors/groups/:id
+// Occurrences grouped by fingerprint, for admins to turn into bugs
+router.get('/groups', protect, authorize('error:view'), getErrorGroups);
+router.get('/groups/:id', protect, authorize('error:view'), getErrorGroup);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// labelRoutes.js - Label registry routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+} = require('../controllers/labelController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All label routes require a logged-in user
+router.use(protect);
+
+// Route: GET /api/labels
+router.get('/', getLabels);
+
+// Managing the registry is limited to triagers and admins; anyone who can edit a bug can tag it
+// Route: POST /api/labels
+router.post('/', authorize('label:manage'), createLabel);
+
+// Route: PUT /api/labels/:id
+router.put('/:id', authorize('label:manage'), updateLabel);
+
+// Route: DELETE /api/labels/:id
+router.delete('/:id', authorize('label:manage'), deleteLabel);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// logRoutes.js - Runtime log level routes
+
+const express = require('express');
+const router = express.Router();
+const { getLevels, updateLevel } = require('../controllers/logController');
+const { protect, authorize } = require('../middleware/auth');
+
+// Changing what the server logs is limited to admins
+router.use(protect, authorize('log:manage'));
+
+// Route: GET /api/logs/levels
+router.get('/levels', getLevels);
+
+// Route: PUT /api/logs/levels
+// { level } sets the default, { module, level } one module, { module, level: null } clears it
+router.put('/levels', updateLevel);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// userRoutes.js - User management routes
+
+const express = require('express');
+const router = express.Router();
+const { getUsers, getAssignees, updateUserRole } = require('../controllers/userController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All user routes require a logged-in user
+router.use(protect);
+
+// Route: GET /api/users/assignees
+router.get('/assignees', getAssignees);
+
+// Managing users is limited to admins
+// Route: GET /api/users
+router.get('/', authorize('user:manage'), getUsers);
+
+// Route: PUT /api/users/:id/role
+router.put('/:id/role', authorize('user:manage'), updateUserRole);
+
+module.exports = router;
@@ -2,23 +2,54 @@
 
 const app = require('./app');
 const connectDB = require('./config/database');
+const getRedactionConfig = require('./config/redaction');
 const errorLogger = require('./utils/errorLogger');
+const { getTransports, flushErrorLogs } = require('./logging');
+const Bug = require('./models/Bug');
+const { startTrashPurge } = require('./jobs/purgeTrash');
+const { attachRealtime, SOCKET_PATH } = require('./realtime/socketServer');
 
 const PORT = process.env.PORT || 5000;
 
 // Start server and connect to database
 const startServer = async () => {
   try {
+    // Fail fast on a misconfigured ERROR_LOG_TRANSPORTS or REDACT_PATTERNS rather than on the first error
+    const transports = getTransports();
+    getRedactionConfig();
+    console.log(`✅ Error logs go to: ${transports.map((transport) => transport.name).join(', ')}`);
+
     // Connect to database (non-blocking)
-    await connectDB();
+    const conn = await connectDB();
+
+    // Give bugs created before priorityWeight existed a severity for sorting
+    if (conn) {
+      const backfilled = await Bug.backfillPriorityWeights();
+      if (backfilled > 0) {
+        console.log(`✅ Backfilled priority weights for ${backfilled} bugs`);
+      }
+
+      // Give resolved and in-progress bugs from before status timestamps existed their dates
+      const stamped = await Bug.backfillStatusTimestamps();
+      if (stamped > 0) {
+        console.log(`✅ Backfilled status timestamps for ${stamped} bugs`);
+      }
+
+      // Remove bugs that have been in the trash past the retention period
+      startTrashPurge();
+    }
     
     // Start the server
     const server = app.listen(PORT, () => {
       console.log(`✅ Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
       console.log(`✅ Health check available at http://localhost:${PORT}/api/health`);
       console.log(`✅ API endpoints available at http://localhost:${PORT}/api/bugs`);
+      console.log(`✅ Live updates available at ws://localhost:${PORT}${SOCKET_PATH}`);
     });
 
+    // Push bug changes and presence to connected clients
+    attachRealtime(server);
+
     // Set up error handlers with server reference
     setupErrorHandlers(server);
     
@@ -39,8 +70,9 @@ const setupErrorHandlers = (server) => {
     // In production, close server gracefully
     if (process.env.NODE_ENV === 'production') {
       console.error('Unhandled Promise Rejection. Shutting down gracefully...');
-      server.close(() => {
+      server.close(async () => {
         console.error('Server closed due to unhandled promise rejection');
+        await flushErrorLogs();
         process.exit(1);
       });
     } else {
@@ -56,8 +88,9 @@ const setupErrorHandlers = (server) => {
     
     // Uncaught exceptions are more serious - always exit
     console.error('Uncaught Exception. Shutting down...');
-    server.close(() => {
+    server.close(async () => {
       console.error('Server closed due to uncaught exception');
+      await flushErrorLogs();
       process.exit(1);
     });
   });
@@ -65,8 +98,10 @@ const setupErrorHandlers = (server) => {
   // Handle SIGTERM (graceful shutdown)
   process.on('SIGTERM', () => {
     console.log('SIGTERM received. Shutting down gracefully...');
-    server.close(() => {
+    server.close(async () => {
       console.log('Process terminated');
+      // Queued error logs would otherwise be lost
+      await flushErrorLogs();
       process.exit(0);
     });
   });
@@ -0,0 +1,70 @@
+// index.js - Pluggable attachment storage
+//
+// A backend is an object with:
+//   save(key, buffer, { contentType }) -> Promise<void>
+//   createReadStream(key) -> stream.Readable
+//   remove(key) -> Promise<void>
+// Backends are registered by name and picked with ATTACHMENT_STORAGE
+
+const getAttachmentConfig = require('../config/attachments');
+const createLocalStorage = require('./localStorage');
+
+const factories = {
+  local: createLocalStorage,
+};
+
+let storage = null;
+
+/**
+ * Register a storage backend factory
+ * @param {string} name - Name used in ATTACHMENT_STORAGE
+ * @param {Function} factory - Called with the attachment config, returns a backend
+ */
+const registerStorage = (name, factory) => {
+  factories[name] = factory;
+};
+
+/**
+ * Get the configured storage backend, creating it on first use
+ * @returns {Object} Storage backend
+ * @throws {Error} If ATTACHMENT_STORAGE names an unknown backend
+ */
+const getStorage = () => {
+  if (!storage) {
+    const config = getAttachmentConfig();
+    const factory = factories[config.storage];
+    if (!factory) {
+      throw new Error(`Unknown attachment storage: ${config.storage}`);
+    }
+    storage = factory(config);
+  }
+  return storage;
+};
+
+/**
+ * Replace the active backend, or pass null to re-read the config on next use
+ * @param {Object|null} backend - Storage backend
+ */
+const setStorage = (backend) => {
+  storage = backend;
+};
+
+/**
+ * Remove an attachment's file and thumbnail from the active backend
+ * @param {Object} attachment - Attachment document or fields with storageKey and thumbnailKey
+ * @returns {Promise<void>}
+ */
+const removeAttachmentFiles = async (attachment) => {
+  const backend = getStorage();
+  await backend.remove(attachment.storageKey);
+  if (attachment.thumbnailKey) {
+    await backend.remove(attachment.thumbnailKey);
+  }
+};
+
+module.exports = {
+  registerStorage,
+  getStorage,
+  setStorage,
+  removeAttachmentFiles,
+};
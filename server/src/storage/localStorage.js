@@ -0,0 +1,67 @@
+// localStorage.js - Attachment storage backend that keeps files on the local disk
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a storage backend rooted at a directory
+ * Keys are relative paths such as "<bugId>/<uuid>.png"
+ * @param {Object} options
+ * @param {string} options.uploadDir - Directory that holds the files
+ * @returns {Object} Storage backend with save, createReadStream and remove
+ */
+const createLocalStorage = ({ uploadDir }) => {
+  const root = path.resolve(uploadDir);
+
+  // Resolve a key inside the root; a key that escapes it is a bug, never a user path
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Write a file
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     * @returns {Promise<void>}
+     */
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    /**
+     * Open a stored file for reading
+     * The stream emits an ENOENT error if the file is missing
+     * @param {string} key - Storage key
+     * @returns {stream.Readable} File contents
+     */
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    /**
+     * Delete a file; missing files are ignored
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -1,5 +1,7 @@
 // bugUtils.js - Bug-related utility functions
 
+const { getWorkflow, getInProgressStatus, getResolvedStatus } = require('./workflow');
+
 /**
  * Check if a status transition is valid
  * @param {string} currentStatus - Current status
@@ -7,20 +9,13 @@
  * @returns {boolean} True if transition is valid
  */
 const isValidStatusTransition = (currentStatus, newStatus) => {
-  const validStatuses = ['open', 'in-progress', 'resolved'];
-  
-  if (!validStatuses.includes(currentStatus) || !validStatuses.includes(newStatus)) {
+  const { statuses, transitions } = getWorkflow();
+
+  if (!statuses.includes(currentStatus) || !statuses.includes(newStatus)) {
     return false;
   }
 
-  // Define valid transitions
-  const validTransitions = {
-    'open': ['in-progress', 'resolved'],
-    'in-progress': ['open', 'resolved'],
-    'resolved': ['open', 'in-progress'],
-  };
-
-  return validTransitions[currentStatus]?.includes(newStatus) || false;
+  return transitions[currentStatus]?.includes(newStatus) || false;
 };
 
 /**
@@ -29,13 +24,27 @@ const isValidStatusTransition = (currentStatus, newStatus) => {
  * @returns {string[]} Array of valid next statuses
  */
 const getValidNextStatuses = (currentStatus) => {
-  const validTransitions = {
-    'open': ['in-progress', 'resolved'],
-    'in-progress': ['open', 'resolved'],
-    'resolved': ['open', 'in-progress'],
-  };
+  const { transitions } = getWorkflow();
 
-  return validTransitions[currentStatus] || [];
+  return transitions[currentStatus] || [];
+};
+
+/**
+ * Check if a status value is defined by the active workflow
+ * @param {string} status - Status value to check
+ * @returns {boolean} True if status is valid
+ */
+const isValidStatus = (status) => {
+  return getWorkflow().statuses.includes(status);
+};
+
+/**
+ * Check if a value is a 24-character hex MongoDB ObjectId string
+ * @param {string} id - Value to check
+ * @returns {boolean} True if the value can be used as a document id
+ */
+const isValidObjectId = (id) => {
+  return typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
 };
 
 /**
@@ -63,6 +72,54 @@ const getPriorityWeight = (priority) => {
   return weights[priority] || 0;
 };
 
+// Sortable fields exposed to clients, mapped to the stored field they sort on
+const SORTABLE_FIELDS = {
+  priority: 'priorityWeight',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  status: 'status',
+  title: 'title',
+  relevance: 'score', // Text search score, only available with a search query
+};
+
+// Shorthand sort values kept for existing clients
+const SORT_ALIASES = {
+  oldest: 'createdAt',
+  priority: '-priority,-createdAt',
+  relevance: '-relevance',
+};
+
+/**
+ * Parse a sort parameter such as "-priority,createdAt" into sort fields
+ * A leading "-" sorts that key in descending order; _id is appended as a tie-breaker
+ * @param {string} sort - Comma-separated sort keys (defaults to newest first)
+ * @returns {Array<[string, number]>|null} Ordered [field, direction] pairs, or null if a key is unknown
+ */
+const parseSort = (sort) => {
+  const expression = SORT_ALIASES[sort] || sort || '-createdAt';
+  const sortFields = [];
+
+  if (typeof expression !== 'string') {
+    return null;
+  }
+
+  for (const rawKey of expression.split(',')) {
+    const key = rawKey.trim();
+    const direction = key.startsWith('-') ? -1 : 1;
+    const field = SORTABLE_FIELDS[direction === -1 ? key.slice(1) : key];
+
+    if (!field) {
+      return null;
+    }
+    if (!sortFields.some(([existing]) => existing === field)) {
+      sortFields.push([field, direction]);
+    }
+  }
+
+  sortFields.push(['_id', sortFields[sortFields.length - 1][1]]);
+  return sortFields;
+};
+
 /**
  * Validate bug data structure
  * @param {Object} bugData - Bug data to validate
@@ -85,26 +142,129 @@ const validateBugData = (bugData) => {
     errors.push('Reporter is required and must be a non-empty string');
   }
 
-  if (bugData.status && !['open', 'in-progress', 'resolved'].includes(bugData.status)) {
-    errors.push('Status must be one of: open, in-progress, resolved');
+  if (bugData.status && !isValidStatus(bugData.status)) {
+    errors.push(`Status must be one of: ${getWorkflow().statuses.join(', ')}`);
   }
 
   if (bugData.priority && !['low', 'medium', 'high', 'critical'].includes(bugData.priority)) {
     errors.push('Priority must be one of: low, medium, high, critical');
   }
 
+  if (bugData.assignee && !isValidObjectId(bugData.assignee)) {
+    errors.push('Assignee must be a valid user id');
+  }
+
+  if (
+    bugData.labels !== undefined &&
+    (!Array.isArray(bugData.labels) || bugData.labels.some((label) => typeof label !== 'string'))
+  ) {
+    errors.push('Labels must be an array of strings');
+  }
+
   return {
     valid: errors.length === 0,
     errors,
   };
 };
 
+// Fields clients may change on an existing bug; reporter and bookkeeping fields are fixed
+const UPDATABLE_FIELDS = ['title', 'description', 'status', 'priority', 'assignee', 'labels'];
+
+/**
+ * Pick the updatable fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { updates, unknownFields } - unknownFields lists every other key sent
+ */
+const pickUpdatableFields = (body = {}) => {
+  const updates = {};
+  const unknownFields = [];
+
+  Object.keys(body).forEach((field) => {
+    if (UPDATABLE_FIELDS.includes(field)) {
+      updates[field] = body[field];
+    } else {
+      unknownFields.push(field);
+    }
+  });
+
+  return { updates, unknownFields };
+};
+
+/**
+ * Get the timestamp field set each time a bug enters a status
+ * The statuses are the active workflow's in-progress and resolved statuses
+ * @returns {Object} Field name by status
+ */
+const getStatusTimestampFields = () => ({
+  [getInProgressStatus()]: 'inProgressAt',
+  [getResolvedStatus()]: 'resolvedAt',
+});
+
+/**
+ * Build the timestamp changes for a status change
+ * Entering a status from getStatusTimestampFields stamps its field; leaving the
+ * resolved status clears resolvedAt and counts a reopen. Pass null as `fromStatus`
+ * for a new bug.
+ * @param {string|null} fromStatus - Status before the change
+ * @param {string} toStatus - Status after the change
+ * @param {Date} [now] - Time of the change
+ * @returns {Object} Fields to write alongside the status, with $inc for reopens; empty if the status is unchanged
+ */
+const getStatusTimestampUpdates = (fromStatus, toStatus, now = new Date()) => {
+  if (!toStatus || fromStatus === toStatus) {
+    return {};
+  }
+
+  const updates = {};
+  if (fromStatus === getResolvedStatus()) {
+    updates.resolvedAt = null;
+    updates.$inc = { reopenCount: 1 };
+  }
+  const field = getStatusTimestampFields()[toStatus];
+  if (field) {
+    updates[field] = now;
+  }
+
+  return updates;
+};
+
+/**
+ * Build the ETag for a bug version (its __v)
+ * @param {number} version - Document version
+ * @returns {string} Quoted entity tag
+ */
+const toETag = (version) => `"${version}"`;
+
+/**
+ * Read the bug version from an If-Match header
+ * Accepts "3", W/"3" and a bare 3; anything else (including *) is not a version
+ * @param {string} header - If-Match header value
+ * @returns {number|null} Version, or null if missing or invalid
+ */
+const parseIfMatch = (header) => {
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? Number(match[1]) : null;
+};
+
 module.exports = {
   isValidStatusTransition,
   getValidNextStatuses,
+  isValidStatus,
   isValidPriority,
+  isValidObjectId,
   getPriorityWeight,
+  parseSort,
   validateBugData,
+  UPDATABLE_FIELDS,
+  pickUpdatableFields,
+  getStatusTimestampFields,
+  getStatusTimestampUpdates,
+  toETag,
+  parseIfMatch,
 };
 
 
@@ -1,13 +1,15 @@
 // errorLogger.js - Centralized error logging utility
 
+const mongoose = require('mongoose');
+const ErrorGroup = require('../models/ErrorGroup');
+const { FIELD_LIMITS, truncate } = require('./errorReportUtils');
+const { logEntry } = require('../logging');
+const { redact, redactString } = require('./redaction');
+
 /**
- * Mock error reporting service
- * In production, this would integrate with services like:
- * - Sentry
- * - LogRocket
- * - DataDog
- * - CloudWatch
- * - Custom logging service
+ * Error reporting service
+ * Entries go to the transports named in ERROR_LOG_TRANSPORTS (console, file, http, mongo),
+ * see logging/index.js. Secrets and personal data are redacted first, see utils/redaction.js
  */
 const errorReportingService = {
   logError: (error, context = {}) => {
@@ -26,23 +28,36 @@ const errorReportingService = {
       },
     };
 
-    // In production, send to error reporting service
-    if (process.env.NODE_ENV === 'production') {
-      // Mock API call to error reporting service
-      // fetch('https://api.error-reporting-service.com/errors', {
-      //   method: 'POST',
-      //   headers: { 'Content-Type': 'application/json' },
-      //   body: JSON.stringify(errorLog),
-      // }).catch(console.error);
-      
-      console.error('🚨 [ERROR REPORTING SERVICE]', JSON.stringify(errorLog, null, 2));
-    } else {
-      // In development, log to console with formatting
-      console.error('🚨 [ERROR LOG]', errorLog);
-    }
+    logEntry(redact(errorLog));
   },
 };
 
+/**
+ * Count a server error in its error group, next to the errors reported by clients
+ * Skipped while the database is not connected, so nothing is buffered; never rejects
+ * @param {*} err - Error or other thrown value
+ * @param {Object} [req] - Request that failed, if any
+ * @returns {Promise<void>}
+ */
+const groupError = async (err, req = null) => {
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+
+  try {
+    const isError = err instanceof Error;
+    await ErrorGroup.recordOccurrences('server', [{
+      name: isError ? truncate(err.name, FIELD_LIMITS.name) : undefined,
+      message: truncate(redactString(isError ? err.message : String(err)), FIELD_LIMITS.message) || 'Unknown error',
+      stack: isError ? truncate(redactString(err.stack), FIELD_LIMITS.stack) : undefined,
+      url: req ? truncate(redactString(`${req.method} ${req.originalUrl || req.url}`), FIELD_LIMITS.url) : undefined,
+      occurredAt: new Date(),
+    }]);
+  } catch (error) {
+    console.error('Failed to group error:', error.message);
+  }
+};
+
 /**
  * Log unhandled promise rejection
  */
@@ -52,6 +67,7 @@ const logUnhandledRejection = (err, promise) => {
     promise: promise?.toString(),
     warning: 'Unhandled promise rejection detected',
   });
+  groupError(err);
 };
 
 /**
@@ -62,6 +78,7 @@ const logUncaughtException = (err) => {
     type: 'uncaughtException',
     warning: 'Uncaught exception detected - server will shut down',
   });
+  groupError(err);
 };
 
 /**
@@ -98,6 +115,7 @@ module.exports = {
   logUncaughtException,
   logApplicationError,
   logDatabaseError,
+  groupError,
   errorReportingService,
 };
 
@@ -0,0 +1,96 @@
+// errorReportUtils.js - Validation and clean-up of client error reports
+
+const getRedactionConfig = require('../config/redaction');
+const { redactString } = require('./redaction');
+
+// Where in the browser an error was caught
+const ERROR_SOURCES = ['boundary', 'onerror', 'unhandledrejection'];
+
+// Longest value kept for each text field; longer values are cut rather than rejected
+const FIELD_LIMITS = {
+  message: 2000,
+  name: 200,
+  stack: 20000,
+  componentStack: 20000,
+  url: 2000,
+  userAgent: 1000,
+  appVersion: 100,
+};
+
+// How far a report's time may be from when it is received; the client sends within seconds
+// and retries for a few minutes, so anything further off comes from a wrong browser clock
+const OCCURRED_AT_TOLERANCE_MS = 10 * 60 * 1000;
+
+/**
+ * Cut a string to a length, leaving other values out
+ * Whitespace is kept, since stacks are indented
+ * @param {*} value - Raw value
+ * @param {number} limit - Maximum length
+ * @returns {string|undefined} String of at most limit characters, or undefined if blank or not a string
+ */
+const truncate = (value, limit) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return undefined;
+  }
+  return value.length > limit ? value.slice(0, limit) : value;
+};
+
+/**
+ * Turn one report from a client into ErrorReport fields
+ * Browsers put tokens in URLs and user data in messages, so fields are redacted like server logs;
+ * redaction runs before truncation, since a replacement can be longer than what it replaces
+ * @param {Object} raw - Report as sent by the client
+ * @param {Object} [defaults] - { userAgent, receivedAt } from the request; userAgent is used when
+ *   the report has none, and receivedAt (default now) bounds the report's time
+ * @returns {Object} { report } or { error }
+ */
+const toErrorReport = (raw, defaults = {}) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Each report must be an object' };
+  }
+
+  const redactionConfig = getRedactionConfig();
+  const clean = (value, limit) => truncate(redactString(value, redactionConfig), limit);
+
+  const message = clean(raw.message, FIELD_LIMITS.message);
+  if (!message) {
+    return { error: 'message is required' };
+  }
+  if (raw.source !== undefined && !ERROR_SOURCES.includes(raw.source)) {
+    return { error: `source must be one of: ${ERROR_SOURCES.join(', ')}` };
+  }
+
+  const report = { message, source: raw.source || 'boundary' };
+  ['name', 'stack', 'componentStack', 'url', 'appVersion'].forEach((field) => {
+    const value = clean(raw[field], FIELD_LIMITS[field]);
+    if (value !== undefined) {
+      report[field] = value;
+    }
+  });
+
+  const userAgent = clean(raw.userAgent, FIELD_LIMITS.userAgent) ||
+    clean(defaults.userAgent, FIELD_LIMITS.userAgent);
+  if (userAgent) {
+    report.userAgent = userAgent;
+  }
+
+  // The browser's clock can be wrong and a group's firstSeen and lastSeen keep any extreme, so the
+  // time is never later than when the report arrived, and a missing, invalid or far-off time
+  // falls back to that
+  const receivedAt = defaults.receivedAt || new Date();
+  const occurredAt = new Date(raw.occurredAt);
+  const offset = occurredAt.getTime() - receivedAt.getTime();
+  report.occurredAt = raw.occurredAt && Math.abs(offset) <= OCCURRED_AT_TOLERANCE_MS
+    ? new Date(Math.min(occurredAt.getTime(), receivedAt.getTime()))
+    : receivedAt;
+
+  return { report };
+};
+
+module.exports = {
+  ERROR_SOURCES,
+  FIELD_LIMITS,
+  OCCURRED_AT_TOLERANCE_MS,
+  truncate,
+  toErrorReport,
+};
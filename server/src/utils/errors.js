@@ -0,0 +1,58 @@
+// errors.js - Error classes mapped to HTTP responses by errorHandler
+
+/**
+ * Raised when an authenticated user is not allowed to perform an action
+ * errorHandler responds with 403
+ */
+class ForbiddenError extends Error {
+  constructor(message = 'Not authorized to perform this action') {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.statusCode = 403;
+  }
+}
+
+/**
+ * Raised when an upload is larger than allowed
+ * errorHandler responds with 413
+ */
+class PayloadTooLargeError extends Error {
+  constructor(message = 'Upload is too large') {
+    super(message);
+    this.name = 'PayloadTooLargeError';
+    this.statusCode = 413;
+  }
+}
+
+/**
+ * Raised when an upload's type is not accepted
+ * errorHandler responds with 415
+ */
+class UnsupportedMediaTypeError extends Error {
+  constructor(message = 'Unsupported file type') {
+    super(message);
+    this.name = 'UnsupportedMediaTypeError';
+    this.statusCode = 415;
+  }
+}
+
+/**
+ * Raised when a client sends more requests than a rate limit allows
+ * errorHandler responds with 429 and a Retry-After header
+ */
+class TooManyRequestsError extends Error {
+  constructor(message = 'Too many requests, please try again later', retryAfter = null) {
+    super(message);
+    this.name = 'TooManyRequestsError';
+    this.statusCode = 429;
+    // Seconds until the client may try again
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  ForbiddenError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+};
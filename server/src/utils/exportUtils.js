@@ -0,0 +1,132 @@
+// exportUtils.js - Record and file format helpers for bug exports
+
+// Formats accepted by GET /api/bugs/export?format=
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+// Fields of an exported bug, in CSV column order
+const EXPORT_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'reporter',
+  'assignee',
+  'assigneeEmail',
+  'labels',
+  'reopenCount',
+  'createdAt',
+  'updatedAt',
+  'inProgressAt',
+  'resolvedAt',
+];
+
+// Separator of the labels of a bug within one CSV cell
+const CSV_LABEL_SEPARATOR = '; ';
+
+// Cells starting with these characters would be run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toISOString = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Flatten a bug into an export record
+ * @param {Object} bug - Bug document or plain object, with the assignee populated
+ * @returns {Object} Record with the EXPORT_FIELDS keys
+ */
+const toExportRecord = (bug) => ({
+  id: String(bug._id),
+  title: bug.title,
+  description: bug.description,
+  status: bug.status,
+  priority: bug.priority,
+  reporter: bug.reporter,
+  assignee: bug.assignee ? bug.assignee.name : null,
+  assigneeEmail: bug.assignee ? bug.assignee.email : null,
+  labels: bug.labels || [],
+  reopenCount: bug.reopenCount || 0,
+  createdAt: toISOString(bug.createdAt),
+  updatedAt: toISOString(bug.updatedAt),
+  inProgressAt: toISOString(bug.inProgressAt),
+  resolvedAt: toISOString(bug.resolvedAt),
+});
+
+/**
+ * Escape a value for one CSV cell (RFC 4180)
+ * Values that a spreadsheet would treat as a formula are prefixed with a quote
+ * @param {*} value - Cell value; arrays are joined, null and undefined become empty
+ * @returns {string} Escaped cell
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = Array.isArray(value) ? value.join(CSV_LABEL_SEPARATOR) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} Line ending in CRLF
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Create the writer of an export format
+ * The output is produced in pieces so records can be streamed one at a time
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Object} { start(), record(record, index), end() }, each returning the text to write
+ */
+const createExportWriter = (format) => {
+  switch (format) {
+    case 'csv':
+      return {
+        start: () => toCsvRow(EXPORT_FIELDS),
+        record: (record) => toCsvRow(EXPORT_FIELDS.map((field) => record[field])),
+        end: () => '',
+      };
+    case 'json':
+      return {
+        start: () => '[',
+        record: (record, index) => `${index === 0 ? '\n' : ',\n'}${JSON.stringify(record)}`,
+        end: () => '\n]\n',
+      };
+    case 'ndjson':
+      return {
+        start: () => '',
+        record: (record) => `${JSON.stringify(record)}\n`,
+        end: () => '',
+      };
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+/**
+ * Build the download file name of an export
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Date} [now] - Export time
+ * @returns {string} File name such as bugs-2026-01-31.csv
+ */
+const getExportFileName = (format, now = new Date()) =>
+  `bugs-${now.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  toExportRecord,
+  escapeCsvValue,
+  toCsvRow,
+  createExportWriter,
+  getExportFileName,
+};
@@ -0,0 +1,150 @@
+// fingerprintUtils.js - Fingerprints that group occurrences of the same error
+
+const crypto = require('crypto');
+
+const ERROR_PLATFORMS = ['client', 'server'];
+
+// Top frames that identify an error; deeper frames mostly differ by caller
+const FINGERPRINT_FRAMES = 5;
+
+// Longest normalised message kept as a group's title
+const MAX_TITLE_LENGTH = 500;
+
+// Values in messages that differ between occurrences of the same error
+// Order matters: UUIDs and ObjectIds are replaced before their digits are
+const MESSAGE_PATTERNS = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b[0-9a-f]{24}\b/gi, '<id>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b[^\s@'"]+@[^\s@'"]+\.[a-z]{2,}\b/gi, '<email>'],
+  [/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"]+/gi, '<url>'],
+  // Hashes and tokens: long runs of hex digits with at least one letter and one digit
+  [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<hex>'],
+  [/\d+(\.\d+)?/g, '<n>'],
+];
+
+// V8 ("at fn (file:1:2)" or "at file:1:2") and Firefox/Safari ("fn@file:1:2") frames
+const V8_FRAME = /^\s*at (?:(.+?) \()?(.+?)(?::\d+)?(?::\d+)?\)?$/;
+const GECKO_FRAME = /^\s*([^\s@]*)@(\S+?)(?::\d+)?(?::\d+)?$/;
+
+// React component stack lines ("in BugList" or "at BugList (file:1:2)")
+const COMPONENT_FRAME = /^\s*(?:in|at) ([\w$.]+)/;
+
+/**
+ * Replace the parts of a message that vary between occurrences with placeholders
+ * @param {string} message - Error message
+ * @returns {string} Normalised message
+ */
+const normalizeMessage = (message) => {
+  if (typeof message !== 'string') {
+    return '';
+  }
+  const normalized = MESSAGE_PATTERNS.reduce(
+    (text, [pattern, replacement]) => text.replace(pattern, replacement),
+    message
+  );
+  return normalized.replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+};
+
+/**
+ * Reduce a frame's file to the part that is the same across builds and machines
+ * Drops the origin, query string, webpack content hashes and the server's working directory
+ * @param {string} file - File path or URL from a stack frame
+ * @returns {string} Normalised file
+ */
+const normalizeFile = (file) => {
+  let normalized = file
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\.[0-9a-f]{8,}(?=\.(chunk\.)?[cm]?js$)/i, '');
+
+  const nodeModules = normalized.lastIndexOf('/node_modules/');
+  if (nodeModules !== -1) {
+    return normalized.slice(nodeModules + 1);
+  }
+  const cwd = `${process.cwd()}/`;
+  if (normalized.startsWith(cwd)) {
+    normalized = normalized.slice(cwd.length);
+  }
+  return normalized;
+};
+
+/**
+ * Parse a stack trace into frames without line and column numbers
+ * Node internals are skipped, since they change between Node versions
+ * @param {string} stack - Stack trace
+ * @returns {Array<Object>} Frames as { fn, file }, innermost first
+ */
+const parseStackFrames = (stack) => {
+  if (typeof stack !== 'string') {
+    return [];
+  }
+
+  return stack.split('\n').reduce((frames, line) => {
+    const match = line.match(V8_FRAME) || line.match(GECKO_FRAME);
+    if (!match) {
+      return frames;
+    }
+    const [, fn, file] = match;
+    if (/^(node:|internal\/)/.test(file) || file === 'native' || file === '<anonymous>') {
+      return frames;
+    }
+    frames.push({ fn: (fn || '<anonymous>').replace(/^async /, ''), file: normalizeFile(file) });
+    return frames;
+  }, []);
+};
+
+/**
+ * Get the component names from a React component stack
+ * @param {string} componentStack - Component stack from an error boundary
+ * @returns {string[]} Component names, innermost first
+ */
+const parseComponentStack = (componentStack) => {
+  if (typeof componentStack !== 'string') {
+    return [];
+  }
+  return componentStack
+    .split('\n')
+    .map((line) => line.match(COMPONENT_FRAME))
+    .filter(Boolean)
+    .map(([, name]) => name);
+};
+
+/**
+ * Describe where an error was thrown, for showing with its group
+ * @param {Object} frame - Innermost frame, or undefined
+ * @returns {string|null} "fn (file)", or null without a stack
+ */
+const getCulprit = (frame) => (frame ? `${frame.fn} (${frame.file})` : null);
+
+/**
+ * Fingerprint an error so its occurrences can be grouped
+ * Uses the error name, normalised message and top stack frames; errors without a stack fall
+ * back to their React component stack, then to the message alone
+ * @param {Object} error - { platform, name, message, stack, componentStack }
+ * @returns {Object} { fingerprint, title, culprit }
+ */
+const fingerprintError = ({ platform, name, message, stack, componentStack }) => {
+  const title = normalizeMessage(message);
+  const frames = parseStackFrames(stack).slice(0, FINGERPRINT_FRAMES);
+  const location = frames.length > 0
+    ? frames.map(({ fn, file }) => `${fn}@${file}`)
+    : parseComponentStack(componentStack).slice(0, FINGERPRINT_FRAMES);
+
+  const fingerprint = crypto
+    .createHash('sha1')
+    .update([platform, name || 'Error', title, ...location].join('\n'))
+    .digest('hex');
+
+  return { fingerprint, title, culprit: getCulprit(frames[0]) };
+};
+
+module.exports = {
+  ERROR_PLATFORMS,
+  FINGERPRINT_FRAMES,
+  normalizeMessage,
+  normalizeFile,
+  parseStackFrames,
+  parseComponentStack,
+  fingerprintError,
+};
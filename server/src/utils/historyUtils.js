@@ -0,0 +1,55 @@
+// historyUtils.js - Field-level diffs for the bug audit trail
+
+// Fields whose changes are recorded in a bug's history
+const AUDITED_FIELDS = ['title', 'description', 'status', 'priority', 'reporter', 'assignee', 'labels', 'duplicateOf'];
+
+/**
+ * Normalise a field value for storage and comparison
+ * Populated documents and ObjectIds are stored as id strings; lists as comma-separated
+ * strings; missing values (including empty lists) as null
+ * @param {*} value - Raw field value
+ * @returns {*} Comparable value
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(String).join(', ') : null;
+  }
+  if (typeof value === 'object') {
+    if (value._id) {
+      return value._id.toString();
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return value.toString();
+  }
+  return value;
+};
+
+/**
+ * Diff the audited fields of two bug versions
+ * Pass null as `before` for a create and as `after` for a delete
+ * @param {Object|null} before - Bug before the change
+ * @param {Object|null} after - Bug after the change
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields in AUDITED_FIELDS order
+ */
+const diffBugs = (before, after) => {
+  return AUDITED_FIELDS.reduce((changes, field) => {
+    const oldValue = normalizeValue(before ? before[field] : null);
+    const newValue = normalizeValue(after ? after[field] : null);
+
+    if (oldValue !== newValue) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+    return changes;
+  }, []);
+};
+
+module.exports = {
+  AUDITED_FIELDS,
+  normalizeValue,
+  diffBugs,
+};
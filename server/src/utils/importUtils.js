@@ -0,0 +1,253 @@
+// importUtils.js - File parsing and column mapping helpers for bug imports
+
+// Formats accepted by POST /api/bugs/import
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// Bug fields that an import column can be mapped to
+const IMPORT_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'reporter',
+  'assignee',
+  'labels',
+  'createdAt',
+];
+
+// Other header names mapped automatically, keyed by normalised header
+const HEADER_ALIASES = {
+  summary: 'title',
+  subject: 'title',
+  details: 'description',
+  body: 'description',
+  state: 'status',
+  severity: 'priority',
+  reportedby: 'reporter',
+  author: 'reporter',
+  assigneeemail: 'assignee',
+  assignedto: 'assignee',
+  tags: 'labels',
+  created: 'createdAt',
+};
+
+// Exports prefix cells that look like formulas with a quote; imports strip it again
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+// Separators of several labels within one cell
+const LABEL_SEPARATOR = /[;,]/;
+
+/**
+ * Normalise a column header for matching, so "Created At" and "created_at" are the same
+ * @param {string} header - Raw header
+ * @returns {string} Lowercase letters and digits only
+ */
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split CSV text into records of cells (RFC 4180)
+ * Quoted cells may contain commas, quotes ("") and line breaks
+ * @param {string} text - CSV text
+ * @returns {string[][]|null} Records, or null if a quoted cell is never closed
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    return null;
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records;
+};
+
+/**
+ * Parse an import file into rows keyed by column header
+ * CSV rows are numbered as in a spreadsheet (the header is row 1), JSON rows from 1
+ * @param {string} text - File contents
+ * @param {string} format - csv or json
+ * @returns {Object} { headers, rows: [{ row, values }] }, or { error }
+ */
+const parseImportFile = (text, format) => {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      return { error: `The file is not valid JSON: ${error.message}` };
+    }
+    if (!Array.isArray(data) || data.some((item) => !item || typeof item !== 'object' || Array.isArray(item))) {
+      return { error: 'A JSON import must be an array of bug objects' };
+    }
+
+    const headers = [...new Set(data.flatMap((item) => Object.keys(item)))];
+    return { headers, rows: data.map((values, index) => ({ row: index + 1, values })) };
+  }
+
+  const records = parseCsv(text);
+  if (!records) {
+    return { error: 'The CSV file has a quoted cell that is never closed' };
+  }
+
+  const [headers = [], ...dataRecords] = records;
+  const trimmedHeaders = headers.map((header) => header.trim());
+  const rows = [];
+  dataRecords.forEach((cells, index) => {
+    // Blank lines are skipped, but still counted so row numbers match the file
+    if (cells.every((cell) => cell.trim() === '')) {
+      return;
+    }
+    const values = {};
+    trimmedHeaders.forEach((header, column) => {
+      const cell = cells[column];
+      values[header] = cell !== undefined && ESCAPED_FORMULA.test(cell) ? cell.slice(1) : cell;
+    });
+    rows.push({ row: index + 2, values });
+  });
+
+  return { headers: trimmedHeaders, rows };
+};
+
+/**
+ * Decide which bug field each column of an import fills
+ * Columns named after a field (or a known alias) are mapped automatically; the first such
+ * column wins. An explicit mapping overrides this, and maps a column to null to ignore it
+ * @param {string[]} headers - Column headers of the file
+ * @param {Object} [mapping] - Explicit { header: field or null }
+ * @returns {Object} { columns: { header: field or null } }, or { error }
+ */
+const buildColumnMapping = (headers, mapping = {}) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'mapping must be an object of column headers to bug fields' };
+  }
+
+  const unknownHeader = Object.keys(mapping).find((header) => !headers.includes(header));
+  if (unknownHeader !== undefined) {
+    return { error: `The file has no column named "${unknownHeader}"` };
+  }
+
+  const invalidField = Object.values(mapping).find(
+    (field) => field !== null && field !== '' && !IMPORT_FIELDS.includes(field)
+  );
+  if (invalidField !== undefined) {
+    return { error: `Columns can only be mapped to: ${IMPORT_FIELDS.join(', ')}` };
+  }
+
+  const columns = {};
+  const mappedBy = {};
+  const explicit = headers.filter((header) => Object.prototype.hasOwnProperty.call(mapping, header));
+  for (const header of explicit) {
+    const field = mapping[header] || null;
+    if (field && mappedBy[field]) {
+      return { error: `Columns "${mappedBy[field]}" and "${header}" are both mapped to ${field}` };
+    }
+    columns[header] = field;
+    if (field) {
+      mappedBy[field] = header;
+    }
+  }
+
+  const fieldsByHeader = Object.fromEntries(IMPORT_FIELDS.map((field) => [normalizeHeader(field), field]));
+  headers
+    .filter((header) => !Object.prototype.hasOwnProperty.call(columns, header))
+    .forEach((header) => {
+      const key = normalizeHeader(header);
+      const field = fieldsByHeader[key] || HEADER_ALIASES[key] || null;
+      columns[header] = field && !mappedBy[field] ? field : null;
+      if (columns[header]) {
+        mappedBy[field] = header;
+      }
+    });
+
+  return { columns };
+};
+
+/**
+ * Turn one import row into bug data using the column mapping
+ * Strings are trimmed and empty values left out, so model defaults apply
+ * @param {Object} values - Row values keyed by header
+ * @param {Object} columns - Column mapping from buildColumnMapping
+ * @returns {Object} Bug data with only the mapped fields
+ */
+const toImportBug = (values, columns) => {
+  const bug = {};
+
+  Object.entries(columns).forEach(([header, field]) => {
+    let value = values[header];
+    if (!field || value === undefined || value === null) {
+      return;
+    }
+
+    if (field === 'labels') {
+      const labels = Array.isArray(value) ? value : String(value).split(LABEL_SEPARATOR);
+      value = labels.map((label) => (typeof label === 'string' ? label.trim() : label)).filter((label) => label !== '');
+      if (value.length > 0) {
+        bug.labels = value;
+      }
+      return;
+    }
+
+    if (typeof value === 'string') {
+      value = value.trim();
+    }
+    if (value !== '') {
+      bug[field] = value;
+    }
+  });
+
+  return bug;
+};
+
+/**
+ * Key used to spot duplicate bugs: the title, ignoring case and repeated spaces
+ * @param {string} title - Bug title
+ * @returns {string} Normalised title
+ */
+const getDuplicateKey = (title) =>
+  typeof title === 'string' ? title.trim().replace(/\s+/g, ' ').toLowerCase() : '';
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  parseCsv,
+  parseImportFile,
+  buildColumnMapping,
+  toImportBug,
+  getDuplicateKey,
+};
@@ -0,0 +1,73 @@
+// labelUtils.js - Label name normalisation and validation
+
+const MAX_LABEL_LENGTH = 40;
+const MAX_LABELS_PER_BUG = 20;
+
+// Colour given to labels created implicitly by tagging a bug
+const DEFAULT_LABEL_COLOR = '#667eea';
+
+// Lowercase letters, digits, spaces and - _ . ; must start with a letter or digit
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9 _.-]*$/;
+
+/**
+ * Normalise a label name so "Frontend " and "frontend" are the same label
+ * @param {string} name - Raw label name
+ * @returns {string} Trimmed, lowercased name with single spaces
+ */
+const normalizeLabelName = (name) => String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Normalise a list of labels, dropping blanks and duplicates
+ * Non-arrays are returned unchanged so validation can reject them
+ * @param {*} labels - Raw labels
+ * @returns {*} Normalised labels in their original order
+ */
+const normalizeLabels = (labels) => {
+  if (!Array.isArray(labels)) {
+    return labels;
+  }
+
+  const names = labels
+    .filter((label) => typeof label === 'string')
+    .map(normalizeLabelName)
+    .filter(Boolean);
+  return [...new Set(names)];
+};
+
+/**
+ * Check if a (normalised) label name is valid
+ * @param {string} name - Label name
+ * @returns {boolean} True if valid
+ */
+const isValidLabelName = (name) =>
+  typeof name === 'string' && name.length <= MAX_LABEL_LENGTH && LABEL_PATTERN.test(name);
+
+/**
+ * Check if a colour is a #rrggbb hex value
+ * @param {string} color - Colour value
+ * @returns {boolean} True if valid
+ */
+const isValidLabelColor = (color) => typeof color === 'string' && /^#[0-9a-fA-F]{6}$/.test(color);
+
+/**
+ * Parse the labels query parameter ("a,b" or repeated labels=a&labels=b)
+ * @param {string|string[]} value - Raw query value
+ * @returns {string[]} Normalised label names
+ */
+const parseLabelFilter = (value) => {
+  const parts = (Array.isArray(value) ? value : [value])
+    .filter((part) => typeof part === 'string')
+    .flatMap((part) => part.split(','));
+  return normalizeLabels(parts);
+};
+
+module.exports = {
+  MAX_LABEL_LENGTH,
+  MAX_LABELS_PER_BUG,
+  DEFAULT_LABEL_COLOR,
+  normalizeLabelName,
+  normalizeLabels,
+  isValidLabelName,
+  isValidLabelColor,
+  parseLabelFilter,
+};
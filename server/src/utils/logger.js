@@ -0,0 +1,158 @@
+// logger.js - Leveled, structured application logger with per-module child loggers
+
+const util = require('util');
+const getLoggerConfig = require('../config/logger');
+const { redact } = require('./redaction');
+
+// Most to least verbose; 'silent' turns a module off
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Module of the root logger; modules are named by logger.child(name)
+const ROOT_MODULE = 'server';
+
+// Current default and module levels, read from the environment on first use
+let levels = null;
+let format = null;
+
+const getLevels = () => {
+  if (!levels) {
+    const config = getLoggerConfig();
+    levels = {
+      level: LOG_LEVELS.includes(config.level) ? config.level : 'info',
+      modules: Object.fromEntries(
+        Object.entries(config.modules).filter(([, level]) => LOG_LEVELS.includes(level))
+      ),
+    };
+    format = config.format === 'json' ? 'json' : 'pretty';
+  }
+  return levels;
+};
+
+/**
+ * Find the level that applies to a module
+ * A module without its own level uses its parent's, so "bugController" covers "bugController.export"
+ * @param {string} module - Module name
+ * @returns {string} Level
+ */
+const levelOf = (module) => {
+  const { level, modules } = getLevels();
+  for (let name = module; name; name = name.slice(0, Math.max(name.lastIndexOf('.'), 0))) {
+    if (modules[name]) {
+      return modules[name];
+    }
+  }
+  return level;
+};
+
+// Readable line for development: time, level, module, message, then the fields
+const formatPretty = ({ time, level, module, msg, ...fields }) => {
+  // Stacks read better as they were thrown than as an escaped string
+  const stack = fields.error && fields.error.stack;
+  if (stack) {
+    fields.error = Object.fromEntries(Object.entries(fields.error).filter(([key]) => key !== 'stack'));
+  }
+  const details = Object.keys(fields).length > 0
+    ? ` ${util.inspect(fields, { depth: 5, breakLength: Infinity })}`
+    : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${details}${stack ? `\n${stack}` : ''}`;
+};
+
+/**
+ * Write an event if its module's level lets it through
+ * Fields are redacted like error logs, and errors in them are written with their stack
+ * @param {string} module - Module name
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - What happened
+ * @param {Object} [fields] - Details of the event
+ */
+const write = (module, level, message, fields = {}) => {
+  if (!isLevelEnabled(module, level)) {
+    return;
+  }
+  const entry = { ...redact(fields), time: new Date().toISOString(), level, module, msg: message };
+  const line = format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+  if (level === 'warn' || level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+/**
+ * Check whether a module writes events of a level, to skip building expensive fields
+ * @param {string} module - Module name
+ * @param {string} level - Event level
+ * @returns {boolean} True if the event would be written
+ */
+const isLevelEnabled = (module, level) =>
+  level !== 'silent' && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(levelOf(module));
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name
+ * @returns {Object} Logger with debug, info, warn, error, isLevelEnabled and child
+ */
+const createLogger = (module) => ({
+  module,
+  debug: (message, fields) => write(module, 'debug', message, fields),
+  info: (message, fields) => write(module, 'info', message, fields),
+  warn: (message, fields) => write(module, 'warn', message, fields),
+  error: (message, fields) => write(module, 'error', message, fields),
+  isLevelEnabled: (level) => isLevelEnabled(module, level),
+  // Children of the root logger are named after their module, deeper children "parent.child"
+  child: (name) => createLogger(module === ROOT_MODULE ? name : `${module}.${name}`),
+});
+
+const logger = createLogger(ROOT_MODULE);
+
+/**
+ * Get the default level and the levels set for single modules
+ * @returns {Object} { level, modules }
+ */
+const getLogLevels = () => {
+  const { level, modules } = getLevels();
+  return { level, modules: { ...modules } };
+};
+
+/**
+ * Change a level while the server runs; the change is lost on restart
+ * @param {string} level - New level
+ * @param {string} [module] - Module to change, or the default level when left out
+ * @throws {Error} If the level is unknown
+ */
+const setLogLevel = (level, module = null) => {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Log level must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  const current = getLevels();
+  if (module) {
+    current.modules[module] = level;
+  } else {
+    current.level = level;
+  }
+};
+
+/**
+ * Remove a module's own level so it follows its parent or the default again
+ * @param {string} module - Module name
+ */
+const clearLogLevel = (module) => {
+  delete getLevels().modules[module];
+};
+
+/**
+ * Forget runtime changes and read the levels and format from the environment again
+ */
+const resetLogLevels = () => {
+  levels = null;
+  format = null;
+};
+
+module.exports = {
+  LOG_LEVELS,
+  logger,
+  getLogLevels,
+  setLogLevel,
+  clearLogLevel,
+  resetLogLevels,
+};
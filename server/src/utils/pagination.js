@@ -0,0 +1,114 @@
+// pagination.js - Cursor-based pagination helpers
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse the page size from a query string value
+ * @param {string|number} value - Requested limit
+ * @returns {number|null} Page size clamped to MAX_LIMIT, or null if invalid
+ */
+const parseLimit = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_LIMIT;
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return null;
+  }
+
+  return Math.min(limit, MAX_LIMIT);
+};
+
+/**
+ * Describe a sort specification as a stable string
+ * Used to stop a cursor from one ordering being replayed against another
+ * @param {Array<[string, number]>} sortFields - Ordered [field, direction] pairs
+ * @returns {string} Sort signature
+ */
+const getSortSignature = (sortFields) => {
+  return sortFields.map(([field, direction]) => `${field}:${direction}`).join(',');
+};
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} doc - Last document of the current page
+ * @param {Array<[string, number]>} sortFields - Ordered [field, direction] pairs
+ * @returns {string} Base64url-encoded cursor
+ */
+const encodeCursor = (doc, sortFields) => {
+  const payload = {
+    s: getSortSignature(sortFields),
+    v: sortFields.map(([field]) => (typeof doc.get === 'function' ? doc.get(field) : doc[field])),
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor back into typed sort values
+ * @param {string} cursor - Cursor from a previous response
+ * @param {Array<[string, number]>} sortFields - Ordered [field, direction] pairs
+ * @param {Object} model - Mongoose model used to cast the values (computed fields must be numbers)
+ * @returns {Array|null} Sort values, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor, sortFields, model) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (
+      !payload ||
+      payload.s !== getSortSignature(sortFields) ||
+      !Array.isArray(payload.v) ||
+      payload.v.length !== sortFields.length
+    ) {
+      return null;
+    }
+
+    return sortFields.map(([field], index) => {
+      const schemaType = model.schema.path(field);
+      const value = payload.v[index];
+
+      // Computed fields such as the text search score are plain numbers
+      if (!schemaType) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          throw new Error(`Invalid cursor value for ${field}`);
+        }
+        return value;
+      }
+
+      return schemaType.cast(value);
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a filter matching documents strictly after the cursor position
+ * @param {Array<[string, number]>} sortFields - Ordered [field, direction] pairs
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} MongoDB filter
+ */
+const buildCursorFilter = (sortFields, values) => {
+  const branches = sortFields.map(([field, direction], index) => {
+    const branch = {};
+    for (let i = 0; i < index; i++) {
+      branch[sortFields[i][0]] = values[i];
+    }
+    branch[field] = { [direction === 1 ? '$gt' : '$lt']: values[index] };
+    return branch;
+  });
+
+  return { $or: branches };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+};
@@ -0,0 +1,119 @@
+// permissions.js - Role-based permission checks for bug operations
+
+const { PERMISSIONS } = require('../config/permissions');
+const { getWorkflow } = require('./workflow');
+const { ForbiddenError } = require('./errors');
+
+// Fields covered by the plain edit permissions
+const CONTENT_FIELDS = ['title', 'description', 'labels'];
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @returns {boolean} True if the role is listed for the permission
+ */
+const hasPermission = (user, permission) => {
+  const roles = PERMISSIONS[permission];
+  return Boolean(user && roles && roles.includes(user.role));
+};
+
+/**
+ * Check whether a user reported a bug
+ * @param {Object} user - Authenticated user
+ * @param {Object} bug - Bug document
+ * @returns {boolean} True if the bug was reported by the user
+ */
+const isBugOwner = (user, bug) => {
+  return Boolean(user && bug.reportedBy && bug.reportedBy.toString() === user._id.toString());
+};
+
+/**
+ * Check whether a user can edit the title and description of a bug
+ * Users with 'bug:editOwn' only may edit their own bugs while still in the initial status
+ * @param {Object} user - Authenticated user
+ * @param {Object} bug - Bug document
+ * @returns {boolean} True if the bug's content can be edited
+ */
+const canEditBug = (user, bug) => {
+  if (hasPermission(user, 'bug:edit')) {
+    return true;
+  }
+
+  return (
+    hasPermission(user, 'bug:editOwn') &&
+    isBugOwner(user, bug) &&
+    bug.status === getWorkflow().initialStatus
+  );
+};
+
+/**
+ * Ensure a user may apply an update to a bug
+ * Only fields whose value actually changes are checked, so a form that resends
+ * the current status and priority is not rejected
+ * @param {Object} user - Authenticated user
+ * @param {Object} bug - Existing bug document
+ * @param {Object} updates - Requested changes
+ * @throws {ForbiddenError} If any change is not permitted
+ */
+const assertCanUpdateBug = (user, bug, updates) => {
+  // Compare as strings so ObjectId fields such as assignee match their id strings
+  const changes = (field) =>
+    updates[field] !== undefined && String(updates[field] ?? '') !== String(bug[field] ?? '');
+
+  if (CONTENT_FIELDS.some(changes) && !canEditBug(user, bug)) {
+    throw new ForbiddenError('Not authorized to edit this bug');
+  }
+  if (changes('status') && !hasPermission(user, 'bug:status')) {
+    throw new ForbiddenError('Not authorized to change the status of this bug');
+  }
+  if (changes('priority') && !hasPermission(user, 'bug:priority')) {
+    throw new ForbiddenError('Not authorized to change the priority of this bug');
+  }
+  if (changes('assignee') && !hasPermission(user, 'bug:assign')) {
+    throw new ForbiddenError('Not authorized to assign this bug');
+  }
+};
+
+/**
+ * Check whether a user wrote a comment
+ * @param {Object} user - Authenticated user
+ * @param {Object} comment - Comment document (author may be populated)
+ * @returns {boolean} True if the user is the author
+ */
+const isCommentAuthor = (user, comment) => {
+  const authorId = comment.author?._id || comment.author;
+  return Boolean(user && authorId && authorId.toString() === user._id.toString());
+};
+
+/**
+ * Check whether a user can delete a comment
+ * @param {Object} user - Authenticated user
+ * @param {Object} comment - Comment document
+ * @returns {boolean} True for the author or a moderator
+ */
+const canDeleteComment = (user, comment) => {
+  return isCommentAuthor(user, comment) || hasPermission(user, 'comment:moderate');
+};
+
+/**
+ * Check whether a user can delete an attachment
+ * @param {Object} user - Authenticated user
+ * @param {Object} attachment - Attachment document (uploadedBy may be populated)
+ * @returns {boolean} True for the uploader or a moderator
+ */
+const canDeleteAttachment = (user, attachment) => {
+  const uploaderId = attachment.uploadedBy?._id || attachment.uploadedBy;
+  const isUploader = Boolean(user && uploaderId && uploaderId.toString() === user._id.toString());
+  return isUploader || hasPermission(user, 'attachment:moderate');
+};
+
+module.exports = {
+  hasPermission,
+  isBugOwner,
+  canEditBug,
+  assertCanUpdateBug,
+  isCommentAuthor,
+  canDeleteComment,
+  canDeleteAttachment,
+};
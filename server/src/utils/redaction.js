@@ -0,0 +1,142 @@
+// redaction.js - Remove secrets and personal data before errors are logged or stored
+
+const getRedactionConfig = require('../config/redaction');
+
+const REDACTED = '[REDACTED]';
+
+// Secrets and personal data that can turn up in any string, such as messages, stacks and URLs
+// Order matters: a Bearer JWT is replaced as a whole before the bare JWT pattern sees it
+const STRING_PATTERNS = [
+  [/\bBearer\s+[\w\-.~+/]+=*/gi, `Bearer ${REDACTED}`],
+  // JSON Web Tokens: base64url header and payload, the header always starting with {"
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED],
+  // Credentials in query strings
+  [/([?&;](?:access_token|refresh_token|token|api_key|apikey|key|password|secret)=)[^&#\s'"]+/gi, `$1${REDACTED}`],
+  [/[\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi, REDACTED],
+];
+
+// 13 to 19 digits, optionally grouped with spaces or dashes
+const CARD_NUMBER = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+/**
+ * Check a number with the Luhn checksum every payment card number passes
+ * Keeps timestamps and other long numbers from being taken for card numbers
+ * @param {string} digits - Digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Replace emails, tokens, card numbers and the configured patterns in a string
+ * @param {string} text - Text that may contain secrets
+ * @param {Object} [config] - Redaction config, defaulting to the environment
+ * @returns {string} Redacted text
+ */
+const redactString = (text, config = getRedactionConfig()) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  const redacted = STRING_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  ).replace(CARD_NUMBER, (match) => (passesLuhn(match.replace(/\D/g, '')) ? REDACTED : match));
+  return config.patterns.reduce((result, pattern) => result.replace(pattern, REDACTED), redacted);
+};
+
+/**
+ * Check a field's path against a path pattern
+ * Patterns are dot-separated keys, where * matches any one key and ** any number of keys,
+ * so "**.password" matches a password field at any depth and "request.body.*" every body field
+ * @param {string[]} pattern - Pattern split on dots
+ * @param {string[]} path - Lowercased keys from the root to the field
+ * @returns {boolean} True if the path matches
+ */
+const matchesPath = (pattern, path) => {
+  if (pattern.length === 0) {
+    return path.length === 0;
+  }
+  const [segment, ...rest] = pattern;
+  if (segment === '**') {
+    return matchesPath(rest, path) || (path.length > 0 && matchesPath(pattern, path.slice(1)));
+  }
+  return path.length > 0 && (segment === '*' || segment === path[0]) && matchesPath(rest, path.slice(1));
+};
+
+// Objects whose fields are walked; other objects such as Dates and ObjectIds are kept as they are
+const isPlainObject = (value) => {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Copy a value with its secrets and personal data removed
+ * - headers in the header denylist, under any "headers" field, are replaced
+ * - fields matching a path pattern are replaced whatever their value
+ * - every string has emails, tokens, card numbers and the configured patterns replaced
+ * The value itself is not changed
+ * @param {*} value - Log entry, request details, error report or any other value
+ * @param {Object} [config] - Redaction config, defaulting to the environment
+ * @returns {*} Redacted copy
+ */
+const redact = (value, config = getRedactionConfig()) => {
+  const paths = config.paths.map((pattern) => pattern.toLowerCase().split('.'));
+  const headers = new Set(config.headers.map((header) => header.toLowerCase()));
+  // Objects being walked, so a circular reference is cut instead of recursing forever
+  const ancestors = new Set();
+
+  const walk = (current, path) => {
+    if (typeof current === 'string') {
+      return redactString(current, config);
+    }
+    if (!current || typeof current !== 'object') {
+      return current;
+    }
+    if (ancestors.has(current)) {
+      return '[Circular]';
+    }
+
+    let fields;
+    if (Array.isArray(current)) {
+      fields = current.map((item, index) => [String(index), item]);
+    } else if (current instanceof Error) {
+      fields = [['name', current.name], ['message', current.message], ['stack', current.stack]];
+    } else if (isPlainObject(current)) {
+      fields = Object.entries(current);
+    } else {
+      return current;
+    }
+
+    ancestors.add(current);
+    const inHeaders = path.length > 0 && path[path.length - 1] === 'headers';
+    const copy = fields.map(([key, field]) => {
+      const fieldPath = [...path, key.toLowerCase()];
+      const denied = (inHeaders && headers.has(key.toLowerCase())) ||
+        paths.some((pattern) => matchesPath(pattern, fieldPath));
+      return [key, denied && field !== undefined ? REDACTED : walk(field, fieldPath)];
+    });
+    ancestors.delete(current);
+
+    return Array.isArray(current) ? copy.map(([, field]) => field) : Object.fromEntries(copy);
+  };
+
+  return walk(value, []);
+};
+
+module.exports = {
+  REDACTED,
+  redactString,
+  redact,
+};
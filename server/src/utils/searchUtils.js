@@ -0,0 +1,115 @@
+// searchUtils.js - Full-text search helpers
+
+const DEFAULT_SNIPPET_LENGTH = 160;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extract the terms to highlight from a search query
+ * Negated terms ("-foo") are dropped since they never appear in results
+ * @param {string} q - Search query as sent by the client
+ * @returns {string[]} Unique lower-case terms
+ */
+const getSearchTerms = (q) => {
+  if (!q || typeof q !== 'string') {
+    return [];
+  }
+
+  const terms = q
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.replace(/^"+|"+$/g, '').toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Split text into plain and highlighted segments around matching words
+ * A term matches any word that starts with it, so "crash" also marks "crashes"
+ * @param {string} text - Text to search
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @returns {Array<{text: string, highlight: boolean}>} Segments in order
+ */
+const highlightText = (text, terms) => {
+  if (!text) {
+    return [];
+  }
+  if (terms.length === 0) {
+    return [{ text, highlight: false }];
+  }
+
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+  const segments = [];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), highlight: false });
+    }
+    segments.push({ text: match[0], highlight: true });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), highlight: false });
+  }
+
+  return segments;
+};
+
+/**
+ * Build a highlighted snippet centred on the first match in the text
+ * @param {string} text - Text to search
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @param {number} maxLength - Maximum snippet length in characters
+ * @returns {Array<{text: string, highlight: boolean}>} Snippet segments
+ */
+const buildSnippet = (text, terms, maxLength = DEFAULT_SNIPPET_LENGTH) => {
+  if (!text) {
+    return [];
+  }
+  if (text.length <= maxLength) {
+    return highlightText(text, terms);
+  }
+
+  const segments = highlightText(text, terms);
+  const firstMatch = segments.findIndex((segment) => segment.highlight);
+  let start = 0;
+
+  if (firstMatch !== -1) {
+    const offset = segments
+      .slice(0, firstMatch)
+      .reduce((length, segment) => length + segment.text.length, 0);
+    start = Math.max(0, Math.min(offset - Math.floor(maxLength / 4), text.length - maxLength));
+  }
+
+  const end = start + maxLength;
+  const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  return highlightText(snippet, terms);
+};
+
+/**
+ * Build highlighted title and description snippets for a search result
+ * @param {Object} bug - Bug document or plain object
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @returns {Object} { title, description } segment arrays
+ */
+const buildHighlights = (bug, terms) => ({
+  title: highlightText(bug.title, terms),
+  description: buildSnippet(bug.description, terms),
+});
+
+module.exports = {
+  getSearchTerms,
+  highlightText,
+  buildSnippet,
+  buildHighlights,
+};
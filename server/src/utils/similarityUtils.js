@@ -0,0 +1,117 @@
+// similarityUtils.js - Trigram similarity scoring for duplicate bug detection
+
+// Lowest score reported as a likely duplicate, and the most suggestions returned
+const SIMILARITY_THRESHOLD = 0.3;
+const MAX_SIMILAR_BUGS = 5;
+
+// Bugs fetched from the text index before they are scored
+const SIMILAR_CANDIDATES = 50;
+
+// Share of the score that comes from the title when both bugs have a description
+const TITLE_WEIGHT = 0.7;
+
+// Words sent to the text index; shorter words are mostly noise
+const MIN_TERM_LENGTH = 3;
+const MAX_TERMS = 30;
+
+/**
+ * Lowercase text and replace everything but letters and digits with single spaces
+ * @param {string} text - Raw text
+ * @returns {string} Normalised text
+ */
+const normalizeText = (text) =>
+  typeof text === 'string' ? text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim() : '';
+
+/**
+ * Get the character trigrams of a text, padding each word like PostgreSQL's pg_trgm
+ * @param {string} text - Raw text
+ * @returns {Set<string>} Trigrams
+ */
+const getTrigrams = (text) => {
+  const trigrams = new Set();
+  normalizeText(text)
+    .split(' ')
+    .filter(Boolean)
+    .forEach((word) => {
+      const padded = `  ${word} `;
+      for (let index = 0; index < padded.length - 2; index += 1) {
+        trigrams.add(padded.slice(index, index + 3));
+      }
+    });
+  return trigrams;
+};
+
+/**
+ * Measure how alike two texts are by the trigrams they share (Jaccard index)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} 0 (nothing shared) to 1 (same words)
+ */
+const trigramSimilarity = (a, b) => {
+  const first = getTrigrams(a);
+  const second = getTrigrams(b);
+  if (first.size === 0 || second.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  first.forEach((trigram) => {
+    if (second.has(trigram)) {
+      shared += 1;
+    }
+  });
+  return shared / (first.size + second.size - shared);
+};
+
+/**
+ * Score how likely a bug is a duplicate of a new report
+ * Titles decide most of the score; descriptions only count when both bugs have one
+ * @param {Object} report - { title, description } of the new report
+ * @param {Object} bug - Existing bug
+ * @returns {number} 0 to 1
+ */
+const scoreSimilarity = (report, bug) => {
+  const titleScore = trigramSimilarity(report.title, bug.title);
+  if (!normalizeText(report.description) || !normalizeText(bug.description)) {
+    return titleScore;
+  }
+  return TITLE_WEIGHT * titleScore + (1 - TITLE_WEIGHT) * trigramSimilarity(report.description, bug.description);
+};
+
+/**
+ * Build the $text search that finds candidate duplicates of a report
+ * @param {Object} report - { title, description }
+ * @returns {string} Space-separated terms (the text index matches any of them), or '' if none
+ */
+const getSimilarityTerms = (report) => {
+  const words = normalizeText(`${report.title || ''} ${report.description || ''}`)
+    .split(' ')
+    .filter((word) => word.length >= MIN_TERM_LENGTH);
+  return [...new Set(words)].slice(0, MAX_TERMS).join(' ');
+};
+
+/**
+ * Score candidates against a report and keep the likely duplicates
+ * @param {Object} report - { title, description }
+ * @param {Array<Object>} candidates - Bugs found by the text index
+ * @param {Object} [options] - { threshold, limit }
+ * @returns {Array<Object>} Candidates with a similarity field, most similar first
+ */
+const rankSimilarBugs = (report, candidates, { threshold = SIMILARITY_THRESHOLD, limit = MAX_SIMILAR_BUGS } = {}) =>
+  candidates
+    .map((bug) => ({ ...bug, similarity: Math.round(scoreSimilarity(report, bug) * 100) / 100 }))
+    .filter((bug) => bug.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  MAX_SIMILAR_BUGS,
+  SIMILAR_CANDIDATES,
+  normalizeText,
+  getTrigrams,
+  trigramSimilarity,
+  scoreSimilarity,
+  getSimilarityTerms,
+  rankSimilarBugs,
+};
@@ -0,0 +1,162 @@
+// statsUtils.js - Date range and series helpers for bug statistics
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days covered by GET /api/bugs/stats when no range is given, and the longest range allowed
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Number of open critical bugs listed, oldest first
+const OLDEST_CRITICAL_LIMIT = 5;
+
+// Matches the YYYY-MM-DD day keys produced by $dateToString
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Format a date as a UTC day key
+ * @param {Date} date - Date to format
+ * @returns {string} Day as YYYY-MM-DD
+ */
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Parse a YYYY-MM-DD query value as the start of that UTC day
+ * @param {string} value - Day string
+ * @returns {Date|null} Start of the day, or null if the value is not a real day
+ */
+const parseDay = (value) => {
+  if (typeof value !== 'string' || !DAY_PATTERN.test(value)) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !isNaN(date.getTime()) && toDayKey(date) === value ? date : null;
+};
+
+/**
+ * Parse the ?from= and ?to= days of a stats request
+ * Both days are inclusive; missing values default to the DEFAULT_RANGE_DAYS ending today (UTC)
+ * @param {Object} query - Request query
+ * @param {Date} [now] - Current time
+ * @returns {Object} { from, to, days } with from/to as day starts, or { error } if invalid
+ */
+const parseStatsRange = (query = {}, now = new Date()) => {
+  const { from: rawFrom, to: rawTo } = query;
+
+  const to = rawTo === undefined ? parseDay(toDayKey(now)) : parseDay(rawTo);
+  if (!to) {
+    return { error: 'to must be a date in YYYY-MM-DD format' };
+  }
+
+  const from = rawFrom === undefined
+    ? new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS)
+    : parseDay(rawFrom);
+  if (!from) {
+    return { error: 'from must be a date in YYYY-MM-DD format' };
+  }
+
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+
+  const days = Math.round((to - from) / DAY_MS) + 1;
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `The date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from, to, days };
+};
+
+/**
+ * Get the exclusive upper bound of a range whose last day is `to`
+ * @param {Date} to - Start of the last day
+ * @returns {Date} Start of the following day
+ */
+const getRangeEnd = (to) => new Date(to.getTime() + DAY_MS);
+
+/**
+ * Merge per-day counts into one entry per day of the range
+ * Days without any bugs are included with zero counts so charts have no gaps
+ * @param {Date} from - Start of the first day
+ * @param {number} days - Number of days in the range
+ * @param {Object<string, Array<{_id: string, count: number}>>} series - Aggregation rows keyed by series name
+ * @returns {Array<Object>} [{ date, [seriesName]: count }] in date order
+ */
+const buildDailySeries = (from, days, series) => {
+  const counts = Object.fromEntries(
+    Object.entries(series).map(([name, rows]) => [
+      name,
+      new Map(rows.map((row) => [row._id, row.count])),
+    ])
+  );
+
+  return Array.from({ length: days }, (_, index) => {
+    const date = toDayKey(new Date(from.getTime() + index * DAY_MS));
+    const entry = { date };
+    Object.keys(counts).forEach((name) => {
+      entry[name] = counts[name].get(date) || 0;
+    });
+    return entry;
+  });
+};
+
+/**
+ * Turn status/priority aggregation rows into a full matrix
+ * Every status and priority is present, with 0 for combinations that have no bugs
+ * @param {Array<{_id: {status: string, priority: string}, count: number}>} rows - Aggregation rows
+ * @param {string[]} statuses - Statuses in workflow order
+ * @param {string[]} priorities - Priorities from lowest to highest
+ * @returns {Object} { statuses, priorities, counts: { [status]: { [priority]: count } }, total }
+ */
+const buildStatusPriorityMatrix = (rows, statuses, priorities) => {
+  const counts = Object.fromEntries(
+    statuses.map((status) => [status, Object.fromEntries(priorities.map((priority) => [priority, 0]))])
+  );
+  let total = 0;
+
+  rows.forEach(({ _id: { status, priority }, count }) => {
+    // Bugs stored under a status removed from the workflow are still counted in the total
+    if (counts[status] && counts[status][priority] !== undefined) {
+      counts[status][priority] = count;
+    }
+    total += count;
+  });
+
+  return { statuses, priorities, counts, total };
+};
+
+/**
+ * Get the cycle-time metrics of one bug
+ * Lead time runs from report to resolution, cycle time from the start of work to resolution;
+ * both are null until the bug is resolved
+ * @param {Object} bug - Bug with createdAt, inProgressAt, resolvedAt and reopenCount
+ * @param {Date} [now] - Current time
+ * @returns {Object} { leadTimeMs, cycleTimeMs, timeToStartMs, openForMs, reopenCount }
+ */
+const getCycleTimes = (bug, now = new Date()) => {
+  const createdAt = new Date(bug.createdAt);
+  const inProgressAt = bug.inProgressAt ? new Date(bug.inProgressAt) : null;
+  const resolvedAt = bug.resolvedAt ? new Date(bug.resolvedAt) : null;
+
+  return {
+    leadTimeMs: resolvedAt ? resolvedAt - createdAt : null,
+    cycleTimeMs: resolvedAt && inProgressAt && inProgressAt <= resolvedAt ? resolvedAt - inProgressAt : null,
+    timeToStartMs: inProgressAt ? inProgressAt - createdAt : null,
+    openForMs: resolvedAt ? null : now - createdAt,
+    reopenCount: bug.reopenCount || 0,
+  };
+};
+
+module.exports = {
+  DAY_MS,
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  OLDEST_CRITICAL_LIMIT,
+  toDayKey,
+  parseDay,
+  parseStatsRange,
+  getRangeEnd,
+  buildDailySeries,
+  buildStatusPriorityMatrix,
+  getCycleTimes,
+};
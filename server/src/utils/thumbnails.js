@@ -0,0 +1,70 @@
+// thumbnails.js - Image checks and thumbnail generation for attachments
+
+const sharp = require('sharp');
+const { UnsupportedMediaTypeError } = require('./errors');
+
+// Longest edge of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_TYPE = 'image/webp';
+
+// Image MIME types mapped to the format sharp reports for them
+const IMAGE_FORMATS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+/**
+ * Check whether a content type is an image we can thumbnail
+ * @param {string} contentType - MIME type
+ * @returns {boolean} True for supported image types
+ */
+const isImageType = (contentType) => {
+  return Object.prototype.hasOwnProperty.call(IMAGE_FORMATS, contentType);
+};
+
+/**
+ * Read an image's dimensions, making sure its contents match its declared type
+ * so a renamed file can't be stored and served as an image
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - Declared MIME type
+ * @returns {Promise<{width: number, height: number}>} Image dimensions
+ * @throws {UnsupportedMediaTypeError} If the contents are not an image of that type
+ */
+const inspectImage = async (buffer, contentType) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new UnsupportedMediaTypeError(`File contents are not a valid ${contentType} image`);
+  }
+
+  if (metadata.format !== IMAGE_FORMATS[contentType]) {
+    throw new UnsupportedMediaTypeError(`File contents are not a valid ${contentType} image`);
+  }
+
+  return { width: metadata.width, height: metadata.height };
+};
+
+/**
+ * Create a thumbnail that fits in THUMBNAIL_SIZE x THUMBNAIL_SIZE
+ * Images are rotated by their EXIF orientation and never enlarged
+ * @param {Buffer} buffer - Image contents
+ * @returns {Promise<Buffer>} WebP thumbnail
+ */
+const createThumbnail = (buffer) => {
+  return sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+};
+
+module.exports = {
+  THUMBNAIL_SIZE,
+  THUMBNAIL_TYPE,
+  isImageType,
+  inspectImage,
+  createThumbnail,
+};
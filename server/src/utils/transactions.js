@@ -0,0 +1,63 @@
+// transactions.js - Run multi-document writes in a transaction when MongoDB supports it
+
+const mongoose = require('mongoose');
+
+// Cached per database handle, so a reconnect to a different server is checked again
+const supportCache = new WeakMap();
+
+/**
+ * Check whether the connected deployment supports transactions
+ * Transactions need a replica set or a sharded cluster; a standalone server does not have them
+ * @param {Object} connection - Mongoose connection
+ * @returns {Promise<boolean>} True if sessions can run transactions
+ */
+const supportsTransactions = async (connection = mongoose.connection) => {
+  const { db } = connection;
+  if (!db) {
+    return false;
+  }
+  if (supportCache.has(db)) {
+    return supportCache.get(db);
+  }
+
+  let supported = false;
+  try {
+    const hello = await db.admin().command({ hello: 1 });
+    supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  } catch (error) {
+    supported = false;
+  }
+
+  supportCache.set(db, supported);
+  return supported;
+};
+
+/**
+ * Run work inside a transaction if the deployment supports one, otherwise without a session
+ * work may be called more than once when a transaction is retried, so it must not
+ * keep state from a previous attempt
+ * @param {Function} work - async (session) => result; session is null without a transaction
+ * @param {Object} connection - Mongoose connection
+ * @returns {Promise<Object>} { result, transaction } - transaction is true if one was used
+ */
+const runInTransaction = async (work, connection = mongoose.connection) => {
+  if (!(await supportsTransactions(connection))) {
+    return { result: await work(null), transaction: false };
+  }
+
+  const session = await connection.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return { result, transaction: true };
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  supportsTransactions,
+  runInTransaction,
+};
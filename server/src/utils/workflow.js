@@ -0,0 +1,141 @@
+// workflow.js - Bug status workflow loader
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WORKFLOW_PATH = path.join(__dirname, '../config/workflow.json');
+
+// Statuses that stats and status timestamps depend on, and the names used when a workflow leaves them out
+const DEFAULT_STATUS_NAMES = {
+  inProgressStatus: 'in-progress',
+  resolvedStatus: 'resolved',
+};
+
+/**
+ * Validate a workflow definition
+ * @param {Object} definition - Parsed workflow JSON
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+const validateWorkflow = (definition) => {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return { valid: false, errors: ['Workflow definition must be an object'] };
+  }
+
+  const { initialStatus, statuses, transitions } = definition;
+
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    errors.push('Workflow must define a non-empty statuses array');
+    return { valid: false, errors };
+  }
+
+  if (!statuses.includes(initialStatus)) {
+    errors.push(`Initial status "${initialStatus}" is not a defined status`);
+  }
+
+  Object.entries(DEFAULT_STATUS_NAMES).forEach(([key, fallback]) => {
+    const status = definition[key] || fallback;
+    if (!statuses.includes(status)) {
+      errors.push(`${key} "${status}" is not a defined status`);
+    }
+  });
+
+  if (!transitions || typeof transitions !== 'object') {
+    errors.push('Workflow must define a transitions object');
+    return { valid: false, errors };
+  }
+
+  Object.entries(transitions).forEach(([from, targets]) => {
+    if (!statuses.includes(from)) {
+      errors.push(`Transition source "${from}" is not a defined status`);
+    }
+    if (!Array.isArray(targets)) {
+      errors.push(`Transitions for "${from}" must be an array`);
+      return;
+    }
+    targets.forEach((to) => {
+      if (!statuses.includes(to)) {
+        errors.push(`Transition target "${to}" (from "${from}") is not a defined status`);
+      }
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Load a workflow definition from a JSON file
+ * @param {string} filePath - Path to the workflow JSON file
+ * @returns {Object} Validated workflow definition
+ */
+const loadWorkflow = (filePath = DEFAULT_WORKFLOW_PATH) => {
+  const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const { valid, errors } = validateWorkflow(definition);
+
+  if (!valid) {
+    throw new Error(`Invalid workflow definition in ${filePath}: ${errors.join(', ')}`);
+  }
+
+  return definition;
+};
+
+// Active workflow - BUG_WORKFLOW_PATH lets a deployment supply its own states
+let activeWorkflow = loadWorkflow(process.env.BUG_WORKFLOW_PATH || DEFAULT_WORKFLOW_PATH);
+
+/**
+ * Get the active workflow definition
+ * @returns {Object} Workflow definition
+ */
+const getWorkflow = () => activeWorkflow;
+
+/**
+ * Get the status bugs are worked on in; entering it sets inProgressAt
+ * @returns {string} Status name
+ */
+const getInProgressStatus = () => activeWorkflow.inProgressStatus || DEFAULT_STATUS_NAMES.inProgressStatus;
+
+/**
+ * Get the status whose bugs count as done; entering it sets resolvedAt and leaving it reopens the bug
+ * @returns {string} Status name
+ */
+const getResolvedStatus = () => activeWorkflow.resolvedStatus || DEFAULT_STATUS_NAMES.resolvedStatus;
+
+/**
+ * Replace the active workflow (used by tests and runtime reconfiguration)
+ * @param {Object} definition - Workflow definition
+ * @returns {Object} The new active workflow
+ */
+const setWorkflow = (definition) => {
+  const { valid, errors } = validateWorkflow(definition);
+
+  if (!valid) {
+    throw new Error(`Invalid workflow definition: ${errors.join(', ')}`);
+  }
+
+  activeWorkflow = definition;
+  return activeWorkflow;
+};
+
+/**
+ * Restore the workflow configured for this process
+ * @returns {Object} The restored workflow
+ */
+const resetWorkflow = () => {
+  activeWorkflow = loadWorkflow(process.env.BUG_WORKFLOW_PATH || DEFAULT_WORKFLOW_PATH);
+  return activeWorkflow;
+};
+
+module.exports = {
+  DEFAULT_WORKFLOW_PATH,
+  validateWorkflow,
+  loadWorkflow,
+  getWorkflow,
+  getInProgressStatus,
+  getResolvedStatus,
+  setWorkflow,
+  resetWorkflow,
+};
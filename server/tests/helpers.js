@@ -0,0 +1,31 @@
+// helpers.js - Shared helpers for the server integration tests
+
+const User = require('../src/models/User');
+
+/**
+ * Build an Authorization header value that authenticates as a user
+ * @param {Object} user - User document
+ * @returns {string} Bearer header value
+ */
+const authHeader = (user) => `Bearer ${user.generateAccessToken()}`;
+
+/**
+ * Create a user with a role, named after the role unless overridden
+ * e.g. createUser('admin') creates "Admin" <admin@example.com>
+ * @param {string} role - Role from config/permissions.js
+ * @param {Object} [overrides] - Fields to use instead of the defaults
+ * @returns {Promise<Object>} Created user
+ */
+const createUser = (role, overrides = {}) =>
+  User.create({
+    name: role.charAt(0).toUpperCase() + role.slice(1),
+    email: `${role}@example.com`,
+    password: 'password123',
+    role,
+    ...overrides,
+  });
+
+module.exports = {
+  authHeader,
+  createUser,
+};
@@ -0,0 +1,288 @@
+// attachments.test.js - Integration tests for bug attachment endpoints
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Attachment = require('../../src/models/Attachment');
+const User = require('../../src/models/User');
+const createLocalStorage = require('../../src/storage/localStorage');
+const { setStorage } = require('../../src/storage');
+const { purgeTrash } = require('../../src/jobs/purgeTrash');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let uploadDir;
+let admin;
+let reporter;
+let developer;
+let bug;
+let png;
+
+// Setup in-memory MongoDB server and a scratch upload directory before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+  setStorage(createLocalStorage({ uploadDir }));
+  png = await sharp({
+    create: { width: 800, height: 600, channels: 3, background: { r: 0, g: 120, b: 200 } },
+  }).png().toBuffer();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  setStorage(null);
+  await fs.promises.rm(uploadDir, { recursive: true, force: true });
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await createUser('admin');
+  reporter = await createUser('reporter');
+  developer = await createUser('developer');
+  bug = await Bug.create({
+    title: 'Broken layout',
+    description: 'See screenshot',
+    reporter: reporter.name,
+    reportedBy: reporter._id,
+  });
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Attachment.deleteMany({});
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+});
+
+const attachmentsUrl = () => `/api/bugs/${bug._id}/attachments`;
+
+const upload = (user, files) => {
+  let req = request(app).post(attachmentsUrl()).set('Authorization', authHeader(user));
+  files.forEach(({ buffer, filename, contentType }) => {
+    req = req.attach('files', buffer, { filename, contentType });
+  });
+  return req;
+};
+
+const uploadScreenshot = (user = reporter) =>
+  upload(user, [{ buffer: png, filename: 'screenshot.png', contentType: 'image/png' }]);
+
+// Read a binary response body into a Buffer
+const binary = (req) =>
+  req.buffer(true).parse((res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  });
+
+describe('POST /api/bugs/:id/attachments', () => {
+  it('should store files and thumbnail images', async () => {
+    const res = await upload(reporter, [
+      { buffer: png, filename: 'screenshot.png', contentType: 'image/png' },
+      { buffer: Buffer.from('TypeError at line 3'), filename: 'console.txt', contentType: 'text/plain' },
+    ]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.count).toBe(2);
+
+    const [image, log] = res.body.data;
+    expect(image).toMatchObject({
+      filename: 'screenshot.png',
+      contentType: 'image/png',
+      size: png.length,
+      width: 800,
+      height: 600,
+      hasThumbnail: true,
+    });
+    expect(image.uploadedBy.name).toBe('Reporter');
+    expect(image).not.toHaveProperty('storageKey');
+    expect(log).toMatchObject({ filename: 'console.txt', hasThumbnail: false, width: null });
+  });
+
+  it('should reject a disallowed type with 415 and store nothing', async () => {
+    const res = await upload(reporter, [
+      { buffer: Buffer.from('<script></script>'), filename: 'x.html', contentType: 'text/html' },
+    ]);
+
+    expect(res.status).toBe(415);
+    expect(res.body.success).toBe(false);
+    expect(await Attachment.countDocuments()).toBe(0);
+  });
+
+  it('should reject a file that is not really an image with 415', async () => {
+    const res = await upload(reporter, [
+      { buffer: Buffer.from('not a png'), filename: 'fake.png', contentType: 'image/png' },
+    ]);
+
+    expect(res.status).toBe(415);
+    expect(await Attachment.countDocuments()).toBe(0);
+  });
+
+  it('should reject files over the size limit with 413', async () => {
+    process.env.ATTACHMENT_MAX_SIZE_MB = '0.01';
+    try {
+      const res = await upload(reporter, [
+        { buffer: Buffer.alloc(20000, 'a'), filename: 'big.txt', contentType: 'text/plain' },
+      ]);
+
+      expect(res.status).toBe(413);
+      expect(await Attachment.countDocuments()).toBe(0);
+    } finally {
+      delete process.env.ATTACHMENT_MAX_SIZE_MB;
+    }
+  });
+
+  it('should return 400 when no files are sent', async () => {
+    const res = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader(reporter))
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('No files uploaded');
+  });
+
+  it('should return 404 for a trashed bug', async () => {
+    await Bug.findByIdAndUpdate(bug._id, { deletedAt: new Date() });
+
+    const res = await uploadScreenshot();
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).post(attachmentsUrl());
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/bugs/:id/attachments', () => {
+  it('should list attachments oldest first', async () => {
+    await uploadScreenshot();
+    await upload(developer, [
+      { buffer: Buffer.from('{}'), filename: 'state.json', contentType: 'application/json' },
+    ]);
+
+    const res = await request(app).get(attachmentsUrl()).set('Authorization', authHeader(developer));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((a) => a.filename)).toEqual(['screenshot.png', 'state.json']);
+  });
+});
+
+describe('GET /api/bugs/:id/attachments/:attachmentId', () => {
+  it('should download the original file', async () => {
+    const uploaded = await uploadScreenshot();
+    const id = uploaded.body.data[0]._id;
+
+    const res = await binary(
+      request(app).get(`${attachmentsUrl()}/${id}`).set('Authorization', authHeader(developer))
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['content-disposition']).toMatch(/^inline; filename="screenshot.png"/);
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+    expect(Buffer.compare(res.body, png)).toBe(0);
+  });
+
+  it('should send other files as downloads', async () => {
+    const uploaded = await upload(reporter, [
+      { buffer: Buffer.from('log'), filename: 'console.txt', contentType: 'text/plain' },
+    ]);
+
+    const res = await request(app)
+      .get(`${attachmentsUrl()}/${uploaded.body.data[0]._id}`)
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.headers['content-disposition']).toMatch(/^attachment;/);
+  });
+
+  it('should serve a WebP thumbnail for images', async () => {
+    const uploaded = await uploadScreenshot();
+
+    const res = await binary(
+      request(app)
+        .get(`${attachmentsUrl()}/${uploaded.body.data[0]._id}/thumbnail`)
+        .set('Authorization', authHeader(reporter))
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/webp');
+    const metadata = await sharp(res.body).metadata();
+    expect(metadata.width).toBe(320);
+  });
+
+  it('should return 404 for an attachment of another bug', async () => {
+    const uploaded = await uploadScreenshot();
+    const otherBug = await Bug.create({
+      title: 'Other',
+      description: 'Other bug',
+      reporter: reporter.name,
+      reportedBy: reporter._id,
+    });
+
+    const res = await request(app)
+      .get(`/api/bugs/${otherBug._id}/attachments/${uploaded.body.data[0]._id}`)
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Attachment not found');
+  });
+});
+
+describe('DELETE /api/bugs/:id/attachments/:attachmentId', () => {
+  it('should let the uploader delete an attachment and its files', async () => {
+    const uploaded = await uploadScreenshot();
+    const id = uploaded.body.data[0]._id;
+
+    const res = await request(app)
+      .delete(`${attachmentsUrl()}/${id}`)
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(200);
+    expect(await Attachment.findById(id)).toBeNull();
+    expect(fs.readdirSync(path.join(uploadDir, bug._id.toString()))).toEqual([]);
+  });
+
+  it("should return 403 for another user's attachment", async () => {
+    const uploaded = await uploadScreenshot();
+
+    const res = await request(app)
+      .delete(`${attachmentsUrl()}/${uploaded.body.data[0]._id}`)
+      .set('Authorization', authHeader(developer));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should let an admin delete any attachment', async () => {
+    const uploaded = await uploadScreenshot();
+
+    const res = await request(app)
+      .delete(`${attachmentsUrl()}/${uploaded.body.data[0]._id}`)
+      .set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('purgeTrash', () => {
+  it('should remove the attachments of purged bugs', async () => {
+    await uploadScreenshot();
+    await Bug.findByIdAndUpdate(bug._id, { deletedAt: new Date('2020-01-01') });
+
+    await purgeTrash({ retentionDays: 1 });
+
+    expect(await Attachment.countDocuments()).toBe(0);
+    expect(fs.readdirSync(path.join(uploadDir, bug._id.toString()))).toEqual([]);
+  });
+});
@@ -0,0 +1,213 @@
+// auth.test.js - Integration tests for authentication endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+
+let mongoServer;
+
+const validUser = {
+  name: 'Jane Developer',
+  email: 'jane@example.com',
+  password: 'correct-horse',
+};
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await User.init(); // Build the unique email index
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await User.deleteMany({});
+});
+
+describe('POST /api/auth/register', () => {
+  it('should create a user and return a token pair', async () => {
+    const res = await request(app).post('/api/auth/register').send(validUser);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toHaveProperty('success', true);
+    expect(res.body.data.user).toMatchObject({ name: validUser.name, email: validUser.email });
+    expect(res.body.data.accessToken).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).toEqual(expect.any(String));
+  });
+
+  it('should give new users the reporter role', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ ...validUser, role: 'admin' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.user.role).toBe('reporter');
+  });
+
+  it('should never return the password hash', async () => {
+    const res = await request(app).post('/api/auth/register').send(validUser);
+
+    expect(res.body.data.user).not.toHaveProperty('password');
+    expect(res.body.data.user).not.toHaveProperty('tokenVersion');
+  });
+
+  it('should store a hashed password', async () => {
+    await request(app).post('/api/auth/register').send(validUser);
+
+    const user = await User.findOne({ email: validUser.email }).select('+password');
+    expect(user.password).not.toBe(validUser.password);
+    expect(await user.matchPassword(validUser.password)).toBe(true);
+  });
+
+  it('should return 400 for a duplicate email', async () => {
+    await request(app).post('/api/auth/register').send(validUser);
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ ...validUser, email: 'JANE@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Email is already registered');
+  });
+
+  it('should return 400 for a short password', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ ...validUser, password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('Password must be at least 8 characters');
+  });
+
+  it('should return 400 for an invalid email', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ ...validUser, email: 'not-an-email' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('Please provide a valid email');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  beforeEach(async () => {
+    await User.create(validUser);
+  });
+
+  it('should return a token pair for valid credentials', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: validUser.email, password: validUser.password });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe(validUser.email);
+    expect(res.body.data.accessToken).toEqual(expect.any(String));
+  });
+
+  it('should accept the email in any case', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'Jane@Example.com', password: validUser.password });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 401 for a wrong password', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: validUser.email, password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid email or password');
+  });
+
+  it('should return the same 401 for an unknown email', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: validUser.password });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid email or password');
+  });
+
+  it('should return 400 when credentials are missing', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: validUser.email });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Email and password are required');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('should exchange a refresh token for a new token pair', async () => {
+    const register = await request(app).post('/api/auth/register').send(validUser);
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: register.body.data.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.accessToken).toEqual(expect.any(String));
+  });
+
+  it('should return 401 for an access token', async () => {
+    const register = await request(app).post('/api/auth/register').send(validUser);
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: register.body.data.accessToken });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 without a refresh token', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Refresh token is required');
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('should revoke refresh tokens issued before logout', async () => {
+    const register = await request(app).post('/api/auth/register').send(validUser);
+    const { accessToken, refreshToken } = register.body.data;
+
+    const logout = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(logout.status).toBe(200);
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Refresh token has been revoked');
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).post('/api/auth/logout');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/auth/me', () => {
+  it('should return the logged-in user', async () => {
+    const register = await request(app).post('/api/auth/register').send(validUser);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${register.body.data.accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.email).toBe(validUser.email);
+  });
+});
@@ -5,9 +5,14 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const { setWorkflow, resetWorkflow } = require('../../src/utils/workflow');
+const { authHeader, createUser } = require('../helpers');
 
 let mongoServer;
 let testBugId;
+let testUser;
+let api; // supertest agent that sends the test user's access token
 
 // Helper function to verify test data is ready
 const verifyTestData = async () => {
@@ -46,6 +51,11 @@ beforeAll(async () => {
     }
     console.log('Database connection verified - readyState:', mongoose.connection.readyState);
 
+    // Create the authenticated user every bug request is made as
+    // Admin so the general API tests are not limited by role permissions
+    testUser = await createUser('admin', { name: 'Test Reporter', email: 'reporter@example.com' });
+    api = request.agent(app).set('Authorization', authHeader(testUser));
+
     // Step 3: Create a test bug with error handling
     console.log('Creating test bug...');
     const bug = await Bug.create({
@@ -259,7 +269,7 @@ afterEach(async () => {
 describe('GET /api/bugs', () => {
   describe('Positive Test Cases', () => {
     it('should return all bugs with correct response structure', async () => {
-      const res = await request(app).get('/api/bugs');
+      const res = await api.get('/api/bugs');
 
       expect(res.status).toBe(200);
       expect(res.body).toHaveProperty('success', true);
@@ -270,7 +280,7 @@ describe('GET /api/bugs', () => {
     });
 
     it('should return bugs with all required fields', async () => {
-      const res = await request(app).get('/api/bugs');
+      const res = await api.get('/api/bugs');
 
       expect(res.status).toBe(200);
       expect(res.body.data.length).toBeGreaterThan(0);
@@ -290,7 +300,7 @@ describe('GET /api/bugs', () => {
       // Delete all bugs
       await Bug.deleteMany({});
 
-      const res = await request(app).get('/api/bugs');
+      const res = await api.get('/api/bugs');
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -324,7 +334,7 @@ describe('GET /api/bugs', () => {
         reporter: 'Reporter 3',
       });
 
-      const res = await request(app).get('/api/bugs?status=open');
+      const res = await api.get('/api/bugs?status=open');
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -352,7 +362,7 @@ describe('GET /api/bugs', () => {
         reporter: 'Reporter 2',
       });
 
-      const res = await request(app).get('/api/bugs?priority=high');
+      const res = await api.get('/api/bugs?priority=high');
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -371,7 +381,7 @@ describe('GET /api/bugs', () => {
         reporter: 'Reporter 1',
       });
 
-      const res = await request(app).get('/api/bugs?status=in-progress&priority=critical');
+      const res = await api.get('/api/bugs?status=in-progress&priority=critical');
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -397,7 +407,7 @@ describe('GET /api/bugs', () => {
         reporter: 'Reporter 2',
       });
 
-      const res = await request(app).get('/api/bugs');
+      const res = await api.get('/api/bugs');
 
       expect(res.status).toBe(200);
       expect(res.body.data.length).toBeGreaterThanOrEqual(2);
@@ -423,7 +433,7 @@ describe('GET /api/bugs', () => {
         reporter: 'Reporter 2',
       });
 
-      const res = await request(app).get('/api/bugs?sort=oldest');
+      const res = await api.get('/api/bugs?sort=oldest');
 
       expect(res.status).toBe(200);
       expect(res.body.data.length).toBeGreaterThanOrEqual(2);
@@ -447,7 +457,7 @@ describe('GET /api/bugs', () => {
 
   describe('Edge Cases', () => {
     it('should handle invalid status filter gracefully', async () => {
-      const res = await request(app).get('/api/bugs?status=invalid-status');
+      const res = await api.get('/api/bugs?status=invalid-status');
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -456,7 +466,7 @@ describe('GET /api/bugs', () => {
     });
 
     it('should handle invalid priority filter gracefully', async () => {
-      const res = await request(app).get('/api/bugs?priority=invalid-priority');
+      const res = await api.get('/api/bugs?priority=invalid-priority');
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -465,6 +475,319 @@ describe('GET /api/bugs', () => {
   });
 });
 
+describe('GET /api/bugs - Priority Sorting', () => {
+  const createPrioritisedBugs = async () => {
+    const bugs = {};
+    for (const priority of ['medium', 'critical', 'low', 'high']) {
+      bugs[priority] = await Bug.create({
+        title: `${priority} bug`,
+        description: `${priority} description`,
+        priority,
+        reporter: 'Reporter',
+      });
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    return bugs;
+  };
+
+  it('should sort by severity rather than alphabetically for sort=priority', async () => {
+    await Bug.deleteMany({ _id: { $ne: testBugId } });
+    await Bug.findByIdAndUpdate(testBugId, { priority: 'medium' });
+    await createPrioritisedBugs();
+
+    const res = await api.get('/api/bugs?sort=priority');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((bug) => bug.priority)).toEqual([
+      'critical',
+      'high',
+      'medium',
+      'medium',
+      'low',
+    ]);
+  });
+
+  it('should break priority ties by newest first for sort=priority', async () => {
+    const bugs = await createPrioritisedBugs();
+
+    const res = await api.get('/api/bugs?sort=priority&priority=medium');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0]._id).toBe(bugs.medium._id.toString());
+  });
+
+  it('should support multi-key sorting', async () => {
+    const first = await createPrioritisedBugs();
+    const second = await createPrioritisedBugs();
+
+    const res = await api.get('/api/bugs?sort=-priority,createdAt&priority=critical');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((bug) => bug._id)).toEqual([
+      first.critical._id.toString(),
+      second.critical._id.toString(),
+    ]);
+  });
+
+  it('should sort ascending by severity', async () => {
+    await createPrioritisedBugs();
+
+    const res = await api.get('/api/bugs?sort=priority,-createdAt');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].priority).toBe('low');
+    expect(res.body.data[res.body.data.length - 1].priority).toBe('critical');
+  });
+
+  it('should paginate through a priority sort without gaps', async () => {
+    await createPrioritisedBugs();
+    await createPrioritisedBugs();
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const res = await api
+        .get('/api/bugs')
+        .query({ sort: '-priority,-createdAt', limit: 3, ...(cursor && { cursor }) });
+
+      expect(res.status).toBe(200);
+      seen.push(...res.body.data);
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(9);
+    const weights = seen.map((bug) => bug.priorityWeight);
+    expect(weights).toEqual([...weights].sort((a, b) => b - a));
+  });
+
+  it('should return 400 for an unknown sort key', async () => {
+    const res = await api.get('/api/bugs?sort=-reporter');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('success', false);
+    expect(res.body.error).toBe('Invalid sort: -reporter');
+  });
+});
+
+describe('GET /api/bugs - Full-Text Search', () => {
+  beforeAll(async () => {
+    // Make sure the text index exists before searching
+    await Bug.init();
+  });
+
+  const createSearchBugs = async () => {
+    const loginTitle = await Bug.create({
+      title: 'Login crash on Safari',
+      description: 'The page goes blank',
+      priority: 'high',
+      reporter: 'Reporter',
+    });
+    const loginDescription = await Bug.create({
+      title: 'Blank page',
+      description: 'Happens after login when the session expires',
+      priority: 'low',
+      reporter: 'Reporter',
+    });
+    const unrelated = await Bug.create({
+      title: 'Typo in footer',
+      description: 'Copyright year is wrong',
+      reporter: 'Reporter',
+    });
+    return { loginTitle, loginDescription, unrelated };
+  };
+
+  it('should return only bugs matching the search terms', async () => {
+    const { loginTitle, loginDescription } = await createSearchBugs();
+
+    const res = await api.get('/api/bugs?q=login');
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.data.map((bug) => bug._id).sort()).toEqual(
+      [loginTitle._id.toString(), loginDescription._id.toString()].sort()
+    );
+  });
+
+  it('should rank title matches above description matches by default', async () => {
+    const { loginTitle } = await createSearchBugs();
+
+    const res = await api.get('/api/bugs?q=login');
+
+    expect(res.body.data[0]._id).toBe(loginTitle._id.toString());
+    expect(res.body.data[0].score).toBeGreaterThan(res.body.data[1].score);
+  });
+
+  it('should include highlighted snippets', async () => {
+    await createSearchBugs();
+
+    const res = await api.get('/api/bugs?q=login');
+    const [first, second] = res.body.data;
+
+    expect(first.highlights.title).toContainEqual({ text: 'Login', highlight: true });
+    expect(second.highlights.description).toContainEqual({ text: 'login', highlight: true });
+  });
+
+  it('should combine search with status and priority filters', async () => {
+    const { loginDescription } = await createSearchBugs();
+
+    const res = await api.get('/api/bugs?q=login&priority=low');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]._id).toBe(loginDescription._id.toString());
+  });
+
+  it('should honour an explicit sort when searching', async () => {
+    const { loginTitle } = await createSearchBugs();
+
+    const res = await api.get('/api/bugs?q=login&sort=-priority');
+
+    expect(res.body.data[0]._id).toBe(loginTitle._id.toString());
+  });
+
+  it('should paginate search results by relevance', async () => {
+    const { loginTitle, loginDescription } = await createSearchBugs();
+
+    const first = await api.get('/api/bugs?q=login&limit=1');
+    const second = await api
+      .get('/api/bugs')
+      .query({ q: 'login', limit: 1, cursor: first.body.nextCursor });
+
+    expect(first.body.data[0]._id).toBe(loginTitle._id.toString());
+    expect(second.status).toBe(200);
+    expect(second.body.data[0]._id).toBe(loginDescription._id.toString());
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('should return 400 when sorting by relevance without a query', async () => {
+    const res = await api.get('/api/bugs?sort=relevance');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Sorting by relevance requires a search query (q)');
+  });
+
+  it('should ignore a blank query', async () => {
+    await createSearchBugs();
+
+    const res = await api.get('/api/bugs?q=%20%20');
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(4);
+    expect(res.body.data[0]).not.toHaveProperty('highlights');
+  });
+});
+
+describe('GET /api/bugs - Cursor Pagination', () => {
+  // Create bugs one after another so createdAt values are distinct
+  const createBugs = async (count) => {
+    const bugs = [];
+    for (let i = 0; i < count; i++) {
+      bugs.push(await Bug.create({
+        title: `Paged Bug ${i}`,
+        description: `Paged description ${i}`,
+        reporter: 'Reporter',
+      }));
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    return bugs;
+  };
+
+  it('should return a page of bugs with total and nextCursor', async () => {
+    await createBugs(4);
+
+    const res = await api.get('/api/bugs?limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.count).toBe(2);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.total).toBe(5); // 4 created + the shared test bug
+    expect(typeof res.body.nextCursor).toBe('string');
+  });
+
+  it('should walk every bug exactly once by following nextCursor', async () => {
+    await createBugs(4);
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const res = await api
+        .get('/api/bugs')
+        .query({ limit: 2, ...(cursor && { cursor }) });
+
+      expect(res.status).toBe(200);
+      seen.push(...res.body.data.map((bug) => bug._id));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(5);
+    expect(new Set(seen).size).toBe(5);
+
+    // Pages keep the newest-first order across boundaries
+    const created = await Bug.find({}).sort({ createdAt: -1, _id: -1 });
+    expect(seen).toEqual(created.map((bug) => bug._id.toString()));
+  });
+
+  it('should paginate with sort=oldest', async () => {
+    const bugs = await createBugs(3);
+
+    const first = await api.get('/api/bugs?sort=oldest&limit=2');
+    const second = await api
+      .get('/api/bugs')
+      .query({ sort: 'oldest', limit: 2, cursor: first.body.nextCursor });
+
+    expect(second.status).toBe(200);
+    expect(second.body.nextCursor).toBeNull();
+    expect(second.body.data.map((bug) => bug._id)).toEqual(
+      bugs.slice(1).map((bug) => bug._id.toString())
+    );
+  });
+
+  it('should count all matching bugs in total when filtering', async () => {
+    await createBugs(3);
+
+    const res = await api.get('/api/bugs?status=open&limit=1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(res.body.total).toBe(await Bug.countDocuments({ status: 'open' }));
+  });
+
+  it('should return nextCursor null on the last page', async () => {
+    const res = await api.get('/api/bugs?limit=50');
+
+    expect(res.status).toBe(200);
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  it('should return 400 for an invalid limit', async () => {
+    const res = await api.get('/api/bugs?limit=0');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('success', false);
+    expect(res.body.error).toBe('Limit must be a positive integer');
+  });
+
+  it('should return 400 for a malformed cursor', async () => {
+    const res = await api.get('/api/bugs?cursor=garbage');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid cursor');
+  });
+
+  it('should return 400 when a cursor is reused with a different sort', async () => {
+    await createBugs(2);
+    const first = await api.get('/api/bugs?limit=1');
+
+    const res = await api
+      .get('/api/bugs')
+      .query({ sort: 'oldest', cursor: first.body.nextCursor });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid cursor');
+  });
+});
+
 describe('POST /api/bugs', () => {
   describe('Positive Test Cases', () => {
     it('should create a new bug with all required fields', async () => {
@@ -474,7 +797,7 @@ describe('POST /api/bugs', () => {
         reporter: 'John Doe',
       };
 
-      const res = await request(app).post('/api/bugs').send(newBug);
+      const res = await api.post('/api/bugs').send(newBug);
 
       expect(res.status).toBe(201);
       expect(res.body).toHaveProperty('success', true);
@@ -482,7 +805,7 @@ describe('POST /api/bugs', () => {
       expect(res.body.data).toHaveProperty('_id');
       expect(res.body.data.title).toBe(newBug.title);
       expect(res.body.data.description).toBe(newBug.description);
-      expect(res.body.data.reporter).toBe(newBug.reporter);
+      expect(res.body.data.reporter).toBe(testUser.name);
       expect(res.body.data.status).toBe('open'); // Default value
       expect(res.body.data.priority).toBe('medium'); // Default value
     });
@@ -496,7 +819,7 @@ describe('POST /api/bugs', () => {
         reporter: 'Jane Smith',
       };
 
-      const res = await request(app).post('/api/bugs').send(newBug);
+      const res = await api.post('/api/bugs').send(newBug);
 
       expect(res.status).toBe(201);
       expect(res.body.data.status).toBe('in-progress');
@@ -510,7 +833,7 @@ describe('POST /api/bugs', () => {
         reporter: 'Test User',
       };
 
-      const res = await request(app).post('/api/bugs').send(newBug);
+      const res = await api.post('/api/bugs').send(newBug);
 
       expect(res.status).toBe(201);
       const bugId = res.body.data._id;
@@ -520,22 +843,34 @@ describe('POST /api/bugs', () => {
       expect(savedBug).toBeDefined();
       expect(savedBug.title).toBe(newBug.title);
       expect(savedBug.description).toBe(newBug.description);
-      expect(savedBug.reporter).toBe(newBug.reporter);
+      expect(savedBug.reporter).toBe(testUser.name);
     });
 
     it('should trim whitespace from string fields', async () => {
       const newBug = {
         title: '  Trimmed Title  ',
         description: '  Trimmed Description  ',
-        reporter: '  Trimmed Reporter  ',
       };
 
-      const res = await request(app).post('/api/bugs').send(newBug);
+      const res = await api.post('/api/bugs').send(newBug);
 
       expect(res.status).toBe(201);
       expect(res.body.data.title).toBe('Trimmed Title');
       expect(res.body.data.description).toBe('Trimmed Description');
-      expect(res.body.data.reporter).toBe('Trimmed Reporter');
+    });
+
+    it('should set the reporter to the authenticated user', async () => {
+      const newBug = {
+        title: 'Reported Bug',
+        description: 'Reported description',
+        reporter: 'Someone Else',
+      };
+
+      const res = await api.post('/api/bugs').send(newBug);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.reporter).toBe(testUser.name);
+      expect(res.body.data.reportedBy).toBe(testUser._id.toString());
     });
   });
 
@@ -546,7 +881,7 @@ describe('POST /api/bugs', () => {
         reporter: 'Test Reporter',
       };
 
-      const res = await request(app).post('/api/bugs').send(invalidBug);
+      const res = await api.post('/api/bugs').send(invalidBug);
 
       expect(res.status).toBe(400);
       expect(res.body).toHaveProperty('success', false);
@@ -560,7 +895,7 @@ describe('POST /api/bugs', () => {
         reporter: 'Test Reporter',
       };
 
-      const res = await request(app).post('/api/bugs').send(invalidBug);
+      const res = await api.post('/api/bugs').send(invalidBug);
 
       expect(res.status).toBe(400);
       expect(res.body).toHaveProperty('success', false);
@@ -568,19 +903,6 @@ describe('POST /api/bugs', () => {
       expect(res.body.error).toContain('Description is required');
     });
 
-    it('should return 400 when reporter is missing', async () => {
-      const invalidBug = {
-        title: 'Missing Reporter',
-        description: 'Test description',
-      };
-
-      const res = await request(app).post('/api/bugs').send(invalidBug);
-
-      expect(res.status).toBe(400);
-      expect(res.body).toHaveProperty('success', false);
-      expect(res.body).toHaveProperty('error');
-      expect(res.body.error).toContain('Reporter is required');
-    });
 
     it('should return 400 when title is empty string', async () => {
       const invalidBug = {
@@ -589,7 +911,7 @@ describe('POST /api/bugs', () => {
         reporter: 'Test Reporter',
       };
 
-      const res = await request(app).post('/api/bugs').send(invalidBug);
+      const res = await api.post('/api/bugs').send(invalidBug);
 
       expect(res.status).toBe(400);
       expect(res.body).toHaveProperty('success', false);
@@ -603,7 +925,7 @@ describe('POST /api/bugs', () => {
         reporter: 'Test Reporter',
       };
 
-      const res = await request(app).post('/api/bugs').send(invalidBug);
+      const res = await api.post('/api/bugs').send(invalidBug);
 
       expect(res.status).toBe(400);
       expect(res.body).toHaveProperty('success', false);
@@ -619,7 +941,7 @@ describe('POST /api/bugs', () => {
         status: 'invalid-status',
       };
 
-      const res = await request(app).post('/api/bugs').send(invalidBug);
+      const res = await api.post('/api/bugs').send(invalidBug);
 
       expect(res.status).toBe(400);
       expect(res.body).toHaveProperty('success', false);
@@ -634,7 +956,7 @@ describe('POST /api/bugs', () => {
         priority: 'invalid-priority',
       };
 
-      const res = await request(app).post('/api/bugs').send(invalidBug);
+      const res = await api.post('/api/bugs').send(invalidBug);
 
       expect(res.status).toBe(400);
       expect(res.body).toHaveProperty('success', false);
@@ -645,10 +967,10 @@ describe('POST /api/bugs', () => {
       const invalidBug = {
         title: '',
         description: '',
-        reporter: '',
+        priority: 'invalid-priority',
       };
 
-      const res = await request(app).post('/api/bugs').send(invalidBug);
+      const res = await api.post('/api/bugs').send(invalidBug);
 
       expect(res.status).toBe(400);
       expect(res.body).toHaveProperty('success', false);
@@ -666,7 +988,7 @@ describe('POST /api/bugs', () => {
         reporter: 'Test Reporter',
       };
 
-      const res = await request(app).post('/api/bugs').send(newBug);
+      const res = await api.post('/api/bugs').send(newBug);
 
       expect(res.status).toBe(201);
       expect(res.body.data.title.length).toBe(200);
@@ -679,7 +1001,7 @@ describe('POST /api/bugs', () => {
         reporter: 'Test Reporter',
       };
 
-      const res = await request(app).post('/api/bugs').send(newBug);
+      const res = await api.post('/api/bugs').send(newBug);
 
       expect(res.status).toBe(201);
       expect(res.body.data.description.length).toBe(10000);
@@ -697,7 +1019,7 @@ describe('GET /api/bugs/:id', () => {
       console.log('Test bug title:', testBug.title);
       console.log('Request URL:', `/api/bugs/${testBugId.toString()}`);
       
-      const res = await request(app).get(`/api/bugs/${testBugId.toString()}`);
+      const res = await api.get(`/api/bugs/${testBugId.toString()}`);
       
       console.log('Response status:', res.status);
       console.log('Response body:', JSON.stringify(res.body, null, 2));
@@ -714,7 +1036,7 @@ describe('GET /api/bugs/:id', () => {
       // Verify test data is ready before test
       await verifyTestData();
       
-      const res = await request(app).get(`/api/bugs/${testBugId.toString()}`);
+      const res = await api.get(`/api/bugs/${testBugId.toString()}`);
 
       expect(res.status).toBe(200);
       const bug = res.body.data;
@@ -731,7 +1053,7 @@ describe('GET /api/bugs/:id', () => {
   describe('Negative Test Cases - 404 Errors', () => {
     it('should return 404 for non-existent bug ID', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
-      const res = await request(app).get(`/api/bugs/${nonExistentId}`);
+      const res = await api.get(`/api/bugs/${nonExistentId}`);
 
       expect(res.status).toBe(404);
       expect(res.body).toHaveProperty('success', false);
@@ -742,7 +1064,7 @@ describe('GET /api/bugs/:id', () => {
 
     it('should return 404 for invalid ObjectId format', async () => {
       const invalidId = 'invalid-id-format';
-      const res = await request(app).get(`/api/bugs/${invalidId}`);
+      const res = await api.get(`/api/bugs/${invalidId}`);
 
       expect(res.status).toBe(404);
       expect(res.body).toHaveProperty('success', false);
@@ -752,7 +1074,7 @@ describe('GET /api/bugs/:id', () => {
     });
 
     it('should return 404 for empty ID', async () => {
-      const res = await request(app).get('/api/bugs/');
+      const res = await api.get('/api/bugs/');
 
       // Empty ID should return 404 (not found) or 200 (if it matches GET /api/bugs)
       // In Express, /api/bugs/ matches /api/bugs route, so it returns 200
@@ -777,7 +1099,7 @@ describe('PUT /api/bugs/:id', () => {
         description: 'Updated description',
       };
 
-      const res = await request(app)
+      const res = await api
         .put(`/api/bugs/${testBugId.toString()}`)
         .send(updates);
       
@@ -800,7 +1122,7 @@ describe('PUT /api/bugs/:id', () => {
         status: 'in-progress',
       };
 
-      const res = await request(app)
+      const res = await api
         .put(`/api/bugs/${testBugId.toString()}`)
         .send(updates);
 
@@ -816,7 +1138,7 @@ describe('PUT /api/bugs/:id', () => {
         priority: 'critical',
       };
 
-      const res = await request(app)
+      const res = await api
         .put(`/api/bugs/${testBugId.toString()}`)
         .send(updates);
 
@@ -830,7 +1152,7 @@ describe('PUT /api/bugs/:id', () => {
         status: 'resolved',
       };
 
-      const res = await request(app)
+      const res = await api
         .put(`/api/bugs/${testBugId}`)
         .send(updates);
 
@@ -848,10 +1170,9 @@ describe('PUT /api/bugs/:id', () => {
         description: 'Multi updated description',
         status: 'resolved',
         priority: 'low',
-        reporter: 'Updated Reporter',
       };
 
-      const res = await request(app)
+      const res = await api
         .put(`/api/bugs/${testBugId}`)
         .send(updates);
 
@@ -860,7 +1181,15 @@ describe('PUT /api/bugs/:id', () => {
       expect(res.body.data.description).toBe(updates.description);
       expect(res.body.data.status).toBe(updates.status);
       expect(res.body.data.priority).toBe(updates.priority);
-      expect(res.body.data.reporter).toBe(updates.reporter);
+    });
+
+    it('should not allow the reporter to be changed', async () => {
+      const res = await api
+        .put(`/api/bugs/${testBugId}`)
+        .send({ reporter: 'Updated Reporter' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.reporter).toBe('Test Reporter');
     });
   });
 
@@ -871,7 +1200,7 @@ describe('PUT /api/bugs/:id', () => {
         title: 'Updated Title',
       };
 
-      const res = await request(app)
+      const res = await api
         .put(`/api/bugs/${nonExistentId}`)
         .send(updates);
 
@@ -888,7 +1217,7 @@ describe('PUT /api/bugs/:id', () => {
         title: 'Updated Title',
       };
 
-      const res = await request(app)
+      const res = await api
         .put(`/api/bugs/${invalidId}`)
         .send(updates);
 
@@ -906,7 +1235,7 @@ describe('PUT /api/bugs/:id', () => {
         title: 'a'.repeat(201),
       };
 
-      const res = await request(app)
+      const res = await api
         .put(`/api/bugs/${testBugId}`)
         .send(updates);
 
@@ -920,7 +1249,7 @@ describe('PUT /api/bugs/:id', () => {
         status: 'invalid-status',
       };
 
-      const res = await request(app)
+      const res = await api
         .put(`/api/bugs/${testBugId}`)
         .send(updates);
 
@@ -934,7 +1263,7 @@ describe('PUT /api/bugs/:id', () => {
         priority: 'invalid-priority',
       };
 
-      const res = await request(app)
+      const res = await api
         .put(`/api/bugs/${testBugId}`)
         .send(updates);
 
@@ -945,6 +1274,127 @@ describe('PUT /api/bugs/:id', () => {
   });
 });
 
+describe('GET /api/bugs/workflow', () => {
+  afterEach(() => {
+    resetWorkflow();
+  });
+
+  it('should return the default workflow', async () => {
+    const res = await api.get('/api/bugs/workflow');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      statuses: ['open', 'in-progress', 'resolved'],
+      initialStatus: 'open',
+      inProgressStatus: 'in-progress',
+      resolvedStatus: 'resolved',
+      transitions: {
+        open: ['in-progress', 'resolved'],
+        'in-progress': ['open', 'resolved'],
+        resolved: ['open', 'in-progress'],
+      },
+    });
+  });
+
+  it('should return the active custom workflow', async () => {
+    setWorkflow({
+      initialStatus: 'new',
+      inProgressStatus: 'doing',
+      resolvedStatus: 'done',
+      statuses: ['new', 'doing', 'done'],
+      transitions: { new: ['doing'], doing: ['done'], done: ['new'] },
+    });
+
+    const res = await api.get('/api/bugs/workflow');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.statuses).toEqual(['new', 'doing', 'done']);
+    expect(res.body.data.resolvedStatus).toBe('done');
+    expect(res.body.data.transitions.new).toEqual(['doing']);
+  });
+});
+
+describe('PUT /api/bugs/:id - Status Workflow', () => {
+  afterEach(() => {
+    resetWorkflow();
+  });
+
+  it('should allow a transition defined by the workflow', async () => {
+    const bug = await Bug.create({
+      title: 'Workflow Bug',
+      description: 'Workflow description',
+      status: 'open',
+      reporter: 'Test Reporter',
+    });
+
+    const res = await api
+      .put(`/api/bugs/${bug._id}`)
+      .send({ status: 'in-progress' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('in-progress');
+  });
+
+  it('should return 422 with allowed statuses for an illegal transition', async () => {
+    setWorkflow({
+      initialStatus: 'open',
+      statuses: ['open', 'in-progress', 'resolved'],
+      transitions: {
+        open: ['in-progress'],
+        'in-progress': ['open', 'resolved'],
+        resolved: ['open'],
+      },
+    });
+
+    const bug = await Bug.create({
+      title: 'Workflow Bug',
+      description: 'Workflow description',
+      status: 'open',
+      reporter: 'Test Reporter',
+    });
+
+    const res = await api
+      .put(`/api/bugs/${bug._id}`)
+      .send({ status: 'resolved' });
+
+    expect(res.status).toBe(422);
+    expect(res.body).toHaveProperty('success', false);
+    expect(res.body.error).toBe('Cannot change status from open to resolved');
+    expect(res.body.allowedStatuses).toEqual(['in-progress']);
+
+    // Verify nothing was written
+    const unchangedBug = await Bug.findById(bug._id);
+    expect(unchangedBug.status).toBe('open');
+  });
+
+  it('should allow re-sending the current status', async () => {
+    const bug = await Bug.create({
+      title: 'Workflow Bug',
+      description: 'Workflow description',
+      status: 'resolved',
+      reporter: 'Test Reporter',
+    });
+
+    const res = await api
+      .put(`/api/bugs/${bug._id}`)
+      .send({ status: 'resolved', title: 'Renamed Workflow Bug' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.title).toBe('Renamed Workflow Bug');
+  });
+
+  it('should return 404 when checking the workflow of a non-existent bug', async () => {
+    const nonExistentId = new mongoose.Types.ObjectId();
+
+    const res = await api
+      .put(`/api/bugs/${nonExistentId}`)
+      .send({ status: 'resolved' });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toHaveProperty('success', false);
+  });
+});
+
 describe('DELETE /api/bugs/:id', () => {
   describe('Positive Test Cases', () => {
     it('should delete a bug and return success response', async () => {
@@ -955,7 +1405,7 @@ describe('DELETE /api/bugs/:id', () => {
         reporter: 'Test Reporter',
       });
 
-      const res = await request(app).delete(`/api/bugs/${bugToDelete._id}`);
+      const res = await api.delete(`/api/bugs/${bugToDelete._id}`);
 
       expect(res.status).toBe(200);
       expect(res.body).toHaveProperty('success', true);
@@ -970,13 +1420,17 @@ describe('DELETE /api/bugs/:id', () => {
         reporter: 'Test Reporter',
       });
 
-      const res = await request(app).delete(`/api/bugs/${bugToDelete._id}`);
+      const res = await api.delete(`/api/bugs/${bugToDelete._id}`);
 
       expect(res.status).toBe(200);
 
-      // Verify bug is deleted from database
+      // Verify bug is moved to the trash and hidden from reads
       const deletedBug = await Bug.findById(bugToDelete._id);
-      expect(deletedBug).toBeNull();
+      expect(deletedBug.deletedAt).toBeInstanceOf(Date);
+      expect(deletedBug.deletedBy.toString()).toBe(testUser._id.toString());
+
+      const getRes = await api.get(`/api/bugs/${bugToDelete._id}`);
+      expect(getRes.status).toBe(404);
     });
 
     it('should allow deleting multiple bugs', async () => {
@@ -992,24 +1446,37 @@ describe('DELETE /api/bugs/:id', () => {
         reporter: 'Reporter 2',
       });
 
-      const res1 = await request(app).delete(`/api/bugs/${bug1._id}`);
-      const res2 = await request(app).delete(`/api/bugs/${bug2._id}`);
+      const res1 = await api.delete(`/api/bugs/${bug1._id}`);
+      const res2 = await api.delete(`/api/bugs/${bug2._id}`);
 
       expect(res1.status).toBe(200);
       expect(res2.status).toBe(200);
 
-      // Verify both bugs are deleted
+      // Verify both bugs are in the trash
       const deletedBug1 = await Bug.findById(bug1._id);
       const deletedBug2 = await Bug.findById(bug2._id);
-      expect(deletedBug1).toBeNull();
-      expect(deletedBug2).toBeNull();
+      expect(deletedBug1.deletedAt).not.toBeNull();
+      expect(deletedBug2.deletedAt).not.toBeNull();
+    });
+
+    it('should return 404 when deleting a bug that is already in the trash', async () => {
+      const bug = await Bug.create({
+        title: 'Trashed Bug',
+        description: 'Already deleted',
+        reporter: 'Test Reporter',
+        deletedAt: new Date(),
+      });
+
+      const res = await api.delete(`/api/bugs/${bug._id}`);
+
+      expect(res.status).toBe(404);
     });
   });
 
   describe('Negative Test Cases - 404 Errors', () => {
     it('should return 404 for non-existent bug ID', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
-      const res = await request(app).delete(`/api/bugs/${nonExistentId}`);
+      const res = await api.delete(`/api/bugs/${nonExistentId}`);
 
       expect(res.status).toBe(404);
       expect(res.body).toHaveProperty('success', false);
@@ -1020,7 +1487,7 @@ describe('DELETE /api/bugs/:id', () => {
 
     it('should return 404 for invalid ObjectId format', async () => {
       const invalidId = 'invalid-id-format';
-      const res = await request(app).delete(`/api/bugs/${invalidId}`);
+      const res = await api.delete(`/api/bugs/${invalidId}`);
 
       expect(res.status).toBe(404);
       expect(res.body).toHaveProperty('success', false);
@@ -1031,6 +1498,511 @@ describe('DELETE /api/bugs/:id', () => {
   });
 });
 
+describe('PATCH /api/bugs/:id', () => {
+  afterEach(() => {
+    resetWorkflow();
+  });
+
+  const createBug = (overrides = {}) => Bug.create({
+    title: 'Concurrent Bug',
+    description: 'Edited by two people',
+    reporter: 'Test Reporter',
+    ...overrides,
+  });
+
+  it('should apply a partial update when If-Match has the current version', async () => {
+    const bug = await createBug();
+
+    const res = await api
+      .patch(`/api/bugs/${bug._id}`)
+      .set('If-Match', `"${bug.__v}"`)
+      .send({ priority: 'high' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.priority).toBe('high');
+    expect(res.body.data.title).toBe('Concurrent Bug');
+    expect(res.body.data.__v).toBe(bug.__v + 1);
+    expect(res.headers.etag).toBe(`"${bug.__v + 1}"`);
+  });
+
+  it('should return the version as an ETag from GET /api/bugs/:id', async () => {
+    const bug = await createBug();
+
+    const res = await api.get(`/api/bugs/${bug._id}`);
+
+    expect(res.headers.etag).toBe(`"${bug.__v}"`);
+  });
+
+  it('should return 409 with the current bug for a stale version', async () => {
+    const bug = await createBug();
+
+    const first = await api
+      .patch(`/api/bugs/${bug._id}`)
+      .set('If-Match', `"${bug.__v}"`)
+      .send({ title: 'First edit' });
+    expect(first.status).toBe(200);
+
+    const res = await api
+      .patch(`/api/bugs/${bug._id}`)
+      .set('If-Match', `"${bug.__v}"`)
+      .send({ title: 'Second edit' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toHaveProperty('success', false);
+    expect(res.body.data.title).toBe('First edit');
+    expect(res.headers.etag).toBe(`"${first.body.data.__v}"`);
+
+    const storedBug = await Bug.findById(bug._id);
+    expect(storedBug.title).toBe('First edit');
+  });
+
+  it('should treat PUT and assignment writes as new versions', async () => {
+    const bug = await createBug();
+
+    await api.put(`/api/bugs/${bug._id}`).send({ description: 'Changed through PUT' });
+
+    const res = await api
+      .patch(`/api/bugs/${bug._id}`)
+      .set('If-Match', `"${bug.__v}"`)
+      .send({ title: 'Stale edit' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should return 428 without an If-Match header', async () => {
+    const bug = await createBug();
+
+    const res = await api.patch(`/api/bugs/${bug._id}`).send({ title: 'No version' });
+
+    expect(res.status).toBe(428);
+    expect(res.body.error).toMatch(/If-Match/);
+  });
+
+  it('should return 400 for fields that cannot be updated', async () => {
+    const bug = await createBug();
+
+    const res = await api
+      .patch(`/api/bugs/${bug._id}`)
+      .set('If-Match', `"${bug.__v}"`)
+      .send({ title: 'Ok', reporter: 'Someone else', priorityWeight: 99 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot update field(s): reporter, priorityWeight');
+  });
+
+  it('should still enforce validation and the status workflow', async () => {
+    setWorkflow({
+      initialStatus: 'open',
+      statuses: ['open', 'in-progress', 'resolved'],
+      transitions: {
+        open: ['in-progress'],
+        'in-progress': ['open', 'resolved'],
+        resolved: ['open'],
+      },
+    });
+    const bug = await createBug({ status: 'resolved' });
+
+    const invalid = await api
+      .patch(`/api/bugs/${bug._id}`)
+      .set('If-Match', `"${bug.__v}"`)
+      .send({ priority: 'urgent' });
+    expect(invalid.status).toBe(400);
+
+    const blocked = await api
+      .patch(`/api/bugs/${bug._id}`)
+      .set('If-Match', `"${bug.__v}"`)
+      .send({ status: 'in-progress' });
+    expect(blocked.status).toBe(422);
+  });
+
+  it('should return 404 for a missing bug', async () => {
+    const res = await api
+      .patch(`/api/bugs/${new mongoose.Types.ObjectId()}`)
+      .set('If-Match', '"0"')
+      .send({ title: 'Nothing here' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/bugs/:id - Field Whitelist', () => {
+  it('should ignore fields that are not updatable', async () => {
+    const res = await api
+      .put(`/api/bugs/${testBugId}`)
+      .send({ title: 'Whitelisted', priorityWeight: 99, createdAt: '2000-01-01T00:00:00.000Z' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.title).toBe('Whitelisted');
+    expect(res.body.data.priorityWeight).not.toBe(99);
+    expect(res.body.data.createdAt).not.toBe('2000-01-01T00:00:00.000Z');
+  });
+});
+
+describe('Bug routes - Authentication', () => {
+  it('should return 401 without an access token', async () => {
+    const res = await request(app).get('/api/bugs');
+
+    expect(res.status).toBe(401);
+    expect(res.body).toHaveProperty('success', false);
+    expect(res.body.error).toBe('Not authorized, no token');
+  });
+
+  it('should return 401 with an invalid access token', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', 'Bearer not-a-real-token')
+      .send({ title: 'Bug', description: 'Desc' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid token');
+  });
+
+  it('should return 401 for a refresh token used as an access token', async () => {
+    const res = await request(app)
+      .delete(`/api/bugs/${testBugId}`)
+      .set('Authorization', `Bearer ${testUser.generateRefreshToken()}`);
+
+    expect(res.status).toBe(401);
+    expect(await Bug.findById(testBugId)).not.toBeNull();
+  });
+});
+
+describe('Bug Assignment', () => {
+  let developer;
+  let reporterOnly;
+  let developerApi;
+
+  beforeAll(async () => {
+    developer = await createUser('developer', {
+      name: 'Assignee Developer',
+      email: 'developer@assign.example.com',
+    });
+    reporterOnly = await createUser('reporter', {
+      name: 'Assignee Reporter',
+      email: 'reporter@assign.example.com',
+    });
+    developerApi = request.agent(app).set('Authorization', authHeader(developer));
+  });
+
+  afterEach(async () => {
+    await Bug.deleteMany({ _id: { $ne: testBugId } });
+    await Bug.updateOne({ _id: testBugId }, { assignee: null });
+  });
+
+  const createBug = (overrides = {}) => Bug.create({
+    title: 'Assignment Bug',
+    description: 'Assignment description',
+    reporter: 'Test Reporter',
+    ...overrides,
+  });
+
+  describe('PATCH /api/bugs/:id/assign', () => {
+    it('should assign a bug and return the assignee details', async () => {
+      const bug = await createBug();
+
+      const res = await api
+        .patch(`/api/bugs/${bug._id}/assign`)
+        .send({ assignee: developer._id.toString() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.assignee).toMatchObject({
+        _id: developer._id.toString(),
+        name: developer.name,
+      });
+      expect(res.body.data.assignee).not.toHaveProperty('password');
+    });
+
+    it('should let a developer take a bug with "me"', async () => {
+      const bug = await createBug();
+
+      const res = await developerApi
+        .patch(`/api/bugs/${bug._id}/assign`)
+        .send({ assignee: 'me' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.assignee._id).toBe(developer._id.toString());
+    });
+
+    it('should unassign a bug with null', async () => {
+      const bug = await createBug({ assignee: developer._id });
+
+      const res = await api.patch(`/api/bugs/${bug._id}/assign`).send({ assignee: null });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.assignee).toBeNull();
+    });
+
+    it('should return 400 when the assignee is missing', async () => {
+      const res = await api.patch(`/api/bugs/${testBugId}/assign`).send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Assignee is required (use null to unassign)');
+    });
+
+    it('should return 400 for a malformed user id', async () => {
+      const res = await api.patch(`/api/bugs/${testBugId}/assign`).send({ assignee: 'nobody' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Assignee must be a valid user id');
+    });
+
+    it('should return 400 when the user cannot be assigned bugs', async () => {
+      for (const assignee of [reporterOnly._id, new mongoose.Types.ObjectId()]) {
+        const res = await api
+          .patch(`/api/bugs/${testBugId}/assign`)
+          .send({ assignee: assignee.toString() });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Assignee must be an existing developer, triager or admin');
+      }
+    });
+
+    it('should return 403 for a reporter', async () => {
+      const reporterApi = request.agent(app)
+        .set('Authorization', authHeader(reporterOnly));
+
+      const res = await reporterApi
+        .patch(`/api/bugs/${testBugId}/assign`)
+        .send({ assignee: developer._id.toString() });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should return 404 for a missing bug', async () => {
+      const res = await api
+        .patch(`/api/bugs/${new mongoose.Types.ObjectId()}/assign`)
+        .send({ assignee: null });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Assignee on create and update', () => {
+    it('should accept an assignee when creating a bug', async () => {
+      const res = await api.post('/api/bugs').send({
+        title: 'Assigned on create',
+        description: 'Desc',
+        assignee: developer._id.toString(),
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.assignee.name).toBe(developer.name);
+    });
+
+    it('should default new bugs to unassigned', async () => {
+      const res = await api.post('/api/bugs').send({ title: 'Unassigned', description: 'Desc' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.assignee).toBeNull();
+    });
+
+    it('should change the assignee through PUT', async () => {
+      const bug = await createBug();
+
+      const res = await api.put(`/api/bugs/${bug._id}`).send({ assignee: developer._id.toString() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.assignee._id).toBe(developer._id.toString());
+    });
+  });
+
+  describe('GET /api/bugs - Assignee Filters', () => {
+    beforeEach(async () => {
+      await createBug({ title: 'Developer bug', assignee: developer._id });
+      await createBug({ title: 'Admin bug', assignee: testUser._id });
+    });
+
+    it('should filter by assignee id', async () => {
+      const res = await api.get(`/api/bugs?assignee=${developer._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((bug) => bug.title)).toEqual(['Developer bug']);
+      expect(res.body.data[0].assignee.name).toBe(developer.name);
+    });
+
+    it('should resolve assignee=me to the logged-in user', async () => {
+      const res = await developerApi.get('/api/bugs?assignee=me');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((bug) => bug.title)).toEqual(['Developer bug']);
+    });
+
+    it('should list unassigned bugs with unassigned=true', async () => {
+      const res = await api.get('/api/bugs?unassigned=true');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.every((bug) => bug.assignee === null)).toBe(true);
+      expect(res.body.data.map((bug) => bug._id)).toContain(testBugId.toString());
+    });
+
+    it('should combine the assignee filter with search', async () => {
+      await Bug.init();
+      const res = await developerApi.get('/api/bugs?assignee=me&q=developer');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].assignee.name).toBe(developer.name);
+    });
+
+    it('should return 400 for an invalid assignee filter', async () => {
+      const res = await api.get('/api/bugs?assignee=nobody');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid assignee');
+    });
+  });
+});
+
+describe('Bug routes - Role Permissions', () => {
+  const agents = {};
+  let reporterUser;
+
+  // Create one user per role, each with its own authenticated agent
+  beforeAll(async () => {
+    for (const role of ['reporter', 'developer', 'triager']) {
+      const user = await createUser(role, {
+        name: `Test ${role}`,
+        email: `${role}@permissions.example.com`,
+      });
+      agents[role] = request.agent(app).set('Authorization', authHeader(user));
+      if (role === 'reporter') {
+        reporterUser = user;
+      }
+    }
+  });
+
+  const createOwnBug = (overrides = {}) => Bug.create({
+    title: 'Permission Bug',
+    description: 'Permission description',
+    reporter: reporterUser.name,
+    reportedBy: reporterUser._id,
+    ...overrides,
+  });
+
+  it('should file a reporter\'s new bug in the initial status whatever status they send', async () => {
+    const res = await agents.reporter
+      .post('/api/bugs')
+      .send({ title: 'Already fixed?', description: 'Sent as resolved', status: 'resolved' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe('open');
+    expect(res.body.data.resolvedAt).toBeNull();
+  });
+
+  it('should keep the status of a new bug filed by a developer', async () => {
+    const res = await agents.developer
+      .post('/api/bugs')
+      .send({ title: 'Started', description: 'Already on it', status: 'in-progress' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe('in-progress');
+  });
+
+  it('should ignore ids, trash and timestamp fields sent when creating a bug', async () => {
+    const id = new mongoose.Types.ObjectId();
+    const res = await agents.reporter
+      .post('/api/bugs')
+      .send({
+        _id: id.toString(),
+        title: 'Hidden bug',
+        description: 'Created straight into the trash',
+        deletedAt: '2024-01-01T00:00:00.000Z',
+        deletedBy: reporterUser._id.toString(),
+        priorityWeight: 99,
+        createdAt: '2000-01-01T00:00:00.000Z',
+      });
+
+    expect(res.status).toBe(201);
+    const stored = await Bug.findById(res.body.data._id);
+    expect(stored._id.toString()).not.toBe(id.toString());
+    expect(stored.deletedAt).toBeNull();
+    expect(stored.deletedBy).toBeNull();
+    expect(stored.priorityWeight).toBe(2);
+    expect(stored.createdAt.getFullYear()).toBeGreaterThan(2000);
+  });
+
+  it('should let a reporter edit their own open bug', async () => {
+    const bug = await createOwnBug();
+
+    const res = await agents.reporter
+      .put(`/api/bugs/${bug._id}`)
+      .send({ title: 'Reworded title', status: 'open', priority: 'medium' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.title).toBe('Reworded title');
+  });
+
+  it('should return 403 when a reporter edits their bug after work has started', async () => {
+    const bug = await createOwnBug({ status: 'in-progress' });
+
+    const res = await agents.reporter
+      .put(`/api/bugs/${bug._id}`)
+      .send({ title: 'Reworded title' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toHaveProperty('success', false);
+    expect(res.body.error).toBe('Not authorized to edit this bug');
+  });
+
+  it("should return 403 when a reporter edits another user's bug", async () => {
+    const res = await agents.reporter
+      .put(`/api/bugs/${testBugId}`)
+      .send({ title: 'Hijacked' });
+
+    expect(res.status).toBe(403);
+    expect((await Bug.findById(testBugId)).title).not.toBe('Hijacked');
+  });
+
+  it('should let a developer move status but not change priority', async () => {
+    const bug = await createOwnBug();
+
+    const statusRes = await agents.developer
+      .put(`/api/bugs/${bug._id}`)
+      .send({ status: 'in-progress' });
+    expect(statusRes.status).toBe(200);
+
+    const priorityRes = await agents.developer
+      .put(`/api/bugs/${bug._id}`)
+      .send({ priority: 'critical' });
+    expect(priorityRes.status).toBe(403);
+    expect(priorityRes.body.error).toBe('Not authorized to change the priority of this bug');
+  });
+
+  it('should let a triager change priority but not status', async () => {
+    const bug = await createOwnBug();
+
+    const priorityRes = await agents.triager
+      .put(`/api/bugs/${bug._id}`)
+      .send({ priority: 'critical' });
+    expect(priorityRes.status).toBe(200);
+    expect(priorityRes.body.data.priority).toBe('critical');
+
+    const statusRes = await agents.triager
+      .put(`/api/bugs/${bug._id}`)
+      .send({ status: 'resolved' });
+    expect(statusRes.status).toBe(403);
+  });
+
+  it('should return 403 when a non-admin deletes a bug', async () => {
+    const bug = await createOwnBug();
+
+    for (const role of ['reporter', 'developer', 'triager']) {
+      const res = await agents[role].delete(`/api/bugs/${bug._id}`);
+      expect(res.status).toBe(403);
+    }
+    expect(await Bug.findById(bug._id)).not.toBeNull();
+  });
+
+  it('should let an admin delete a bug', async () => {
+    const bug = await createOwnBug();
+
+    const res = await api.delete(`/api/bugs/${bug._id}`);
+
+    expect(res.status).toBe(200);
+    expect(await Bug.findById(bug._id)).toBeNull();
+  });
+});
+
 describe('Error Scenarios - 500 Errors', () => {
   it('should handle database connection errors gracefully', async () => {
     // This test would require mocking database errors
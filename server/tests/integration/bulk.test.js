@@ -0,0 +1,260 @@
+// bulk.test.js - Integration tests for POST /api/bugs/bulk
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let admin;
+let developer;
+let reporter;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await createUser('admin');
+  developer = await createUser('developer');
+  reporter = await createUser('reporter');
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await BugHistory.deleteMany({});
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+});
+
+const createBugs = (count, overrides = {}) => Promise.all(
+  Array.from({ length: count }, (_, index) => Bug.create({
+    title: `Bulk Bug ${index + 1}`,
+    description: 'Needs triage',
+    reporter: 'Reporter',
+    ...overrides,
+  }))
+);
+
+const bulk = (user, body) =>
+  request(app).post('/api/bugs/bulk').set('Authorization', authHeader(user)).send(body);
+
+describe('POST /api/bugs/bulk', () => {
+  describe('update', () => {
+    it('should update every bug and report each result', async () => {
+      const bugs = await createBugs(3);
+      const ids = bugs.map((bug) => bug._id.toString());
+
+      const res = await bulk(admin, { ids, action: 'update', changes: { priority: 'high' } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.succeeded).toBe(3);
+      expect(res.body.failed).toBe(0);
+      expect(res.body.results.map((item) => item.id)).toEqual(ids);
+      expect(res.body.results.every((item) => item.data.priority === 'high')).toBe(true);
+
+      const stored = await Bug.find({ _id: { $in: ids } });
+      expect(stored.every((bug) => bug.priority === 'high')).toBe(true);
+    });
+
+    it('should record a history event for each updated bug', async () => {
+      const bugs = await createBugs(2);
+
+      await bulk(admin, {
+        ids: bugs.map((bug) => bug._id.toString()),
+        action: 'update',
+        changes: { status: 'in-progress' },
+      });
+
+      const events = await BugHistory.find({ action: 'update' });
+      expect(events).toHaveLength(2);
+      expect(events[0].changes).toEqual([
+        expect.objectContaining({ field: 'status', before: 'open', after: 'in-progress' }),
+      ]);
+    });
+
+    it('should report bugs that fail validation without stopping the others', async () => {
+      const [bug] = await createBugs(1);
+      const missingId = new mongoose.Types.ObjectId().toString();
+
+      const res = await bulk(admin, {
+        ids: [bug._id.toString(), missingId, 'not-an-id'],
+        action: 'update',
+        changes: { title: '   ' },
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.succeeded).toBe(0);
+      expect(res.body.failed).toBe(3);
+      expect(res.body.results[0]).toMatchObject({
+        id: bug._id.toString(),
+        success: false,
+        status: 400,
+        error: expect.stringContaining('Title is required'),
+      });
+      expect(res.body.results[1]).toMatchObject({ id: missingId, status: 404 });
+      expect(res.body.results[2]).toMatchObject({ id: 'not-an-id', status: 404 });
+    });
+
+    it('should report per-bug permission and workflow failures', async () => {
+      const [ownBug] = await createBugs(1, { reportedBy: reporter._id });
+      const [otherBug] = await createBugs(1);
+
+      const res = await bulk(reporter, {
+        ids: [ownBug._id.toString(), otherBug._id.toString()],
+        action: 'update',
+        changes: { title: 'Clearer title' },
+      });
+
+      expect(res.body.results[0].success).toBe(true);
+      expect(res.body.results[1]).toMatchObject({ success: false, status: 403 });
+      expect((await Bug.findById(otherBug._id)).title).toBe('Bulk Bug 1');
+    });
+
+    it('should process each id once', async () => {
+      const [bug] = await createBugs(1);
+      const id = bug._id.toString();
+
+      const res = await bulk(admin, { ids: [id, id], action: 'update', changes: { priority: 'low' } });
+
+      expect(res.body.results).toHaveLength(1);
+    });
+
+    it('should return 400 for fields that cannot be updated', async () => {
+      const [bug] = await createBugs(1);
+
+      const res = await bulk(admin, {
+        ids: [bug._id.toString()],
+        action: 'update',
+        changes: { reporter: 'Someone else' },
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cannot update field(s): reporter');
+    });
+
+    it('should return 400 when there is nothing to change', async () => {
+      const [bug] = await createBugs(1);
+
+      const res = await bulk(admin, { ids: [bug._id.toString()], action: 'update', changes: {} });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('assign', () => {
+    it('should assign every bug to the given user', async () => {
+      const bugs = await createBugs(2);
+
+      const res = await bulk(developer, {
+        ids: bugs.map((bug) => bug._id.toString()),
+        action: 'assign',
+        assignee: 'me',
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.succeeded).toBe(2);
+      expect(res.body.results[0].data.assignee.name).toBe('Developer');
+    });
+
+    it('should return 403 for users who cannot assign', async () => {
+      const [bug] = await createBugs(1);
+
+      const res = await bulk(reporter, { ids: [bug._id.toString()], action: 'assign', assignee: 'me' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should return 400 without an assignee', async () => {
+      const [bug] = await createBugs(1);
+
+      const res = await bulk(developer, { ids: [bug._id.toString()], action: 'assign' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('delete and restore', () => {
+    it('should move bugs to the trash and restore them', async () => {
+      const bugs = await createBugs(2);
+      const ids = bugs.map((bug) => bug._id.toString());
+
+      const deleteRes = await bulk(admin, { ids, action: 'delete' });
+      expect(deleteRes.body.succeeded).toBe(2);
+      expect(await Bug.countDocuments({ deletedAt: null })).toBe(0);
+
+      const restoreRes = await bulk(admin, { ids, action: 'restore' });
+      expect(restoreRes.body.succeeded).toBe(2);
+      expect(await Bug.countDocuments({ deletedAt: null })).toBe(2);
+    });
+
+    it('should report bugs that are not in the trash when restoring', async () => {
+      const [bug] = await createBugs(1);
+
+      const res = await bulk(admin, { ids: [bug._id.toString()], action: 'restore' });
+
+      expect(res.body.results[0]).toMatchObject({ status: 404, error: 'Bug not found in trash' });
+    });
+
+    it('should return 403 for users who cannot delete', async () => {
+      const [bug] = await createBugs(1);
+
+      const res = await bulk(developer, { ids: [bug._id.toString()], action: 'delete' });
+
+      expect(res.status).toBe(403);
+      expect(await Bug.countDocuments({ deletedAt: null })).toBe(1);
+    });
+  });
+
+  describe('request validation', () => {
+    it('should return 400 for an unknown action', async () => {
+      const res = await bulk(admin, { ids: ['x'], action: 'archive' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Action must be one of');
+    });
+
+    it('should return 400 without ids', async () => {
+      const res = await bulk(admin, { ids: [], action: 'delete' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 400 for too many ids', async () => {
+      const ids = Array.from({ length: 101 }, () => new mongoose.Types.ObjectId().toString());
+
+      const res = await bulk(admin, { ids, action: 'delete' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cannot change more than 100 bugs at once');
+    });
+
+    it('should say whether a transaction was used', async () => {
+      const [bug] = await createBugs(1);
+
+      const res = await bulk(admin, { ids: [bug._id.toString()], action: 'delete' });
+
+      // The in-memory server is a standalone instance, so no transaction is available
+      expect(res.body.transaction).toBe(false);
+    });
+
+    it('should return 401 without a token', async () => {
+      const res = await request(app).post('/api/bugs/bulk').send({ ids: ['x'], action: 'delete' });
+
+      expect(res.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+// comments.test.js - Integration tests for bug comment endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Comment = require('../../src/models/Comment');
+const User = require('../../src/models/User');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let admin;
+let reporter;
+let developer;
+let bug;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await createUser('admin');
+  reporter = await createUser('reporter');
+  developer = await createUser('developer');
+  bug = await Bug.create({
+    title: 'Commented bug',
+    description: 'A bug to discuss',
+    reporter: reporter.name,
+    reportedBy: reporter._id,
+  });
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Comment.deleteMany({});
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+});
+
+const commentsUrl = () => `/api/bugs/${bug._id}/comments`;
+
+const addComment = (user, body) =>
+  request(app).post(commentsUrl()).set('Authorization', authHeader(user)).send({ body });
+
+describe('POST /api/bugs/:id/comments', () => {
+  it('should add a comment authored by the logged-in user', async () => {
+    const res = await addComment(reporter, 'Happens on every reload');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.body).toBe('Happens on every reload');
+    expect(res.body.data.author.name).toBe('Reporter');
+    expect(res.body.data.editedAt).toBeNull();
+    expect(res.body.data).toHaveProperty('createdAt');
+  });
+
+  it('should ignore an author sent in the body', async () => {
+    const res = await request(app)
+      .post(commentsUrl())
+      .set('Authorization', authHeader(reporter))
+      .send({ body: 'Mine', author: admin._id });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.author._id).toBe(reporter._id.toString());
+  });
+
+  it('should return 400 for an empty body', async () => {
+    const res = await addComment(reporter, '   ');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('Comment body is required');
+  });
+
+  it('should return 404 for a missing bug', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${new mongoose.Types.ObjectId()}/comments`)
+      .set('Authorization', authHeader(reporter))
+      .send({ body: 'Hello' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Bug not found');
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).post(commentsUrl()).send({ body: 'Hello' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/bugs/:id/comments', () => {
+  it('should list comments oldest first with their authors', async () => {
+    await addComment(reporter, 'First');
+    await addComment(developer, 'Second');
+
+    const res = await request(app).get(commentsUrl()).set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.data.map((comment) => comment.body)).toEqual(['First', 'Second']);
+    expect(res.body.data[1].author.name).toBe('Developer');
+  });
+
+  it('should return 404 for an invalid bug id', async () => {
+    const res = await request(app).get('/api/bugs/invalid-id/comments').set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/bugs/:id/comments/:commentId', () => {
+  it('should let the author edit and set editedAt', async () => {
+    const created = await addComment(reporter, 'Typo');
+
+    const res = await request(app)
+      .put(`${commentsUrl()}/${created.body.data._id}`)
+      .set('Authorization', authHeader(reporter))
+      .send({ body: 'Fixed typo' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.body).toBe('Fixed typo');
+    expect(res.body.data.editedAt).not.toBeNull();
+  });
+
+  it('should return 403 for anyone but the author', async () => {
+    const created = await addComment(reporter, 'Mine');
+
+    const res = await request(app)
+      .put(`${commentsUrl()}/${created.body.data._id}`)
+      .set('Authorization', authHeader(admin))
+      .send({ body: 'Not yours' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 for a comment on another bug', async () => {
+    const otherBug = await Bug.create({ title: 'Other', description: 'Other bug', reporter: 'X' });
+    const created = await addComment(reporter, 'Mine');
+
+    const res = await request(app)
+      .put(`/api/bugs/${otherBug._id}/comments/${created.body.data._id}`)
+      .set('Authorization', authHeader(reporter))
+      .send({ body: 'Moved' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Comment not found');
+  });
+});
+
+describe('DELETE /api/bugs/:id/comments/:commentId', () => {
+  it('should let the author delete their comment', async () => {
+    const created = await addComment(developer, 'Remove me');
+
+    const res = await request(app)
+      .delete(`${commentsUrl()}/${created.body.data._id}`)
+      .set('Authorization', authHeader(developer));
+
+    expect(res.status).toBe(200);
+    expect(await Comment.countDocuments()).toBe(0);
+  });
+
+  it("should let an admin delete anyone's comment", async () => {
+    const created = await addComment(reporter, 'Spam');
+
+    const res = await request(app)
+      .delete(`${commentsUrl()}/${created.body.data._id}`)
+      .set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+  });
+
+  it("should return 403 for another user's comment", async () => {
+    const created = await addComment(reporter, 'Mine');
+
+    const res = await request(app)
+      .delete(`${commentsUrl()}/${created.body.data._id}`)
+      .set('Authorization', authHeader(developer));
+
+    expect(res.status).toBe(403);
+    expect(await Comment.countDocuments()).toBe(1);
+  });
+
+  it('should keep comments while their bug is in the trash', async () => {
+    await addComment(reporter, 'Still here after restore');
+
+    const res = await request(app).delete(`/api/bugs/${bug._id}`).set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(await Comment.countDocuments()).toBe(1);
+
+    const listRes = await request(app).get(commentsUrl()).set('Authorization', authHeader(reporter));
+    expect(listRes.status).toBe(404);
+  });
+
+  it('should not edit or delete comments while their bug is in the trash', async () => {
+    const created = await addComment(reporter, 'Frozen');
+    await request(app).delete(`/api/bugs/${bug._id}`).set('Authorization', authHeader(admin));
+
+    const editRes = await request(app)
+      .put(`${commentsUrl()}/${created.body.data._id}`)
+      .set('Authorization', authHeader(reporter))
+      .send({ body: 'Edited in the trash' });
+    const deleteRes = await request(app)
+      .delete(`${commentsUrl()}/${created.body.data._id}`)
+      .set('Authorization', authHeader(admin));
+
+    expect(editRes.status).toBe(404);
+    expect(editRes.body.error).toBe('Bug not found');
+    expect(deleteRes.status).toBe(404);
+    expect(await Comment.findById(created.body.data._id)).toMatchObject({ body: 'Frozen' });
+  });
+});
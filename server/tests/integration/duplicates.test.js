@@ -0,0 +1,217 @@
+// duplicates.test.js - Integration tests for duplicate bug detection and linking
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let reporter;
+let developer;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  // Similar bugs are found through the text index
+  await Bug.init();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  reporter = await createUser('reporter');
+  developer = await createUser('developer');
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await BugHistory.deleteMany({});
+  await User.deleteMany({});
+});
+
+const createBug = (overrides = {}) => Bug.create({
+  title: 'App crashes on login',
+  description: 'The app closes after submitting the login form',
+  reporter: 'Reporter',
+  ...overrides,
+});
+
+const markDuplicate = (id, original, user = developer) =>
+  request(app)
+    .post(`/api/bugs/${id}/duplicate`)
+    .set('Authorization', authHeader(user))
+    .send({ original });
+
+describe('GET /api/bugs/similar', () => {
+  it('should return open bugs with a similar title, most similar first', async () => {
+    const exact = await createBug();
+    const close = await createBug({ title: 'App crash at login' });
+    await createBug({ title: 'Export is slow', description: 'Downloading takes minutes' });
+
+    const res = await request(app)
+      .get('/api/bugs/similar')
+      .query({ title: 'App crashes on login' })
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((bug) => bug._id)).toEqual([exact._id.toString(), close._id.toString()]);
+    expect(res.body.data[0].similarity).toBe(1);
+    expect(res.body.count).toBe(2);
+  });
+
+  it('should leave out resolved, trashed and excluded bugs', async () => {
+    await createBug({ status: 'resolved' });
+    await createBug({ deletedAt: new Date() });
+    const excluded = await createBug();
+
+    const res = await request(app)
+      .get('/api/bugs/similar')
+      .query({ title: 'App crashes on login', exclude: excluded._id.toString() })
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([]);
+  });
+
+  it('should require a title', async () => {
+    const res = await request(app)
+      .get('/api/bugs/similar')
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('title is required');
+  });
+
+  it('should reject an invalid exclude id', async () => {
+    const res = await request(app)
+      .get('/api/bugs/similar')
+      .query({ title: 'Login', exclude: 'not-an-id' })
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/bugs', () => {
+  it('should return similar open bugs with the new bug', async () => {
+    const existing = await createBug();
+
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader(reporter))
+      .send({ title: 'App crashes on login', description: 'Crashes right after login' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.duplicateOf).toBeNull();
+    expect(res.body.similar.map((bug) => bug._id)).toEqual([existing._id.toString()]);
+  });
+
+  it('should ignore duplicateOf in the body', async () => {
+    const existing = await createBug();
+
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader(reporter))
+      .send({ title: 'Another bug', description: 'Details', duplicateOf: existing._id });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.duplicateOf).toBeNull();
+    expect(res.body.data.status).toBe('open');
+  });
+});
+
+describe('POST /api/bugs/:id/duplicate', () => {
+  it('should resolve the bug and link it to the original', async () => {
+    const original = await createBug();
+    const duplicate = await createBug({ title: 'Login crash' });
+
+    const res = await markDuplicate(duplicate._id, original._id.toString());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('resolved');
+    expect(res.body.data.resolvedAt).toBeTruthy();
+    expect(res.body.data.duplicateOf).toMatchObject({
+      _id: original._id.toString(),
+      title: 'App crashes on login',
+    });
+    expect(res.headers.etag).toBe(`"${res.body.data.__v}"`);
+
+    const history = await BugHistory.find({ bug: duplicate._id, action: 'update' });
+    expect(history).toHaveLength(1);
+    expect(history[0].changes.map((change) => change.field)).toEqual(
+      expect.arrayContaining(['status', 'duplicateOf'])
+    );
+  });
+
+  it('should link to the root of a duplicate chain', async () => {
+    const root = await createBug();
+    const middle = await createBug({ title: 'Login crash', status: 'resolved', duplicateOf: root._id });
+    const bug = await createBug({ title: 'Crash when logging in' });
+
+    const res = await markDuplicate(bug._id, middle._id.toString());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.duplicateOf._id).toBe(root._id.toString());
+  });
+
+  it('should refuse links that would form a cycle', async () => {
+    const bug = await createBug();
+    const other = await createBug({ title: 'Login crash', status: 'resolved', duplicateOf: bug._id });
+
+    const res = await markDuplicate(bug._id, other._id.toString());
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('The original bug is already a duplicate of this bug');
+  });
+
+  it('should refuse to mark a bug as a duplicate of itself', async () => {
+    const bug = await createBug();
+
+    const res = await markDuplicate(bug._id, bug._id.toString());
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 404 for a missing original', async () => {
+    const bug = await createBug();
+
+    const res = await markDuplicate(bug._id, new mongoose.Types.ObjectId().toString());
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Original bug not found');
+  });
+
+  it('should not let reporters mark duplicates', async () => {
+    const original = await createBug();
+    const bug = await createBug({ title: 'Login crash' });
+
+    const res = await markDuplicate(bug._id, original._id.toString(), reporter);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should clear the link when the bug is reopened', async () => {
+    const original = await createBug();
+    const bug = await createBug({ title: 'Login crash' });
+    await markDuplicate(bug._id, original._id.toString());
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader(developer))
+      .send({ status: 'open' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.duplicateOf).toBeNull();
+    expect(res.body.data.reopenCount).toBe(1);
+  });
+});
@@ -0,0 +1,185 @@
+// errorGroups.test.js - Integration tests for grouping client and server errors
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const ErrorGroup = require('../../src/models/ErrorGroup');
+const ErrorReport = require('../../src/models/ErrorReport');
+const User = require('../../src/models/User');
+const { groupError } = require('../../src/utils/errorLogger');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let admin;
+let developer;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  // Concurrent upserts rely on the unique fingerprint index
+  await ErrorGroup.init();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await createUser('admin');
+  developer = await createUser('developer');
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await ErrorGroup.deleteMany({});
+  await ErrorReport.deleteMany({});
+  await User.deleteMany({});
+});
+
+// Report times must be close to when the server receives them
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const crashReport = (overrides = {}) => ({
+  message: 'Bug 507f1f77bcf86cd799439011 has no title',
+  name: 'TypeError',
+  stack: 'TypeError: Bug has no title\n    at BugItem (http://localhost:3000/static/js/main.3f2a9c1b.js:42:10)',
+  source: 'boundary',
+  url: 'http://localhost:3000/',
+  occurredAt: minutesAgo(5),
+  ...overrides,
+});
+
+const sendReports = (reports) => request(app).post('/api/errors').send({ reports });
+
+const listGroups = (query = {}, user = admin) =>
+  request(app)
+    .get('/api/errors/groups')
+    .query(query)
+    .set('Authorization', authHeader(user));
+
+describe('Error grouping', () => {
+  it('should group occurrences that differ only by ids and line numbers', async () => {
+    const [earliest, latest] = [minutesAgo(8), minutesAgo(1)];
+    await sendReports([
+      crashReport(),
+      crashReport({
+        message: 'Bug 507f191e810c19729de860ea has no title',
+        stack: crashReport().stack.replace(':42:10', ':57:3'),
+        occurredAt: latest,
+      }),
+    ]);
+    await sendReports([crashReport({ occurredAt: earliest })]);
+
+    const groups = await ErrorGroup.find();
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({
+      platform: 'client',
+      name: 'TypeError',
+      title: 'Bug <id> has no title',
+      culprit: 'BugItem (/static/js/main.js)',
+      count: 3,
+    });
+    expect(groups[0].firstSeen.toISOString()).toBe(earliest);
+    expect(groups[0].lastSeen.toISOString()).toBe(latest);
+
+    const reports = await ErrorReport.find();
+    expect(reports.every((report) => report.fingerprint === groups[0].fingerprint)).toBe(true);
+  });
+
+  it('should keep the newest occurrence as the example when an older one arrives later', async () => {
+    const latest = crashReport({ message: 'Bug 507f191e810c19729de860ea has no title', occurredAt: minutesAgo(1) });
+    await sendReports([latest]);
+    await sendReports([crashReport({ url: 'http://localhost:3000/bugs', occurredAt: minutesAgo(8) })]);
+
+    const group = await ErrorGroup.findOne();
+    expect(group).toMatchObject({ count: 2, lastMessage: latest.message, url: latest.url });
+    expect(group.lastSeen.toISOString()).toBe(latest.occurredAt);
+  });
+
+  it('should keep different errors in different groups', async () => {
+    await sendReports([crashReport(), crashReport({ name: 'RangeError' })]);
+
+    expect(await ErrorGroup.countDocuments()).toBe(2);
+  });
+
+  it('should group server errors apart from client errors', async () => {
+    // Thrown from the same place, so the stacks match apart from line numbers
+    const timeout = (ms) => new Error(`Database timed out after ${ms} ms`);
+    await groupError(timeout(3000), { method: 'GET', originalUrl: '/api/bugs' });
+    await groupError(timeout(5000));
+
+    const [group] = await ErrorGroup.find({ platform: 'server' });
+    expect(group).toMatchObject({ title: 'Database timed out after <n> ms', count: 2 });
+  });
+});
+
+describe('GET /api/errors/groups', () => {
+  it('should list groups most recently seen first by default', async () => {
+    await sendReports([
+      crashReport({ name: 'RangeError', occurredAt: minutesAgo(5) }),
+      crashReport({ occurredAt: minutesAgo(1) }),
+      crashReport({ occurredAt: minutesAgo(2) }),
+    ]);
+
+    const res = await listGroups();
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.data.map((group) => [group.name, group.count])).toEqual([
+      ['TypeError', 2],
+      ['RangeError', 1],
+    ]);
+  });
+
+  it('should sort by count, filter by platform and page with a cursor', async () => {
+    await sendReports([crashReport(), crashReport(), crashReport({ name: 'RangeError' })]);
+    await groupError(new Error('Server fault'));
+
+    const first = await listGroups({ sort: 'count', platform: 'client', limit: 1 });
+    expect(first.status).toBe(200);
+    expect(first.body.total).toBe(2);
+    expect(first.body.data[0]).toMatchObject({ name: 'TypeError', count: 2 });
+
+    const second = await listGroups({ sort: 'count', platform: 'client', limit: 1, cursor: first.body.nextCursor });
+    expect(second.body.data[0]).toMatchObject({ name: 'RangeError', count: 1 });
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('should reject an unknown sort or platform', async () => {
+    expect((await listGroups({ sort: 'title' })).status).toBe(400);
+    expect((await listGroups({ platform: 'mobile' })).status).toBe(400);
+  });
+
+  it('should only be available to admins', async () => {
+    const res = await listGroups({}, developer);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/errors/groups/:id', () => {
+  it('should return the group with its latest reports', async () => {
+    await sendReports([crashReport(), crashReport({ occurredAt: minutesAgo(1) })]);
+    const group = await ErrorGroup.findOne();
+
+    const res = await request(app)
+      .get(`/api/errors/groups/${group._id}`)
+      .set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ fingerprint: group.fingerprint, count: 2 });
+    expect(res.body.data.reports).toHaveLength(2);
+  });
+
+  it('should return 404 for a missing group', async () => {
+    const res = await request(app)
+      .get(`/api/errors/groups/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(404);
+  });
+});
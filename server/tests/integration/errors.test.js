@@ -0,0 +1,167 @@
+// errors.test.js - Integration tests for client error reports
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const ErrorReport = require('../../src/models/ErrorReport');
+const ErrorGroup = require('../../src/models/ErrorGroup');
+const User = require('../../src/models/User');
+const getErrorReportConfig = require('../../src/config/errorReports');
+const { FIELD_LIMITS } = require('../../src/utils/errorReportUtils');
+const { createRateLimiter } = require('../../src/middleware/rateLimit');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { reportErrors } = require('../../src/controllers/errorReportController');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await ErrorReport.deleteMany({});
+  await ErrorGroup.deleteMany({});
+  await User.deleteMany({});
+});
+
+const boundaryReport = {
+  message: 'Cannot read properties of undefined (reading \'map\')',
+  name: 'TypeError',
+  stack: 'TypeError: Cannot read properties of undefined\n    at BugList (BugList.jsx:42:10)',
+  componentStack: '\n    in BugList\n    in App',
+  source: 'boundary',
+  url: 'http://localhost:3000/',
+  appVersion: '1.0.0',
+};
+
+const sendReports = (body) => request(app).post('/api/errors').send(body);
+
+describe('POST /api/errors', () => {
+  it('should store reports from anonymous users', async () => {
+    const res = await sendReports({ reports: [boundaryReport] });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ success: true, accepted: 1, rejected: [] });
+
+    const [stored] = await ErrorReport.find();
+    expect(stored).toMatchObject({
+      message: boundaryReport.message,
+      componentStack: boundaryReport.componentStack,
+      source: 'boundary',
+      appVersion: '1.0.0',
+      user: null,
+    });
+  });
+
+  it('should record the logged-in user', async () => {
+    const user = await createUser('reporter');
+
+    const res = await request(app)
+      .post('/api/errors')
+      .set('Authorization', authHeader(user))
+      .send({ reports: [boundaryReport] });
+
+    expect(res.status).toBe(201);
+    const [stored] = await ErrorReport.find();
+    expect(stored.user.toString()).toBe(user._id.toString());
+  });
+
+  it('should redact secrets and personal data before storing reports', async () => {
+    const res = await sendReports({
+      reports: [{
+        ...boundaryReport,
+        message: 'No account for jane@example.com',
+        stack: 'Error: No account for jane@example.com\n    at login (Login.jsx:12:3)',
+        url: 'http://localhost:3000/reset?token=abc123&step=2',
+      }],
+    });
+
+    expect(res.status).toBe(201);
+    const [stored] = await ErrorReport.find();
+    expect(stored.message).toBe('No account for [REDACTED]');
+    expect(stored.stack).not.toContain('jane@example.com');
+    expect(stored.url).toBe('http://localhost:3000/reset?token=[REDACTED]&step=2');
+    const [group] = await ErrorGroup.find();
+    expect(JSON.stringify(group)).not.toContain('jane@example.com');
+  });
+
+  it('should store at-limit reports whose redacted fields are longer than the originals', async () => {
+    const message = `${'x'.repeat(FIELD_LIMITS.message - 7)} a@b.co`;
+
+    const res = await sendReports({ reports: [{ ...boundaryReport, message }] });
+
+    expect(res.status).toBe(201);
+    const [stored] = await ErrorReport.find();
+    expect(stored.message).toHaveLength(FIELD_LIMITS.message);
+    expect(stored.message).not.toContain('a@b.co');
+    const [group] = await ErrorGroup.find();
+    expect(group.count).toBe(1);
+  });
+
+  it('should store valid reports and list the rejected ones', async () => {
+    const res = await sendReports({
+      reports: [boundaryReport, { stack: 'no message' }, { message: 'Network down', source: 'unhandledrejection' }],
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.accepted).toBe(2);
+    expect(res.body.rejected).toEqual([{ index: 1, error: 'message is required' }]);
+    expect(await ErrorReport.countDocuments()).toBe(2);
+  });
+
+  it('should reject a batch without reports', async () => {
+    const res = await sendReports({ reports: [] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should reject batches larger than the limit', async () => {
+    const { maxBatchSize } = getErrorReportConfig();
+
+    const res = await sendReports({ reports: Array(maxBatchSize + 1).fill(boundaryReport) });
+
+    expect(res.status).toBe(413);
+    expect(await ErrorReport.countDocuments()).toBe(0);
+  });
+
+  it('should reject bodies larger than the size limit', async () => {
+    const { maxBodySize } = getErrorReportConfig();
+
+    const res = await sendReports({ reports: [{ ...boundaryReport, stack: 'x'.repeat(maxBodySize) }] });
+
+    expect(res.status).toBe(413);
+  });
+
+  it('should rate limit each client', async () => {
+    // Own limiter, so the count doesn't depend on the requests the other tests send
+    const limitedApp = express();
+    limitedApp.post(
+      '/api/errors',
+      createRateLimiter({ limit: 2, windowMs: 60000, message: 'Too many error reports, please try again later' }),
+      express.json(),
+      reportErrors
+    );
+    limitedApp.use(errorHandler);
+    const send = () => request(limitedApp).post('/api/errors').send({ reports: [boundaryReport] });
+
+    expect((await send()).status).toBe(201);
+    expect((await send()).status).toBe(201);
+    const res = await send();
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(res.body.error).toBe('Too many error reports, please try again later');
+  });
+});
@@ -0,0 +1,138 @@
+// export.test.js - Integration tests for bug exports
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const { EXPORT_FIELDS } = require('../../src/utils/exportUtils');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let reporter;
+let developer;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  reporter = await createUser('reporter');
+  developer = await createUser('developer');
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+});
+
+const createBug = (overrides = {}) => Bug.create({
+  title: 'Export Bug',
+  description: 'Listed in the export',
+  reporter: 'Reporter',
+  ...overrides,
+});
+
+const exportBugs = (query = {}) =>
+  request(app).get('/api/bugs/export').query(query).set('Authorization', authHeader(reporter));
+
+describe('GET /api/bugs/export', () => {
+  it('should require authentication', async () => {
+    const res = await request(app).get('/api/bugs/export');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should download CSV by default with a header row', async () => {
+    await createBug({ title: 'Crash, on save', labels: ['ui'], assignee: developer._id });
+
+    const res = await exportBugs();
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="bugs-\d{4}-\d{2}-\d{2}\.csv"$/);
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toBe(EXPORT_FIELDS.join(','));
+    expect(lines[1]).toContain('"Crash, on save"');
+    expect(lines[1]).toContain('Developer,developer@example.com,ui');
+    expect(lines).toHaveLength(2);
+  });
+
+  it('should export a JSON array without user secrets', async () => {
+    await createBug({ assignee: developer._id });
+
+    const res = await exportBugs({ format: 'json' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    const records = JSON.parse(res.text);
+    expect(records).toHaveLength(1);
+    expect(records[0].assignee).toBe('Developer');
+    expect(res.text).not.toMatch(/password/);
+  });
+
+  it('should export NDJSON in the requested sort order', async () => {
+    await createBug({ title: 'Low', priority: 'low' });
+    await createBug({ title: 'Critical', priority: 'critical' });
+    await createBug({ title: 'Medium', priority: 'medium' });
+
+    const res = await exportBugs({ format: 'ndjson', sort: '-priority' });
+
+    expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    const titles = res.text.trim().split('\n').map((line) => JSON.parse(line).title);
+    expect(titles).toEqual(['Critical', 'Medium', 'Low']);
+  });
+
+  it('should honour the list filters and skip the trash', async () => {
+    await createBug({ title: 'Open high', status: 'open', priority: 'high' });
+    await createBug({ title: 'Open low', status: 'open', priority: 'low' });
+    await createBug({ title: 'Resolved high', status: 'resolved', priority: 'high' });
+    await createBug({ title: 'Trashed', status: 'open', priority: 'high', deletedAt: new Date() });
+
+    const res = await exportBugs({ format: 'json', status: 'open', priority: 'high' });
+
+    expect(JSON.parse(res.text).map((bug) => bug.title)).toEqual(['Open high']);
+  });
+
+  it('should honour search queries', async () => {
+    await Bug.init();
+    await createBug({ title: 'Payment timeout' });
+    await createBug({ title: 'Avatar upload' });
+
+    const res = await exportBugs({ format: 'json', q: 'payment' });
+
+    expect(JSON.parse(res.text).map((bug) => bug.title)).toEqual(['Payment timeout']);
+  });
+
+  it('should export every matching bug, beyond one page of the list', async () => {
+    await Bug.insertMany(Array.from({ length: 250 }, (_, index) => ({
+      title: `Bug ${index}`,
+      description: 'Bulk created',
+      reporter: 'Reporter',
+    })));
+
+    const res = await exportBugs({ format: 'ndjson' });
+
+    expect(res.text.trim().split('\n')).toHaveLength(250);
+  });
+
+  it('should reject unknown formats and invalid filters', async () => {
+    const badFormat = await exportBugs({ format: 'xml' });
+    const badSort = await exportBugs({ sort: 'nonsense' });
+
+    expect(badFormat.status).toBe(400);
+    expect(badFormat.body.error).toBe('format must be one of: csv, json, ndjson');
+    expect(badSort.status).toBe(400);
+    expect(badSort.body.success).toBe(false);
+  });
+});
@@ -0,0 +1,154 @@
+// history.test.js - Integration tests for the bug audit trail
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let admin;
+let developer;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await createUser('admin');
+  developer = await createUser('developer');
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await BugHistory.deleteMany({});
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+});
+
+const createBug = async () => {
+  const res = await request(app)
+    .post('/api/bugs')
+    .set('Authorization', authHeader(admin))
+    .send({ title: 'Audited bug', description: 'Track my changes' });
+  return res.body.data;
+};
+
+const getHistory = (bugId) =>
+  request(app).get(`/api/bugs/${bugId}/history`).set('Authorization', authHeader(developer));
+
+describe('GET /api/bugs/:id/history', () => {
+  it('should record who created the bug and its initial fields', async () => {
+    const bug = await createBug();
+
+    const res = await getHistory(bug._id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(res.body.data[0]).toMatchObject({ action: 'create', actorName: 'Admin' });
+    expect(res.body.data[0].actor).toBe(admin._id.toString());
+    expect(res.body.data[0].changes).toContainEqual({
+      field: 'title',
+      before: null,
+      after: 'Audited bug',
+    });
+    expect(res.body.data[0]).toHaveProperty('createdAt');
+  });
+
+  it('should record a field-level diff for updates, newest first', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader(developer))
+      .send({ ...bug, status: 'in-progress' });
+
+    const res = await getHistory(bug._id);
+
+    expect(res.body.data.map((event) => event.action)).toEqual(['update', 'create']);
+    expect(res.body.data[0].actorName).toBe('Developer');
+    expect(res.body.data[0].changes).toEqual([
+      { field: 'status', before: 'open', after: 'in-progress' },
+    ]);
+  });
+
+  it('should not record updates that change nothing', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader(admin))
+      .send({ title: bug.title });
+
+    const res = await getHistory(bug._id);
+
+    expect(res.body.count).toBe(1);
+  });
+
+  it('should record assignments with the assignee name', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .patch(`/api/bugs/${bug._id}/assign`)
+      .set('Authorization', authHeader(developer))
+      .send({ assignee: 'me' });
+
+    const res = await getHistory(bug._id);
+
+    expect(res.body.data[0].changes).toEqual([
+      {
+        field: 'assignee',
+        before: null,
+        after: { _id: developer._id.toString(), name: 'Developer' },
+      },
+    ]);
+  });
+
+  it('should keep the history of a deleted bug', async () => {
+    const bug = await createBug();
+
+    await request(app).delete(`/api/bugs/${bug._id}`).set('Authorization', authHeader(admin));
+
+    const res = await getHistory(bug._id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].action).toBe('delete');
+    expect(res.body.data[0].changes).toContainEqual({
+      field: 'title',
+      before: 'Audited bug',
+      after: null,
+    });
+  });
+
+  it('should return 404 for a bug that never existed', async () => {
+    const res = await getHistory(new mongoose.Types.ObjectId());
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Bug not found');
+  });
+
+  it('should return 404 for an invalid id', async () => {
+    const res = await getHistory('invalid-id');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 401 without a token', async () => {
+    const bug = await createBug();
+
+    const res = await request(app).get(`/api/bugs/${bug._id}/history`);
+
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,190 @@
+// import.test.js - Integration tests for bulk bug imports
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const Label = require('../../src/models/Label');
+const User = require('../../src/models/User');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let admin;
+let triager;
+let reporter;
+let developer;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await createUser('admin');
+  triager = await createUser('triager');
+  reporter = await createUser('reporter');
+  developer = await createUser('developer');
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await BugHistory.deleteMany({});
+  await Bug.deleteMany({});
+  await Label.deleteMany({});
+  await User.deleteMany({});
+});
+
+const importFile = (content, filename = 'bugs.csv', fields = {}, user = triager) => {
+  const req = request(app).post('/api/bugs/import').set('Authorization', authHeader(user));
+  Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+  return req.attach('file', Buffer.from(content), filename);
+};
+
+const CSV = [
+  'Summary,Description,Severity,Assigned To,Tags,Reporter',
+  'Checkout fails,Card is declined,high,developer@example.com,payments;checkout,Support',
+  'Slow search,Takes 10 seconds,medium,,,',
+].join('\n');
+
+describe('POST /api/bugs/import', () => {
+  it('should only let triagers and admins import', async () => {
+    const res = await importFile(CSV, 'bugs.csv', {}, reporter);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should preview a dry run without creating bugs', async () => {
+    const res = await importFile(CSV, 'bugs.csv', { dryRun: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(res.body.data.columns).toEqual({
+      Summary: 'title',
+      Description: 'description',
+      Severity: 'priority',
+      'Assigned To': 'assignee',
+      Tags: 'labels',
+      Reporter: 'reporter',
+    });
+    expect(res.body.data.summary).toEqual({ total: 2, valid: 2, invalid: 0, duplicates: 0 });
+    expect(res.body.data.rows[0]).toMatchObject({
+      row: 2,
+      status: 'valid',
+      bug: { title: 'Checkout fails', assignee: developer._id.toString(), labels: ['payments', 'checkout'] },
+    });
+    expect(await Bug.countDocuments()).toBe(0);
+  });
+
+  it('should create the bugs with history and labels', async () => {
+    const res = await importFile(CSV);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.summary.imported).toBe(2);
+    expect(res.body.data.rows.map((row) => row.status)).toEqual(['imported', 'imported']);
+
+    const checkout = await Bug.findOne({ title: 'Checkout fails' });
+    expect(checkout.reporter).toBe('Support');
+    expect(checkout.reportedBy.toString()).toBe(triager._id.toString());
+    expect(checkout.assignee.toString()).toBe(developer._id.toString());
+    expect(checkout.priorityWeight).toBe(3);
+
+    const slow = await Bug.findOne({ title: 'Slow search' });
+    expect(slow.reporter).toBe('Triager');
+    expect(await BugHistory.countDocuments({ action: 'create' })).toBe(2);
+    expect(await Label.countDocuments({ name: { $in: ['payments', 'checkout'] } })).toBe(2);
+  });
+
+  it('should report row errors and import nothing while any row is invalid', async () => {
+    const csv = 'title,description,priority,assignee\nGood,Fine,low,\nBad,,urgent,nobody@example.com\n';
+
+    const res = await importFile(csv);
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('1 of 2 rows have errors; no bugs were imported');
+    expect(res.body.data.rows[1]).toMatchObject({ row: 3, status: 'invalid' });
+    expect(res.body.data.rows[1].errors).toEqual([
+      'Assignee not found: nobody@example.com',
+      'Description is required and must be a non-empty string',
+      'Priority must be one of: low, medium, high, critical',
+    ]);
+    expect(await Bug.countDocuments()).toBe(0);
+  });
+
+  it('should skip duplicates of existing bugs and of earlier rows', async () => {
+    const existing = await Bug.create({ title: 'Login Broken', description: 'Already here', reporter: 'Reporter' });
+    const csv = 'title,description\nlogin broken,Again\nNew bug,First\nNEW  bug,Second\n';
+
+    const res = await importFile(csv);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.summary).toMatchObject({ total: 3, valid: 1, duplicates: 2, imported: 1 });
+    expect(res.body.data.rows[0].duplicateOf).toEqual({ id: existing._id.toString(), title: 'Login Broken' });
+    expect(res.body.data.rows[2].duplicateOf).toEqual({ row: 3 });
+    expect(await Bug.countDocuments()).toBe(2);
+  });
+
+  it('should apply a column mapping', async () => {
+    const csv = 'Problem,Steps,Ignored\nCrash,Open the app,x\n';
+
+    const res = await importFile(csv, 'bugs.csv', {
+      dryRun: 'true',
+      mapping: JSON.stringify({ Problem: 'title', Steps: 'description' }),
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.columns).toEqual({ Problem: 'title', Steps: 'description', Ignored: null });
+    expect(res.body.data.rows[0].bug).toMatchObject({ title: 'Crash', description: 'Open the app' });
+  });
+
+  it('should import JSON, including the bug export format', async () => {
+    const json = JSON.stringify([
+      { title: 'From JSON', description: 'Imported', status: 'resolved', labels: ['api'], createdAt: '2026-01-01T00:00:00.000Z' },
+    ]);
+
+    const res = await importFile(json, 'bugs.json', {}, admin);
+
+    expect(res.status).toBe(201);
+    const bug = await Bug.findOne({ title: 'From JSON' });
+    expect(bug.status).toBe('resolved');
+    expect(bug.resolvedAt).toBeInstanceOf(Date);
+    expect(bug.createdAt.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  it('should reject resolved rows from users who cannot change the status', async () => {
+    const csv = 'title,description,status\nAlready fixed,Imported,resolved\nStill open,Imported,open\n';
+
+    const res = await importFile(csv);
+
+    expect(res.status).toBe(422);
+    expect(res.body.data.rows[0]).toMatchObject({
+      row: 2,
+      status: 'invalid',
+      errors: ['Not authorized to import bugs with a status other than open'],
+    });
+    expect(res.body.data.rows[1].status).toBe('valid');
+    expect(await Bug.countDocuments()).toBe(0);
+  });
+
+  it('should reject missing, malformed and unsupported files', async () => {
+    const missing = await request(app).post('/api/bugs/import').set('Authorization', authHeader(triager));
+    const badJson = await importFile('[{"title":', 'bugs.json');
+    const badType = await importFile('title\nA', 'bugs.xlsx');
+    const empty = await importFile('title,description\n', 'bugs.csv');
+    const badMapping = await importFile(CSV, 'bugs.csv', { mapping: '{"Nope":"title"}' });
+
+    expect(missing.status).toBe(400);
+    expect(badJson.status).toBe(400);
+    expect(badType.status).toBe(415);
+    expect(empty.body.error).toBe('The file has no bugs to import');
+    expect(badMapping.body.error).toBe('The file has no column named "Nope"');
+  });
+});
@@ -0,0 +1,262 @@
+// labels.test.js - Integration tests for bug labels and the /api/labels registry
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const Label = require('../../src/models/Label');
+const User = require('../../src/models/User');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let admin;
+let triager;
+let developer;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Label.syncIndexes();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await createUser('admin');
+  triager = await createUser('triager');
+  developer = await createUser('developer');
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await BugHistory.deleteMany({});
+  await Bug.deleteMany({});
+  await Label.deleteMany({});
+  await User.deleteMany({});
+});
+
+const createBug = (labels, overrides = {}) => Bug.create({
+  title: 'Labelled Bug',
+  description: 'Has labels',
+  reporter: 'Reporter',
+  labels,
+  ...overrides,
+});
+
+const listBugs = (query) =>
+  request(app).get(`/api/bugs?${query}`).set('Authorization', authHeader(developer));
+
+describe('Bug labels', () => {
+  it('should normalise labels and register new ones when a bug is created', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader(developer))
+      .send({
+        title: 'Checkout broken',
+        description: 'Pay button does nothing',
+        labels: ['Payments', ' regression ', 'payments'],
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.labels).toEqual(['payments', 'regression']);
+
+    const registry = await Label.find().sort({ name: 1 });
+    expect(registry.map((label) => label.name)).toEqual(['payments', 'regression']);
+    expect(registry[0].color).toBe('#667eea');
+  });
+
+  it('should keep the colour of labels that are already registered', async () => {
+    await Label.create({ name: 'frontend', color: '#ff8800' });
+    const bug = await createBug([]);
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader(developer))
+      .send({ labels: ['frontend'] });
+
+    expect(res.status).toBe(200);
+    expect((await Label.findOne({ name: 'frontend' })).color).toBe('#ff8800');
+    expect(await Label.countDocuments()).toBe(1);
+  });
+
+  it('should reject invalid label names', async () => {
+    const bug = await createBug([]);
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader(developer))
+      .send({ labels: ['urgent!'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('Label names may only contain');
+  });
+
+  it('should record label changes in history', async () => {
+    const bug = await createBug(['frontend']);
+
+    await request(app)
+      .patch(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader(developer))
+      .set('If-Match', `"${bug.__v}"`)
+      .send({ labels: ['frontend', 'regression'] });
+
+    const event = await BugHistory.findOne({ bug: bug._id, action: 'update' });
+    expect(event.changes).toEqual([
+      expect.objectContaining({ field: 'labels', before: 'frontend', after: 'frontend, regression' }),
+    ]);
+  });
+});
+
+describe('GET /api/bugs label filters', () => {
+  beforeEach(async () => {
+    await createBug(['frontend'], { title: 'Frontend only' });
+    await createBug(['frontend', 'regression'], { title: 'Frontend regression' });
+    await createBug(['backend'], { title: 'Backend only' });
+  });
+
+  const titles = (res) => res.body.data.map((bug) => bug.title).sort();
+
+  it('should match bugs with any of the labels by default', async () => {
+    const res = await listBugs('labels=regression,backend');
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(['Backend only', 'Frontend regression']);
+  });
+
+  it('should match bugs with all of the labels with labelMode=all', async () => {
+    const res = await listBugs('labels=frontend,regression&labelMode=all');
+
+    expect(titles(res)).toEqual(['Frontend regression']);
+    expect(res.body.total).toBe(1);
+  });
+
+  it('should match labels case-insensitively', async () => {
+    const res = await listBugs('labels=FRONTEND');
+
+    expect(res.body.data).toHaveLength(2);
+  });
+
+  it('should return 400 for an unknown labelMode', async () => {
+    const res = await listBugs('labels=frontend&labelMode=some');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('labelMode must be one of: any, all');
+  });
+});
+
+describe('/api/labels', () => {
+  it('should list labels with their bug counts and filter by prefix', async () => {
+    await createBug(['frontend', 'regression']);
+    await createBug(['frontend']);
+    await createBug(['frontend'], { deletedAt: new Date() });
+    await Label.create([{ name: 'frontend' }, { name: 'regression' }, { name: 'performance' }]);
+
+    const res = await request(app).get('/api/labels').set('Authorization', authHeader(developer));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((label) => [label.name, label.bugCount])).toEqual([
+      ['frontend', 2],
+      ['performance', 0],
+      ['regression', 1],
+    ]);
+
+    const prefixRes = await request(app).get('/api/labels?q=Re').set('Authorization', authHeader(developer));
+    expect(prefixRes.body.data.map((label) => label.name)).toEqual(['regression']);
+  });
+
+  it('should create a label', async () => {
+    const res = await request(app)
+      .post('/api/labels')
+      .set('Authorization', authHeader(triager))
+      .send({ name: 'Payments', color: '#22aa55', description: 'Checkout and billing' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ name: 'payments', color: '#22aa55' });
+  });
+
+  it('should return 409 for a label that already exists', async () => {
+    await Label.create({ name: 'payments' });
+
+    const res = await request(app)
+      .post('/api/labels')
+      .set('Authorization', authHeader(triager))
+      .send({ name: 'PAYMENTS' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should return 400 for an invalid colour', async () => {
+    const res = await request(app)
+      .post('/api/labels')
+      .set('Authorization', authHeader(triager))
+      .send({ name: 'payments', color: 'green' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('Color must be a hex value');
+  });
+
+  it('should return 403 for users who cannot manage labels', async () => {
+    const res = await request(app)
+      .post('/api/labels')
+      .set('Authorization', authHeader(developer))
+      .send({ name: 'payments' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should rename a label on every bug that uses it', async () => {
+    const label = await Label.create({ name: 'ui' });
+    const bug = await createBug(['ui', 'regression']);
+    const both = await createBug(['ui', 'frontend']);
+
+    const res = await request(app)
+      .put(`/api/labels/${label._id}`)
+      .set('Authorization', authHeader(admin))
+      .send({ name: 'frontend', color: '#123456' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ name: 'frontend', color: '#123456' });
+    expect((await Bug.findById(bug._id)).labels).toEqual(['frontend', 'regression']);
+    expect((await Bug.findById(both._id)).labels).toEqual(['frontend']);
+  });
+
+  it('should return 409 when renaming onto an existing label', async () => {
+    const label = await Label.create({ name: 'ui' });
+    await Label.create({ name: 'frontend' });
+
+    const res = await request(app)
+      .put(`/api/labels/${label._id}`)
+      .set('Authorization', authHeader(admin))
+      .send({ name: 'frontend' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should delete a label and remove it from bugs', async () => {
+    const label = await Label.create({ name: 'wontfix' });
+    const bug = await createBug(['wontfix', 'backend']);
+
+    const res = await request(app)
+      .delete(`/api/labels/${label._id}`)
+      .set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(await Label.countDocuments()).toBe(0);
+    expect((await Bug.findById(bug._id)).labels).toEqual(['backend']);
+  });
+
+  it('should return 404 for a label that does not exist', async () => {
+    const res = await request(app)
+      .delete(`/api/labels/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,111 @@
+// logLevels.test.js - Integration tests for changing log levels at runtime
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const { resetLogLevels } = require('../../src/utils/logger');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let admin;
+let developer;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await createUser('admin');
+  developer = await createUser('developer');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+// Clean up database and runtime levels between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+  resetLogLevels();
+  jest.restoreAllMocks();
+});
+
+const setLevel = (body, user = admin) =>
+  request(app).put('/api/logs/levels').set('Authorization', authHeader(user)).send(body);
+
+describe('GET /api/logs/levels', () => {
+  it('should return the current levels to admins', async () => {
+    const res = await request(app).get('/api/logs/levels').set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      level: 'info',
+      modules: {},
+      levels: ['debug', 'info', 'warn', 'error', 'silent'],
+    });
+  });
+
+  it('should be limited to admins', async () => {
+    const res = await request(app).get('/api/logs/levels').set('Authorization', authHeader(developer));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should require a logged-in user', async () => {
+    const res = await request(app).get('/api/logs/levels');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('PUT /api/logs/levels', () => {
+  it('should turn on debug events for one module', async () => {
+    const bug = await Bug.create({ title: 'Login fails', description: 'Nothing happens', reporter: 'Admin' });
+
+    await request(app).get(`/api/bugs/${bug._id}`).set('Authorization', authHeader(admin));
+    const debugLines = () => console.log.mock.calls.filter(([line]) => line.includes('getBug result'));
+    expect(debugLines()).toHaveLength(0);
+
+    const res = await setLevel({ module: 'bugController', level: 'debug' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.modules).toEqual({ bugController: 'debug' });
+
+    await request(app).get(`/api/bugs/${bug._id}`).set('Authorization', authHeader(admin));
+    expect(debugLines()).toHaveLength(1);
+    expect(debugLines()[0][0]).toContain(bug._id.toString());
+  });
+
+  it('should change the default level and clear a module level', async () => {
+    await setLevel({ module: 'bugController', level: 'debug' });
+
+    const res = await setLevel({ level: 'warn' });
+    expect(res.body.data).toMatchObject({ level: 'warn', modules: { bugController: 'debug' } });
+
+    const cleared = await setLevel({ module: 'bugController', level: null });
+    expect(cleared.body.data).toMatchObject({ level: 'warn', modules: {} });
+  });
+
+  it('should reject unknown levels and module names', async () => {
+    const badLevel = await setLevel({ level: 'verbose' });
+    expect(badLevel.status).toBe(400);
+    expect(badLevel.body.error).toBe('Level must be one of: debug, info, warn, error, silent');
+
+    const badModule = await setLevel({ module: '../app', level: 'debug' });
+    expect(badModule.status).toBe(400);
+  });
+
+  it('should be limited to admins', async () => {
+    const res = await setLevel({ level: 'debug' }, developer);
+
+    expect(res.status).toBe(403);
+  });
+});
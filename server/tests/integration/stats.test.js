@@ -0,0 +1,271 @@
+// stats.test.js - Integration tests for bug statistics, status timestamps and cycle-time metrics
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let reporter;
+let developer;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  reporter = await createUser('reporter');
+  developer = await createUser('developer');
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await BugHistory.deleteMany({});
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+});
+
+const createBug = (overrides = {}) => Bug.create({
+  title: 'Stats Bug',
+  description: 'Counted on the dashboard',
+  reporter: 'Reporter',
+  ...overrides,
+});
+
+// Record a resolution of a bug at a given time, as an update to "resolved" would
+const resolveBug = async (bug, at) => {
+  await Bug.updateOne({ _id: bug._id }, { $set: { status: 'resolved', resolvedAt: at } });
+  await BugHistory.create({
+    bug: bug._id,
+    action: 'update',
+    changes: [{ field: 'status', before: bug.status, after: 'resolved' }],
+    createdAt: at,
+  });
+};
+
+const getStats = (query = {}) =>
+  request(app).get('/api/bugs/stats').query(query).set('Authorization', authHeader(reporter));
+
+describe('GET /api/bugs/stats', () => {
+  it('should require authentication', async () => {
+    const res = await request(app).get('/api/bugs/stats');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should count bugs by status and priority, ignoring the trash', async () => {
+    await createBug({ status: 'open', priority: 'high' });
+    await createBug({ status: 'open', priority: 'high' });
+    await createBug({ status: 'in-progress', priority: 'low' });
+    await createBug({ status: 'open', priority: 'high', deletedAt: new Date() });
+
+    const res = await getStats();
+
+    expect(res.status).toBe(200);
+    const { byStatusPriority } = res.body.data;
+    expect(byStatusPriority.statuses).toEqual(['open', 'in-progress', 'resolved']);
+    expect(byStatusPriority.priorities).toEqual(['low', 'medium', 'high', 'critical']);
+    expect(byStatusPriority.counts.open).toEqual({ low: 0, medium: 0, high: 2, critical: 0 });
+    expect(byStatusPriority.counts['in-progress'].low).toBe(1);
+    expect(byStatusPriority.total).toBe(3);
+  });
+
+  it('should return opened and resolved counts for every day of the range', async () => {
+    const first = await createBug({ createdAt: new Date('2026-01-01T09:00:00Z') });
+    await createBug({ createdAt: new Date('2026-01-01T17:00:00Z') });
+    await createBug({ createdAt: new Date('2026-01-03T12:00:00Z') });
+    await createBug({ createdAt: new Date('2025-12-31T12:00:00Z') });
+    await resolveBug(first, new Date('2026-01-02T10:00:00Z'));
+
+    const res = await getStats({ from: '2026-01-01', to: '2026-01-03' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.range).toEqual({ from: '2026-01-01', to: '2026-01-03' });
+    expect(res.body.data.daily).toEqual([
+      { date: '2026-01-01', opened: 2, resolved: 0 },
+      { date: '2026-01-02', opened: 0, resolved: 1 },
+      { date: '2026-01-03', opened: 1, resolved: 0 },
+    ]);
+  });
+
+  it('should not count restores as resolutions', async () => {
+    const bug = await createBug({ status: 'resolved', createdAt: new Date('2026-01-01T09:00:00Z') });
+    await BugHistory.create({
+      bug: bug._id,
+      action: 'restore',
+      changes: [{ field: 'status', before: null, after: 'resolved' }],
+      createdAt: new Date('2026-01-02T09:00:00Z'),
+    });
+
+    const res = await getStats({ from: '2026-01-01', to: '2026-01-02' });
+
+    expect(res.body.data.daily.map((day) => day.resolved)).toEqual([0, 0]);
+  });
+
+  it('should average the time from report to latest resolution', async () => {
+    const quick = await createBug({ createdAt: new Date('2026-01-01T00:00:00Z') });
+    const slow = await createBug({ createdAt: new Date('2026-01-01T00:00:00Z') });
+    const reopened = await createBug({ createdAt: new Date('2026-01-01T00:00:00Z') });
+    await resolveBug(quick, new Date(Date.parse('2026-01-01T00:00:00Z') + 2 * HOUR_MS));
+    await resolveBug(slow, new Date(Date.parse('2026-01-01T00:00:00Z') + 10 * HOUR_MS));
+    await resolveBug(reopened, new Date('2026-01-01T05:00:00Z'));
+    await Bug.updateOne({ _id: reopened._id }, { $set: { status: 'open', resolvedAt: null } });
+
+    const res = await getStats({ from: '2026-01-01', to: '2026-01-05' });
+
+    expect(res.body.data.meanTimeToResolve).toEqual({ averageMs: 6 * HOUR_MS, count: 2 });
+  });
+
+  it('should average cycle times and count reopened bugs', async () => {
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    await createBug({
+      createdAt: new Date(start),
+      inProgressAt: new Date(start + HOUR_MS),
+      resolvedAt: new Date(start + 5 * HOUR_MS),
+      status: 'resolved',
+      reopenCount: 2,
+    });
+    await createBug({
+      createdAt: new Date(start),
+      inProgressAt: new Date(start + 2 * HOUR_MS),
+      resolvedAt: new Date(start + 4 * HOUR_MS),
+      status: 'resolved',
+    });
+    // Resolved without being worked on, so it has a lead time but no cycle time
+    await createBug({ createdAt: new Date(start), resolvedAt: new Date(start + 9 * HOUR_MS), status: 'resolved' });
+
+    const res = await getStats({ from: '2026-01-01', to: '2026-01-01' });
+
+    expect(res.body.data.meanTimeToResolve).toEqual({ averageMs: 6 * HOUR_MS, count: 3 });
+    expect(res.body.data.cycleTime).toEqual({ averageMs: 3 * HOUR_MS, count: 2, reopened: 1 });
+  });
+
+  it('should list the oldest open critical bugs first', async () => {
+    await createBug({ title: 'Newer', priority: 'critical', createdAt: new Date('2026-01-05T00:00:00Z') });
+    await createBug({ title: 'Older', priority: 'critical', createdAt: new Date('2026-01-01T00:00:00Z') });
+    await createBug({ title: 'Fixed', priority: 'critical', status: 'resolved' });
+    await createBug({ title: 'Minor', priority: 'low', createdAt: new Date('2025-01-01T00:00:00Z') });
+
+    const res = await getStats();
+
+    expect(res.body.data.oldestOpenCritical.map((bug) => bug.title)).toEqual(['Older', 'Newer']);
+  });
+
+  it('should reject invalid ranges', async () => {
+    const res = await getStats({ from: '2026-02-01', to: '2026-01-01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.error).toBe('from must not be after to');
+  });
+});
+
+describe('Status timestamps', () => {
+  const setStatus = (bug, status) =>
+    request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader(developer))
+      .send({ status });
+
+  it('should stamp status changes and count reopens', async () => {
+    const bug = await createBug();
+    expect(bug.inProgressAt).toBeNull();
+    expect(bug.resolvedAt).toBeNull();
+
+    const started = await setStatus(bug, 'in-progress');
+    expect(started.body.data.inProgressAt).not.toBeNull();
+
+    const resolved = await setStatus(bug, 'resolved');
+    expect(resolved.body.data.resolvedAt).not.toBeNull();
+    expect(resolved.body.data.reopenCount).toBe(0);
+
+    const reopened = await setStatus(bug, 'open');
+    expect(reopened.body.data.resolvedAt).toBeNull();
+    expect(reopened.body.data.reopenCount).toBe(1);
+    expect(reopened.body.data.inProgressAt).toBe(started.body.data.inProgressAt);
+  });
+
+  it('should stamp bugs created in a timed status and ignore timestamps in the body', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader(developer))
+      .send({
+        title: 'Already fixed',
+        description: 'Reported after the fix',
+        status: 'resolved',
+        resolvedAt: '2020-01-01T00:00:00Z',
+        reopenCount: 7,
+      });
+
+    expect(res.status).toBe(201);
+    expect(Date.parse(res.body.data.resolvedAt)).toBeGreaterThan(Date.parse('2020-01-02T00:00:00Z'));
+    expect(res.body.data.reopenCount).toBe(0);
+  });
+
+  it('should stamp status changes made by bulk updates', async () => {
+    const bug = await createBug({ status: 'in-progress' });
+
+    await request(app)
+      .post('/api/bugs/bulk')
+      .set('Authorization', authHeader(developer))
+      .send({ ids: [bug._id], action: 'update', changes: { status: 'resolved' } });
+
+    const stored = await Bug.findById(bug._id);
+    expect(stored.resolvedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('GET /api/bugs/:id/metrics', () => {
+  it('should return the cycle-time metrics of a bug', async () => {
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    const bug = await createBug({
+      status: 'resolved',
+      createdAt: new Date(start),
+      inProgressAt: new Date(start + HOUR_MS),
+      resolvedAt: new Date(start + 3 * HOUR_MS),
+      reopenCount: 1,
+    });
+
+    const res = await request(app)
+      .get(`/api/bugs/${bug._id}/metrics`)
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      status: 'resolved',
+      leadTimeMs: 3 * HOUR_MS,
+      cycleTimeMs: 2 * HOUR_MS,
+      timeToStartMs: HOUR_MS,
+      openForMs: null,
+      reopenCount: 1,
+    });
+  });
+
+  it('should return 404 for missing and trashed bugs', async () => {
+    const trashed = await createBug({ deletedAt: new Date() });
+
+    const missing = await request(app)
+      .get('/api/bugs/507f1f77bcf86cd799439011/metrics')
+      .set('Authorization', authHeader(reporter));
+    const inTrash = await request(app)
+      .get(`/api/bugs/${trashed._id}/metrics`)
+      .set('Authorization', authHeader(reporter));
+
+    expect(missing.status).toBe(404);
+    expect(inTrash.status).toBe(404);
+  });
+});
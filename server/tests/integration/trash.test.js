@@ -0,0 +1,191 @@
+// trash.test.js - Integration tests for soft delete, the trash and purging
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const Comment = require('../../src/models/Comment');
+const User = require('../../src/models/User');
+const { purgeTrash } = require('../../src/jobs/purgeTrash');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let admin;
+let developer;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await createUser('admin');
+  developer = await createUser('developer');
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Comment.deleteMany({});
+  await BugHistory.deleteMany({});
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+});
+
+const createBug = (overrides = {}) => Bug.create({
+  title: 'Trash Bug',
+  description: 'Deleted by mistake',
+  reporter: 'Reporter',
+  ...overrides,
+});
+
+const trashBug = (bug) =>
+  request(app).delete(`/api/bugs/${bug._id}`).set('Authorization', authHeader(admin));
+
+describe('Soft delete', () => {
+  it('should hide trashed bugs from the bug list', async () => {
+    const kept = await createBug({ title: 'Kept Bug' });
+    const trashed = await createBug();
+    await trashBug(trashed);
+
+    const res = await request(app).get('/api/bugs').set('Authorization', authHeader(developer));
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+    expect(res.body.data.map((bug) => bug._id)).toEqual([kept._id.toString()]);
+  });
+
+  it('should hide trashed bugs from search results', async () => {
+    await Bug.syncIndexes();
+    const trashed = await createBug({ title: 'Searchable crash' });
+    await trashBug(trashed);
+
+    const res = await request(app).get('/api/bugs?q=crash').set('Authorization', authHeader(developer));
+
+    expect(res.body.data).toEqual([]);
+  });
+
+  it('should not allow edits to a trashed bug', async () => {
+    const bug = await createBug();
+    await trashBug(bug);
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader(admin))
+      .send({ title: 'Edited in the trash' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/bugs/trash', () => {
+  it('should list trashed bugs, most recently deleted first', async () => {
+    const first = await createBug({ title: 'First' });
+    const second = await createBug({ title: 'Second' });
+    await createBug({ title: 'Live' });
+    await trashBug(first);
+    await trashBug(second);
+
+    const res = await request(app).get('/api/bugs/trash').set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.retentionDays).toBe(30);
+    expect(res.body.data.map((bug) => bug.title)).toEqual(['Second', 'First']);
+    expect(res.body.data[0].deletedBy.name).toBe('Admin');
+  });
+
+  it('should return 403 for users who cannot delete bugs', async () => {
+    const res = await request(app).get('/api/bugs/trash').set('Authorization', authHeader(developer));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/bugs/:id/restore', () => {
+  it('should restore a trashed bug with its comments and record it in history', async () => {
+    const bug = await createBug();
+    await Comment.create({ bug: bug._id, author: developer._id, body: 'Keep me' });
+    await trashBug(bug);
+
+    const res = await request(app)
+      .post(`/api/bugs/${bug._id}/restore`)
+      .set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.deletedAt).toBeNull();
+
+    const getRes = await request(app).get(`/api/bugs/${bug._id}`).set('Authorization', authHeader(developer));
+    expect(getRes.status).toBe(200);
+
+    const comments = await request(app)
+      .get(`/api/bugs/${bug._id}/comments`)
+      .set('Authorization', authHeader(developer));
+    expect(comments.body.count).toBe(1);
+
+    const history = await BugHistory.find({ bug: bug._id }).sort({ createdAt: -1, _id: -1 });
+    expect(history[0].action).toBe('restore');
+  });
+
+  it('should return 404 for a bug that is not in the trash', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .post(`/api/bugs/${bug._id}/restore`)
+      .set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Bug not found in trash');
+  });
+
+  it('should return 403 for users who cannot delete bugs', async () => {
+    const bug = await createBug({ deletedAt: new Date() });
+
+    const res = await request(app)
+      .post(`/api/bugs/${bug._id}/restore`)
+      .set('Authorization', authHeader(developer));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('purgeTrash', () => {
+  it('should remove bugs and comments trashed longer than the retention period', async () => {
+    const now = new Date();
+    const expired = await createBug({ title: 'Expired', deletedAt: new Date(now - 31 * DAY_MS) });
+    const recent = await createBug({ title: 'Recent', deletedAt: new Date(now - 2 * DAY_MS) });
+    const live = await createBug({ title: 'Live' });
+    await Comment.create({ bug: expired._id, author: developer._id, body: 'Goes too' });
+
+    const purged = await purgeTrash({ retentionDays: 30, now });
+
+    expect(purged).toBe(1);
+    expect(await Bug.findById(expired._id)).toBeNull();
+    expect(await Bug.findById(recent._id)).not.toBeNull();
+    expect(await Bug.findById(live._id)).not.toBeNull();
+    expect(await Comment.countDocuments()).toBe(0);
+  });
+
+  it('should honour a shorter retention period', async () => {
+    const now = new Date();
+    await createBug({ deletedAt: new Date(now - 2 * DAY_MS) });
+
+    expect(await purgeTrash({ retentionDays: 1, now })).toBe(1);
+  });
+
+  it('should return 0 when nothing has expired', async () => {
+    await createBug();
+
+    expect(await purgeTrash({ retentionDays: 30 })).toBe(0);
+  });
+});
@@ -0,0 +1,102 @@
+// users.test.js - Integration tests for user management endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { authHeader, createUser } = require('../helpers');
+
+let mongoServer;
+let admin;
+let reporter;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  admin = await createUser('admin');
+  reporter = await createUser('reporter');
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await User.deleteMany({});
+});
+
+describe('GET /api/users', () => {
+  it('should list users for an admin', async () => {
+    const res = await request(app).get('/api/users').set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.data[0]).not.toHaveProperty('password');
+  });
+
+  it('should return 403 for a non-admin', async () => {
+    const res = await request(app).get('/api/users').set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(403);
+    expect(res.body).toHaveProperty('success', false);
+  });
+});
+
+describe('GET /api/users/assignees', () => {
+  it('should list only users bugs can be assigned to', async () => {
+    const res = await request(app).get('/api/users/assignees').set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((user) => user.email)).toEqual([admin.email]);
+  });
+});
+
+describe('PUT /api/users/:id/role', () => {
+  it("should change a user's role", async () => {
+    const res = await request(app)
+      .put(`/api/users/${reporter._id}/role`)
+      .set('Authorization', authHeader(admin))
+      .send({ role: 'triager' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.role).toBe('triager');
+    expect((await User.findById(reporter._id)).role).toBe('triager');
+  });
+
+  it('should return 400 for an unknown role', async () => {
+    const res = await request(app)
+      .put(`/api/users/${reporter._id}/role`)
+      .set('Authorization', authHeader(admin))
+      .send({ role: 'superuser' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Role must be one of/);
+  });
+
+  it('should return 404 for a missing user', async () => {
+    const res = await request(app)
+      .put(`/api/users/${new mongoose.Types.ObjectId()}/role`)
+      .set('Authorization', authHeader(admin))
+      .send({ role: 'developer' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 403 when a non-admin changes roles', async () => {
+    const res = await request(app)
+      .put(`/api/users/${reporter._id}/role`)
+      .set('Authorization', authHeader(reporter))
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+    expect((await User.findById(reporter._id)).role).toBe('reporter');
+  });
+});
@@ -0,0 +1,100 @@
+// attachmentStorage.test.js - Unit tests for the attachment storage backends
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createLocalStorage = require('../../src/storage/localStorage');
+const {
+  registerStorage,
+  getStorage,
+  setStorage,
+  removeAttachmentFiles,
+} = require('../../src/storage');
+
+// Read a stream into a string
+const readAll = (stream) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  });
+
+describe('Attachment Storage', () => {
+  let uploadDir;
+  let storage;
+
+  beforeEach(async () => {
+    uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    storage = createLocalStorage({ uploadDir });
+  });
+
+  afterEach(async () => {
+    setStorage(null);
+    delete process.env.ATTACHMENT_STORAGE;
+    await fs.promises.rm(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('local disk backend', () => {
+    it('should save and read back a file, creating directories', async () => {
+      await storage.save('bug1/file.txt', Buffer.from('stack trace'));
+
+      expect(fs.existsSync(path.join(uploadDir, 'bug1', 'file.txt'))).toBe(true);
+      await expect(readAll(storage.createReadStream('bug1/file.txt'))).resolves.toBe('stack trace');
+    });
+
+    it('should remove a file and ignore files that are already gone', async () => {
+      await storage.save('bug1/file.txt', Buffer.from('x'));
+
+      await storage.remove('bug1/file.txt');
+      await storage.remove('bug1/file.txt');
+
+      expect(fs.existsSync(path.join(uploadDir, 'bug1', 'file.txt'))).toBe(false);
+    });
+
+    it('should emit ENOENT when reading a missing file', async () => {
+      await expect(readAll(storage.createReadStream('missing.txt'))).rejects.toMatchObject({
+        code: 'ENOENT',
+      });
+    });
+
+    it('should reject keys that escape the upload directory', async () => {
+      await expect(storage.save('../outside.txt', Buffer.from('x'))).rejects.toThrow(
+        'Invalid storage key'
+      );
+    });
+  });
+
+  describe('backend selection', () => {
+    it('should use a registered backend named by ATTACHMENT_STORAGE', () => {
+      const backend = { save: jest.fn(), createReadStream: jest.fn(), remove: jest.fn() };
+      const factory = jest.fn().mockReturnValue(backend);
+      registerStorage('memory', factory);
+      process.env.ATTACHMENT_STORAGE = 'memory';
+
+      expect(getStorage()).toBe(backend);
+      expect(getStorage()).toBe(backend);
+      expect(factory).toHaveBeenCalledTimes(1);
+      expect(factory).toHaveBeenCalledWith(expect.objectContaining({ storage: 'memory' }));
+    });
+
+    it('should throw for an unknown backend', () => {
+      process.env.ATTACHMENT_STORAGE = 'carrier-pigeon';
+
+      expect(() => getStorage()).toThrow('Unknown attachment storage: carrier-pigeon');
+    });
+
+    it('should remove an attachment and its thumbnail', async () => {
+      setStorage(storage);
+      await storage.save('bug1/shot.png', Buffer.from('png'));
+      await storage.save('bug1/shot.png.thumb.webp', Buffer.from('webp'));
+
+      await removeAttachmentFiles({
+        storageKey: 'bug1/shot.png',
+        thumbnailKey: 'bug1/shot.png.thumb.webp',
+      });
+
+      expect(fs.readdirSync(path.join(uploadDir, 'bug1'))).toEqual([]);
+    });
+  });
+});
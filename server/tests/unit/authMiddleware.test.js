@@ -0,0 +1,147 @@
+// authMiddleware.test.js - Tests for the protect, identify and authorize middleware
+
+const jwt = require('jsonwebtoken');
+const { protect, identify, authorize } = require('../../src/middleware/auth');
+const User = require('../../src/models/User');
+const getAuthConfig = require('../../src/config/auth');
+
+// Mock the user model so no database is needed
+jest.mock('../../src/models/User');
+
+describe('protect Middleware', () => {
+  let req, res, next;
+  const { accessTokenSecret } = getAuthConfig();
+
+  beforeEach(() => {
+    req = { headers: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  it('should return 401 when no Authorization header is sent', async () => {
+    await protect(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Not authorized, no token' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should return 401 for a non-Bearer scheme', async () => {
+    req.headers.authorization = 'Basic dXNlcjpwYXNz';
+
+    await protect(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should attach the user and call next for a valid token', async () => {
+    const user = { _id: 'user-id', name: 'Jane' };
+    User.findById.mockResolvedValue(user);
+    req.headers.authorization = `Bearer ${jwt.sign({ id: 'user-id' }, accessTokenSecret)}`;
+
+    await protect(req, res, next);
+
+    expect(User.findById).toHaveBeenCalledWith('user-id');
+    expect(req.user).toBe(user);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should return 401 when the user no longer exists', async () => {
+    User.findById.mockResolvedValue(null);
+    req.headers.authorization = `Bearer ${jwt.sign({ id: 'user-id' }, accessTokenSecret)}`;
+
+    await protect(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should pass JsonWebTokenError to the error handler for a bad signature', async () => {
+    req.headers.authorization = `Bearer ${jwt.sign({ id: 'user-id' }, 'some-other-secret')}`;
+
+    await protect(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'JsonWebTokenError' }));
+  });
+
+  it('should pass TokenExpiredError to the error handler for an expired token', async () => {
+    const token = jwt.sign({ id: 'user-id', exp: Math.floor(Date.now() / 1000) - 60 }, accessTokenSecret);
+    req.headers.authorization = `Bearer ${token}`;
+
+    await protect(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'TokenExpiredError' }));
+  });
+});
+
+describe('identify Middleware', () => {
+  let req, res, next;
+  const { accessTokenSecret } = getAuthConfig();
+
+  beforeEach(() => {
+    req = { headers: {} };
+    res = {};
+    next = jest.fn();
+  });
+
+  it('should continue without a user when no token is sent', async () => {
+    await identify(req, res, next);
+
+    expect(req.user).toBeUndefined();
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should attach the user for a valid token', async () => {
+    const user = { _id: 'user-id', name: 'Jane' };
+    User.findById.mockResolvedValue(user);
+    req.headers.authorization = `Bearer ${jwt.sign({ id: 'user-id' }, accessTokenSecret)}`;
+
+    await identify(req, res, next);
+
+    expect(req.user).toBe(user);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should treat an expired token as anonymous', async () => {
+    const token = jwt.sign({ id: 'user-id', exp: Math.floor(Date.now() / 1000) - 60 }, accessTokenSecret);
+    req.headers.authorization = `Bearer ${token}`;
+
+    await identify(req, res, next);
+
+    expect(req.user).toBeUndefined();
+    expect(next).toHaveBeenCalledWith();
+  });
+});
+
+describe('authorize Middleware', () => {
+  let res, next;
+
+  beforeEach(() => {
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  it('should call next when the role grants the permission', () => {
+    authorize('bug:delete')({ user: { role: 'admin' } }, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should pass a ForbiddenError to the error handler when the role lacks the permission', () => {
+    authorize('bug:delete')({ user: { role: 'reporter' } }, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'ForbiddenError', statusCode: 403 }));
+  });
+
+  it('should require every listed permission', () => {
+    authorize('bug:status', 'bug:priority')({ user: { role: 'developer' } }, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'ForbiddenError' }));
+  });
+});
@@ -0,0 +1,44 @@
+// bugEvents.test.js - Unit tests for the bug change event bus
+
+const { publishBugEvent, subscribeToBugEvents } = require('../../src/realtime/bugEvents');
+
+describe('Bug Events', () => {
+  it('should deliver published events with the sending client id', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToBugEvents(listener);
+    const req = { get: jest.fn().mockReturnValue('client-1') };
+
+    publishBugEvent('bug:updated', { bug: { _id: 'b1' } }, req);
+    unsubscribe();
+
+    expect(req.get).toHaveBeenCalledWith('X-Client-Id');
+    expect(listener).toHaveBeenCalledWith({
+      type: 'bug:updated',
+      data: { bug: { _id: 'b1' } },
+      origin: 'client-1',
+    });
+  });
+
+  it('should publish without a request', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToBugEvents(listener);
+
+    publishBugEvent('bug:deleted', { id: 'b1' });
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ origin: null }));
+  });
+
+  it('should stop delivering after unsubscribing', () => {
+    const listener = jest.fn();
+    subscribeToBugEvents(listener)();
+
+    publishBugEvent('bug:created', { bug: {} });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown event types', () => {
+    expect(() => publishBugEvent('bug:exploded', {})).toThrow('Unknown bug event: bug:exploded');
+  });
+});
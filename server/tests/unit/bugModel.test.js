@@ -3,6 +3,7 @@
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
 
 let mongoServer;
 
@@ -381,8 +382,143 @@ describe('Bug Model Validation', () => {
   });
 });
 
+describe('Bug Model Priority Weight', () => {
+  it('should set priorityWeight from priority on creation', async () => {
+    const bug = await Bug.create({
+      title: 'Critical Bug',
+      description: 'Critical description',
+      priority: 'critical',
+      reporter: 'Test Reporter',
+    });
+
+    expect(bug.priorityWeight).toBe(4);
+  });
+
+  it('should default priorityWeight to the medium weight', async () => {
+    const bug = await Bug.create({
+      title: 'Default Bug',
+      description: 'Default description',
+      reporter: 'Test Reporter',
+    });
+
+    expect(bug.priorityWeight).toBe(2);
+  });
+
+  it('should update priorityWeight when priority changes on save', async () => {
+    const bug = await Bug.create({
+      title: 'Saved Bug',
+      description: 'Saved description',
+      priority: 'low',
+      reporter: 'Test Reporter',
+    });
+
+    bug.priority = 'high';
+    await bug.save();
+
+    expect(bug.priorityWeight).toBe(3);
+  });
+
+  it('should update priorityWeight when priority changes through findByIdAndUpdate', async () => {
+    const bug = await Bug.create({
+      title: 'Updated Bug',
+      description: 'Updated description',
+      priority: 'low',
+      reporter: 'Test Reporter',
+    });
+
+    const updatedBug = await Bug.findByIdAndUpdate(
+      bug._id,
+      { priority: 'critical' },
+      { new: true, runValidators: true }
+    );
+
+    expect(updatedBug.priorityWeight).toBe(4);
+  });
+
+  it('should backfill priorityWeight for bugs saved without it', async () => {
+    const bug = await Bug.create({
+      title: 'Legacy Bug',
+      description: 'Legacy description',
+      priority: 'high',
+      reporter: 'Test Reporter',
+    });
+    await Bug.collection.updateOne({ _id: bug._id }, { $unset: { priorityWeight: '' } });
+
+    const modified = await Bug.backfillPriorityWeights();
 
+    expect(modified).toBe(1);
+    const legacyBug = await Bug.findById(bug._id);
+    expect(legacyBug.priorityWeight).toBe(3);
+  });
+});
+
+describe('Bug Model Status Timestamps', () => {
+  afterEach(async () => {
+    await BugHistory.deleteMany({});
+  });
+
+  it('should start open bugs without status timestamps', async () => {
+    const bug = await Bug.create({
+      title: 'New Bug',
+      description: 'New description',
+      reporter: 'Test Reporter',
+    });
+
+    expect(bug.inProgressAt).toBeNull();
+    expect(bug.resolvedAt).toBeNull();
+    expect(bug.reopenCount).toBe(0);
+  });
+
+  it('should stamp bugs created in progress or resolved', async () => {
+    const createdAt = new Date('2024-01-15T10:00:00Z');
+    const bug = await Bug.create({
+      title: 'Fixed Bug',
+      description: 'Fixed description',
+      reporter: 'Test Reporter',
+      status: 'resolved',
+      createdAt,
+    });
 
+    expect(bug.resolvedAt).toEqual(createdAt);
+  });
+
+  it('should reject a negative reopen count', async () => {
+    const bug = new Bug({
+      title: 'Bad Bug',
+      description: 'Bad description',
+      reporter: 'Test Reporter',
+      reopenCount: -1,
+    });
+
+    await expect(bug.save()).rejects.toThrow(/Reopen count cannot be negative/);
+  });
 
+  it('should backfill timestamps from history, falling back to updatedAt', async () => {
+    const resolved = await Bug.create({
+      title: 'Legacy Resolved',
+      description: 'Legacy description',
+      reporter: 'Test Reporter',
+      status: 'resolved',
+    });
+    const started = await Bug.create({
+      title: 'Legacy Started',
+      description: 'Legacy description',
+      reporter: 'Test Reporter',
+      status: 'in-progress',
+    });
+    await Bug.collection.updateMany({}, { $unset: { resolvedAt: '', inProgressAt: '' } });
+    const resolvedOn = new Date('2024-02-01T00:00:00Z');
+    await BugHistory.create({
+      bug: resolved._id,
+      action: 'update',
+      changes: [{ field: 'status', before: 'open', after: 'resolved' }],
+      createdAt: resolvedOn,
+    });
 
+    const modified = await Bug.backfillStatusTimestamps();
 
+    expect(modified).toBe(2);
+    expect((await Bug.findById(resolved._id)).resolvedAt).toEqual(resolvedOn);
+    expect((await Bug.findById(started._id)).inProgressAt).toEqual(started.updatedAt);
+  });
+});
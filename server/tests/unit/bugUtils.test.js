@@ -4,8 +4,14 @@ const {
   isValidStatusTransition,
   getValidNextStatuses,
   isValidPriority,
+  isValidObjectId,
   getPriorityWeight,
+  parseSort,
   validateBugData,
+  pickUpdatableFields,
+  getStatusTimestampUpdates,
+  toETag,
+  parseIfMatch,
 } = require('../../src/utils/bugUtils');
 
 describe('Bug Utility Functions', () => {
@@ -212,6 +218,151 @@ describe('Bug Utility Functions', () => {
     });
   });
 
+  describe('isValidObjectId', () => {
+    it('should accept a 24-character hex string', () => {
+      expect(isValidObjectId('507f1f77bcf86cd799439011')).toBe(true);
+    });
+
+    it('should reject other strings and non-strings', () => {
+      expect(isValidObjectId('not-an-id')).toBe(false);
+      expect(isValidObjectId('507f1f77bcf86cd79943901')).toBe(false);
+      expect(isValidObjectId(null)).toBe(false);
+      expect(isValidObjectId({ _id: '507f1f77bcf86cd799439011' })).toBe(false);
+    });
+  });
+
+  describe('pickUpdatableFields', () => {
+    it('should keep whitelisted fields and list the rest', () => {
+      const { updates, unknownFields } = pickUpdatableFields({
+        title: 'New title',
+        status: 'resolved',
+        reporter: 'Someone else',
+        __v: 3,
+      });
+
+      expect(updates).toEqual({ title: 'New title', status: 'resolved' });
+      expect(unknownFields).toEqual(['reporter', '__v']);
+    });
+
+    it('should keep an explicit null assignee', () => {
+      expect(pickUpdatableFields({ assignee: null }).updates).toEqual({ assignee: null });
+    });
+
+    it('should handle a missing body', () => {
+      expect(pickUpdatableFields(undefined)).toEqual({ updates: {}, unknownFields: [] });
+    });
+  });
+
+  describe('getStatusTimestampUpdates', () => {
+    const now = new Date('2024-03-10T12:00:00Z');
+
+    it('should stamp the time a bug enters in-progress or resolved', () => {
+      expect(getStatusTimestampUpdates('open', 'in-progress', now)).toEqual({ inProgressAt: now });
+      expect(getStatusTimestampUpdates('in-progress', 'resolved', now)).toEqual({ resolvedAt: now });
+    });
+
+    it('should clear resolvedAt and count a reopen when a bug leaves resolved', () => {
+      expect(getStatusTimestampUpdates('resolved', 'open', now)).toEqual({
+        resolvedAt: null,
+        $inc: { reopenCount: 1 },
+      });
+      expect(getStatusTimestampUpdates('resolved', 'in-progress', now)).toEqual({
+        resolvedAt: null,
+        $inc: { reopenCount: 1 },
+        inProgressAt: now,
+      });
+    });
+
+    it('should stamp the initial status of a new bug', () => {
+      expect(getStatusTimestampUpdates(null, 'resolved', now)).toEqual({ resolvedAt: now });
+      expect(getStatusTimestampUpdates(null, 'open', now)).toEqual({});
+    });
+
+    it('should change nothing when the status is missing or unchanged', () => {
+      expect(getStatusTimestampUpdates('open', undefined, now)).toEqual({});
+      expect(getStatusTimestampUpdates('resolved', 'resolved', now)).toEqual({});
+    });
+  });
+
+  describe('ETag helpers', () => {
+    it('should quote the version as an entity tag', () => {
+      expect(toETag(3)).toBe('"3"');
+    });
+
+    it('should read quoted, weak and bare versions from If-Match', () => {
+      expect(parseIfMatch('"3"')).toBe(3);
+      expect(parseIfMatch('W/"3"')).toBe(3);
+      expect(parseIfMatch(' 0 ')).toBe(0);
+      expect(parseIfMatch(toETag(12))).toBe(12);
+    });
+
+    it('should reject missing, wildcard and malformed headers', () => {
+      expect(parseIfMatch(undefined)).toBeNull();
+      expect(parseIfMatch('*')).toBeNull();
+      expect(parseIfMatch('"abc"')).toBeNull();
+      expect(parseIfMatch('"1", "2"')).toBeNull();
+    });
+  });
+
+  describe('parseSort', () => {
+    describe('Positive Test Cases', () => {
+      it('should default to newest first', () => {
+        expect(parseSort(undefined)).toEqual([['createdAt', -1], ['_id', -1]]);
+      });
+
+      it('should map the oldest alias to ascending createdAt', () => {
+        expect(parseSort('oldest')).toEqual([['createdAt', 1], ['_id', 1]]);
+      });
+
+      it('should map the priority alias to highest severity, newest first', () => {
+        expect(parseSort('priority')).toEqual([
+          ['priorityWeight', -1],
+          ['createdAt', -1],
+          ['_id', -1],
+        ]);
+      });
+
+      it('should parse multiple keys with directions', () => {
+        expect(parseSort('-priority,createdAt')).toEqual([
+          ['priorityWeight', -1],
+          ['createdAt', 1],
+          ['_id', 1],
+        ]);
+      });
+
+      it('should ignore whitespace around keys', () => {
+        expect(parseSort(' -updatedAt , title ')).toEqual([
+          ['updatedAt', -1],
+          ['title', 1],
+          ['_id', 1],
+        ]);
+      });
+
+      it('should map the relevance alias to the text search score', () => {
+        expect(parseSort('relevance')).toEqual([['score', -1], ['_id', -1]]);
+      });
+
+      it('should keep only the first occurrence of a repeated key', () => {
+        expect(parseSort('createdAt,-createdAt')).toEqual([['createdAt', 1], ['_id', 1]]);
+      });
+    });
+
+    describe('Negative Test Cases', () => {
+      it('should reject unknown sort keys', () => {
+        expect(parseSort('reporter')).toBeNull();
+        expect(parseSort('-priority,bogus')).toBeNull();
+      });
+
+      it('should reject empty keys', () => {
+        expect(parseSort('-priority,')).toBeNull();
+      });
+
+      it('should reject non-string values', () => {
+        expect(parseSort(['priority', 'createdAt'])).toBeNull();
+      });
+    });
+  });
+
   describe('validateBugData', () => {
     describe('Positive Test Cases - Valid Data', () => {
       it('should validate bug data with all required fields', () => {
@@ -402,6 +553,40 @@ describe('Bug Utility Functions', () => {
         expect(result.valid).toBe(false);
         expect(result.errors).toContain('Priority must be one of: low, medium, high, critical');
       });
+
+      it('should fail validation when assignee is not a user id', () => {
+        const bugData = {
+          title: 'Test Bug',
+          description: 'Test description',
+          reporter: 'Test Reporter',
+          assignee: 'someone',
+        };
+
+        const result = validateBugData(bugData);
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain('Assignee must be a valid user id');
+      });
+
+      it('should fail validation when labels are not a list of strings', () => {
+        const base = { title: 'Test Bug', description: 'Test description', reporter: 'Test Reporter' };
+
+        expect(validateBugData({ ...base, labels: 'frontend' }).errors)
+          .toContain('Labels must be an array of strings');
+        expect(validateBugData({ ...base, labels: ['frontend', 3] }).errors)
+          .toContain('Labels must be an array of strings');
+        expect(validateBugData({ ...base, labels: ['frontend'] }).valid).toBe(true);
+      });
+
+      it('should allow a missing assignee', () => {
+        const bugData = {
+          title: 'Test Bug',
+          description: 'Test description',
+          reporter: 'Test Reporter',
+          assignee: null,
+        };
+
+        expect(validateBugData(bugData).valid).toBe(true);
+      });
     });
 
     describe('Edge Cases', () => {
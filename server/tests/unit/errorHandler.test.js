@@ -2,6 +2,12 @@
 
 const errorHandler = require('../../src/middleware/errorHandler');
 const errorLogger = require('../../src/utils/errorLogger');
+const {
+  ForbiddenError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+} = require('../../src/utils/errors');
 
 // Mock error logger
 jest.mock('../../src/utils/errorLogger');
@@ -22,6 +28,7 @@ describe('Enhanced Error Handler Middleware', () => {
     res = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
     };
     next = jest.fn();
     jest.clearAllMocks();
@@ -34,6 +41,21 @@ describe('Enhanced Error Handler Middleware', () => {
 
       expect(errorLogger.logApplicationError).toHaveBeenCalledWith(error, req);
     });
+
+    it('should group server errors', () => {
+      const error = new Error('Test error');
+      errorHandler(error, req, res, next);
+
+      expect(errorLogger.groupError).toHaveBeenCalledWith(error, req);
+    });
+
+    it('should not group client errors', () => {
+      const error = new Error('Not allowed');
+      error.name = 'ForbiddenError';
+      errorHandler(error, req, res, next);
+
+      expect(errorLogger.groupError).not.toHaveBeenCalled();
+    });
   });
 
   describe('Consistent Error Response Format', () => {
@@ -95,4 +117,55 @@ describe('Enhanced Error Handler Middleware', () => {
       expect(res.status).toHaveBeenCalledWith(500);
     });
   });
+
+  describe('Authorization Error Handling', () => {
+    it('should return 403 for a ForbiddenError', () => {
+      errorHandler(new ForbiddenError('Not authorized to delete this bug'), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          error: 'Not authorized to delete this bug',
+        })
+      );
+    });
+
+    it('should return 413 for a PayloadTooLargeError', () => {
+      errorHandler(new PayloadTooLargeError('Each file must be 10 MB or smaller'), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(413);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: 'Each file must be 10 MB or smaller' })
+      );
+    });
+
+    it('should return 415 for an UnsupportedMediaTypeError', () => {
+      errorHandler(new UnsupportedMediaTypeError('File type text/html is not allowed'), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(415);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: 'File type text/html is not allowed' })
+      );
+    });
+
+    it('should return 400 for a malformed multipart upload', () => {
+      const error = new Error('Unexpected field');
+      error.name = 'MulterError';
+      error.code = 'LIMIT_UNEXPECTED_FILE';
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 429 with Retry-After for a TooManyRequestsError', () => {
+      errorHandler(new TooManyRequestsError('Too many error reports', 42), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '42');
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: 'Too many error reports' })
+      );
+    });
+  });
 });
@@ -0,0 +1,103 @@
+// errorReportUtils.test.js - Unit tests for client error report helpers
+
+const { FIELD_LIMITS, OCCURRED_AT_TOLERANCE_MS, toErrorReport } = require('../../src/utils/errorReportUtils');
+
+describe('Error Report Utility Functions', () => {
+  describe('toErrorReport', () => {
+    it('should keep the known fields of a report', () => {
+      const { report } = toErrorReport({
+        message: 'Cannot read properties of undefined',
+        name: 'TypeError',
+        stack: 'TypeError: Cannot read...\n    at BugList',
+        componentStack: '\n    in BugList\n    in App',
+        source: 'boundary',
+        url: 'http://localhost:3000/bugs',
+        userAgent: 'Mozilla/5.0',
+        appVersion: '1.2.0',
+        occurredAt: '2026-01-31T10:00:00.000Z',
+        password: 'not kept',
+      }, { receivedAt: new Date('2026-01-31T10:00:05.000Z') });
+
+      expect(report).toEqual({
+        message: 'Cannot read properties of undefined',
+        name: 'TypeError',
+        stack: 'TypeError: Cannot read...\n    at BugList',
+        componentStack: '\n    in BugList\n    in App',
+        source: 'boundary',
+        url: 'http://localhost:3000/bugs',
+        userAgent: 'Mozilla/5.0',
+        appVersion: '1.2.0',
+        occurredAt: new Date('2026-01-31T10:00:00.000Z'),
+      });
+    });
+
+    it('should require a message', () => {
+      expect(toErrorReport({ message: '  ' })).toEqual({ error: 'message is required' });
+      expect(toErrorReport({ stack: 'at App' })).toEqual({ error: 'message is required' });
+    });
+
+    it('should reject reports that are not objects', () => {
+      expect(toErrorReport('boom').error).toBe('Each report must be an object');
+      expect(toErrorReport([{ message: 'boom' }]).error).toBe('Each report must be an object');
+      expect(toErrorReport(null).error).toBe('Each report must be an object');
+    });
+
+    it('should reject an unknown source', () => {
+      expect(toErrorReport({ message: 'boom', source: 'server' }).error).toMatch(/^source must be one of/);
+    });
+
+    it('should cut long fields instead of rejecting them', () => {
+      const { report } = toErrorReport({ message: 'x'.repeat(FIELD_LIMITS.message + 50) });
+
+      expect(report.message).toHaveLength(FIELD_LIMITS.message);
+    });
+
+    it('should redact fields and keep them within the limits', () => {
+      // Both replacements are longer than what they replace
+      const { report } = toErrorReport({
+        message: `${'x'.repeat(FIELD_LIMITS.message - 7)} a@b.co`,
+        url: `http://localhost:3000/${'p'.repeat(FIELD_LIMITS.url - 30)}?token=x`,
+      });
+
+      expect(report.message).toHaveLength(FIELD_LIMITS.message);
+      expect(report.message).not.toContain('a@b.co');
+      expect(report.url).toHaveLength(FIELD_LIMITS.url);
+      expect(report.url).not.toContain('?token=x');
+    });
+
+    describe('occurredAt', () => {
+      const receivedAt = new Date('2026-01-31T10:00:00.000Z');
+      const occurredAt = (offsetMs) =>
+        toErrorReport(
+          { message: 'boom', occurredAt: new Date(receivedAt.getTime() + offsetMs).toISOString() },
+          { receivedAt }
+        ).report.occurredAt;
+
+      it('should keep a time shortly before the report was received', () => {
+        expect(occurredAt(-60 * 1000)).toEqual(new Date('2026-01-31T09:59:00.000Z'));
+      });
+
+      it('should clamp a time slightly in the future to when the report was received', () => {
+        expect(occurredAt(30 * 1000)).toEqual(receivedAt);
+      });
+
+      it('should use the receive time for times outside the tolerance', () => {
+        expect(occurredAt(OCCURRED_AT_TOLERANCE_MS + 1)).toEqual(receivedAt);
+        expect(occurredAt(-OCCURRED_AT_TOLERANCE_MS - 1)).toEqual(receivedAt);
+        expect(occurredAt(-365 * 24 * 60 * 60 * 1000)).toEqual(receivedAt);
+      });
+    });
+
+    it('should fall back to the request user agent and the current time', () => {
+      const before = Date.now();
+      const { report } = toErrorReport(
+        { message: 'boom', occurredAt: 'yesterday-ish' },
+        { userAgent: 'curl/8.0' }
+      );
+
+      expect(report.userAgent).toBe('curl/8.0');
+      expect(report.source).toBe('boundary');
+      expect(report.occurredAt.getTime()).toBeGreaterThanOrEqual(before);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+// errorTransports.test.js - Unit tests for the error log transports, batching and fallback
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createFileTransport = require('../../src/logging/fileTransport');
+const createHttpTransport = require('../../src/logging/httpTransport');
+const createMongoTransport = require('../../src/logging/mongoTransport');
+const {
+  registerTransport,
+  getTransports,
+  setTransports,
+  logEntry,
+  flushErrorLogs,
+} = require('../../src/logging');
+
+// Read a JSON lines file into entries
+const readLines = async (file) =>
+  (await fs.promises.readFile(file, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+
+// A transport that records its batches; write resolves when release is called
+const createRecordingTransport = ({ fail = false, hold = false } = {}) => {
+  const batches = [];
+  const releases = [];
+  return {
+    name: 'recording',
+    batches,
+    release: () => releases.shift()(),
+    write: jest.fn((entries) => {
+      batches.push(entries);
+      if (fail) {
+        return Promise.reject(new Error('collector is down'));
+      }
+      return hold ? new Promise((resolve) => releases.push(resolve)) : Promise.resolve();
+    }),
+  };
+};
+
+// Let queued promise callbacks run
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Error Log Transports', () => {
+  let logDir;
+  let config;
+
+  beforeEach(async () => {
+    logDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'error-logs-'));
+    config = {
+      batchSize: 3,
+      flushInterval: 1000,
+      maxQueue: 5,
+      fallbackFile: path.join(logDir, 'fallback.log'),
+      file: { path: path.join(logDir, 'errors.log'), maxSize: 1024, maxFiles: 2 },
+    };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    setTransports(null);
+    delete process.env.ERROR_LOG_TRANSPORTS;
+    delete global.fetch;
+    console.error.mockRestore();
+    await fs.promises.rm(logDir, { recursive: true, force: true });
+  });
+
+  describe('file transport', () => {
+    it('should append one JSON document per line, creating the directory', async () => {
+      const file = path.join(logDir, 'nested', 'errors.log');
+      const transport = createFileTransport({ path: file, maxSize: 1024, maxFiles: 2 });
+
+      await transport.write([{ message: 'first' }, { message: 'second' }]);
+      await transport.write([{ message: 'third' }]);
+
+      expect(await readLines(file)).toEqual([{ message: 'first' }, { message: 'second' }, { message: 'third' }]);
+    });
+
+    it('should rotate before the file grows past maxSize and keep maxFiles old files', async () => {
+      const file = path.join(logDir, 'errors.log');
+      const transport = createFileTransport({ path: file, maxSize: 40, maxFiles: 2 });
+      const entry = (index) => ({ message: `entry ${index}`, padding: 'xxxxxxxx' });
+
+      for (let index = 1; index <= 4; index += 1) {
+        await transport.write([entry(index)]);
+      }
+
+      expect(await readLines(file)).toEqual([entry(4)]);
+      expect(await readLines(`${file}.1`)).toEqual([entry(3)]);
+      expect(await readLines(`${file}.2`)).toEqual([entry(2)]);
+      expect(fs.existsSync(`${file}.3`)).toBe(false);
+    });
+
+    it('should pick up the size of an existing file', async () => {
+      const file = path.join(logDir, 'errors.log');
+      await fs.promises.writeFile(file, `${'x'.repeat(39)}\n`);
+      const transport = createFileTransport({ path: file, maxSize: 40, maxFiles: 1 });
+
+      await transport.write([{ message: 'new' }]);
+
+      expect(await readLines(file)).toEqual([{ message: 'new' }]);
+      expect(fs.existsSync(`${file}.1`)).toBe(true);
+    });
+  });
+
+  describe('http transport', () => {
+    it('should post each batch as a JSON array with the token', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+      const transport = createHttpTransport({ url: 'http://collector:8080/logs', token: 'secret', timeout: 5000 });
+
+      await transport.write([{ message: 'one' }, { message: 'two' }]);
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://collector:8080/logs');
+      expect(options.method).toBe('POST');
+      expect(options.headers.Authorization).toBe('Bearer secret');
+      expect(JSON.parse(options.body)).toEqual([{ message: 'one' }, { message: 'two' }]);
+      expect(options.signal).toBeDefined();
+    });
+
+    it('should fail the batch on an error response', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+      const transport = createHttpTransport({ url: 'http://collector:8080/logs', timeout: 5000 });
+
+      await expect(transport.write([{ message: 'one' }])).rejects.toThrow('Error log endpoint responded with 503');
+    });
+
+    it('should require a URL', () => {
+      expect(() => createHttpTransport({ url: null, timeout: 5000 })).toThrow(/ERROR_LOG_HTTP_URL/);
+    });
+  });
+
+  describe('mongo transport', () => {
+    it('should fail instead of buffering while the database is disconnected', async () => {
+      await expect(createMongoTransport().write([{ message: 'one' }])).rejects.toThrow('Database is not connected');
+    });
+  });
+
+  describe('batching', () => {
+    it('should write a batch once it is full', async () => {
+      const transport = createRecordingTransport();
+      setTransports([transport], config);
+
+      [1, 2, 3].forEach((index) => logEntry({ index }));
+      await flushPromises();
+
+      expect(transport.batches).toEqual([[{ index: 1 }, { index: 2 }, { index: 3 }]]);
+    });
+
+    it('should write a partial batch after the flush interval', async () => {
+      jest.useFakeTimers();
+      const transport = createRecordingTransport();
+      setTransports([transport], config);
+
+      logEntry({ index: 1 });
+      jest.advanceTimersByTime(999);
+      expect(transport.write).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+
+      expect(transport.batches).toEqual([[{ index: 1 }]]);
+    });
+
+    it('should hold entries while a write is in flight and send them in the next batch', async () => {
+      const transport = createRecordingTransport({ hold: true });
+      setTransports([transport], config);
+
+      [1, 2, 3].forEach((index) => logEntry({ index }));
+      [4, 5].forEach((index) => logEntry({ index }));
+      expect(transport.write).toHaveBeenCalledTimes(1);
+
+      transport.release();
+      await flushPromises();
+
+      expect(transport.batches[1]).toEqual([{ index: 4 }, { index: 5 }]);
+      transport.release();
+    });
+
+    it('should send entries past maxQueue to the fallback file', async () => {
+      const transport = createRecordingTransport({ hold: true });
+      setTransports([transport], config);
+
+      // The first batch is in flight, then five entries fill the queue
+      for (let index = 1; index <= 10; index += 1) {
+        logEntry({ index });
+      }
+      const flushed = flushErrorLogs();
+      for (let batch = 0; batch < 3; batch += 1) {
+        await flushPromises();
+        transport.release();
+      }
+      await flushed;
+
+      expect(transport.batches.flat().map(({ index }) => index)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+      const fallback = await readLines(config.fallbackFile);
+      expect(fallback.map(({ index }) => index)).toEqual([9, 10]);
+      expect(fallback[0].failedTransport).toBe('recording');
+      expect(console.error).toHaveBeenCalledTimes(1);
+    });
+
+    it('should write a failed batch to the fallback file', async () => {
+      setTransports([createRecordingTransport({ fail: true })], config);
+
+      logEntry({ index: 1 });
+      await flushErrorLogs();
+
+      expect(await readLines(config.fallbackFile)).toEqual([{ index: 1, failedTransport: 'recording' }]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('collector is down'));
+    });
+
+    it('should print entries when the fallback file fails too', async () => {
+      // The fallback's directory is a file, so it can never be created
+      const notADirectory = path.join(logDir, 'not-a-directory');
+      await fs.promises.writeFile(notADirectory, '');
+      setTransports([createRecordingTransport({ fail: true })], {
+        ...config,
+        fallbackFile: path.join(notADirectory, 'fallback.log'),
+      });
+
+      logEntry({ index: 1 });
+      await flushErrorLogs();
+
+      expect(console.error).toHaveBeenCalledWith('🚨 [ERROR LOG]', JSON.stringify({ index: 1 }));
+    });
+
+    it('should write immediate transports without batching', async () => {
+      const transport = { ...createRecordingTransport(), immediate: true };
+      setTransports([transport], config);
+
+      logEntry({ index: 1 });
+
+      expect(transport.write).toHaveBeenCalledWith([{ index: 1 }]);
+    });
+  });
+
+  describe('registry', () => {
+    it('should create the transports named in ERROR_LOG_TRANSPORTS', () => {
+      const transport = createRecordingTransport();
+      registerTransport('recording', () => transport);
+      process.env.ERROR_LOG_TRANSPORTS = 'console, recording';
+
+      expect(getTransports().map(({ name }) => name)).toEqual(['console', 'recording']);
+    });
+
+    it('should throw for an unknown transport', () => {
+      process.env.ERROR_LOG_TRANSPORTS = 'carrier-pigeon';
+
+      expect(() => getTransports()).toThrow('Unknown error log transport: carrier-pigeon');
+    });
+
+    it('should print entries instead of throwing when the transports cannot be created', () => {
+      process.env.ERROR_LOG_TRANSPORTS = 'carrier-pigeon';
+
+      expect(() => logEntry({ index: 1 })).not.toThrow();
+      expect(console.error).toHaveBeenCalledWith('🚨 [ERROR LOG]', JSON.stringify({ index: 1 }));
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// exportUtils.test.js - Unit tests for bug export helpers
+
+const {
+  EXPORT_FIELDS,
+  toExportRecord,
+  escapeCsvValue,
+  toCsvRow,
+  createExportWriter,
+  getExportFileName,
+} = require('../../src/utils/exportUtils');
+
+const bug = {
+  _id: '507f1f77bcf86cd799439011',
+  title: 'Login fails',
+  description: 'Clicking "Sign in", nothing happens',
+  status: 'open',
+  priority: 'high',
+  reporter: 'Reporter',
+  assignee: { name: 'Developer', email: 'developer@example.com' },
+  labels: ['auth', 'ui'],
+  createdAt: new Date('2026-01-01T00:00:00.000Z'),
+  updatedAt: '2026-01-02T00:00:00.000Z',
+  inProgressAt: null,
+  resolvedAt: null,
+};
+
+describe('Export Utilities', () => {
+  describe('toExportRecord', () => {
+    it('should flatten a bug into the export fields', () => {
+      const record = toExportRecord(bug);
+
+      expect(Object.keys(record)).toEqual(EXPORT_FIELDS);
+      expect(record).toMatchObject({
+        id: '507f1f77bcf86cd799439011',
+        assignee: 'Developer',
+        assigneeEmail: 'developer@example.com',
+        labels: ['auth', 'ui'],
+        reopenCount: 0,
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-02T00:00:00.000Z',
+        resolvedAt: null,
+      });
+    });
+
+    it('should leave the assignee empty for unassigned bugs', () => {
+      const record = toExportRecord({ ...bug, assignee: undefined, labels: undefined });
+
+      expect(record.assignee).toBeNull();
+      expect(record.assigneeEmail).toBeNull();
+      expect(record.labels).toEqual([]);
+    });
+  });
+
+  describe('escapeCsvValue', () => {
+    it('should quote values containing commas, quotes or line breaks', () => {
+      expect(escapeCsvValue('plain')).toBe('plain');
+      expect(escapeCsvValue('a,b')).toBe('"a,b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"');
+    });
+
+    it('should write null and undefined as empty cells', () => {
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue(undefined)).toBe('');
+      expect(escapeCsvValue(0)).toBe('0');
+    });
+
+    it('should join arrays', () => {
+      expect(escapeCsvValue(['auth', 'ui'])).toBe('auth; ui');
+    });
+
+    it('should stop spreadsheet apps from running text as a formula', () => {
+      expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(escapeCsvValue(-1)).toBe('-1');
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('should join cells with commas and end with CRLF', () => {
+      expect(toCsvRow(['a', 'b,c', null])).toBe('a,"b,c",\r\n');
+    });
+  });
+
+  describe('createExportWriter', () => {
+    const write = (format, records) => {
+      const writer = createExportWriter(format);
+      return writer.start() + records.map((record, index) => writer.record(record, index)).join('') + writer.end();
+    };
+    const records = [toExportRecord(bug), toExportRecord({ ...bug, title: 'Second' })];
+
+    it('should write CSV with a header row', () => {
+      const lines = write('csv', records).split('\r\n');
+
+      expect(lines[0]).toBe(EXPORT_FIELDS.join(','));
+      expect(lines[1]).toContain('"Clicking ""Sign in"", nothing happens"');
+      expect(lines[2]).toContain('Second');
+      expect(lines).toHaveLength(4);
+    });
+
+    it('should write a JSON array', () => {
+      expect(JSON.parse(write('json', records))).toEqual(records);
+      expect(JSON.parse(write('json', []))).toEqual([]);
+    });
+
+    it('should write one JSON record per line for NDJSON', () => {
+      const lines = write('ndjson', records).trim().split('\n');
+
+      expect(lines.map((line) => JSON.parse(line))).toEqual(records);
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => createExportWriter('xml')).toThrow('Unknown export format: xml');
+    });
+  });
+
+  describe('getExportFileName', () => {
+    it('should name the file after the export day and format', () => {
+      expect(getExportFileName('ndjson', new Date('2026-01-31T23:00:00Z'))).toBe('bugs-2026-01-31.ndjson');
+    });
+  });
+});
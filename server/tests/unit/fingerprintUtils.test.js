@@ -0,0 +1,154 @@
+// fingerprintUtils.test.js - Unit tests for error fingerprinting
+
+const {
+  FINGERPRINT_FRAMES,
+  normalizeMessage,
+  normalizeFile,
+  parseStackFrames,
+  parseComponentStack,
+  fingerprintError,
+} = require('../../src/utils/fingerprintUtils');
+
+const clientStack = (line) => [
+  'TypeError: Cannot read properties of undefined',
+  `    at BugItem (http://localhost:3000/static/js/main.3f2a9c1b.js:${line}:17)`,
+  '    at renderWithHooks (http://localhost:3000/static/js/vendors.0a1b2c3d.chunk.js:1:200)',
+].join('\n');
+
+describe('Fingerprint Utility Functions', () => {
+  describe('normalizeMessage', () => {
+    it('should replace ids, numbers and other varying values', () => {
+      expect(normalizeMessage('Bug 507f1f77bcf86cd799439011 not found after 30 ms')).toBe(
+        'Bug <id> not found after <n> ms'
+      );
+      expect(normalizeMessage('Session 123e4567-e89b-12d3-a456-426614174000 expired')).toBe(
+        'Session <uuid> expired'
+      );
+      expect(normalizeMessage('No user jane@example.com at https://api.example.com/users?id=4')).toBe(
+        'No user <email> at <url>'
+      );
+      expect(normalizeMessage('Bad token deadbeef1234 at 0x1F')).toBe('Bad token <hex> at <hex>');
+    });
+
+    it('should keep ordinary words and collapse whitespace', () => {
+      expect(normalizeMessage('  Cannot read   properties of undefined ')).toBe(
+        'Cannot read properties of undefined'
+      );
+      expect(normalizeMessage('Failed to fetch')).toBe('Failed to fetch');
+    });
+
+    it('should return an empty string for non-strings', () => {
+      expect(normalizeMessage(undefined)).toBe('');
+    });
+  });
+
+  describe('normalizeFile', () => {
+    it('should drop the origin, query string and build hashes', () => {
+      expect(normalizeFile('http://localhost:3000/static/js/main.3f2a9c1b.js?v=2')).toBe('/static/js/main.js');
+      expect(normalizeFile('https://bugs.example.com/static/js/787.0a1b2c3d.chunk.js')).toBe(
+        '/static/js/787.chunk.js'
+      );
+    });
+
+    it('should start dependency paths at node_modules', () => {
+      expect(normalizeFile('/srv/app/server/node_modules/express/lib/router/layer.js')).toBe(
+        'node_modules/express/lib/router/layer.js'
+      );
+    });
+
+    it('should make server paths relative to the working directory', () => {
+      expect(normalizeFile(`${process.cwd()}/src/controllers/bugController.js`)).toBe(
+        'src/controllers/bugController.js'
+      );
+    });
+  });
+
+  describe('parseStackFrames', () => {
+    it('should parse V8 frames without line and column numbers', () => {
+      expect(parseStackFrames(clientStack(10))).toEqual([
+        { fn: 'BugItem', file: '/static/js/main.js' },
+        { fn: 'renderWithHooks', file: '/static/js/vendors.chunk.js' },
+      ]);
+    });
+
+    it('should parse Firefox and Safari frames', () => {
+      expect(parseStackFrames('BugList/<@http://localhost:3000/static/js/bundle.js:40:9')).toEqual([
+        { fn: 'BugList/<', file: '/static/js/bundle.js' },
+      ]);
+    });
+
+    it('should skip Node internals and the message line', () => {
+      const stack = [
+        'Error: Contact admin@example.com',
+        '    at async getBug (/srv/app/src/controllers/bugController.js:12:5)',
+        '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)',
+      ].join('\n');
+      expect(parseStackFrames(stack)).toEqual([{ fn: 'getBug', file: '/srv/app/src/controllers/bugController.js' }]);
+    });
+
+    it('should return no frames without a stack', () => {
+      expect(parseStackFrames(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseComponentStack', () => {
+    it('should read component names from React 17 and 18 stacks', () => {
+      expect(parseComponentStack('\n    in BugItem\n    at BugList (http://localhost:3000/main.js:1:2)')).toEqual([
+        'BugItem',
+        'BugList',
+      ]);
+    });
+  });
+
+  describe('fingerprintError', () => {
+    const error = {
+      platform: 'client',
+      name: 'TypeError',
+      message: 'Cannot read properties of undefined',
+      stack: clientStack(10),
+    };
+
+    it('should give the same fingerprint when only line numbers and ids differ', () => {
+      const moved = { ...error, stack: clientStack(99) };
+      const otherId = { ...error, message: `${error.message} for 507f1f77bcf86cd799439011` };
+      const withId = { ...error, message: `${error.message} for 507f191e810c19729de860ea` };
+
+      expect(fingerprintError(moved).fingerprint).toBe(fingerprintError(error).fingerprint);
+      expect(fingerprintError(otherId).fingerprint).toBe(fingerprintError(withId).fingerprint);
+    });
+
+    it('should give different fingerprints for different errors', () => {
+      const fingerprint = fingerprintError(error).fingerprint;
+
+      expect(fingerprintError({ ...error, name: 'RangeError' }).fingerprint).not.toBe(fingerprint);
+      expect(fingerprintError({ ...error, platform: 'server' }).fingerprint).not.toBe(fingerprint);
+      expect(fingerprintError({ ...error, stack: clientStack(10).replace('BugItem', 'BugList') }).fingerprint)
+        .not.toBe(fingerprint);
+    });
+
+    it('should only use the top frames', () => {
+      const frames = Array.from({ length: FINGERPRINT_FRAMES + 2 }, (_, index) => `    at fn${index} (/app/a.js:1:1)`);
+      const deeper = [...frames.slice(0, FINGERPRINT_FRAMES), '    at other (/app/b.js:1:1)'];
+
+      expect(fingerprintError({ ...error, stack: frames.join('\n') }).fingerprint).toBe(
+        fingerprintError({ ...error, stack: deeper.join('\n') }).fingerprint
+      );
+    });
+
+    it('should fall back to the component stack without a stack', () => {
+      const inItem = { ...error, stack: undefined, componentStack: '\n    in BugItem' };
+      const inList = { ...error, stack: undefined, componentStack: '\n    in BugList' };
+
+      expect(fingerprintError(inItem).fingerprint).not.toBe(fingerprintError(inList).fingerprint);
+      expect(fingerprintError(inItem).culprit).toBeNull();
+    });
+
+    it('should return the normalised title and the innermost frame as culprit', () => {
+      const result = fingerprintError({ ...error, message: 'Bug 42 failed' });
+
+      expect(result.title).toBe('Bug <n> failed');
+      expect(result.culprit).toBe('BugItem (/static/js/main.js)');
+      expect(result.fingerprint).toMatch(/^[0-9a-f]{40}$/);
+    });
+  });
+});
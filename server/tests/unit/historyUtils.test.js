@@ -0,0 +1,89 @@
+// historyUtils.test.js - Unit tests for bug audit trail diffs
+
+const mongoose = require('mongoose');
+const { AUDITED_FIELDS, normalizeValue, diffBugs } = require('../../src/utils/historyUtils');
+
+describe('History Utility Functions', () => {
+  const bug = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Login fails',
+    description: 'Cannot log in',
+    status: 'open',
+    priority: 'medium',
+    reporter: 'Jane',
+    assignee: null,
+  };
+
+  describe('normalizeValue', () => {
+    it('should store ObjectIds and populated documents as id strings', () => {
+      const id = new mongoose.Types.ObjectId();
+
+      expect(normalizeValue(id)).toBe(id.toString());
+      expect(normalizeValue({ _id: id, name: 'Dev' })).toBe(id.toString());
+    });
+
+    it('should treat missing and empty values as null', () => {
+      expect(normalizeValue(undefined)).toBeNull();
+      expect(normalizeValue(null)).toBeNull();
+      expect(normalizeValue('')).toBeNull();
+    });
+
+    it('should store lists as comma-separated strings and empty lists as null', () => {
+      expect(normalizeValue(['frontend', 'regression'])).toBe('frontend, regression');
+      expect(normalizeValue([])).toBeNull();
+    });
+
+    it('should leave strings unchanged', () => {
+      expect(normalizeValue('open')).toBe('open');
+    });
+  });
+
+  describe('diffBugs', () => {
+    it('should list every set field for a create', () => {
+      const changes = diffBugs(null, bug);
+
+      expect(changes.map((change) => change.field)).toEqual([
+        'title',
+        'description',
+        'status',
+        'priority',
+        'reporter',
+      ]);
+      expect(changes[0]).toEqual({ field: 'title', before: null, after: 'Login fails' });
+    });
+
+    it('should only list changed fields for an update', () => {
+      const changes = diffBugs(bug, { ...bug, status: 'in-progress', title: 'Login fails' });
+
+      expect(changes).toEqual([{ field: 'status', before: 'open', after: 'in-progress' }]);
+    });
+
+    it('should compare an ObjectId assignee with a populated one', () => {
+      const assigneeId = new mongoose.Types.ObjectId();
+      const before = { ...bug, assignee: assigneeId };
+      const after = { ...bug, assignee: { _id: assigneeId, name: 'Dev' } };
+
+      expect(diffBugs(before, after)).toEqual([]);
+    });
+
+    it('should record assignment changes as ids', () => {
+      const assigneeId = new mongoose.Types.ObjectId();
+
+      expect(diffBugs(bug, { ...bug, assignee: { _id: assigneeId, name: 'Dev' } })).toEqual([
+        { field: 'assignee', before: null, after: assigneeId.toString() },
+      ]);
+    });
+
+    it('should clear every set field for a delete', () => {
+      const changes = diffBugs(bug, null);
+
+      expect(changes).toHaveLength(5);
+      expect(changes.every((change) => change.after === null)).toBe(true);
+    });
+
+    it('should ignore fields that are not audited', () => {
+      expect(AUDITED_FIELDS).not.toContain('priorityWeight');
+      expect(diffBugs(bug, { ...bug, priorityWeight: 4, updatedAt: new Date() })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// importUtils.test.js - Unit tests for bug import helpers
+
+const {
+  IMPORT_FIELDS,
+  parseCsv,
+  parseImportFile,
+  buildColumnMapping,
+  toImportBug,
+  getDuplicateKey,
+} = require('../../src/utils/importUtils');
+const { toCsvRow, EXPORT_FIELDS } = require('../../src/utils/exportUtils');
+
+describe('Import Utilities', () => {
+  describe('parseCsv', () => {
+    it('should split records and cells', () => {
+      expect(parseCsv('a,b\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('should handle quoted commas, quotes and line breaks', () => {
+      expect(parseCsv('"a,b","say ""hi""","line\r\nbreak"\r\n')).toEqual([
+        ['a,b', 'say "hi"', 'line\r\nbreak'],
+      ]);
+    });
+
+    it('should keep empty cells and a last line without a line break', () => {
+      expect(parseCsv('a,,c\n,')).toEqual([['a', '', 'c'], ['', '']]);
+    });
+
+    it('should skip a byte order mark', () => {
+      expect(parseCsv('\uFEFFtitle\nCrash')).toEqual([['title'], ['Crash']]);
+    });
+
+    it('should return null for an unclosed quote', () => {
+      expect(parseCsv('"open\nrow')).toBeNull();
+    });
+
+    it('should read back what the export writes', () => {
+      const values = ['=1+1', 'a, "b"', 'line\nbreak', null];
+      expect(parseCsv(toCsvRow(values))).toEqual([["'=1+1", 'a, "b"', 'line\nbreak', '']]);
+    });
+  });
+
+  describe('parseImportFile', () => {
+    it('should key CSV rows by header and number them as in a spreadsheet', () => {
+      const { headers, rows } = parseImportFile(' Title ,Priority\nCrash,high\n\nHang,low\n', 'csv');
+
+      expect(headers).toEqual(['Title', 'Priority']);
+      expect(rows).toEqual([
+        { row: 2, values: { Title: 'Crash', Priority: 'high' } },
+        { row: 4, values: { Title: 'Hang', Priority: 'low' } },
+      ]);
+    });
+
+    it('should strip the quote the export adds before formulas', () => {
+      const { rows } = parseImportFile("title\n'=SUM(A1)\n", 'csv');
+
+      expect(rows[0].values.title).toBe('=SUM(A1)');
+    });
+
+    it('should read a JSON array with the union of its keys as headers', () => {
+      const { headers, rows } = parseImportFile('[{"title":"A"},{"title":"B","labels":["ui"]}]', 'json');
+
+      expect(headers).toEqual(['title', 'labels']);
+      expect(rows[1]).toEqual({ row: 2, values: { title: 'B', labels: ['ui'] } });
+    });
+
+    it('should reject JSON that is invalid or not an array of objects', () => {
+      expect(parseImportFile('[{', 'json').error).toMatch(/not valid JSON/);
+      expect(parseImportFile('{"title":"A"}', 'json').error).toBe('A JSON import must be an array of bug objects');
+      expect(parseImportFile('["A"]', 'json').error).toBe('A JSON import must be an array of bug objects');
+    });
+
+    it('should reject CSV with an unclosed quote', () => {
+      expect(parseImportFile('title\n"Crash', 'csv').error).toMatch(/never closed/);
+    });
+  });
+
+  describe('buildColumnMapping', () => {
+    it('should map field names and aliases automatically', () => {
+      const { columns } = buildColumnMapping(['Summary', 'Description', 'Severity', 'Created At', 'Notes']);
+
+      expect(columns).toEqual({
+        Summary: 'title',
+        Description: 'description',
+        Severity: 'priority',
+        'Created At': 'createdAt',
+        Notes: null,
+      });
+    });
+
+    it('should map only the first column that matches a field', () => {
+      const { columns } = buildColumnMapping(['assignee', 'assigneeEmail']);
+
+      expect(columns).toEqual({ assignee: 'assignee', assigneeEmail: null });
+    });
+
+    it('should map every exported column back to an importable field or ignore it', () => {
+      const { columns } = buildColumnMapping(EXPORT_FIELDS);
+
+      Object.values(columns).filter(Boolean).forEach((field) => {
+        expect(IMPORT_FIELDS).toContain(field);
+      });
+      expect(columns.title).toBe('title');
+      expect(columns.id).toBeNull();
+    });
+
+    it('should let an explicit mapping override and ignore columns', () => {
+      const { columns } = buildColumnMapping(['Name', 'Title'], { Name: 'title', Title: null });
+
+      expect(columns).toEqual({ Name: 'title', Title: null });
+    });
+
+    it('should reject mappings to unknown columns or fields', () => {
+      expect(buildColumnMapping(['Title'], { Missing: 'title' }).error)
+        .toBe('The file has no column named "Missing"');
+      expect(buildColumnMapping(['Title'], { Title: 'password' }).error).toMatch(/can only be mapped to/);
+      expect(buildColumnMapping(['Title'], ['title']).error).toMatch(/must be an object/);
+    });
+
+    it('should reject two columns mapped to the same field', () => {
+      expect(buildColumnMapping(['A', 'B'], { A: 'title', B: 'title' }).error)
+        .toBe('Columns "A" and "B" are both mapped to title');
+    });
+  });
+
+  describe('toImportBug', () => {
+    const columns = { Summary: 'title', Tags: 'labels', Priority: 'priority', Notes: null };
+
+    it('should pick mapped fields and trim strings', () => {
+      expect(toImportBug({ Summary: ' Crash ', Tags: 'ui; api,', Priority: 'high', Notes: 'x' }, columns)).toEqual({
+        title: 'Crash',
+        labels: ['ui', 'api'],
+        priority: 'high',
+      });
+    });
+
+    it('should leave out empty values so defaults apply', () => {
+      expect(toImportBug({ Summary: 'Crash', Tags: '', Priority: '  ' }, columns)).toEqual({ title: 'Crash' });
+    });
+
+    it('should keep JSON label arrays', () => {
+      expect(toImportBug({ Tags: ['ui', ' api '] }, columns)).toEqual({ labels: ['ui', 'api'] });
+    });
+  });
+
+  describe('getDuplicateKey', () => {
+    it('should ignore case and repeated spaces', () => {
+      expect(getDuplicateKey('  Login   Fails ')).toBe(getDuplicateKey('login fails'));
+      expect(getDuplicateKey(undefined)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// labelUtils.test.js - Unit tests for label name handling
+
+const {
+  MAX_LABEL_LENGTH,
+  normalizeLabelName,
+  normalizeLabels,
+  isValidLabelName,
+  isValidLabelColor,
+  parseLabelFilter,
+} = require('../../src/utils/labelUtils');
+
+describe('Label Utility Functions', () => {
+  describe('normalizeLabelName', () => {
+    it('should trim, lowercase and collapse whitespace', () => {
+      expect(normalizeLabelName('  Payments   Team ')).toBe('payments team');
+    });
+  });
+
+  describe('normalizeLabels', () => {
+    it('should drop blanks and duplicates while keeping order', () => {
+      expect(normalizeLabels(['Frontend', 'regression', ' frontend ', '', '  '])).toEqual([
+        'frontend',
+        'regression',
+      ]);
+    });
+
+    it('should drop values that are not strings', () => {
+      expect(normalizeLabels(['frontend', 42, null])).toEqual(['frontend']);
+    });
+
+    it('should return non-arrays unchanged', () => {
+      expect(normalizeLabels('frontend')).toBe('frontend');
+      expect(normalizeLabels(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('isValidLabelName', () => {
+    it('should accept letters, digits, spaces and - _ .', () => {
+      expect(isValidLabelName('frontend')).toBe(true);
+      expect(isValidLabelName('v2.1-regression')).toBe(true);
+      expect(isValidLabelName('payments team')).toBe(true);
+    });
+
+    it('should reject other characters, a leading separator and long names', () => {
+      expect(isValidLabelName('urgent!')).toBe(false);
+      expect(isValidLabelName('-frontend')).toBe(false);
+      expect(isValidLabelName('a'.repeat(MAX_LABEL_LENGTH + 1))).toBe(false);
+      expect(isValidLabelName('')).toBe(false);
+    });
+  });
+
+  describe('isValidLabelColor', () => {
+    it('should only accept #rrggbb colours', () => {
+      expect(isValidLabelColor('#ff8800')).toBe(true);
+      expect(isValidLabelColor('#FF8800')).toBe(true);
+      expect(isValidLabelColor('#f80')).toBe(false);
+      expect(isValidLabelColor('red')).toBe(false);
+    });
+  });
+
+  describe('parseLabelFilter', () => {
+    it('should split comma-separated labels', () => {
+      expect(parseLabelFilter('Frontend,regression')).toEqual(['frontend', 'regression']);
+    });
+
+    it('should accept a repeated query parameter', () => {
+      expect(parseLabelFilter(['frontend', 'payments,regression'])).toEqual([
+        'frontend',
+        'payments',
+        'regression',
+      ]);
+    });
+
+    it('should ignore empty entries', () => {
+      expect(parseLabelFilter(',,')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// logger.test.js - Unit tests for the leveled application logger
+
+const {
+  logger,
+  getLogLevels,
+  setLogLevel,
+  clearLogLevel,
+  resetLogLevels,
+} = require('../../src/utils/logger');
+
+describe('Logger', () => {
+  beforeEach(() => {
+    resetLogLevels();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+    delete process.env.LOG_MODULE_LEVELS;
+    delete process.env.LOG_FORMAT;
+    resetLogLevels();
+    jest.restoreAllMocks();
+  });
+
+  // Parse the JSON lines written to a console method
+  const jsonLines = (method) => method.mock.calls.map(([line]) => JSON.parse(line));
+
+  describe('levels', () => {
+    it('should write info and above and keep debug silent by default', () => {
+      const log = logger.child('bugController');
+
+      log.debug('getBug request');
+      log.info('Server started');
+
+      expect(console.log).toHaveBeenCalledTimes(1);
+      expect(console.log.mock.calls[0][0]).toContain('Server started');
+      expect(log.isLevelEnabled('debug')).toBe(false);
+    });
+
+    it('should write warnings and errors to stderr', () => {
+      const log = logger.child('app');
+
+      log.warn('Slow query');
+      log.error('Request failed');
+
+      expect(console.log).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledTimes(2);
+    });
+
+    it('should read the default and module levels from the environment', () => {
+      process.env.LOG_LEVEL = 'warn';
+      process.env.LOG_MODULE_LEVELS = 'bugController=debug, app=loud';
+      resetLogLevels();
+
+      expect(getLogLevels()).toEqual({ level: 'warn', modules: { bugController: 'debug' } });
+      expect(logger.child('bugController').isLevelEnabled('debug')).toBe(true);
+      expect(logger.child('app').isLevelEnabled('info')).toBe(false);
+    });
+
+    it('should let a module level cover its children and be cleared again', () => {
+      setLogLevel('debug', 'bugController');
+      const exportLog = logger.child('bugController').child('export');
+
+      expect(exportLog.module).toBe('bugController.export');
+      expect(exportLog.isLevelEnabled('debug')).toBe(true);
+      expect(logger.child('app').isLevelEnabled('debug')).toBe(false);
+
+      clearLogLevel('bugController');
+      expect(exportLog.isLevelEnabled('debug')).toBe(false);
+    });
+
+    it('should turn everything off at silent', () => {
+      setLogLevel('silent');
+
+      logger.child('app').error('Request failed');
+
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown levels', () => {
+      expect(() => setLogLevel('verbose')).toThrow('Log level must be one of: debug, info, warn, error, silent');
+    });
+  });
+
+  describe('format', () => {
+    it('should write one JSON document per event in json format', () => {
+      process.env.LOG_FORMAT = 'json';
+      process.env.LOG_LEVEL = 'debug';
+      resetLogLevels();
+
+      logger.child('bugController').debug('getBug result', { id: '42', found: true });
+
+      const [entry] = jsonLines(console.log);
+      expect(entry).toEqual({
+        time: expect.any(String),
+        level: 'debug',
+        module: 'bugController',
+        msg: 'getBug result',
+        id: '42',
+        found: true,
+      });
+      expect(new Date(entry.time).toISOString()).toBe(entry.time);
+    });
+
+    it('should default to json in production and pretty elsewhere', () => {
+      const environment = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      resetLogLevels();
+      logger.info('Server started');
+      process.env.NODE_ENV = 'development';
+      resetLogLevels();
+      logger.info('Server started');
+      process.env.NODE_ENV = environment;
+
+      expect(JSON.parse(console.log.mock.calls[0][0]).module).toBe('server');
+      expect(console.log.mock.calls[1][0]).toMatch(/^\d{2}:\d{2}:\d{2}\.\d{3} INFO {2}\[server\] Server started$/);
+    });
+
+    it('should print fields and the stack of an error on readable lines in pretty format', () => {
+      const error = new Error('Bug not found');
+
+      logger.child('bugController').error('getBug failed', { id: '42', error });
+
+      const [line] = console.error.mock.calls[0];
+      expect(line).toContain("ERROR [bugController] getBug failed { id: '42', error: { name: 'Error', message: 'Bug not found' } }");
+      expect(line).toContain(`\n${error.stack}`);
+    });
+
+    it('should redact secrets in fields', () => {
+      process.env.LOG_FORMAT = 'json';
+      resetLogLevels();
+
+      logger.child('authController').info('Login failed', {
+        headers: { authorization: 'Bearer abc' },
+        body: { email: 'jane@example.com', password: 'hunter2' },
+      });
+
+      const [entry] = jsonLines(console.log);
+      expect(JSON.stringify(entry)).not.toMatch(/abc|jane@example.com|hunter2/);
+    });
+  });
+});
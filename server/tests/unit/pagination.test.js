@@ -0,0 +1,120 @@
+// pagination.test.js - Unit tests for cursor pagination helpers
+
+const mongoose = require('mongoose');
+const Bug = require('../../src/models/Bug');
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+} = require('../../src/utils/pagination');
+
+const newestFirst = [['createdAt', -1], ['_id', -1]];
+const oldestFirst = [['createdAt', 1], ['_id', 1]];
+
+describe('Pagination Utilities', () => {
+  describe('parseLimit', () => {
+    it('should return the default limit when none is given', () => {
+      expect(parseLimit(undefined)).toBe(DEFAULT_LIMIT);
+      expect(parseLimit('')).toBe(DEFAULT_LIMIT);
+    });
+
+    it('should parse a numeric string', () => {
+      expect(parseLimit('5')).toBe(5);
+    });
+
+    it('should clamp limits above the maximum', () => {
+      expect(parseLimit(String(MAX_LIMIT + 50))).toBe(MAX_LIMIT);
+    });
+
+    it('should reject zero, negative and non-integer limits', () => {
+      expect(parseLimit('0')).toBeNull();
+      expect(parseLimit('-3')).toBeNull();
+      expect(parseLimit('2.5')).toBeNull();
+      expect(parseLimit('abc')).toBeNull();
+    });
+  });
+
+  describe('encodeCursor / decodeCursor', () => {
+    const createdAt = new Date('2024-01-15T10:30:00Z');
+    const _id = new mongoose.Types.ObjectId();
+
+    it('should round-trip sort values with their types', () => {
+      const cursor = encodeCursor({ createdAt, _id }, newestFirst);
+      const values = decodeCursor(cursor, newestFirst, Bug);
+
+      expect(values[0]).toBeInstanceOf(Date);
+      expect(values[0].getTime()).toBe(createdAt.getTime());
+      expect(values[1].toString()).toBe(_id.toString());
+    });
+
+    it('should produce an opaque URL-safe string', () => {
+      const cursor = encodeCursor({ createdAt, _id }, newestFirst);
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('should read values from mongoose documents', () => {
+      const bug = new Bug({ title: 'Bug', description: 'Desc', reporter: 'Reporter' });
+      bug.createdAt = createdAt;
+
+      const values = decodeCursor(encodeCursor(bug, newestFirst), newestFirst, Bug);
+      expect(values[1].toString()).toBe(bug._id.toString());
+    });
+
+    it('should reject a cursor created for a different sort', () => {
+      const cursor = encodeCursor({ createdAt, _id }, newestFirst);
+      expect(decodeCursor(cursor, oldestFirst, Bug)).toBeNull();
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor', newestFirst, Bug)).toBeNull();
+    });
+
+    it('should reject cursors with values that cannot be cast', () => {
+      const payload = { s: 'createdAt:-1,_id:-1', v: ['not-a-date', 'not-an-id'] };
+      const cursor = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+      expect(decodeCursor(cursor, newestFirst, Bug)).toBeNull();
+    });
+  });
+
+  describe('computed sort fields', () => {
+    const byRelevance = [['score', -1], ['_id', -1]];
+
+    it('should round-trip numeric scores', () => {
+      const _id = new mongoose.Types.ObjectId();
+      const values = decodeCursor(encodeCursor({ score: 1.75, _id }, byRelevance), byRelevance, Bug);
+
+      expect(values[0]).toBe(1.75);
+    });
+
+    it('should reject non-numeric scores', () => {
+      const payload = { s: 'score:-1,_id:-1', v: [{ $gt: 0 }, new mongoose.Types.ObjectId()] };
+      const cursor = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+      expect(decodeCursor(cursor, byRelevance, Bug)).toBeNull();
+    });
+  });
+
+  describe('buildCursorFilter', () => {
+    it('should page backwards for descending sorts', () => {
+      const filter = buildCursorFilter(newestFirst, ['2024-01-15', 'abc']);
+
+      expect(filter).toEqual({
+        $or: [
+          { createdAt: { $lt: '2024-01-15' } },
+          { createdAt: '2024-01-15', _id: { $lt: 'abc' } },
+        ],
+      });
+    });
+
+    it('should page forwards for ascending sorts', () => {
+      const filter = buildCursorFilter(oldestFirst, ['2024-01-15', 'abc']);
+
+      expect(filter.$or[0]).toEqual({ createdAt: { $gt: '2024-01-15' } });
+      expect(filter.$or[1]).toEqual({ createdAt: '2024-01-15', _id: { $gt: 'abc' } });
+    });
+  });
+});
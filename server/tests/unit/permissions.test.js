@@ -0,0 +1,222 @@
+// permissions.test.js - Unit tests for role-based permission checks
+
+const mongoose = require('mongoose');
+const {
+  hasPermission,
+  isBugOwner,
+  canEditBug,
+  assertCanUpdateBug,
+  isCommentAuthor,
+  canDeleteComment,
+  canDeleteAttachment,
+} = require('../../src/utils/permissions');
+
+const makeUser = (role) => ({ _id: new mongoose.Types.ObjectId(), role });
+
+describe('Permission Utilities', () => {
+  const reporter = makeUser('reporter');
+  const developer = makeUser('developer');
+  const triager = makeUser('triager');
+  const admin = makeUser('admin');
+
+  const ownOpenBug = {
+    title: 'Bug',
+    description: 'Desc',
+    status: 'open',
+    priority: 'medium',
+    reportedBy: reporter._id,
+  };
+
+  describe('hasPermission', () => {
+    it('should only let admins delete bugs', () => {
+      expect(hasPermission(admin, 'bug:delete')).toBe(true);
+      expect(hasPermission(reporter, 'bug:delete')).toBe(false);
+      expect(hasPermission(developer, 'bug:delete')).toBe(false);
+      expect(hasPermission(triager, 'bug:delete')).toBe(false);
+    });
+
+    it('should let developers but not triagers change status', () => {
+      expect(hasPermission(developer, 'bug:status')).toBe(true);
+      expect(hasPermission(triager, 'bug:status')).toBe(false);
+    });
+
+    it('should let triagers but not developers change priority', () => {
+      expect(hasPermission(triager, 'bug:priority')).toBe(true);
+      expect(hasPermission(developer, 'bug:priority')).toBe(false);
+    });
+
+    it('should only let triagers and admins import bugs', () => {
+      expect(hasPermission(triager, 'bug:import')).toBe(true);
+      expect(hasPermission(admin, 'bug:import')).toBe(true);
+      expect(hasPermission(developer, 'bug:import')).toBe(false);
+      expect(hasPermission(reporter, 'bug:import')).toBe(false);
+    });
+
+    it('should let everyone but reporters mark duplicates', () => {
+      expect(hasPermission(developer, 'bug:duplicate')).toBe(true);
+      expect(hasPermission(triager, 'bug:duplicate')).toBe(true);
+      expect(hasPermission(admin, 'bug:duplicate')).toBe(true);
+      expect(hasPermission(reporter, 'bug:duplicate')).toBe(false);
+    });
+
+    it('should let triagers and admins manage labels', () => {
+      expect(hasPermission(triager, 'label:manage')).toBe(true);
+      expect(hasPermission(admin, 'label:manage')).toBe(true);
+      expect(hasPermission(developer, 'label:manage')).toBe(false);
+      expect(hasPermission(reporter, 'label:manage')).toBe(false);
+    });
+
+    it('should only let admins view error groups', () => {
+      expect(hasPermission(admin, 'error:view')).toBe(true);
+      expect(hasPermission(triager, 'error:view')).toBe(false);
+      expect(hasPermission(developer, 'error:view')).toBe(false);
+      expect(hasPermission(reporter, 'error:view')).toBe(false);
+    });
+
+    it('should only let admins change log levels', () => {
+      expect(hasPermission(admin, 'log:manage')).toBe(true);
+      expect(hasPermission(triager, 'log:manage')).toBe(false);
+      expect(hasPermission(developer, 'log:manage')).toBe(false);
+      expect(hasPermission(reporter, 'log:manage')).toBe(false);
+    });
+
+    it('should deny unknown permissions and missing users', () => {
+      expect(hasPermission(admin, 'bug:unknown')).toBe(false);
+      expect(hasPermission(null, 'bug:create')).toBe(false);
+    });
+  });
+
+  describe('isBugOwner', () => {
+    it('should compare reportedBy with the user id', () => {
+      expect(isBugOwner(reporter, ownOpenBug)).toBe(true);
+      expect(isBugOwner(developer, ownOpenBug)).toBe(false);
+    });
+
+    it('should treat bugs without reportedBy as unowned', () => {
+      expect(isBugOwner(reporter, { title: 'Legacy bug' })).toBe(false);
+    });
+  });
+
+  describe('canEditBug', () => {
+    it('should let reporters edit their own open bugs', () => {
+      expect(canEditBug(reporter, ownOpenBug)).toBe(true);
+    });
+
+    it('should not let reporters edit their bugs once work has started', () => {
+      expect(canEditBug(reporter, { ...ownOpenBug, status: 'in-progress' })).toBe(false);
+    });
+
+    it("should not let reporters edit other users' bugs", () => {
+      expect(canEditBug(makeUser('reporter'), ownOpenBug)).toBe(false);
+    });
+
+    it('should let developers, triagers and admins edit any bug', () => {
+      const closedBug = { ...ownOpenBug, status: 'resolved' };
+      expect(canEditBug(developer, closedBug)).toBe(true);
+      expect(canEditBug(triager, closedBug)).toBe(true);
+      expect(canEditBug(admin, closedBug)).toBe(true);
+    });
+  });
+
+  describe('assertCanUpdateBug', () => {
+    it('should allow fields that are resent unchanged', () => {
+      expect(() => assertCanUpdateBug(reporter, ownOpenBug, {
+        title: 'New title',
+        status: 'open',
+        priority: 'medium',
+      })).not.toThrow();
+    });
+
+    it('should reject a status change from a reporter with a ForbiddenError', () => {
+      expect(() => assertCanUpdateBug(reporter, ownOpenBug, { status: 'in-progress' }))
+        .toThrow(expect.objectContaining({ name: 'ForbiddenError', statusCode: 403 }));
+    });
+
+    it('should reject a priority change from a developer', () => {
+      expect(() => assertCanUpdateBug(developer, ownOpenBug, { priority: 'high' }))
+        .toThrow('Not authorized to change the priority of this bug');
+    });
+
+    it('should reject a status change from a triager', () => {
+      expect(() => assertCanUpdateBug(triager, ownOpenBug, { status: 'resolved' }))
+        .toThrow('Not authorized to change the status of this bug');
+    });
+
+    it("should reject edits to another user's bug from a reporter", () => {
+      expect(() => assertCanUpdateBug(makeUser('reporter'), ownOpenBug, { title: 'Hijacked' }))
+        .toThrow('Not authorized to edit this bug');
+    });
+
+    it('should reject an assignee change from a reporter', () => {
+      expect(() => assertCanUpdateBug(reporter, ownOpenBug, { assignee: developer._id.toString() }))
+        .toThrow('Not authorized to assign this bug');
+    });
+
+    it('should compare assignee ids with ObjectIds', () => {
+      const assignedBug = { ...ownOpenBug, assignee: developer._id };
+
+      expect(() => assertCanUpdateBug(reporter, assignedBug, {
+        title: 'New title',
+        assignee: developer._id.toString(),
+      })).not.toThrow();
+    });
+
+    it('should treat labels as content that only editors can change', () => {
+      const labelledBug = { ...ownOpenBug, labels: ['frontend'] };
+
+      expect(() => assertCanUpdateBug(makeUser('reporter'), labelledBug, { labels: ['frontend', 'payments'] }))
+        .toThrow('Not authorized to edit this bug');
+      expect(() => assertCanUpdateBug(makeUser('reporter'), labelledBug, { labels: ['frontend'] }))
+        .not.toThrow();
+      expect(() => assertCanUpdateBug(developer, labelledBug, { labels: [] })).not.toThrow();
+    });
+
+    it('should let developers assign bugs', () => {
+      expect(() => assertCanUpdateBug(developer, ownOpenBug, { assignee: developer._id.toString() }))
+        .not.toThrow();
+    });
+
+    it('should allow admins to change everything', () => {
+      expect(() => assertCanUpdateBug(admin, ownOpenBug, {
+        title: 'New title',
+        status: 'resolved',
+        priority: 'critical',
+      })).not.toThrow();
+    });
+  });
+
+  describe('Comment permissions', () => {
+    const comment = { body: 'Looks like a race', author: reporter._id };
+
+    it('should recognise the author with a raw or populated author', () => {
+      expect(isCommentAuthor(reporter, comment)).toBe(true);
+      expect(isCommentAuthor(reporter, { author: { _id: reporter._id, name: 'R' } })).toBe(true);
+      expect(isCommentAuthor(developer, comment)).toBe(false);
+    });
+
+    it('should let authors and admins delete a comment', () => {
+      expect(canDeleteComment(reporter, comment)).toBe(true);
+      expect(canDeleteComment(admin, comment)).toBe(true);
+    });
+
+    it("should not let other users delete someone else's comment", () => {
+      expect(canDeleteComment(developer, comment)).toBe(false);
+      expect(canDeleteComment(triager, comment)).toBe(false);
+    });
+  });
+
+  describe('Attachment permissions', () => {
+    const attachment = { filename: 'trace.txt', uploadedBy: reporter._id };
+
+    it('should let the uploader and admins delete an attachment', () => {
+      expect(canDeleteAttachment(reporter, attachment)).toBe(true);
+      expect(canDeleteAttachment(reporter, { uploadedBy: { _id: reporter._id } })).toBe(true);
+      expect(canDeleteAttachment(admin, attachment)).toBe(true);
+    });
+
+    it("should not let other users delete someone else's attachment", () => {
+      expect(canDeleteAttachment(developer, attachment)).toBe(false);
+      expect(canDeleteAttachment(triager, attachment)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+// rateLimit.test.js - Tests for the rate limiting middleware
+
+const { createRateLimiter } = require('../../src/middleware/rateLimit');
+
+describe('createRateLimiter', () => {
+  let time;
+  let res;
+  const now = () => time;
+
+  const send = (limiter, ip = '10.0.0.1') => {
+    const next = jest.fn();
+    limiter({ ip }, res, next);
+    return next;
+  };
+
+  beforeEach(() => {
+    time = 0;
+    res = { set: jest.fn() };
+  });
+
+  it('should let requests through up to the limit', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now });
+
+    expect(send(limiter)).toHaveBeenCalledWith();
+    expect(send(limiter)).toHaveBeenCalledWith();
+    expect(res.set).toHaveBeenCalledWith('X-RateLimit-Limit', '2');
+    expect(res.set).toHaveBeenLastCalledWith('X-RateLimit-Remaining', '0');
+  });
+
+  it('should pass a TooManyRequestsError on once the limit is reached', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 10000, message: 'Slow down', now });
+    send(limiter);
+    time = 2500;
+
+    const next = send(limiter);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'TooManyRequestsError', message: 'Slow down', retryAfter: 8 })
+    );
+  });
+
+  it('should count each client separately', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 1000, now });
+    send(limiter, '10.0.0.1');
+
+    expect(send(limiter, '10.0.0.2')).toHaveBeenCalledWith();
+  });
+
+  it('should start a new window once the old one ends', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 1000, now });
+    send(limiter);
+    time = 1000;
+
+    expect(send(limiter)).toHaveBeenCalledWith();
+  });
+
+  it('should use a custom key', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 1000, keyGenerator: () => 'everyone', now });
+    send(limiter, '10.0.0.1');
+
+    expect(send(limiter, '10.0.0.2')).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'TooManyRequestsError' })
+    );
+  });
+});
@@ -0,0 +1,99 @@
+// searchUtils.test.js - Unit tests for full-text search helpers
+
+const {
+  getSearchTerms,
+  highlightText,
+  buildSnippet,
+  buildHighlights,
+} = require('../../src/utils/searchUtils');
+
+describe('Search Utility Functions', () => {
+  describe('getSearchTerms', () => {
+    it('should split a query into lower-case terms', () => {
+      expect(getSearchTerms('Login Crash')).toEqual(['login', 'crash']);
+    });
+
+    it('should drop negated terms and strip quotes', () => {
+      expect(getSearchTerms('crash -mobile "safari"')).toEqual(['crash', 'safari']);
+    });
+
+    it('should remove duplicate terms', () => {
+      expect(getSearchTerms('crash CRASH crash')).toEqual(['crash']);
+    });
+
+    it('should return an empty array for empty or non-string queries', () => {
+      expect(getSearchTerms('')).toEqual([]);
+      expect(getSearchTerms(undefined)).toEqual([]);
+      expect(getSearchTerms(['crash'])).toEqual([]);
+    });
+  });
+
+  describe('highlightText', () => {
+    it('should mark words that start with a term', () => {
+      expect(highlightText('App crashes on login', ['crash', 'login'])).toEqual([
+        { text: 'App ', highlight: false },
+        { text: 'crashes', highlight: true },
+        { text: ' on ', highlight: false },
+        { text: 'login', highlight: true },
+      ]);
+    });
+
+    it('should match case-insensitively and keep the original casing', () => {
+      expect(highlightText('LOGIN fails', ['login'])[0]).toEqual({ text: 'LOGIN', highlight: true });
+    });
+
+    it('should not match terms in the middle of a word', () => {
+      expect(highlightText('Relogin fails', ['login'])).toEqual([
+        { text: 'Relogin fails', highlight: false },
+      ]);
+    });
+
+    it('should treat regex characters in terms literally', () => {
+      expect(() => highlightText('a (b) c', ['(b'])).not.toThrow();
+    });
+
+    it('should return the whole text unhighlighted when there are no terms', () => {
+      expect(highlightText('Some text', [])).toEqual([{ text: 'Some text', highlight: false }]);
+    });
+
+    it('should return no segments for empty text', () => {
+      expect(highlightText('', ['crash'])).toEqual([]);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should highlight short text in full', () => {
+      const segments = buildSnippet('Crash on save', ['crash']);
+      expect(segments.map((segment) => segment.text).join('')).toBe('Crash on save');
+    });
+
+    it('should centre long text on the first match with ellipses', () => {
+      const text = `${'lorem '.repeat(50)}the login crash happens here${' ipsum'.repeat(50)}`;
+      const segments = buildSnippet(text, ['crash'], 60);
+      const snippet = segments.map((segment) => segment.text).join('');
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(segments.some((segment) => segment.highlight && segment.text === 'crash')).toBe(true);
+    });
+
+    it('should start at the beginning when nothing matches', () => {
+      const text = 'a'.repeat(300);
+      const snippet = buildSnippet(text, ['crash'], 50).map((segment) => segment.text).join('');
+
+      expect(snippet).toBe(`${'a'.repeat(50)}…`);
+    });
+  });
+
+  describe('buildHighlights', () => {
+    it('should build title and description highlights', () => {
+      const highlights = buildHighlights(
+        { title: 'Login crash', description: 'Crashes after login' },
+        ['crash']
+      );
+
+      expect(highlights.title).toContainEqual({ text: 'crash', highlight: true });
+      expect(highlights.description).toContainEqual({ text: 'Crashes', highlight: true });
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// similarityUtils.test.js - Unit tests for duplicate bug detection helpers
+
+const {
+  SIMILARITY_THRESHOLD,
+  MAX_SIMILAR_BUGS,
+  normalizeText,
+  getTrigrams,
+  trigramSimilarity,
+  scoreSimilarity,
+  getSimilarityTerms,
+  rankSimilarBugs,
+} = require('../../src/utils/similarityUtils');
+
+describe('Similarity Utility Functions', () => {
+  describe('normalizeText', () => {
+    it('should lowercase text and collapse punctuation and spaces', () => {
+      expect(normalizeText('  Login-page CRASHES!!  on Safari ')).toBe('login page crashes on safari');
+    });
+
+    it('should keep letters outside ASCII', () => {
+      expect(normalizeText('Größe ändern')).toBe('größe ändern');
+    });
+
+    it('should return an empty string for non-strings', () => {
+      expect(normalizeText(undefined)).toBe('');
+      expect(normalizeText(42)).toBe('');
+    });
+  });
+
+  describe('getTrigrams', () => {
+    it('should pad each word before splitting it', () => {
+      expect([...getTrigrams('cat')]).toEqual(['  c', ' ca', 'cat', 'at ']);
+    });
+
+    it('should return no trigrams for empty text', () => {
+      expect(getTrigrams('').size).toBe(0);
+    });
+  });
+
+  describe('trigramSimilarity', () => {
+    it('should score identical text as 1 whatever the case or punctuation', () => {
+      expect(trigramSimilarity('Login crash', 'login, CRASH!')).toBe(1);
+    });
+
+    it('should score unrelated text as 0', () => {
+      expect(trigramSimilarity('login', 'export')).toBe(0);
+    });
+
+    it('should score similar text between 0 and 1', () => {
+      const score = trigramSimilarity('App crashes on login', 'App crash at login');
+      expect(score).toBeGreaterThan(0.4);
+      expect(score).toBeLessThan(1);
+    });
+
+    it('should score empty text as 0', () => {
+      expect(trigramSimilarity('', 'login')).toBe(0);
+    });
+  });
+
+  describe('scoreSimilarity', () => {
+    it('should only use the title when either bug has no description', () => {
+      const report = { title: 'Login crash', description: '' };
+      const bug = { title: 'Login crash', description: 'Totally different words' };
+      expect(scoreSimilarity(report, bug)).toBe(1);
+    });
+
+    it('should weight the title above the description', () => {
+      const report = { title: 'Login crash', description: 'Happens on Safari' };
+      const sameTitle = { title: 'Login crash', description: 'Export is slow' };
+      const sameDescription = { title: 'Export is slow', description: 'Happens on Safari' };
+      expect(scoreSimilarity(report, sameTitle)).toBeGreaterThan(scoreSimilarity(report, sameDescription));
+    });
+  });
+
+  describe('getSimilarityTerms', () => {
+    it('should join the unique words of the title and description', () => {
+      expect(getSimilarityTerms({ title: 'Login crash', description: 'Crash on login page' })).toBe(
+        'login crash page'
+      );
+    });
+
+    it('should drop short words', () => {
+      expect(getSimilarityTerms({ title: 'UI is ok' })).toBe('');
+    });
+  });
+
+  describe('rankSimilarBugs', () => {
+    const report = { title: 'App crashes on login' };
+
+    it('should keep bugs above the threshold, most similar first', () => {
+      const ranked = rankSimilarBugs(report, [
+        { _id: '1', title: 'Export is slow' },
+        { _id: '2', title: 'App crash at login' },
+        { _id: '3', title: 'App crashes on login' },
+      ]);
+
+      expect(ranked.map((bug) => bug._id)).toEqual(['3', '2']);
+      expect(ranked[0].similarity).toBe(1);
+      ranked.forEach((bug) => expect(bug.similarity).toBeGreaterThanOrEqual(SIMILARITY_THRESHOLD));
+    });
+
+    it('should return at most MAX_SIMILAR_BUGS bugs', () => {
+      const candidates = Array.from({ length: MAX_SIMILAR_BUGS + 3 }, (_, index) => ({
+        _id: String(index),
+        title: 'App crashes on login',
+      }));
+      expect(rankSimilarBugs(report, candidates)).toHaveLength(MAX_SIMILAR_BUGS);
+    });
+
+    it('should accept a custom threshold and limit', () => {
+      const candidates = [
+        { _id: '1', title: 'App crashes on login' },
+        { _id: '2', title: 'App crash at login' },
+      ];
+      expect(rankSimilarBugs(report, candidates, { threshold: 1 })).toHaveLength(1);
+      expect(rankSimilarBugs(report, candidates, { limit: 1 })).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+// socketServer.test.js - Unit tests for the realtime WebSocket server
+
+const http = require('http');
+const { WebSocket } = require('ws');
+const { attachRealtime } = require('../../src/realtime/socketServer');
+const { publishBugEvent } = require('../../src/realtime/bugEvents');
+const { getUserFromToken } = require('../../src/middleware/auth');
+
+jest.mock('../../src/middleware/auth', () => ({
+  getUserFromToken: jest.fn(),
+}));
+
+const BUG_ID = '507f1f77bcf86cd799439011';
+
+const users = {
+  'alice-token': { _id: 'alice', name: 'Alice' },
+  'bob-token': { _id: 'bob', name: 'Bob' },
+};
+
+describe('Realtime Socket Server', () => {
+  let server;
+  let realtime;
+  let url;
+  const sockets = [];
+
+  beforeEach(async () => {
+    getUserFromToken.mockImplementation(async (token) => users[token] || null);
+    server = http.createServer();
+    realtime = attachRealtime(server);
+    await new Promise((resolve) => server.listen(0, resolve));
+    url = `ws://localhost:${server.address().port}/ws`;
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach((socket) => socket.terminate());
+    await realtime.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  // Open a socket that queues incoming messages for nextMessage
+  const connect = () =>
+    new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      socket.received = [];
+      socket.waiting = [];
+      socket.on('message', (raw) => {
+        const message = JSON.parse(raw);
+        const waiter = socket.waiting.shift();
+        if (waiter) {
+          waiter(message);
+        } else {
+          socket.received.push(message);
+        }
+      });
+      socket.on('open', () => resolve(socket));
+      socket.on('error', reject);
+      sockets.push(socket);
+    });
+
+  const nextMessage = (socket) =>
+    socket.received.length > 0
+      ? Promise.resolve(socket.received.shift())
+      : new Promise((resolve) => socket.waiting.push(resolve));
+
+  const closed = (socket) => new Promise((resolve) => socket.on('close', (code) => resolve(code)));
+
+  // Connect and authenticate, returning the socket and its ready message
+  const login = async (token) => {
+    const socket = await connect();
+    socket.send(JSON.stringify({ type: 'auth', token }));
+    const ready = await nextMessage(socket);
+    return { socket, ready };
+  };
+
+  it('should authenticate with an access token', async () => {
+    const { ready } = await login('alice-token');
+
+    expect(ready).toEqual({ type: 'ready', clientId: expect.any(String), presence: {} });
+    expect(getUserFromToken).toHaveBeenCalledWith('alice-token');
+  });
+
+  it('should close connections with an invalid token', async () => {
+    const socket = await connect();
+    const closing = closed(socket);
+
+    socket.send(JSON.stringify({ type: 'auth', token: 'forged' }));
+
+    expect(await closing).toBe(4401);
+  });
+
+  it('should close connections that send other messages before authenticating', async () => {
+    const socket = await connect();
+    const closing = closed(socket);
+
+    socket.send(JSON.stringify({ type: 'presence:join', bugId: BUG_ID }));
+
+    expect(await closing).toBe(4401);
+  });
+
+  it('should relay bug events to everyone except the client that made the change', async () => {
+    const alice = await login('alice-token');
+    const bob = await login('bob-token');
+
+    publishBugEvent('bug:updated', { bug: { _id: BUG_ID, title: 'Renamed' } }, {
+      get: () => alice.ready.clientId,
+    });
+    publishBugEvent('bug:deleted', { id: BUG_ID });
+
+    expect(await nextMessage(bob.socket)).toEqual({
+      type: 'bug:updated',
+      bug: { _id: BUG_ID, title: 'Renamed' },
+    });
+    expect(await nextMessage(bob.socket)).toEqual({ type: 'bug:deleted', id: BUG_ID });
+    expect(await nextMessage(alice.socket)).toEqual({ type: 'bug:deleted', id: BUG_ID });
+  });
+
+  it('should not send bug events to unauthenticated connections', async () => {
+    const anonymous = await connect();
+    const alice = await login('alice-token');
+
+    publishBugEvent('bug:deleted', { id: BUG_ID });
+
+    expect(await nextMessage(alice.socket)).toEqual({ type: 'bug:deleted', id: BUG_ID });
+    expect(anonymous.received).toEqual([]);
+  });
+
+  it('should broadcast who is viewing a bug', async () => {
+    const alice = await login('alice-token');
+    const bob = await login('bob-token');
+
+    alice.socket.send(JSON.stringify({ type: 'presence:join', bugId: BUG_ID }));
+
+    const presence = { type: 'presence', bugId: BUG_ID, viewers: [{ _id: 'alice', name: 'Alice' }] };
+    expect(await nextMessage(bob.socket)).toEqual(presence);
+    expect(await nextMessage(alice.socket)).toEqual(presence);
+
+    alice.socket.send(JSON.stringify({ type: 'presence:leave', bugId: BUG_ID }));
+
+    expect(await nextMessage(bob.socket)).toEqual({ type: 'presence', bugId: BUG_ID, viewers: [] });
+  });
+
+  it('should list each user once and include current viewers on connect', async () => {
+    const aliceTab1 = await login('alice-token');
+    const aliceTab2 = await login('alice-token');
+    aliceTab1.socket.send(JSON.stringify({ type: 'presence:join', bugId: BUG_ID }));
+    await nextMessage(aliceTab1.socket);
+    aliceTab2.socket.send(JSON.stringify({ type: 'presence:join', bugId: BUG_ID }));
+
+    expect((await nextMessage(aliceTab1.socket)).viewers).toEqual([{ _id: 'alice', name: 'Alice' }]);
+
+    const bob = await login('bob-token');
+    expect(bob.ready.presence).toEqual({ [BUG_ID]: [{ _id: 'alice', name: 'Alice' }] });
+  });
+
+  it('should clear presence when a viewer disconnects', async () => {
+    const alice = await login('alice-token');
+    const bob = await login('bob-token');
+    alice.socket.send(JSON.stringify({ type: 'presence:join', bugId: BUG_ID }));
+    await nextMessage(bob.socket);
+
+    alice.socket.close();
+
+    expect(await nextMessage(bob.socket)).toEqual({ type: 'presence', bugId: BUG_ID, viewers: [] });
+  });
+
+  it('should ignore malformed messages and invalid bug ids', async () => {
+    const alice = await login('alice-token');
+
+    alice.socket.send('not json');
+    alice.socket.send(JSON.stringify({ type: 'presence:join', bugId: '../../etc' }));
+    publishBugEvent('bug:deleted', { id: BUG_ID });
+
+    expect(await nextMessage(alice.socket)).toEqual({ type: 'bug:deleted', id: BUG_ID });
+  });
+});
@@ -0,0 +1,177 @@
+// statsUtils.test.js - Unit tests for bug statistics helpers
+
+const {
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  parseDay,
+  parseStatsRange,
+  getRangeEnd,
+  buildDailySeries,
+  buildStatusPriorityMatrix,
+  getCycleTimes,
+} = require('../../src/utils/statsUtils');
+
+const now = new Date('2026-03-10T15:30:00.000Z');
+
+describe('Stats Utilities', () => {
+  describe('parseDay', () => {
+    it('should parse a day as the start of that UTC day', () => {
+      expect(parseDay('2026-03-01').toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    });
+
+    it('should reject other formats and days that do not exist', () => {
+      expect(parseDay('2026-3-1')).toBeNull();
+      expect(parseDay('2026-03-01T10:00:00Z')).toBeNull();
+      expect(parseDay('2026-02-30')).toBeNull();
+      expect(parseDay(['2026-03-01'])).toBeNull();
+    });
+  });
+
+  describe('parseStatsRange', () => {
+    it('should default to the last DEFAULT_RANGE_DAYS days ending today', () => {
+      const { from, to, days } = parseStatsRange({}, now);
+
+      expect(to.toISOString()).toBe('2026-03-10T00:00:00.000Z');
+      expect(days).toBe(DEFAULT_RANGE_DAYS);
+      expect(from.toISOString()).toBe('2026-02-09T00:00:00.000Z');
+    });
+
+    it('should accept an explicit inclusive range', () => {
+      const { from, to, days } = parseStatsRange({ from: '2026-01-01', to: '2026-01-07' }, now);
+
+      expect(from.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+      expect(to.toISOString()).toBe('2026-01-07T00:00:00.000Z');
+      expect(days).toBe(7);
+    });
+
+    it('should count a single day range as one day', () => {
+      expect(parseStatsRange({ from: '2026-01-01', to: '2026-01-01' }, now).days).toBe(1);
+    });
+
+    it('should reject invalid days', () => {
+      expect(parseStatsRange({ from: 'yesterday' }, now).error).toMatch(/from must be a date/);
+      expect(parseStatsRange({ to: '2026-13-01' }, now).error).toMatch(/to must be a date/);
+    });
+
+    it('should reject a range that ends before it starts', () => {
+      expect(parseStatsRange({ from: '2026-02-01', to: '2026-01-01' }, now).error)
+        .toBe('from must not be after to');
+    });
+
+    it('should reject ranges longer than MAX_RANGE_DAYS', () => {
+      const result = parseStatsRange({ from: '2024-01-01', to: '2026-01-01' }, now);
+      expect(result.error).toBe(`The date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    });
+  });
+
+  describe('getRangeEnd', () => {
+    it('should return the start of the day after the last day', () => {
+      expect(getRangeEnd(parseDay('2026-02-28')).toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    });
+  });
+
+  describe('buildDailySeries', () => {
+    it('should include every day of the range with zero for missing counts', () => {
+      const series = buildDailySeries(parseDay('2026-01-30'), 3, {
+        opened: [{ _id: '2026-01-30', count: 2 }, { _id: '2026-02-01', count: 1 }],
+        resolved: [{ _id: '2026-01-31', count: 4 }],
+      });
+
+      expect(series).toEqual([
+        { date: '2026-01-30', opened: 2, resolved: 0 },
+        { date: '2026-01-31', opened: 0, resolved: 4 },
+        { date: '2026-02-01', opened: 1, resolved: 0 },
+      ]);
+    });
+
+    it('should ignore rows outside the range', () => {
+      const series = buildDailySeries(parseDay('2026-01-01'), 1, {
+        opened: [{ _id: '2025-12-31', count: 9 }],
+      });
+
+      expect(series).toEqual([{ date: '2026-01-01', opened: 0 }]);
+    });
+  });
+
+  describe('buildStatusPriorityMatrix', () => {
+    const statuses = ['open', 'resolved'];
+    const priorities = ['low', 'high'];
+
+    it('should fill every status and priority combination', () => {
+      const matrix = buildStatusPriorityMatrix(
+        [
+          { _id: { status: 'open', priority: 'high' }, count: 3 },
+          { _id: { status: 'resolved', priority: 'low' }, count: 2 },
+        ],
+        statuses,
+        priorities
+      );
+
+      expect(matrix).toEqual({
+        statuses,
+        priorities,
+        counts: {
+          open: { low: 0, high: 3 },
+          resolved: { low: 2, high: 0 },
+        },
+        total: 5,
+      });
+    });
+
+    it('should count bugs in statuses outside the workflow in the total only', () => {
+      const matrix = buildStatusPriorityMatrix(
+        [{ _id: { status: 'archived', priority: 'low' }, count: 4 }],
+        statuses,
+        priorities
+      );
+
+      expect(matrix.counts.archived).toBeUndefined();
+      expect(matrix.total).toBe(4);
+    });
+  });
+
+  describe('getCycleTimes', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+    const now = new Date('2026-01-02T00:00:00.000Z');
+
+    it('should measure lead, cycle and start times of a resolved bug', () => {
+      const metrics = getCycleTimes({
+        createdAt: '2026-01-01T00:00:00.000Z',
+        inProgressAt: '2026-01-01T02:00:00.000Z',
+        resolvedAt: new Date('2026-01-01T08:00:00.000Z'),
+        reopenCount: 1,
+      }, now);
+
+      expect(metrics).toEqual({
+        leadTimeMs: 8 * HOUR_MS,
+        cycleTimeMs: 6 * HOUR_MS,
+        timeToStartMs: 2 * HOUR_MS,
+        openForMs: null,
+        reopenCount: 1,
+      });
+    });
+
+    it('should report how long an unresolved bug has been open', () => {
+      const metrics = getCycleTimes({ createdAt: '2026-01-01T12:00:00.000Z' }, now);
+
+      expect(metrics).toEqual({
+        leadTimeMs: null,
+        cycleTimeMs: null,
+        timeToStartMs: null,
+        openForMs: 12 * HOUR_MS,
+        reopenCount: 0,
+      });
+    });
+
+    it('should not give a cycle time when work started after the resolution', () => {
+      const metrics = getCycleTimes({
+        createdAt: '2026-01-01T00:00:00.000Z',
+        inProgressAt: '2026-01-01T09:00:00.000Z',
+        resolvedAt: '2026-01-01T08:00:00.000Z',
+      }, now);
+
+      expect(metrics.cycleTimeMs).toBeNull();
+      expect(metrics.leadTimeMs).toBe(8 * HOUR_MS);
+    });
+  });
+});
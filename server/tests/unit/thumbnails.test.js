@@ -0,0 +1,71 @@
+// thumbnails.test.js - Unit tests for image checks and thumbnails
+
+const sharp = require('sharp');
+const {
+  THUMBNAIL_SIZE,
+  isImageType,
+  inspectImage,
+  createThumbnail,
+} = require('../../src/utils/thumbnails');
+
+// Solid-colour test image
+const makeImage = (width, height, format = 'png') =>
+  sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } },
+  })
+    .toFormat(format)
+    .toBuffer();
+
+describe('Thumbnail Utilities', () => {
+  describe('isImageType', () => {
+    it('should accept the supported image types only', () => {
+      expect(isImageType('image/png')).toBe(true);
+      expect(isImageType('image/jpeg')).toBe(true);
+      expect(isImageType('image/svg+xml')).toBe(false);
+      expect(isImageType('text/plain')).toBe(false);
+      expect(isImageType('toString')).toBe(false);
+    });
+  });
+
+  describe('inspectImage', () => {
+    it('should return the dimensions of a valid image', async () => {
+      const image = await makeImage(64, 32);
+
+      await expect(inspectImage(image, 'image/png')).resolves.toEqual({ width: 64, height: 32 });
+    });
+
+    it('should reject contents that are not an image with 415', async () => {
+      await expect(inspectImage(Buffer.from('<script>'), 'image/png')).rejects.toMatchObject({
+        name: 'UnsupportedMediaTypeError',
+        statusCode: 415,
+      });
+    });
+
+    it('should reject an image whose format does not match its declared type', async () => {
+      const jpeg = await makeImage(10, 10, 'jpeg');
+
+      await expect(inspectImage(jpeg, 'image/png')).rejects.toMatchObject({
+        name: 'UnsupportedMediaTypeError',
+      });
+    });
+  });
+
+  describe('createThumbnail', () => {
+    it('should shrink large images to fit the thumbnail size', async () => {
+      const thumbnail = await createThumbnail(await makeImage(1280, 640));
+      const metadata = await sharp(thumbnail).metadata();
+
+      expect(metadata.format).toBe('webp');
+      expect(metadata.width).toBe(THUMBNAIL_SIZE);
+      expect(metadata.height).toBe(THUMBNAIL_SIZE / 2);
+    });
+
+    it('should not enlarge small images', async () => {
+      const thumbnail = await createThumbnail(await makeImage(40, 20));
+      const metadata = await sharp(thumbnail).metadata();
+
+      expect(metadata.width).toBe(40);
+      expect(metadata.height).toBe(20);
+    });
+  });
+});
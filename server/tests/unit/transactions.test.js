@@ -0,0 +1,90 @@
+// transactions.test.js - Unit tests for running bulk writes in a transaction
+
+const { supportsTransactions, runInTransaction } = require('../../src/utils/transactions');
+
+/**
+ * Fake mongoose connection whose server answers `hello` with the given reply
+ */
+const createConnection = (hello) => {
+  const session = {
+    withTransaction: jest.fn(async (fn) => fn()),
+    endSession: jest.fn(async () => {}),
+  };
+  const command = jest.fn(async () => {
+    if (hello instanceof Error) {
+      throw hello;
+    }
+    return hello;
+  });
+
+  return {
+    db: { admin: () => ({ command }) },
+    startSession: jest.fn(async () => session),
+    session,
+    command,
+  };
+};
+
+describe('Transaction Utility Functions', () => {
+  describe('supportsTransactions', () => {
+    it('should be true for a replica set member', async () => {
+      expect(await supportsTransactions(createConnection({ setName: 'rs0' }))).toBe(true);
+    });
+
+    it('should be true for a sharded cluster', async () => {
+      expect(await supportsTransactions(createConnection({ msg: 'isdbgrid' }))).toBe(true);
+    });
+
+    it('should be false for a standalone server', async () => {
+      expect(await supportsTransactions(createConnection({ isWritablePrimary: true }))).toBe(false);
+    });
+
+    it('should be false when the check fails or there is no connection', async () => {
+      expect(await supportsTransactions(createConnection(new Error('not authorized')))).toBe(false);
+      expect(await supportsTransactions({ db: undefined })).toBe(false);
+    });
+
+    it('should ask the server only once per database', async () => {
+      const connection = createConnection({ setName: 'rs0' });
+
+      await supportsTransactions(connection);
+      await supportsTransactions(connection);
+
+      expect(connection.command).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('runInTransaction', () => {
+    it('should run the work in a transaction session when supported', async () => {
+      const connection = createConnection({ setName: 'rs0' });
+      const work = jest.fn(async () => 'done');
+
+      const outcome = await runInTransaction(work, connection);
+
+      expect(outcome).toEqual({ result: 'done', transaction: true });
+      expect(work).toHaveBeenCalledWith(connection.session);
+      expect(connection.session.withTransaction).toHaveBeenCalled();
+      expect(connection.session.endSession).toHaveBeenCalled();
+    });
+
+    it('should run the work without a session on a standalone server', async () => {
+      const connection = createConnection({});
+      const work = jest.fn(async () => 'done');
+
+      const outcome = await runInTransaction(work, connection);
+
+      expect(outcome).toEqual({ result: 'done', transaction: false });
+      expect(work).toHaveBeenCalledWith(null);
+      expect(connection.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should end the session when the work throws', async () => {
+      const connection = createConnection({ setName: 'rs0' });
+
+      await expect(
+        runInTransaction(async () => { throw new Error('write failed'); }, connection)
+      ).rejects.toThrow('write failed');
+      expect(connection.session.endSession).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// uploadMiddleware.test.js - Unit tests for multipart attachment uploads
+
+const express = require('express');
+const request = require('supertest');
+const { receiveAttachments } = require('../../src/middleware/upload');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+jest.mock('../../src/utils/errorLogger');
+
+// Minimal app that reports what the middleware parsed
+const createApp = () => {
+  const app = express();
+  app.post('/upload', receiveAttachments, (req, res) => {
+    res.status(200).json({
+      success: true,
+      files: req.files.map((file) => ({
+        name: file.originalname,
+        type: file.mimetype,
+        size: file.size,
+      })),
+    });
+  });
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Attachment Upload Middleware', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.ATTACHMENT_MAX_SIZE_MB = '0.001'; // About 1 KB
+    process.env.ATTACHMENT_MAX_FILES = '2';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should parse allowed files into req.files', async () => {
+    const res = await request(createApp())
+      .post('/upload')
+      .attach('files', Buffer.from('TypeError: x is undefined'), {
+        filename: 'console.log',
+        contentType: 'text/plain',
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.files).toEqual([{ name: 'console.log', type: 'text/plain', size: 25 }]);
+  });
+
+  it('should reject a disallowed type with 415', async () => {
+    const res = await request(createApp())
+      .post('/upload')
+      .attach('files', Buffer.from('<html></html>'), {
+        filename: 'page.html',
+        contentType: 'text/html',
+      });
+
+    expect(res.status).toBe(415);
+    expect(res.body.error).toBe('File type text/html is not allowed for page.html');
+  });
+
+  it('should reject a file over the size limit with 413', async () => {
+    const res = await request(createApp())
+      .post('/upload')
+      .attach('files', Buffer.alloc(4096, 'a'), {
+        filename: 'big.txt',
+        contentType: 'text/plain',
+      });
+
+    expect(res.status).toBe(413);
+    expect(res.body.error).toMatch(/MB or smaller/);
+  });
+
+  it('should reject more files than allowed with 413', async () => {
+    const file = { filename: 'a.txt', contentType: 'text/plain' };
+    const res = await request(createApp())
+      .post('/upload')
+      .attach('files', Buffer.from('a'), file)
+      .attach('files', Buffer.from('b'), file)
+      .attach('files', Buffer.from('c'), file);
+
+    expect(res.status).toBe(413);
+    expect(res.body.error).toBe('Upload at most 2 files at a time');
+  });
+
+  it('should reject files sent in another field with 400', async () => {
+    const res = await request(createApp())
+      .post('/upload')
+      .attach('screenshot', Buffer.from('a'), { filename: 'a.txt', contentType: 'text/plain' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,237 @@
+// workflow.test.js - Unit tests for the configurable status workflow
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateWorkflow,
+  loadWorkflow,
+  getWorkflow,
+  getInProgressStatus,
+  getResolvedStatus,
+  setWorkflow,
+  resetWorkflow,
+} = require('../../src/utils/workflow');
+const {
+  isValidStatusTransition,
+  getValidNextStatuses,
+  isValidStatus,
+  validateBugData,
+  getStatusTimestampUpdates,
+} = require('../../src/utils/bugUtils');
+const Bug = require('../../src/models/Bug');
+
+const customWorkflow = {
+  initialStatus: 'open',
+  statuses: ['open', 'triaged', 'in-progress', 'blocked', 'resolved', 'wont-fix'],
+  transitions: {
+    open: ['triaged', 'wont-fix'],
+    triaged: ['in-progress', 'wont-fix'],
+    'in-progress': ['blocked', 'resolved'],
+    blocked: ['in-progress'],
+    resolved: ['open'],
+    'wont-fix': ['open'],
+  },
+};
+
+describe('Status Workflow', () => {
+  afterEach(() => {
+    resetWorkflow();
+  });
+
+  describe('Default workflow', () => {
+    it('should load the default workflow from config/workflow.json', () => {
+      const workflow = getWorkflow();
+
+      expect(workflow.initialStatus).toBe('open');
+      expect(workflow.statuses).toEqual(['open', 'in-progress', 'resolved']);
+      expect(workflow.transitions.open).toEqual(['in-progress', 'resolved']);
+    });
+  });
+
+  describe('validateWorkflow', () => {
+    it('should accept a valid custom workflow', () => {
+      expect(validateWorkflow(customWorkflow)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject a non-object definition', () => {
+      expect(validateWorkflow(null).valid).toBe(false);
+    });
+
+    it('should reject an empty statuses array', () => {
+      const result = validateWorkflow({ initialStatus: 'open', statuses: [], transitions: {} });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject an initial status that is not defined', () => {
+      const result = validateWorkflow({ ...customWorkflow, initialStatus: 'new' });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Initial status "new" is not a defined status');
+    });
+
+    it('should reject transitions to undefined statuses', () => {
+      const result = validateWorkflow({
+        ...customWorkflow,
+        transitions: { open: ['closed'] },
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Transition target "closed" (from "open") is not a defined status');
+    });
+
+    it('should reject transitions from undefined statuses', () => {
+      const result = validateWorkflow({
+        ...customWorkflow,
+        transitions: { closed: ['open'] },
+      });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject a workflow without the default in-progress and resolved statuses', () => {
+      const result = validateWorkflow({
+        initialStatus: 'new',
+        statuses: ['new', 'doing', 'done'],
+        transitions: { new: ['doing'], doing: ['done'], done: ['new'] },
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'inProgressStatus "in-progress" is not a defined status',
+        'resolvedStatus "resolved" is not a defined status',
+      ]);
+    });
+
+    it('should reject in-progress and resolved statuses that are not defined', () => {
+      const result = validateWorkflow({ ...customWorkflow, resolvedStatus: 'closed' });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('resolvedStatus "closed" is not a defined status');
+    });
+  });
+
+  describe('loadWorkflow', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load a workflow from a JSON file', () => {
+      const file = path.join(tmpDir, 'workflow.json');
+      fs.writeFileSync(file, JSON.stringify(customWorkflow));
+
+      expect(loadWorkflow(file)).toEqual(customWorkflow);
+    });
+
+    it('should throw for an invalid workflow file', () => {
+      const file = path.join(tmpDir, 'workflow.json');
+      fs.writeFileSync(file, JSON.stringify({ ...customWorkflow, initialStatus: 'new' }));
+
+      expect(() => loadWorkflow(file)).toThrow(/Invalid workflow definition/);
+    });
+  });
+
+  describe('Custom workflow in bugUtils', () => {
+    beforeEach(() => {
+      setWorkflow(customWorkflow);
+    });
+
+    it('should allow transitions defined by the custom workflow', () => {
+      expect(isValidStatusTransition('open', 'triaged')).toBe(true);
+      expect(isValidStatusTransition('in-progress', 'blocked')).toBe(true);
+    });
+
+    it('should reject transitions not defined by the custom workflow', () => {
+      expect(isValidStatusTransition('open', 'resolved')).toBe(false);
+      expect(isValidStatusTransition('blocked', 'resolved')).toBe(false);
+    });
+
+    it('should return next statuses from the custom workflow', () => {
+      expect(getValidNextStatuses('triaged')).toEqual(['in-progress', 'wont-fix']);
+    });
+
+    it('should recognise custom statuses', () => {
+      expect(isValidStatus('wont-fix')).toBe(true);
+      expect(isValidStatus('closed')).toBe(false);
+    });
+
+    it('should validate bug data against custom statuses', () => {
+      const result = validateBugData({
+        title: 'Test Bug',
+        description: 'Test description',
+        reporter: 'Test Reporter',
+        status: 'closed',
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain(
+        'Status must be one of: open, triaged, in-progress, blocked, resolved, wont-fix'
+      );
+    });
+
+    it('should refuse to activate an invalid workflow', () => {
+      expect(() => setWorkflow({ ...customWorkflow, statuses: [] })).toThrow(/Invalid workflow definition/);
+      expect(getWorkflow()).toEqual(customWorkflow);
+    });
+  });
+
+  describe('Renamed in-progress and resolved statuses', () => {
+    const renamedWorkflow = {
+      initialStatus: 'new',
+      inProgressStatus: 'doing',
+      resolvedStatus: 'done',
+      statuses: ['new', 'doing', 'done'],
+      transitions: { new: ['doing'], doing: ['done'], done: ['new'] },
+    };
+    const now = new Date('2024-03-10T12:00:00Z');
+
+    beforeEach(() => {
+      setWorkflow(renamedWorkflow);
+    });
+
+    it('should read the statuses from the workflow', () => {
+      expect(getInProgressStatus()).toBe('doing');
+      expect(getResolvedStatus()).toBe('done');
+
+      resetWorkflow();
+
+      expect(getInProgressStatus()).toBe('in-progress');
+      expect(getResolvedStatus()).toBe('resolved');
+    });
+
+    it('should stamp and clear status timestamps for the renamed statuses', () => {
+      expect(getStatusTimestampUpdates('new', 'doing', now)).toEqual({ inProgressAt: now });
+      expect(getStatusTimestampUpdates('doing', 'done', now)).toEqual({ resolvedAt: now });
+      expect(getStatusTimestampUpdates('done', 'new', now)).toEqual({
+        resolvedAt: null,
+        $inc: { reopenCount: 1 },
+      });
+      expect(getStatusTimestampUpdates('new', 'resolved', now)).toEqual({});
+    });
+  });
+
+  describe('Bug model', () => {
+    const buildBug = (fields = {}) =>
+      new Bug({ title: 'Test Bug', description: 'Test description', reporter: 'Test Reporter', ...fields });
+
+    it('should validate statuses against the workflow active when the bug is saved', () => {
+      expect(buildBug({ status: 'blocked' }).validateSync().errors.status.message).toBe(
+        'Status must be one of: open, in-progress, resolved'
+      );
+
+      setWorkflow(customWorkflow);
+
+      expect(buildBug({ status: 'blocked' }).validateSync()).toBeUndefined();
+      expect(buildBug({ status: 'closed' }).validateSync().errors.status.message).toBe(
+        'Status must be one of: open, triaged, in-progress, blocked, resolved, wont-fix'
+      );
+    });
+
+    it('should default new bugs to the initial status of the active workflow', () => {
+      setWorkflow({ ...customWorkflow, initialStatus: 'triaged' });
+
+      expect(buildBug().status).toBe('triaged');
+    });
+  });
+});